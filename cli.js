@@ -19,9 +19,11 @@ import chalk from "chalk";
 import { createRequire } from "module";
 import { getAllPlatformsInfo } from "./lib/generator.js";
 import { showIconInfo, showPlatforms } from "./lib/cli/DisplayHelpers.js";
+import { validateIosLayout } from "./lib/cli/ValidationHelpers.js";
 import { runInteractiveMode } from "./lib/cli/InteractiveHelpers.js";
 import { generateWithProgress } from "./lib/cli/ProgressHelpers.js";
 import { startServer } from "./lib/cli/ServerHelpers.js";
+import { previewWithProgress } from "./lib/cli/PreviewHelpers.js";
 
 // Import package.json for version info (ES module compatible)
 const require = createRequire(import.meta.url);
@@ -45,12 +47,12 @@ program
 // Generate Command - Main icon generation
 program
 	.command("generate")
-	.description("Generate icons from a source image")
+	.description("Generate icons from a source image (or from text with --text)")
 	.option("-i, --input <path>", "Path to source image (for legacy mode or iOS)")
 	.option("-o, --out <dir>", "Output directory (default: icons)", "icons")
 	.option(
 		"-p, --platform <platform>",
-		"Target platform (ios, android, all)",
+		"Target platform (ios, android, web, macos, desktop, watchos, tvos, all)",
 		"all"
 	)
 	.option("-z, --zip", "Create a ZIP archive of the generated icons")
@@ -59,14 +61,47 @@ program
 		"-fg, --foreground <path>",
 		"Foreground layer for Android adaptive icons"
 	)
+	.option(
+		"--text <text>",
+		'Render the foreground from text instead of an image (e.g. initials like "AB")'
+	)
+	.option(
+		"--font <font>",
+		'Font for --text: a .ttf/.otf file or a font name like "Helvetica Bold" (default: sans bold)'
+	)
+	.option("--text-color <color>", "Text color for --text (default: #FFFFFF)")
 	.option(
 		"-bg, --background <path>",
-		"Background layer for adaptive icons (image file or hex color like #FF5722, defaults to #111111)"
+		"Background layer for adaptive icons (image file, color like #FF5722, rgb(255 87 34), tomato or transparent, or gradient like linear(135deg,#FF5722,#8E24AA), defaults to #111111)"
 	)
 	.option(
 		"-m, --monochrome <path>",
 		"Monochrome layer for Android adaptive icons (optional)"
 	)
+	.option(
+		"--monochrome-threshold <0-255>",
+		"Luminance threshold when deriving the monochrome layer from the foreground (darker pixels are cut out)"
+	)
+	.option(
+		"--themed-icon",
+		"Reference the derived monochrome layer in the adaptive icon XML (Android 13 themed icons)"
+	)
+	.option(
+		"--vector-drawable",
+		"Emit SVG foreground/background layers as Android VectorDrawables (drawable/*.xml)"
+	)
+	.option(
+		"--dark-foreground <path>",
+		"iOS 18 dark appearance foreground layer (defaults to --foreground)"
+	)
+	.option(
+		"--dark-background <path>",
+		"iOS 18 dark appearance background (image file, color or gradient, defaults to transparent)"
+	)
+	.option(
+		"--tinted [path]",
+		"iOS 18 tinted appearance layer (omit path to derive a grayscale variant)"
+	)
 	.option(
 		"--install",
 		"Auto-install icons to React Native or Flutter project (auto-detects project type)"
@@ -77,6 +112,14 @@ program
 	)
 	.option("--fg-scale-ios <factor>", "iOS-specific foreground content scale")
 	.option("--fg-scale-android <factor>", "Android-specific foreground content scale")
+	.option(
+		"--trim",
+		"Crop transparent or solid-color margins from the foreground before padding"
+	)
+	.option(
+		"--auto-fit",
+		"Trim the foreground and scale it to fill the platform safe zone exactly (replaces --fg-scale)"
+	)
 	.option(
 		"--exclude <sizes>",
 		"Comma-separated sizes to exclude (e.g., 'ldpi,monochrome' or '20x20@2x')"
@@ -85,6 +128,66 @@ program
 		"--custom-config <path>",
 		"Path to JSON file with full size customization"
 	)
+	.option(
+		"--app-name <name>",
+		"App name used in generated metadata (web manifest, Linux icon name, Android TV banner)"
+	)
+	.option("--icns", "Also pack macOS icons into a binary AppIcon.icns")
+	.option(
+		"--ios-layout <layout>",
+		"iOS asset catalog layout: single (one 1024px image, Xcode 14+) or legacy (all sizes)"
+	)
+	.option(
+		"--flatten-alpha",
+		"Flatten all iOS icons onto the background color (the App Store icon is always flattened)"
+	)
+	.option(
+		"--tv-banner",
+		"Also generate the Android TV banner (drawable-xhdpi/banner.png, 320x180)"
+	)
+	.option(
+		"--play-store",
+		"Also generate Google Play listing assets in play-store/ (512 icon, 1024x500 feature graphic)"
+	)
+	.option(
+		"--feature-graphic-layout <layout>",
+		"Feature graphic layout: center, left or right (app name beside the icon)",
+		"center"
+	)
+	.option(
+		"--strict",
+		"Fail instead of warning when the foreground leaves the Android 66dp safe zone or the iOS rounded corners"
+	)
+	.option(
+		"--badge <text>",
+		"Draw an environment badge (e.g. BETA, DEV) onto every launcher icon"
+	)
+	.option("--badge-style <style>", "Badge style: ribbon or corner (default: ribbon)")
+	.option(
+		"--badge-position <position>",
+		"Badge corner: top-left, top-right, bottom-left or bottom-right (default: top-right)"
+	)
+	.option("--badge-color <color>", "Badge color (default: #E53935)")
+	.option(
+		"--version-label <text>",
+		'Draw version/build text (e.g. "1.4.2 (318)" or a git short SHA) onto iOS and Android icons'
+	)
+	.option(
+		"--version-label-min-size <px>",
+		"Skip the version label on icons smaller than this (default: 48)"
+	)
+	.option(
+		"--resize-kernel <kernel>",
+		'Resize kernel: lanczos3, mitchell or nearest (pixel art), per platform with "mitchell,web:nearest" (default: lanczos3)'
+	)
+	.option(
+		"--sharpen <amount>",
+		'Sharpen downscaled icons, stronger the more they shrink: 0-3, per platform with "0.5,android:0" (default: 0)'
+	)
+	.option(
+		"--splash",
+		"Also generate splash screen assets from the foreground layer (Android 12+ splash icon, iOS launch screen)"
+	)
 	.action(async options => {
 		await generateWithProgress(options);
 	});
@@ -96,7 +199,7 @@ program
 	.option("-o, --out <dir>", "Output directory", "./icons")
 	.option(
 		"-p, --platform <platform>",
-		"Target platform (ios, android, all)",
+		"Target platform (ios, android, web, macos, desktop, watchos, tvos, all)",
 		"all"
 	)
 	.option("-z, --zip", "Create a ZIP archive of the generated icons")
@@ -108,6 +211,16 @@ program
 	.option("--fg-scale <factor>", "Scale foreground content inside icon")
 	.option("--fg-scale-ios <factor>", "iOS-specific foreground content scale")
 	.option("--fg-scale-android <factor>", "Android-specific foreground content scale")
+	.option("--trim", "Crop transparent or solid-color margins from the foreground")
+	.option("--auto-fit", "Trim the foreground and fill the platform safe zone exactly")
+	.option("--badge <text>", "Draw an environment badge (e.g. BETA) onto every icon")
+	.option("--badge-style <style>", "Badge style: ribbon or corner")
+	.option("--badge-position <position>", "Badge corner (e.g. top-right)")
+	.option("--badge-color <color>", "Badge color")
+	.option("--version-label <text>", "Draw version/build text onto iOS and Android icons")
+	.option("--version-label-min-size <px>", "Skip the version label below this icon size")
+	.option("--resize-kernel <kernel>", "Resize kernel: lanczos3, mitchell or nearest")
+	.option("--sharpen <amount>", "Sharpen downscaled icons (0-3)")
 	.option("--exclude <sizes>", "Comma-separated sizes to exclude")
 	.option(
 		"--custom-config <path>",
@@ -124,11 +237,46 @@ program
 			fgScale: options.fgScale,
 			fgScaleIos: options.fgScaleIos,
 			fgScaleAndroid: options.fgScaleAndroid,
+			trim: options.trim,
+			autoFit: options.autoFit,
+			badge: options.badge,
+			badgeStyle: options.badgeStyle,
+			badgePosition: options.badgePosition,
+			badgeColor: options.badgeColor,
+			versionLabel: options.versionLabel,
+			versionLabelMinSize: options.versionLabelMinSize,
+			resizeKernel: options.resizeKernel,
+			sharpen: options.sharpen,
 			exclude: options.exclude,
 			customConfig: options.customConfig,
 		});
 	});
 
+// Preview Command - Launcher mask contact sheet
+program
+	.command("preview")
+	.description(
+		"Render the icon under common launcher masks at several sizes into one PNG"
+	)
+	.option("-i, --input <path>", "Path to source image (used as the foreground)")
+	.option("-fg, --foreground <path>", "Foreground layer")
+	.option(
+		"-bg, --background <path>",
+		"Background layer (image file, color like #FF5722 or tomato, or gradient like linear(135deg,#FF5722,#8E24AA), defaults to #111111)"
+	)
+	.option("-o, --out <file>", "Output PNG file", "icon-preview.png")
+	.option("--sizes <list>", "Comma-separated icon sizes in pixels", "192,108,48")
+	.option(
+		"--masks <list>",
+		"Comma-separated masks (circle, squircle, rounded-square, teardrop, ios)"
+	)
+	.option("--fg-scale <factor>", "Scale foreground content inside icon")
+	.option("--trim", "Crop transparent or solid-color margins from the foreground")
+	.option("--auto-fit", "Trim the foreground and fill the platform safe zone exactly")
+	.action(async options => {
+		await previewWithProgress(options);
+	});
+
 // Interactive Command - Guided wizard
 program
 	.command("interactive")
@@ -144,11 +292,24 @@ program
 	.description("Show information about generated icon sizes")
 	.option(
 		"-p, --platform <platform>",
-		"Platform to show info for (ios, android, all)",
+		"Platform to show info for (ios, android, web, macos, desktop, watchos, tvos, all)",
 		"all"
 	)
+	.option(
+		"--ios-layout <layout>",
+		"iOS asset catalog layout to describe (single, legacy)",
+		"legacy"
+	)
 	.action(options => {
-		showIconInfo(options.platform, getAllPlatformsInfo);
+		const layoutValidation = validateIosLayout(options.iosLayout);
+		if (!layoutValidation.valid) {
+			console.error(chalk.red(`❌ Error: ${layoutValidation.error}\n`));
+			process.exit(1);
+		}
+
+		showIconInfo(options.platform, getAllPlatformsInfo, {
+			iosLayout: options.iosLayout,
+		});
 	});
 
 // Platforms Command - List supported platforms
@@ -17,7 +17,9 @@ import {
   generateIconsForMultiplePlatforms,
   validateImageFile,
   createZipArchive,
+  generatePreview,
   getSupportedPlatforms,
+  getDefaultPlatforms,
   getPlatformInfo,
   getAllPlatformsInfo,
   iconGeneratorFactory,
@@ -30,7 +32,9 @@ export {
   generateIconsForMultiplePlatforms,
   validateImageFile,
   createZipArchive,
+  generatePreview,
   getSupportedPlatforms,
+  getDefaultPlatforms,
   getPlatformInfo,
   getAllPlatformsInfo,
   iconGeneratorFactory,
@@ -40,18 +44,68 @@ export {
 export {
   IOS_CONFIG,
   IOS_ICON_SIZES,
+  IOS_SINGLE_ICON_SIZES,
   IOS_SIZE_INFO,
+  IosLayout,
+  getIOSConfig,
 } from "./lib/config/ios-config.js";
 export {
   ANDROID_CONFIG,
   ANDROID_ICON_SIZES,
   ANDROID_SIZE_INFO,
 } from "./lib/config/android-config.js";
+export {
+  WEB_CONFIG,
+  WEB_ICON_SIZES,
+  WEB_SIZE_INFO,
+} from "./lib/config/web-config.js";
+export {
+  MACOS_CONFIG,
+  MACOS_ICON_SIZES,
+  MACOS_SIZE_INFO,
+} from "./lib/config/macos-config.js";
+export {
+  DESKTOP_CONFIG,
+  DESKTOP_ICON_SIZES,
+  DESKTOP_SIZE_INFO,
+} from "./lib/config/desktop-config.js";
+export {
+  WATCHOS_CONFIG,
+  WATCHOS_ICON_SIZES,
+  WATCHOS_SIZE_INFO,
+} from "./lib/config/watchos-config.js";
+export {
+  TVOS_CONFIG,
+  TVOS_ICON_SIZES,
+  TVOS_SIZE_INFO,
+} from "./lib/config/tvos-config.js";
+export {
+  PREVIEW_CONFIG,
+  LAUNCHER_MASKS,
+} from "./lib/config/preview-config.js";
+export {
+  BADGE_CONFIG,
+  BadgeStyle,
+  BadgePosition,
+} from "./lib/config/badge-config.js";
+export { TEXT_ICON_CONFIG } from "./lib/config/text-icon-config.js";
+export {
+  PROCESSING_CONFIG,
+  ResizeKernel,
+} from "./lib/config/processing-config.js";
 
 // Export core classes for advanced usage
 export { ImageProcessor } from "./lib/core/ImageProcessor.js";
 export { FileManager } from "./lib/core/FileManager.js";
 export { ArchiveManager } from "./lib/core/ArchiveManager.js";
+export { IconEncoder } from "./lib/core/IconEncoder.js";
+export { VectorDrawableConverter } from "./lib/core/VectorDrawableConverter.js";
+export { PreviewRenderer } from "./lib/core/PreviewRenderer.js";
+export { SafeZoneAnalyzer } from "./lib/core/SafeZoneAnalyzer.js";
+export { GradientRenderer } from "./lib/core/GradientRenderer.js";
+export { ColorParser } from "./lib/core/ColorParser.js";
+export { BadgeRenderer } from "./lib/core/BadgeRenderer.js";
+export { TextIconRenderer } from "./lib/core/TextIconRenderer.js";
 export {
   SizeConfigManager,
   sizeConfigManager,
@@ -60,6 +114,11 @@ export {
 // Export platform generators for advanced usage
 export { IOSGenerator } from "./lib/platforms/IOSGenerator.js";
 export { AndroidGenerator } from "./lib/platforms/AndroidGenerator.js";
+export { WebGenerator } from "./lib/platforms/WebGenerator.js";
+export { MacOSGenerator } from "./lib/platforms/MacOSGenerator.js";
+export { DesktopGenerator } from "./lib/platforms/DesktopGenerator.js";
+export { WatchOSGenerator } from "./lib/platforms/WatchOSGenerator.js";
+export { TVOSGenerator } from "./lib/platforms/TVOSGenerator.js";
 export { PlatformGenerator } from "./lib/platforms/PlatformGenerator.js";
 
 // Export factory
@@ -69,19 +128,47 @@ export { IconGeneratorFactory } from "./lib/IconGeneratorFactory.js";
  * Quick start function - Generate icons with minimal configuration
  *
  * @param {Object} options - Generation options
- * @param {string} options.foreground - Path to foreground/icon image (required, same as CLI -fg)
+ * @param {string} options.foreground - Path to foreground/icon image (required unless `text` is given, same as CLI -fg)
+ * @param {string} [options.text] - Render the foreground from text instead of an image, e.g. initials 'AB' (same as CLI --text)
+ * @param {string} [options.font] - Font for `text`: a .ttf/.otf path or a font name like 'Helvetica Bold' (default: sans bold)
+ * @param {string} [options.textColor='#FFFFFF'] - Text color for `text`
  * @param {string} options.output - Output directory (required)
- * @param {string} [options.background] - Background layer: image path or hex color like '#FF5722' (optional, defaults to '#111111')
+ * @param {string} [options.background] - Background layer: image path, color like '#FF5722', '#FF572280', 'rgb(255 87 34)', 'tomato' or 'transparent', or gradient like 'linear(135deg,#FF5722,#8E24AA)' (optional, defaults to '#111111')
  * @param {string} [options.monochrome] - Path to monochrome layer image (optional, same as CLI -m)
- * @param {string} [options.platform=Platform.All] - Platform: 'ios', 'android', or 'all'
+ * @param {string} [options.darkForeground] - iOS 18 dark appearance foreground (optional, same as CLI --dark-foreground)
+ * @param {string} [options.darkBackground] - iOS 18 dark appearance background image, color or gradient (optional)
+ * @param {string|boolean} [options.tinted] - iOS 18 tinted layer path, or true to derive a grayscale variant
+ * @param {string} [options.platform=Platform.All] - Platform: 'ios', 'android', 'web', 'macos', 'desktop', 'watchos', 'tvos', or 'all' (iOS + Android)
  * @param {boolean} [options.zip=false] - Create ZIP archive
  * @param {boolean} [options.force=false] - Overwrite existing files
  * @param {Object} [options.customSizes] - Custom size configuration
  * @param {Object} [options.customSizes.ios] - iOS-specific customization (addSizes, excludeSizes)
  * @param {Object} [options.customSizes.android] - Android-specific customization (addSizes, excludeSizes)
+ * @param {Object} [options.customSizes.sourceOverrides] - Size rules mapped to hand-tuned source files (e.g., {"<=40": "icon-small.png"}); also per platform
  * @param {number} [options.fgScale] - Scale foreground content for all platforms (e.g., 2.0 = zoom in 2x)
  * @param {number} [options.fgScaleIos] - Scale foreground content for iOS only
  * @param {number} [options.fgScaleAndroid] - Scale foreground content for Android only
+ * @param {string} [options.iosLayout] - iOS asset catalog layout: 'legacy' (default) or 'single' (one 1024px image, Xcode 14+)
+ * @param {boolean} [options.flattenAlpha=false] - Write every iOS icon as RGB without alpha (the App Store icon always is)
+ * @param {boolean} [options.splash=false] - Also generate splash screen assets from the foreground (Android 12+ splash icon, iOS LaunchImage.imageset + LaunchScreen.storyboard)
+ * @param {number} [options.monochromeThreshold=0] - Luminance threshold (0-255) when deriving the Android monochrome layer
+ * @param {boolean} [options.themedIcon=false] - Reference the derived monochrome layer in the Android adaptive icon XML
+ * @param {boolean} [options.tvBanner=false] - Also generate the Android TV drawable-xhdpi/banner.png (appName is drawn next to the icon)
+ * @param {boolean} [options.playStore=false] - Also generate play-store/icon-512.png and the 1024x500 feature-graphic.png
+ * @param {string} [options.featureGraphicLayout='center'] - Feature graphic layout: 'center', 'left' or 'right' (appName beside the icon)
+ * @param {boolean} [options.vectorDrawable=false] - Emit an SVG foreground (and SVG/color background) as Android VectorDrawables
+ * @param {boolean} [options.trim=false] - Crop transparent or solid-color margins from the foreground before padding
+ * @param {boolean} [options.autoFit=false] - Trim the foreground and fill the platform padding ratio exactly (ignores fgScale*)
+ * @param {boolean} [options.strict=false] - Throw instead of warning when the foreground leaves the Android 66dp safe zone or the iOS rounded corners
+ * @param {string} [options.badge] - Draw an environment badge with this text (e.g. 'BETA') onto every icon
+ * @param {string} [options.badgeStyle='ribbon'] - Badge style: 'ribbon' or 'corner'
+ * @param {string} [options.badgePosition='top-right'] - Badge corner: 'top-left', 'top-right', 'bottom-left' or 'bottom-right'
+ * @param {string} [options.badgeColor='#E53935'] - Badge color (text is black or white for contrast)
+ * @param {string} [options.versionLabel] - Draw version/build text (e.g. '1.4.2 (318)') onto iOS and Android icons
+ * @param {number} [options.versionLabelMinSize=48] - Skip the version label on icons smaller than this many pixels
+ * @param {Object} [options.processing] - Resize kernel and sharpening {kernel: 'lanczos3'|'mitchell'|'nearest', sharpen: 0-3}; per platform under its key, e.g. {sharpen: 0.5, web: {kernel: 'nearest'}}
+ * @param {string} [options.appName] - App name (used in the web manifest, Linux desktop icon names and the Android TV banner)
+ * @param {boolean} [options.icns=false] - Also pack macOS icons into AppIcon.icns
  * @returns {Promise<Object|Array>} Generation result(s)
  */
 export async function quickGenerate(options) {
@@ -94,16 +181,48 @@ export async function quickGenerate(options) {
     fgScale,
     fgScaleIos,
     fgScaleAndroid,
+    appName,
+    icns,
+    iosLayout,
+    flattenAlpha,
+    splash,
+    monochromeThreshold,
+    themedIcon,
+    vectorDrawable,
+    tvBanner,
+    playStore,
+    featureGraphicLayout,
+    strict,
+    trim,
+    autoFit,
+    badge,
+    badgeStyle,
+    badgePosition,
+    badgeColor,
+    versionLabel,
+    versionLabelMinSize,
+    processing,
     // CLI-style parameters (same as CLI)
     foreground,
+    text,
+    font,
+    textColor,
     background,
     monochrome,
+    darkForeground,
+    darkBackground,
+    tinted,
   } = options;
 
   // Validate required parameters
-  if (!foreground) {
+  if (!foreground && !text) {
+    throw new Error(
+      "'foreground' parameter is required (path to your icon image), or 'text' to render the icon from text"
+    );
+  }
+  if (foreground && text) {
     throw new Error(
-      "'foreground' parameter is required (path to your icon image)"
+      "'text' replaces the foreground image and cannot be combined with 'foreground'"
     );
   }
 
@@ -118,15 +237,26 @@ export async function quickGenerate(options) {
     monochrome,
   };
 
+  // Add iOS 18 appearance layers if provided
+  if (darkForeground) {
+    finalAdaptiveIcon.darkForeground = darkForeground;
+  }
+  if (darkBackground) {
+    finalAdaptiveIcon.darkBackground = darkBackground;
+  }
+  if (tinted) {
+    finalAdaptiveIcon.tinted = tinted;
+  }
+
   const {
     generateIconsForPlatform,
     generateIconsForMultiplePlatforms,
-    getSupportedPlatforms,
+    getDefaultPlatforms,
   } = await import("./lib/generator.js");
 
   const platforms =
     platform === Platform.All
-      ? getSupportedPlatforms()
+      ? getDefaultPlatforms()
       : [platform.toLowerCase()];
 
   // Build generation options
@@ -140,6 +270,11 @@ export async function quickGenerate(options) {
     genOptions.adaptiveIcon = finalAdaptiveIcon;
   }
 
+  // Render the foreground from text (initials, short labels) instead of an image
+  if (text) {
+    genOptions.textIcon = { text, font, textColor };
+  }
+
   // Add custom sizes if provided
   if (customSizes) {
     genOptions.customSizes = customSizes;
@@ -156,6 +291,87 @@ export async function quickGenerate(options) {
     genOptions.fgScaleAndroid = fgScaleAndroid;
   }
 
+  // Add app name if provided
+  if (appName) {
+    genOptions.appName = appName;
+  }
+
+  // Add macOS .icns packing if requested
+  if (icns) {
+    genOptions.icns = true;
+  }
+
+  // Add iOS asset catalog layout if provided
+  if (iosLayout) {
+    genOptions.iosLayout = iosLayout;
+  }
+
+  // Flatten every iOS icon (the App Store icon is always flattened)
+  if (flattenAlpha) {
+    genOptions.flattenAlpha = true;
+  }
+
+  // Add splash screen assets if requested
+  if (splash) {
+    genOptions.splash = true;
+  }
+
+  // Add Android TV banner if requested
+  if (tvBanner) {
+    genOptions.tvBanner = true;
+  }
+
+  // Add Google Play listing assets if requested
+  if (playStore) {
+    genOptions.playStore = true;
+    genOptions.featureGraphicLayout = featureGraphicLayout;
+  }
+
+  // Add derived monochrome options if provided
+  if (monochromeThreshold !== undefined) {
+    genOptions.monochromeThreshold = monochromeThreshold;
+  }
+  if (themedIcon) {
+    genOptions.themedIcon = true;
+  }
+
+  // Emit SVG layers as VectorDrawables if requested
+  if (vectorDrawable) {
+    genOptions.vectorDrawable = true;
+  }
+
+  // Fail on safe zone violations instead of warning
+  if (strict) {
+    genOptions.strict = true;
+  }
+
+  // Crop foreground margins (auto-fit also ignores the foreground scale)
+  if (trim) {
+    genOptions.trim = true;
+  }
+  if (autoFit) {
+    genOptions.autoFit = true;
+  }
+
+  // Draw an environment badge (dev, staging, beta) onto every icon
+  if (badge) {
+    genOptions.badge = badge;
+    genOptions.badgeStyle = badgeStyle;
+    genOptions.badgePosition = badgePosition;
+    genOptions.badgeColor = badgeColor;
+  }
+
+  // Draw version/build text on larger iOS and Android icons
+  if (versionLabel) {
+    genOptions.versionLabel = versionLabel;
+    genOptions.versionLabelMinSize = versionLabelMinSize;
+  }
+
+  // Resize kernel and sharpening, globally or per platform
+  if (processing) {
+    genOptions.processing = processing;
+  }
+
   if (platforms.length === 1) {
     // Single platform generation
     return await generateIconsForPlatform(
@@ -192,7 +408,9 @@ export default {
   generateIconsForMultiplePlatforms,
   validateImageFile,
   createZipArchive,
+  generatePreview,
   getSupportedPlatforms,
+  getDefaultPlatforms,
   getPlatformInfo,
   getAllPlatformsInfo,
 };
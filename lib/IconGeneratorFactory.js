@@ -16,12 +16,20 @@ import { FileManager } from "./core/FileManager.js";
 import { ArchiveManager } from "./core/ArchiveManager.js";
 import { IOSGenerator } from "./platforms/IOSGenerator.js";
 import { AndroidGenerator } from "./platforms/AndroidGenerator.js";
+import { WebGenerator } from "./platforms/WebGenerator.js";
+import { MacOSGenerator } from "./platforms/MacOSGenerator.js";
+import { DesktopGenerator } from "./platforms/DesktopGenerator.js";
+import { WatchOSGenerator } from "./platforms/WatchOSGenerator.js";
+import { TVOSGenerator } from "./platforms/TVOSGenerator.js";
 
 export class IconGeneratorFactory {
 	constructor() {
 		// Registry of available platform generators
 		this.generators = new Map();
 
+		// Platforms generated when the user asks for "all"
+		this.defaultPlatforms = new Set();
+
 		// Initialize shared dependencies (can be injected if needed)
 		this.imageProcessor = new ImageProcessor();
 		this.fileManager = new FileManager();
@@ -37,6 +45,19 @@ export class IconGeneratorFactory {
 	registerDefaultPlatforms() {
 		this.registerPlatform(Platform.IOS, IOSGenerator);
 		this.registerPlatform(Platform.ANDROID, AndroidGenerator);
+		this.registerPlatform(Platform.WEB, WebGenerator, { includeInAll: false });
+		this.registerPlatform(Platform.MACOS, MacOSGenerator, {
+			includeInAll: false,
+		});
+		this.registerPlatform(Platform.DESKTOP, DesktopGenerator, {
+			includeInAll: false,
+		});
+		this.registerPlatform(Platform.WATCHOS, WatchOSGenerator, {
+			includeInAll: false,
+		});
+		this.registerPlatform(Platform.TVOS, TVOSGenerator, {
+			includeInAll: false,
+		});
 	}
 
 	/**
@@ -45,9 +66,20 @@ export class IconGeneratorFactory {
 	 *
 	 * @param {string} platformKey - Platform identifier (e.g., Platform.IOS, Platform.ANDROID)
 	 * @param {class} GeneratorClass - Platform generator class
+	 * @param {object} [options] - Registration options
+	 * @param {boolean} [options.includeInAll=true] - Whether "all" includes this platform
 	 */
-	registerPlatform(platformKey, GeneratorClass) {
-		this.generators.set(platformKey.toLowerCase(), GeneratorClass);
+	registerPlatform(platformKey, GeneratorClass, options = {}) {
+		const { includeInAll = true } = options;
+		const key = platformKey.toLowerCase();
+
+		this.generators.set(key, GeneratorClass);
+
+		if (includeInAll) {
+			this.defaultPlatforms.add(key);
+		} else {
+			this.defaultPlatforms.delete(key);
+		}
 	}
 
 	/**
@@ -87,6 +119,15 @@ export class IconGeneratorFactory {
 		return Array.from(this.generators.keys());
 	}
 
+	/**
+	 * Get platforms generated for Platform.All
+	 * Opt-in platforms (e.g., Platform.WEB) must be requested explicitly
+	 * @returns {Array<string>} Array of platform keys
+	 */
+	getDefaultPlatforms() {
+		return Array.from(this.defaultPlatforms);
+	}
+
 	/**
 	 * Check if a platform is supported
 	 * @param {string} platform - Platform key
@@ -98,9 +139,10 @@ export class IconGeneratorFactory {
 
 	/**
 	 * Get platform information for all supported platforms
+	 * @param {object} [options] - Display options passed to each generator (e.g., iosLayout)
 	 * @returns {Array<object>} Array of platform info objects
 	 */
-	getAllPlatformInfo() {
+	getAllPlatformInfo(options = {}) {
 		const platforms = [];
 
 		for (const [key, GeneratorClass] of this.generators.entries()) {
@@ -111,7 +153,7 @@ export class IconGeneratorFactory {
 			);
 			platforms.push({
 				key,
-				...generator.getPlatformInfo(),
+				...generator.getPlatformInfo(options),
 			});
 		}
 
@@ -11,6 +11,9 @@ import chalk from "chalk";
 import boxen from "boxen";
 import Table from "cli-table3";
 import { Platform } from "../core/ImageProcessor.js";
+import { BADGE_CONFIG } from "../config/badge-config.js";
+import { TEXT_ICON_CONFIG } from "../config/text-icon-config.js";
+import { PROCESSING_CONFIG } from "../config/processing-config.js";
 
 /**
  * Get platform emoji
@@ -22,10 +25,101 @@ export function getPlatformEmoji(platform) {
 	const emojiMap = {
 		[Platform.IOS]: "🍎",
 		[Platform.ANDROID]: "🤖",
+		[Platform.WEB]: "🌐",
+		[Platform.MACOS]: "🖥️",
+		[Platform.DESKTOP]: "💻",
+		[Platform.WATCHOS]: "⌚",
+		[Platform.TVOS]: "📺",
 	};
 	return emojiMap[platform.toLowerCase()] || "📱";
 }
 
+/**
+ * Get human-readable platform label
+ * @pure
+ * @param {string} platform - Platform name
+ * @returns {string} Display label (e.g., "iOS")
+ */
+export function getPlatformLabel(platform) {
+	const labelMap = {
+		[Platform.IOS]: "iOS",
+		[Platform.ANDROID]: "Android",
+		[Platform.WEB]: "Web",
+		[Platform.MACOS]: "macOS",
+		[Platform.DESKTOP]: "Desktop",
+		[Platform.WATCHOS]: "watchOS",
+		[Platform.TVOS]: "tvOS",
+	};
+	return labelMap[platform.toLowerCase()] || platform;
+}
+
+/**
+ * Get size info table columns for a platform
+ * Each column maps a header label to a key in the platform's sizeInfo entries
+ * @pure
+ * @param {string} platform - Platform name
+ * @returns {Array<{label: string, key: string, width: number}>} Column definitions
+ */
+export function getSizeInfoColumns(platform) {
+	const pointColumns = [
+		{ label: "Size (pt)", key: "size", width: 15 },
+		{ label: "Scale", key: "scale", width: 15 },
+		{ label: "Pixels", key: "pixels", width: 12 },
+		{ label: "Use Case", key: "use", width: 30 },
+	];
+
+	const columnsMap = {
+		[Platform.IOS]: pointColumns,
+		[Platform.MACOS]: pointColumns,
+		[Platform.WATCHOS]: pointColumns,
+		[Platform.WEB]: [
+			{ label: "File", key: "file", width: 20 },
+			{ label: "Size (px)", key: "size", width: 12 },
+			{ label: "Purpose", key: "purpose", width: 14 },
+			{ label: "Use Case", key: "use", width: 26 },
+		],
+		[Platform.TVOS]: [
+			{ label: "Size (pt)", key: "size", width: 15 },
+			{ label: "Scale", key: "scale", width: 12 },
+			{ label: "Pixels", key: "pixels", width: 18 },
+			{ label: "Use Case", key: "use", width: 27 },
+		],
+		[Platform.DESKTOP]: [
+			{ label: "File", key: "file", width: 20 },
+			{ label: "Size (px)", key: "size", width: 12 },
+			{ label: "OS", key: "os", width: 14 },
+			{ label: "Use Case", key: "use", width: 26 },
+		],
+	};
+
+	return (
+		columnsMap[platform.toLowerCase()] || [
+			{ label: "Density", key: "density", width: 15 },
+			{ label: "DPI", key: "dpi", width: 15 },
+			{ label: "Size", key: "size", width: 12 },
+			{ label: "Use Case", key: "use", width: 30 },
+		]
+	);
+}
+
+/**
+ * Get summary note shown below a platform's size table
+ * @pure
+ * @param {string} platform - Platform name
+ * @returns {string} Summary note
+ */
+export function getPlatformSummaryNote(platform) {
+	const noteMap = {
+		[Platform.IOS]: " + metadata file (Contents.json)",
+		[Platform.WEB]: " + favicon.ico, manifest.webmanifest and HTML snippet",
+		[Platform.MACOS]: " + Contents.json (and AppIcon.icns with --icns)",
+		[Platform.DESKTOP]: " in the Linux hicolor tree + icon.ico and icon.icns",
+		[Platform.WATCHOS]: " + Contents.json and circular app launcher previews",
+		[Platform.TVOS]: " in App Icon & Top Shelf Image.brandassets (+ per-layer Contents.json)",
+	};
+	return noteMap[platform.toLowerCase()] || " across multiple density folders";
+}
+
 /**
  * Get combined platform emoji
  * @pure
@@ -96,7 +190,7 @@ export function createCompletionBox(results) {
 	// Add quick access commands
 	content += chalk.gray("\n\nQuick access:\n");
 	for (const result of results) {
-		const platformLabel = result.platform === Platform.IOS ? "iOS" : "Android";
+		const platformLabel = getPlatformLabel(result.platform);
 		content +=
 			chalk.gray(`${platformLabel}: `) +
 			chalk.white(`open ${result.outputDir}\n`);
@@ -144,7 +238,11 @@ export function createConfigLines(config) {
 
 	if (config.adaptiveMode) {
 		lines.push(
-			chalk.gray("  Foreground:      ") + chalk.white(config.foreground)
+			chalk.gray("  Foreground:      ") +
+				(config.text
+					? chalk.cyan(`"${config.text}"`) +
+						chalk.gray(` (text, ${config.font || TEXT_ICON_CONFIG.font})`)
+					: chalk.white(config.foreground))
 		);
 		lines.push(
 			chalk.gray("  Background:      ") +
@@ -154,6 +252,29 @@ export function createConfigLines(config) {
 			lines.push(
 				chalk.gray("  Monochrome:      ") + chalk.white(config.monochrome)
 			);
+		} else if (config.themedIcon) {
+			lines.push(
+				chalk.gray("  Monochrome:      ") +
+					chalk.white("derived from foreground (themed icon)")
+			);
+		}
+		if (config.darkForeground || config.darkBackground) {
+			lines.push(
+				chalk.gray("  Dark (iOS):      ") +
+					chalk.white(
+						`${config.darkForeground || config.foreground || "text foreground"} on ${config.darkBackground || "transparent (default)"}`
+					)
+			);
+		}
+		if (config.tinted) {
+			lines.push(
+				chalk.gray("  Tinted (iOS):    ") +
+					chalk.white(
+						typeof config.tinted === "string"
+							? config.tinted
+							: "grayscale of foreground"
+					)
+			);
 		}
 	} else {
 		lines.push(chalk.gray("  Source Image:    ") + chalk.white(config.input));
@@ -183,6 +304,42 @@ export function createConfigLines(config) {
 			chalk.gray("  Android FG Scale:") + " " + chalk.cyan(`${config.fgScaleAndroid}x`)
 		);
 	}
+	if (config.autoFit || config.trim) {
+		lines.push(
+			chalk.gray("  Foreground Fit:  ") +
+				chalk.cyan(config.autoFit ? "auto-fit (trim + fill safe zone)" : "trim margins")
+		);
+	}
+	if (config.badge) {
+		lines.push(
+			chalk.gray("  Badge:           ") +
+				chalk.cyan(`"${config.badge}"`) +
+				chalk.gray(
+					` (${config.badgeStyle || BADGE_CONFIG.defaultStyle}, ${config.badgePosition || BADGE_CONFIG.defaultPosition})`
+				)
+		);
+	}
+	if (config.versionLabel) {
+		lines.push(
+			chalk.gray("  Version Label:   ") +
+				chalk.cyan(`"${config.versionLabel}"`) +
+				chalk.gray(
+					` (${config.versionLabelMinSize || BADGE_CONFIG.label.minSize}px and larger)`
+				)
+		);
+	}
+	if (config.resizeKernel || config.sharpen) {
+		lines.push(
+			chalk.gray("  Resampling:      ") +
+				chalk.cyan(config.resizeKernel || PROCESSING_CONFIG.defaultKernel) +
+				chalk.gray(`, sharpen ${config.sharpen || PROCESSING_CONFIG.defaultSharpen}`)
+		);
+	}
+	if (config.splash) {
+		lines.push(
+			chalk.gray("  Splash Screen:   ") + chalk.white(formatYesNo(config.splash))
+		);
+	}
 	
 	lines.push(
 		chalk.gray("  Create Archive:  ") + chalk.white(formatYesNo(config.zip))
@@ -204,10 +361,52 @@ export function formatPlatformResult(result) {
 	const platformEmoji = getPlatformEmoji(result.platform);
 	const platformName = result.platform.toUpperCase();
 
+	const warningLines = (result.warnings || []).map(
+		warning => chalk.yellow(`     ⚠️  ${warning}`)
+	);
+
+	// Play Store assets live next to the output directory but are part of the run
+	const fileCount =
+		result.files.length + (result.playStore ? result.playStore.files.length : 0);
+	const playStoreLines = result.playStore
+		? [
+				chalk.gray(`     Play Store: `) +
+					chalk.white(result.playStore.outputDir) +
+					chalk.gray(` (${result.playStore.files.join(", ")})`),
+			]
+		: [];
+
+	// With source overrides, list which file produced how many icons
+	const sourceCounts = {};
+	for (const source of Object.values(result.sources || {})) {
+		if (source) {
+			sourceCounts[source] = (sourceCounts[source] || 0) + 1;
+		}
+	}
+	const sourceEntries = Object.entries(sourceCounts);
+	const sourceLines = (sourceEntries.length > 1 ? sourceEntries : []).map(
+		([source, count]) =>
+			chalk.gray(`     Source:   `) +
+			chalk.white(source) +
+			chalk.gray(` (${count} files)`)
+	);
+
+	const bannerLines = result.tvBanner
+		? [
+				chalk.gray(`     TV Banner: `) +
+					chalk.white(result.tvBanner.file) +
+					chalk.gray(` (add ${result.tvBanner.manifestAttribute} to <application>)`),
+			]
+		: [];
+
 	return [
 		chalk.cyan(`  ${platformEmoji}  ${platformName}`),
 		chalk.gray(`     Location: `) + chalk.white(result.outputDir),
-		chalk.gray(`     Icons:    `) + chalk.white(`${result.files.length} files`),
+		chalk.gray(`     Icons:    `) + chalk.white(`${fileCount} files`),
+		...sourceLines,
+		...bannerLines,
+		...playStoreLines,
+		...warningLines,
 		"", // Empty line for spacing
 	];
 }
@@ -216,10 +415,15 @@ export function formatPlatformResult(result) {
  * Show information about icon sizes for platforms
  * @param {string} platform - Platform to show info for (Platform.IOS, Platform.ANDROID, all)
  * @param {Function} getAllPlatformsInfoFn - Function to get platform info
+ * @param {object} [options] - Display options passed to getAllPlatformsInfoFn (e.g., iosLayout)
  * @returns {void}
  */
-export function showIconInfo(platform = Platform.All, getAllPlatformsInfoFn) {
-	const platformsInfo = getAllPlatformsInfoFn();
+export function showIconInfo(
+	platform = Platform.All,
+	getAllPlatformsInfoFn,
+	options = {}
+) {
+	const platformsInfo = getAllPlatformsInfoFn(options);
 	const targetPlatforms =
 		platform === Platform.All
 			? platformsInfo
@@ -234,7 +438,10 @@ export function showIconInfo(platform = Platform.All, getAllPlatformsInfoFn) {
 				) +
 					chalk.gray(
 						`Complete icon size reference for ${platformInfo.name} app development`
-					),
+					) +
+					(platformInfo.layout
+						? chalk.gray(`\nAsset catalog layout: ${platformInfo.layout}`)
+						: ""),
 				{
 					padding: 1,
 					margin: 1,
@@ -245,40 +452,18 @@ export function showIconInfo(platform = Platform.All, getAllPlatformsInfoFn) {
 			)
 		);
 
+		const columns = getSizeInfoColumns(platformInfo.key);
+		const columnColors = [chalk.white, chalk.yellow, chalk.green, chalk.gray];
+
 		const table = new Table({
-			head:
-				platformInfo.key === Platform.IOS
-					? [
-							chalk.cyan("Size (pt)"),
-							chalk.cyan("Scale"),
-							chalk.cyan("Pixels"),
-							chalk.cyan("Use Case"),
-					  ]
-					: [
-							chalk.cyan("Density"),
-							chalk.cyan("DPI"),
-							chalk.cyan("Size"),
-							chalk.cyan("Use Case"),
-					  ],
-			colWidths: [15, 15, 12, 30],
+			head: columns.map(column => chalk.cyan(column.label)),
+			colWidths: columns.map(column => column.width),
 		});
 
 		platformInfo.sizeInfo.forEach(info => {
-			if (platformInfo.key === Platform.IOS) {
-				table.push([
-					chalk.white(info.size),
-					chalk.yellow(info.scale),
-					chalk.green(info.pixels),
-					chalk.gray(info.use),
-				]);
-			} else {
-				table.push([
-					chalk.white(info.density),
-					chalk.yellow(info.dpi),
-					chalk.green(info.size),
-					chalk.gray(info.use),
-				]);
-			}
+			table.push(
+				columns.map((column, index) => columnColors[index](info[column.key]))
+			);
 		});
 
 		console.log(table.toString());
@@ -286,9 +471,7 @@ export function showIconInfo(platform = Platform.All, getAllPlatformsInfoFn) {
 		console.log(
 			chalk.bold.cyan("\n📊 Summary: ") +
 				chalk.white(`${platformInfo.iconCount} icons`) +
-				(platformInfo.key === Platform.IOS
-					? chalk.gray(" + metadata file (Contents.json)")
-					: chalk.gray(" across multiple density folders")) +
+				chalk.gray(getPlatformSummaryNote(platformInfo.key)) +
 				"\n"
 		);
 	}
@@ -346,8 +529,9 @@ export function showPlatforms(getAllPlatformsInfoFn) {
 		chalk.white("    node cli.js generate -fg icon.png -o ./output -p ios")
 	);
 	console.log(
-		chalk.white(
-			"    node cli.js generate -fg icon.png -o ./output -p android\n"
-		)
+		chalk.white("    node cli.js generate -fg icon.png -o ./output -p android")
+	);
+	console.log(
+		chalk.white("    node cli.js generate -fg icon.png -o ./output -p web\n")
 	);
 }
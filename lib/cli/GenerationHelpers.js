@@ -10,12 +10,17 @@
 import {
 	generateIconsForPlatform,
 	generateIconsForMultiplePlatforms,
-	getSupportedPlatforms,
+	getDefaultPlatforms,
 } from "../generator.js";
 import { ProjectDetector } from "../core/ProjectDetector.js";
 import { sizeConfigManager } from "../core/SizeConfigManager.js";
-import { isHexColor, normalizeHexColor } from "./ValidationHelpers.js";
+import {
+	isColorLayer,
+	normalizeColor,
+	parsePlatformValues,
+} from "./ValidationHelpers.js";
 import fs from "fs/promises";
+import { existsSync } from "fs";
 import path from "path";
 import chalk from "chalk";
 import { Platform } from "../core/ImageProcessor.js";
@@ -23,17 +28,18 @@ import { Platform } from "../core/ImageProcessor.js";
 /**
  * Determine target platforms from platform option
  * @pure
- * @param {string} platform - Platform option (Platform.IOS, Platform.ANDROID, all)
+ * @param {string} platform - Platform option (Platform.IOS, Platform.ANDROID, Platform.WEB, Platform.MACOS, all)
  * @returns {Array<string>} Array of platform names
  */
 export function determinePlatforms(platform = Platform.IOS) {
 	return platform.toLowerCase() === Platform.All
-		? getSupportedPlatforms()
+		? getDefaultPlatforms()
 		: [platform.toLowerCase()];
 }
 
 /**
  * Load custom size configuration from file
+ * Source override paths are relative to the config file
  * @param {string} configPath - Path to JSON config file
  * @returns {Promise<object|null>} Parsed config or null if not found
  */
@@ -41,7 +47,10 @@ export async function loadCustomSizeConfig(configPath) {
 	try {
 		const content = await fs.readFile(configPath, "utf-8");
 		const config = JSON.parse(content);
-		return config;
+		return sizeConfigManager.resolveSourcePaths(
+			config,
+			path.dirname(path.resolve(configPath))
+		);
 	} catch (error) {
 		if (error.code === "ENOENT") {
 			throw new Error(`Custom config file not found: ${configPath}`);
@@ -53,6 +62,39 @@ export async function loadCustomSizeConfig(configPath) {
 	}
 }
 
+/**
+ * Build a processing profile from CLI options
+ * "mitchell,web:nearest" becomes {kernel: "mitchell", web: {kernel: "nearest"}}
+ * @pure
+ * @param {object} cliOptions - CLI options {resizeKernel, sharpen} (validated)
+ * @returns {object|null} Processing profile or null when neither option is set
+ */
+export function buildProcessingProfile({ resizeKernel, sharpen }) {
+	if (resizeKernel === undefined && sharpen === undefined) {
+		return null;
+	}
+
+	const processing = {};
+	const assign = (values, key, convert) => {
+		for (const [platform, value] of Object.entries(values)) {
+			if (platform === "global") {
+				processing[key] = convert(value);
+			} else {
+				processing[platform] = { ...processing[platform], [key]: convert(value) };
+			}
+		}
+	};
+
+	if (resizeKernel !== undefined) {
+		assign(parsePlatformValues(resizeKernel, "--resize-kernel").values, "kernel", String);
+	}
+	if (sharpen !== undefined) {
+		assign(parsePlatformValues(sharpen, "--sharpen").values, "sharpen", Number);
+	}
+
+	return processing;
+}
+
 /**
  * Build size customization from CLI options
  * @param {object} cliOptions - CLI options
@@ -88,11 +130,39 @@ export async function buildGenerationOptions(cliOptions) {
 		force = false,
 		zip = false,
 		foreground,
+		text,
+		font,
+		textColor,
 		background,
 		monochrome,
+		darkForeground,
+		darkBackground,
+		tinted,
 		fgScale,
 		fgScaleIos,
 		fgScaleAndroid,
+		appName,
+		icns,
+		iosLayout,
+		flattenAlpha,
+		splash,
+		monochromeThreshold,
+		themedIcon,
+		vectorDrawable,
+		tvBanner,
+		playStore,
+		featureGraphicLayout,
+		strict,
+		trim,
+		autoFit,
+		badge,
+		badgeStyle,
+		badgePosition,
+		badgeColor,
+		versionLabel,
+		versionLabelMinSize,
+		resizeKernel,
+		sharpen,
 	} = cliOptions;
 
 	const options = {
@@ -101,11 +171,12 @@ export async function buildGenerationOptions(cliOptions) {
 	};
 
 	// Add adaptive icon configuration if provided
-	if (foreground) {
-		// Normalize background color if it's a hex color
+	// (text icons get their foreground rendered at generation time)
+	if (foreground || text) {
+		// Normalize background color to hex if it's a color
 		let normalizedBackground = background;
-		if (background && isHexColor(background)) {
-			normalizedBackground = normalizeHexColor(background);
+		if (background && isColorLayer(background)) {
+			normalizedBackground = normalizeColor(background);
 		}
 
 		options.adaptiveIcon = {
@@ -113,6 +184,24 @@ export async function buildGenerationOptions(cliOptions) {
 			background: normalizedBackground || null, // null defaults to #111111
 			monochrome,
 		};
+
+		// Add iOS 18 appearance layers if provided
+		if (darkForeground) {
+			options.adaptiveIcon.darkForeground = darkForeground;
+		}
+		if (darkBackground) {
+			options.adaptiveIcon.darkBackground = isColorLayer(darkBackground)
+				? normalizeColor(darkBackground)
+				: darkBackground;
+		}
+		if (tinted) {
+			options.adaptiveIcon.tinted = tinted; // true derives a grayscale variant
+		}
+	}
+
+	// Render the foreground from text (initials, short labels) instead of an image
+	if (text) {
+		options.textIcon = { text, font, textColor };
 	}
 
 	// Add foreground scale options if provided (scales content, not file size)
@@ -122,6 +211,96 @@ export async function buildGenerationOptions(cliOptions) {
 		options.fgScaleAndroid = fgScaleAndroid ? parseFloat(fgScaleAndroid) : null;
 	}
 
+	// Add app name if provided (used by the web manifest and desktop icons)
+	if (appName) {
+		options.appName = appName;
+	}
+
+	// Add macOS .icns packing if requested
+	if (icns) {
+		options.icns = true;
+	}
+
+	// Add iOS asset catalog layout if provided
+	if (iosLayout) {
+		options.iosLayout = iosLayout;
+	}
+
+	// Flatten every iOS icon (the App Store icon is always flattened)
+	if (flattenAlpha) {
+		options.flattenAlpha = true;
+	}
+
+	// Add splash screen assets if requested
+	if (splash) {
+		options.splash = true;
+	}
+
+	// Add Android TV banner if requested
+	if (tvBanner) {
+		options.tvBanner = true;
+	}
+
+	// Add Google Play listing assets if requested
+	if (playStore) {
+		options.playStore = true;
+		options.featureGraphicLayout = featureGraphicLayout;
+	}
+
+	// Add derived monochrome options if provided
+	if (monochromeThreshold !== undefined) {
+		options.monochromeThreshold = parseInt(monochromeThreshold, 10);
+	}
+	if (themedIcon) {
+		options.themedIcon = true;
+	}
+
+	// Emit SVG layers as VectorDrawables if requested
+	if (vectorDrawable) {
+		options.vectorDrawable = true;
+	}
+
+	// Fail on safe zone violations instead of warning
+	if (strict) {
+		options.strict = true;
+	}
+
+	// Crop foreground margins (auto-fit also ignores the foreground scale)
+	if (trim) {
+		options.trim = true;
+	}
+	if (autoFit) {
+		options.autoFit = true;
+	}
+
+	// Draw an environment badge (dev, staging, beta) onto every icon
+	if (badge) {
+		options.badge = badge;
+		if (badgeStyle) {
+			options.badgeStyle = badgeStyle;
+		}
+		if (badgePosition) {
+			options.badgePosition = badgePosition;
+		}
+		if (badgeColor) {
+			options.badgeColor = badgeColor;
+		}
+	}
+
+	// Draw version/build text on larger iOS and Android icons
+	if (versionLabel) {
+		options.versionLabel = versionLabel;
+		if (versionLabelMinSize !== undefined) {
+			options.versionLabelMinSize = parseInt(versionLabelMinSize, 10);
+		}
+	}
+
+	// Resize kernel and sharpening, globally or per platform
+	const processing = buildProcessingProfile({ resizeKernel, sharpen });
+	if (processing) {
+		options.processing = processing;
+	}
+
 	// Add size customization if provided
 	const customSizes = await buildSizeCustomization(cliOptions);
 	if (customSizes) {
@@ -188,12 +367,17 @@ export async function executeGeneration(platforms, input, outputDir, options) {
 
 /**
  * Calculate total icons generated
+ * Play Store assets are written next to the platform folder and counted separately
  * @pure
  * @param {Array<object>} results - Generation results
  * @returns {number} Total number of icons
  */
 export function calculateTotalIcons(results) {
-	return results.reduce((sum, r) => sum + (r.files ? r.files.length : 0), 0);
+	return results.reduce(
+		(sum, r) =>
+			sum + (r.files ? r.files.length : 0) + (r.playStore ? r.playStore.files.length : 0),
+		0
+	);
 }
 
 /**
@@ -210,9 +394,11 @@ export function createSummaryMessage(totalIcons, platformCount) {
 
 /**
  * Install icons to detected project (React Native or Flutter)
+ * Android launcher icons replace the project's; drawable files that already exist
+ * (e.g. Flutter's launch_background.xml) are kept unless options.force is set
  * @param {string} generatedIconsPath - Path to generated icons
- * @param {object} options - Options
- * @returns {Promise<object|null>} Installation result
+ * @param {object} options - Options {splash, force}
+ * @returns {Promise<object|null>} Installation result (with `skippedPaths`)
  */
 export async function installToProject(generatedIconsPath, options = {}) {
 	const detector = new ProjectDetector();
@@ -236,7 +422,8 @@ export async function installToProject(generatedIconsPath, options = {}) {
 
 	const installPlan = detector.getInstallationPlan(
 		projectInfo,
-		generatedIconsPath
+		generatedIconsPath,
+		{ splash: options.splash }
 	);
 
 	if (!installPlan || installPlan.installations.length === 0) {
@@ -247,6 +434,7 @@ export async function installToProject(generatedIconsPath, options = {}) {
 	}
 
 	const installedPaths = [];
+	const skippedPaths = [];
 
 	for (const installation of installPlan.installations) {
 		try {
@@ -256,7 +444,22 @@ export async function installToProject(generatedIconsPath, options = {}) {
 				)
 			);
 
-			if (installation.platform === Platform.IOS) {
+			if (installation.kind === "launchImage") {
+				// Install iOS launch image set next to the app icon set
+				await copyDirectory(installation.source, installation.target, true);
+				installedPaths.push(installation.target);
+				console.log(
+					chalk.green(`  ✓ iOS launch image installed to ${installation.target}`)
+				);
+			} else if (installation.kind === "launchScreen") {
+				// Replace the project's launch storyboard
+				await fs.mkdir(path.dirname(installation.target), { recursive: true });
+				await fs.copyFile(installation.source, installation.target);
+				installedPaths.push(installation.target);
+				console.log(
+					chalk.green(`  ✓ iOS launch screen installed to ${installation.target}`)
+				);
+			} else if (installation.platform === Platform.IOS) {
 				// Install iOS icons
 				await copyDirectory(installation.source, installation.target, true);
 				installedPaths.push(installation.target);
@@ -264,14 +467,22 @@ export async function installToProject(generatedIconsPath, options = {}) {
 					chalk.green(`  ✓ iOS icons installed to ${installation.target}`)
 				);
 			} else if (installation.platform === Platform.ANDROID) {
-				// Install Android icons (copy mipmap directories)
+				// Install Android icons (copy mipmap and drawable directories)
 				const sourceDirs = await fs.readdir(installation.source);
-				const mipmapDirs = sourceDirs.filter(dir => dir.startsWith("mipmap-"));
+				const resourceDirs = sourceDirs.filter(
+					dir => dir.startsWith("mipmap-") || dir.startsWith("drawable")
+				);
 
-				for (const mipmapDir of mipmapDirs) {
-					const source = path.join(installation.source, mipmapDir);
-					const target = path.join(installation.target, mipmapDir);
-					await copyDirectory(source, target, false);
+				for (const resourceDir of resourceDirs) {
+					const source = path.join(installation.source, resourceDir);
+					const target = path.join(installation.target, resourceDir);
+					if (resourceDir.startsWith("mipmap-")) {
+						await copyDirectory(source, target, false);
+					} else {
+						skippedPaths.push(
+							...(await copyNewFiles(source, target, options.force))
+						);
+					}
 				}
 
 				installedPaths.push(installation.target);
@@ -297,10 +508,40 @@ export async function installToProject(generatedIconsPath, options = {}) {
 		projectType: projectInfo.type,
 		projectName: projectInfo.name,
 		installedPaths,
+		skippedPaths,
 		message: `Icons installed successfully to ${projectInfo.type} project`,
 	};
 }
 
+/**
+ * Copy the files of a directory, keeping files that already exist in the target
+ * @param {string} source - Source directory
+ * @param {string} target - Target directory
+ * @param {boolean} [overwrite=false] - Replace existing files as well
+ * @returns {Promise<Array<string>>} Target paths that were kept
+ */
+async function copyNewFiles(source, target, overwrite = false) {
+	await fs.mkdir(target, { recursive: true });
+
+	const skipped = [];
+	const entries = await fs.readdir(source, { withFileTypes: true });
+
+	for (const entry of entries) {
+		const sourcePath = path.join(source, entry.name);
+		const targetPath = path.join(target, entry.name);
+
+		if (entry.isDirectory()) {
+			skipped.push(...(await copyNewFiles(sourcePath, targetPath, overwrite)));
+		} else if (!overwrite && existsSync(targetPath)) {
+			skipped.push(targetPath);
+		} else {
+			await fs.copyFile(sourcePath, targetPath);
+		}
+	}
+
+	return skipped;
+}
+
 /**
  * Copy directory recursively
  * @param {string} source - Source directory
@@ -0,0 +1,82 @@
+/**
+ * PreviewHelpers - CLI workflow for launcher mask preview sheets
+ *
+ * This module renders the icon under common launcher masks into one PNG
+ * with progress indicators and user feedback.
+ */
+
+import path from "path";
+import chalk from "chalk";
+import ora from "ora";
+import {
+	isColorLayer,
+	normalizeColor,
+	validateAdaptiveLayers,
+	validateForegroundFit,
+	validatePreviewOptions,
+} from "./ValidationHelpers.js";
+import { generatePreview } from "../generator.js";
+
+/**
+ * Render a preview sheet with progress indicators
+ * @param {object} options - Preview options {input, foreground, background, out, sizes, masks, fgScale, trim, autoFit}
+ * @returns {Promise<void>}
+ */
+export async function previewWithProgress(options) {
+	const foreground = options.foreground || options.input;
+	if (!foreground) {
+		console.error(
+			chalk.red(
+				"❌ Error: --foreground (-fg) is required. Example: ino-icon preview -fg icon.png\n"
+			)
+		);
+		process.exit(1);
+	}
+
+	const optionsValidation = validatePreviewOptions(options);
+	if (!optionsValidation.valid) {
+		console.error(chalk.red(`❌ Error: ${optionsValidation.error}\n`));
+		process.exit(1);
+	}
+
+	const fitValidation = validateForegroundFit(options);
+	if (!fitValidation.valid) {
+		console.error(chalk.red(`❌ Error: ${fitValidation.error}\n`));
+		process.exit(1);
+	}
+
+	const background =
+		options.background && isColorLayer(options.background)
+			? normalizeColor(options.background)
+			: options.background || null;
+
+	const validation = await validateAdaptiveLayers({ foreground, background });
+	if (!validation.valid) {
+		console.error(chalk.red(`❌ Error: ${validation.error}\n`));
+		process.exit(1);
+	}
+
+	const spinner = ora("Rendering launcher mask preview...").start();
+
+	try {
+		const outputPath = await generatePreview(
+			{ foreground, background },
+			path.resolve(options.out),
+			{
+				sizes: optionsValidation.sizes,
+				masks: optionsValidation.masks,
+				fgScale: options.fgScale,
+				trim: options.trim,
+				autoFit: options.autoFit,
+			}
+		);
+
+		spinner.succeed(chalk.green("Preview sheet ready"));
+		console.log(chalk.gray(`  Location: ${chalk.cyan(outputPath)}\n`));
+		process.exit(0);
+	} catch (error) {
+		spinner.fail(chalk.red("Preview failed"));
+		console.error(chalk.red("\n❌ Error: " + error.message + "\n"));
+		process.exit(1);
+	}
+}
@@ -83,8 +83,14 @@ export async function generateWithProgress(options) {
 	const configLines = createConfigLines({
 		adaptiveMode,
 		foreground: options.foreground,
+		text: options.text,
+		font: options.font,
 		background: options.background,
 		monochrome: options.monochrome,
+		themedIcon: options.themedIcon,
+		darkForeground: options.darkForeground,
+		darkBackground: options.darkBackground,
+		tinted: options.tinted,
 		input,
 		outputDir: out,
 		platformNames: formatPlatformNames(platforms),
@@ -93,6 +99,16 @@ export async function generateWithProgress(options) {
 		fgScale: options.fgScale,
 		fgScaleIos: options.fgScaleIos,
 		fgScaleAndroid: options.fgScaleAndroid,
+		trim: options.trim,
+		autoFit: options.autoFit,
+		badge: options.badge,
+		badgeStyle: options.badgeStyle,
+		badgePosition: options.badgePosition,
+		versionLabel: options.versionLabel,
+		versionLabelMinSize: options.versionLabelMinSize,
+		resizeKernel: options.resizeKernel,
+		sharpen: options.sharpen,
+		splash: options.splash,
 	});
 	configLines.forEach(line => console.log(line));
 	console.log();
@@ -151,6 +167,11 @@ export async function generateWithProgress(options) {
 					installResult.installedPaths.forEach(p => {
 						console.log(chalk.gray(`  Location: ${chalk.cyan(p)}`));
 					});
+					installResult.skippedPaths.forEach(p => {
+						console.log(
+							chalk.yellow(`  ⚠️  Kept existing ${p} (use --force to overwrite)`)
+						);
+					});
 				} else {
 					installSpinner.warn(chalk.yellow(installResult.message));
 				}
@@ -9,15 +9,29 @@
 
 import { existsSync } from "fs";
 import { validateImageFile } from "../generator.js";
+import { IosLayout } from "../config/ios-config.js";
+import { FeatureGraphicLayout } from "../config/android-config.js";
+import { LAUNCHER_MASKS } from "../config/preview-config.js";
+import { BadgeStyle, BadgePosition } from "../config/badge-config.js";
+import { ResizeKernel, PROCESSING_CONFIG } from "../config/processing-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+import { GradientRenderer } from "../core/GradientRenderer.js";
+import { ColorParser } from "../core/ColorParser.js";
+import { TextIconRenderer } from "../core/TextIconRenderer.js";
+
+const colorParser = new ColorParser();
+const gradientRenderer = new GradientRenderer(colorParser);
+const textIconRenderer = new TextIconRenderer(colorParser);
 
 /**
  * Check if adaptive mode is enabled based on options
+ * Text icons (--text) are rendered as the foreground layer
  * @pure
  * @param {object} options - Generation options
  * @returns {boolean} True if adaptive mode is enabled
  */
 export function isAdaptiveMode(options) {
-	return !!options.foreground;
+	return !!(options.foreground || options.text);
 }
 
 /**
@@ -30,11 +44,209 @@ export function validateRequiredInputs(options) {
 	const { input, foreground } = options;
 	const adaptiveMode = isAdaptiveMode(options);
 
+	const textValidation = validateTextIcon(options);
+	if (!textValidation.valid) {
+		return textValidation;
+	}
+
 	if (!input && !adaptiveMode) {
 		return {
 			valid: false,
 			error:
-				"--foreground (-fg) is required. Example: ino-icon generate -fg icon.png",
+				'--foreground (-fg) or --text is required. Example: ino-icon generate -fg icon.png or ino-icon generate --text "AB"',
+		};
+	}
+
+	const layoutValidation = validateIosLayout(options.iosLayout);
+	if (!layoutValidation.valid) {
+		return layoutValidation;
+	}
+
+	const thresholdValidation = validateMonochromeThreshold(
+		options.monochromeThreshold
+	);
+	if (!thresholdValidation.valid) {
+		return thresholdValidation;
+	}
+
+	const featureGraphicValidation = validateFeatureGraphicLayout(
+		options.featureGraphicLayout
+	);
+	if (!featureGraphicValidation.valid) {
+		return featureGraphicValidation;
+	}
+
+	const fitValidation = validateForegroundFit(options);
+	if (!fitValidation.valid) {
+		return fitValidation;
+	}
+
+	const badgeValidation = validateBadge(options);
+	if (!badgeValidation.valid) {
+		return badgeValidation;
+	}
+
+	const versionLabelValidation = validateVersionLabel(options);
+	if (!versionLabelValidation.valid) {
+		return versionLabelValidation;
+	}
+
+	return validateProcessing(options);
+}
+
+/**
+ * Validate text icon options
+ * @pure
+ * @param {object} options - CLI options {text, font, textColor, foreground, input}
+ * @returns {object} Validation result {valid, error?}
+ */
+export function validateTextIcon(options) {
+	const { text, font, textColor, foreground, input } = options;
+
+	if (!text) {
+		return font || textColor
+			? { valid: false, error: "--font and --text-color require --text <text>" }
+			: { valid: true };
+	}
+	if (!text.trim()) {
+		return { valid: false, error: "--text must not be empty" };
+	}
+	if (foreground || input) {
+		return {
+			valid: false,
+			error: "--text replaces the source image and cannot be combined with --foreground or --input",
+		};
+	}
+	if (textColor && !isColor(textColor)) {
+		return {
+			valid: false,
+			error: `--text-color must be a color (e.g., #FFFFFF, white): ${textColor}`,
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate iOS asset catalog layout option
+ * @pure
+ * @param {string} [layout] - Layout name (optional)
+ * @returns {object} Validation result {valid: boolean, error?: string}
+ */
+export function validateIosLayout(layout) {
+	const layouts = Object.values(IosLayout);
+
+	if (layout && !layouts.includes(layout)) {
+		return {
+			valid: false,
+			error: `--ios-layout must be one of: ${layouts.join(", ")} (got "${layout}")`,
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate monochrome luminance threshold option
+ * @pure
+ * @param {string|number} [threshold] - Threshold (optional)
+ * @returns {object} Validation result {valid: boolean, error?: string}
+ */
+export function validateMonochromeThreshold(threshold) {
+	if (threshold === undefined || threshold === null) {
+		return { valid: true };
+	}
+
+	const value = Number(threshold);
+	if (!Number.isInteger(value) || value < 0 || value > 255) {
+		return {
+			valid: false,
+			error: `--monochrome-threshold must be an integer from 0 to 255 (got "${threshold}")`,
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate Google Play feature graphic layout option
+ * @pure
+ * @param {string} [layout] - Layout name (optional)
+ * @returns {object} Validation result {valid: boolean, error?: string}
+ */
+export function validateFeatureGraphicLayout(layout) {
+	const layouts = Object.values(FeatureGraphicLayout);
+
+	if (layout && !layouts.includes(layout)) {
+		return {
+			valid: false,
+			error: `--feature-graphic-layout must be one of: ${layouts.join(", ")} (got "${layout}")`,
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate foreground fit options
+ * --auto-fit picks the foreground size itself, so it cannot be combined with a scale
+ * @pure
+ * @param {object} options - CLI options {autoFit, fgScale, fgScaleIos, fgScaleAndroid}
+ * @returns {object} Validation result {valid, error?}
+ */
+export function validateForegroundFit(options) {
+	const { autoFit, fgScale, fgScaleIos, fgScaleAndroid } = options;
+
+	if (autoFit && (fgScale || fgScaleIos || fgScaleAndroid)) {
+		return {
+			valid: false,
+			error:
+				"--auto-fit sizes the foreground itself and cannot be combined with --fg-scale, --fg-scale-ios or --fg-scale-android (use --trim to keep your scale)",
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate environment badge options
+ * @pure
+ * @param {object} options - CLI options {badge, badgeStyle, badgePosition, badgeColor, vectorDrawable}
+ * @returns {object} Validation result {valid, error?}
+ */
+export function validateBadge(options) {
+	const { badge, badgeStyle, badgePosition, badgeColor, vectorDrawable } = options;
+	const styles = Object.values(BadgeStyle);
+	const positions = Object.values(BadgePosition);
+
+	if (!badge && (badgeStyle || badgePosition || badgeColor)) {
+		return {
+			valid: false,
+			error: "--badge-style, --badge-position and --badge-color require --badge <text>",
+		};
+	}
+	if (badgeStyle && !styles.includes(badgeStyle)) {
+		return {
+			valid: false,
+			error: `--badge-style must be one of: ${styles.join(", ")} (got "${badgeStyle}")`,
+		};
+	}
+	if (badgePosition && !positions.includes(badgePosition)) {
+		return {
+			valid: false,
+			error: `--badge-position must be one of: ${positions.join(", ")} (got "${badgePosition}")`,
+		};
+	}
+	if (badgeColor && !isColor(badgeColor)) {
+		return {
+			valid: false,
+			error: `--badge-color must be a color (e.g., #E53935, orange): ${badgeColor}`,
+		};
+	}
+	if (badge && vectorDrawable) {
+		return {
+			valid: false,
+			error: "--badge cannot be combined with --vector-drawable (VectorDrawable layers cannot contain text)",
 		};
 	}
 
@@ -42,28 +254,199 @@ export function validateRequiredInputs(options) {
 }
 
 /**
- * Check if background is a hex color (with or without # prefix)
+ * Validate version label options
+ * @pure
+ * @param {object} options - CLI options {versionLabel, versionLabelMinSize, vectorDrawable}
+ * @returns {object} Validation result {valid, error?}
+ */
+export function validateVersionLabel(options) {
+	const { versionLabel, versionLabelMinSize, vectorDrawable } = options;
+
+	if (versionLabel && vectorDrawable) {
+		return {
+			valid: false,
+			error: "--version-label cannot be combined with --vector-drawable (VectorDrawable layers cannot contain text)",
+		};
+	}
+	if (versionLabelMinSize === undefined || versionLabelMinSize === null) {
+		return { valid: true };
+	}
+	if (!versionLabel) {
+		return {
+			valid: false,
+			error: "--version-label-min-size requires --version-label <text>",
+		};
+	}
+
+	const value = Number(versionLabelMinSize);
+	if (!Number.isInteger(value) || value < 1) {
+		return {
+			valid: false,
+			error: `--version-label-min-size must be a positive integer (got "${versionLabelMinSize}")`,
+		};
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Parse a CLI value that can differ per platform (e.g., "lanczos3,web:nearest")
+ * Entries without a platform prefix set the global value
+ * @pure
+ * @param {string} value - Comma-separated entries, optionally prefixed with "<platform>:"
+ * @param {string} flag - Flag name used in error messages
+ * @returns {object} Parse result {valid, error?, values?: {global?, [platform]}}
+ */
+export function parsePlatformValues(value, flag) {
+	const platforms = Object.values(Platform).filter(p => p !== Platform.All);
+	const values = {};
+
+	for (const entry of String(value).split(",").map(item => item.trim())) {
+		const separator = entry.indexOf(":");
+		const platform = separator === -1 ? "global" : entry.slice(0, separator).trim();
+		const platformValue = separator === -1 ? entry : entry.slice(separator + 1).trim();
+
+		if (platform !== "global" && !platforms.includes(platform)) {
+			return {
+				valid: false,
+				error: `${flag} has an unknown platform "${platform}" (use ${platforms.join(", ")})`,
+			};
+		}
+		if (!platformValue) {
+			return { valid: false, error: `${flag} has an empty value in "${value}"` };
+		}
+		values[platform] = platformValue;
+	}
+
+	return { valid: true, values };
+}
+
+/**
+ * Validate resize kernel and sharpening options
+ * @pure
+ * @param {object} options - CLI options {resizeKernel, sharpen}
+ * @returns {object} Validation result {valid, error?}
+ */
+export function validateProcessing(options) {
+	const { resizeKernel, sharpen } = options;
+	const kernels = Object.values(ResizeKernel);
+
+	if (resizeKernel !== undefined) {
+		const parsed = parsePlatformValues(resizeKernel, "--resize-kernel");
+		if (!parsed.valid) {
+			return parsed;
+		}
+		const invalid = Object.values(parsed.values).find(
+			kernel => !kernels.includes(kernel)
+		);
+		if (invalid) {
+			return {
+				valid: false,
+				error: `--resize-kernel must be one of: ${kernels.join(", ")} (got "${invalid}")`,
+			};
+		}
+	}
+
+	if (sharpen !== undefined) {
+		const parsed = parsePlatformValues(sharpen, "--sharpen");
+		if (!parsed.valid) {
+			return parsed;
+		}
+		const invalid = Object.values(parsed.values).find(amount => {
+			const value = Number(amount);
+			return (
+				!Number.isFinite(value) || value < 0 || value > PROCESSING_CONFIG.maxSharpen
+			);
+		});
+		if (invalid) {
+			return {
+				valid: false,
+				error: `--sharpen must be a number from 0 to ${PROCESSING_CONFIG.maxSharpen} (got "${invalid}")`,
+			};
+		}
+	}
+
+	return { valid: true };
+}
+
+/**
+ * Validate and parse preview sheet options
+ * @pure
+ * @param {object} options - Preview options
+ * @param {string|Array<number>} [options.sizes] - Comma-separated sizes in pixels
+ * @param {string|Array<string>} [options.masks] - Comma-separated mask names
+ * @returns {object} Validation result {valid: boolean, error?: string, sizes?: Array<number>, masks?: Array<string>}
+ */
+export function validatePreviewOptions(options = {}) {
+	const toList = value =>
+		Array.isArray(value)
+			? value.map(String)
+			: String(value)
+					.split(",")
+					.map(item => item.trim())
+					.filter(Boolean);
+
+	let sizes;
+	if (options.sizes) {
+		const values = toList(options.sizes);
+		sizes = values.map(Number);
+		const invalid = values.filter(
+			(value, i) => !Number.isInteger(sizes[i]) || sizes[i] < 16 || sizes[i] > 1024
+		);
+		if (invalid.length > 0 || sizes.length === 0) {
+			return {
+				valid: false,
+				error: `--sizes must be integers from 16 to 1024 (got "${invalid.join(", ") || options.sizes}")`,
+			};
+		}
+	}
+
+	let masks;
+	if (options.masks) {
+		masks = toList(options.masks);
+		const names = LAUNCHER_MASKS.map(mask => mask.name);
+		const unknown = masks.filter(mask => !names.includes(mask));
+		if (unknown.length > 0) {
+			return {
+				valid: false,
+				error: `--masks must be any of: ${names.join(", ")} (got "${unknown.join(", ")}")`,
+			};
+		}
+	}
+
+	return { valid: true, sizes, masks };
+}
+
+/**
+ * Check if background is a color (hex, rgb(), hsl(), named or transparent)
+ * Alpha hex forms need the # (#RGBA, #RRGGBBAA) so bare words like "face" stay file paths
  * @pure
  * @param {string} str - String to check
- * @returns {boolean} True if valid hex color
+ * @returns {boolean} True if valid color
+ */
+export function isColor(str) {
+	return colorParser.isColor(str);
+}
+
+/**
+ * Check if a layer option (-bg, --dark-background) is a color rather than an image file
+ * An existing file of the same name wins, so images called "red" or "face" stay usable
+ * @param {string} value - Layer option value
+ * @returns {boolean} True if the value is used as a color
  */
-export function isHexColor(str) {
-	return /^#?([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(str);
+export function isColorLayer(value) {
+	return isColor(value) && !existsSync(value);
 }
 
 /**
- * Normalize hex color to include # prefix
+ * Normalize a color to hex
  * @pure
- * @param {string} color - Color string (with or without #)
- * @returns {string} Normalized color with # prefix
+ * @param {string} color - Color string
+ * @returns {string} '#RRGGBB', or '#RRGGBBAA' for translucent colors
  */
-export function normalizeHexColor(color) {
+export function normalizeColor(color) {
 	if (!color) return null;
-	const trimmed = color.trim();
-	if (trimmed.startsWith("#")) {
-		return trimmed;
-	}
-	return `#${trimmed}`;
+	return colorParser.normalize(color);
 }
 
 /**
@@ -83,31 +466,41 @@ export function validateFileExists(filePath, fileType = "File") {
 }
 
 /**
- * Validate background layer (can be file or hex color)
- * @param {string} background - Background path or color
+ * Validate background layer (can be file, color or gradient spec)
+ * @param {string} background - Background path, color or gradient
+ * @param {string} [label="Background"] - Layer name for error messages
  * @returns {Promise<object>} Validation result
  */
-export async function validateBackground(background) {
+export async function validateBackground(background, label = "Background") {
 	if (!background) {
 		return { valid: true }; // Optional, defaults to #111111
 	}
 
-	const isColor = isHexColor(background);
+	if (gradientRenderer.isGradient(background)) {
+		try {
+			gradientRenderer.parse(background);
+			return { valid: true };
+		} catch (error) {
+			return { valid: false, error: `${label}: ${error.message}` };
+		}
+	}
+
+	const isColorValue = isColorLayer(background);
 
-	if (!isColor && !existsSync(background)) {
+	if (!isColorValue && !existsSync(background)) {
 		return {
 			valid: false,
-			error: `Background must be a valid image file or hex color (e.g., #FF5722): ${background}`,
+			error: `${label} must be a valid image file, color (e.g., #FF5722, rgb(255 87 34), tomato, transparent) or gradient (e.g., linear(135deg,#FF5722,#8E24AA)): ${background}`,
 		};
 	}
 
 	// Validate image if not a color
-	if (!isColor) {
+	if (!isColorValue) {
 		const isValid = await validateImageFile(background);
 		if (!isValid) {
 			return {
 				valid: false,
-				error: "Background layer is not a valid image format",
+				error: `${label} layer is not a valid image format`,
 			};
 		}
 	}
@@ -116,47 +509,98 @@ export async function validateBackground(background) {
 }
 
 /**
- * Validate adaptive icon layers
- * @param {object} options - Options with foreground, background, monochrome
+ * Validate an optional image layer
+ * @param {string} layerPath - Path to layer image (or falsy if not provided)
+ * @param {string} label - Layer name for error messages (e.g., "Monochrome")
  * @returns {Promise<object>} Validation result
  */
-export async function validateAdaptiveLayers(options) {
-	const { foreground, background, monochrome } = options;
+export async function validateOptionalLayer(layerPath, label) {
+	if (!layerPath) {
+		return { valid: true };
+	}
 
-	// Validate foreground
-	const fgExistsCheck = validateFileExists(foreground, "Foreground layer");
-	if (!fgExistsCheck.valid) {
-		return fgExistsCheck;
+	const existsCheck = validateFileExists(layerPath, `${label} layer`);
+	if (!existsCheck.valid) {
+		return existsCheck;
 	}
 
-	const fgValid = await validateImageFile(foreground);
-	if (!fgValid) {
+	const isValid = await validateImageFile(layerPath);
+	if (!isValid) {
 		return {
 			valid: false,
-			error: "Foreground layer is not a valid image format",
+			error: `${label} layer is not a valid image format`,
 		};
 	}
 
+	return { valid: true };
+}
+
+/**
+ * Validate adaptive icon layers
+ * @param {object} options - Options with foreground, background, monochrome and iOS appearance layers
+ * @returns {Promise<object>} Validation result
+ */
+export async function validateAdaptiveLayers(options) {
+	const {
+		foreground,
+		background,
+		monochrome,
+		darkForeground,
+		darkBackground,
+		tinted,
+		text,
+		font,
+	} = options;
+
+	// Validate foreground (text icons render it, only a font file must exist)
+	if (text) {
+		if (font && textIconRenderer.isFontFile(font)) {
+			const fontExistsCheck = validateFileExists(font, "Font file");
+			if (!fontExistsCheck.valid) {
+				return fontExistsCheck;
+			}
+		}
+	} else {
+		const fgExistsCheck = validateFileExists(foreground, "Foreground layer");
+		if (!fgExistsCheck.valid) {
+			return fgExistsCheck;
+		}
+
+		const fgValid = await validateImageFile(foreground);
+		if (!fgValid) {
+			return {
+				valid: false,
+				error: "Foreground layer is not a valid image format",
+			};
+		}
+	}
+
 	// Validate background
 	const bgValidation = await validateBackground(background);
 	if (!bgValidation.valid) {
 		return bgValidation;
 	}
 
-	// Validate monochrome (optional)
-	if (monochrome) {
-		const monoExistsCheck = validateFileExists(monochrome, "Monochrome layer");
-		if (!monoExistsCheck.valid) {
-			return monoExistsCheck;
+	// Validate optional layers (tinted may be `true` to derive it from the foreground)
+	const optionalLayers = [
+		[monochrome, "Monochrome"],
+		[darkForeground, "Dark foreground"],
+		[typeof tinted === "string" ? tinted : null, "Tinted"],
+	];
+	for (const [layerPath, label] of optionalLayers) {
+		const layerValidation = await validateOptionalLayer(layerPath, label);
+		if (!layerValidation.valid) {
+			return layerValidation;
 		}
+	}
 
-		const monoValid = await validateImageFile(monochrome);
-		if (!monoValid) {
-			return {
-				valid: false,
-				error: "Monochrome layer is not a valid image format",
-			};
-		}
+	// Validate dark background (optional, file or hex color)
+	const darkBgValidation = await validateBackground(
+		darkBackground,
+		"Dark background"
+	);
+	if (!darkBgValidation.valid) {
+		return darkBgValidation;
 	}
 
 	return { valid: true };
@@ -133,6 +133,141 @@ export const ANDROID_ADAPTIVE_ICON_SIZES = [
 	},
 ];
 
+/**
+ * Notification (status bar) icon sizes
+ * 24x24dp white-on-transparent silhouettes; the system tints them and ignores color
+ */
+export const ANDROID_NOTIFICATION_ICON_SIZES = [
+	{
+		density: "mdpi",
+		size: 24, // 24dp @ 1x
+		folder: "drawable-mdpi",
+	},
+	{
+		density: "hdpi",
+		size: 36, // 24dp @ 1.5x
+		folder: "drawable-hdpi",
+	},
+	{
+		density: "xhdpi",
+		size: 48, // 24dp @ 2x
+		folder: "drawable-xhdpi",
+	},
+	{
+		density: "xxhdpi",
+		size: 72, // 24dp @ 3x
+		folder: "drawable-xxhdpi",
+	},
+	{
+		density: "xxxhdpi",
+		size: 96, // 24dp @ 4x
+		folder: "drawable-xxxhdpi",
+	},
+];
+
+/**
+ * Notification icon output configuration
+ */
+export const ANDROID_NOTIFICATION_CONFIG = {
+	iconSizes: ANDROID_NOTIFICATION_ICON_SIZES,
+	iconFileName: "ic_stat_notification.png",
+	contentRatio: 22 / 24, // 22dp live area inside the 24dp icon
+};
+
+/**
+ * Android 12+ splash screen icon sizes (API 31+)
+ * windowSplashScreenAnimatedIcon is 240x240dp with a 160dp visible circle,
+ * the same 2/3 proportion as the adaptive icon mask, so the launcher foreground fits as-is
+ */
+export const ANDROID_SPLASH_ICON_SIZES = [
+	{
+		density: "ldpi",
+		size: 180, // 240dp @ 0.75x
+		folder: "drawable-ldpi",
+	},
+	{
+		density: "mdpi",
+		size: 240, // 240dp @ 1x
+		folder: "drawable-mdpi",
+	},
+	{
+		density: "hdpi",
+		size: 360, // 240dp @ 1.5x
+		folder: "drawable-hdpi",
+	},
+	{
+		density: "xhdpi",
+		size: 480, // 240dp @ 2x
+		folder: "drawable-xhdpi",
+	},
+	{
+		density: "xxhdpi",
+		size: 720, // 240dp @ 3x
+		folder: "drawable-xxhdpi",
+	},
+	{
+		density: "xxxhdpi",
+		size: 960, // 240dp @ 4x
+		folder: "drawable-xxxhdpi",
+	},
+];
+
+/**
+ * Splash screen output configuration
+ */
+export const ANDROID_SPLASH_CONFIG = {
+	iconSizes: ANDROID_SPLASH_ICON_SIZES,
+	iconFileName: "splash_icon.png",
+	themeName: "LaunchTheme",
+	themeFolder: "values-v31",
+	themeFileName: "themes.xml",
+	fallbackFolder: "drawable", // Pre-Android 12 windowBackground drawable
+	fallbackFileName: "launch_background.xml",
+	defaultBackground: "#111111",
+};
+
+/**
+ * Android TV banner configuration
+ * The leanback launcher shows a 160x90dp banner, shipped as a single xhdpi bitmap
+ */
+export const ANDROID_TV_BANNER_CONFIG = {
+	folder: "drawable-xhdpi",
+	fileName: "banner.png",
+	width: 320, // 160dp @ 2x
+	height: 180, // 90dp @ 2x
+	textHeightRatio: 0.25, // App name line height relative to the banner height
+	textMargin: 16, // Right margin after the app name (8dp @ 2x)
+};
+
+/**
+ * Google Play feature graphic layouts
+ * - center: foreground centered on the background
+ * - left/right: foreground on that side, app name (if any) in the remaining space
+ */
+export const FeatureGraphicLayout = Object.freeze({
+	CENTER: "center",
+	LEFT: "left",
+	RIGHT: "right",
+});
+
+/**
+ * Google Play store listing assets, written to a play-store/ folder next to android-icons/
+ */
+export const ANDROID_PLAY_STORE_CONFIG = {
+	folder: "play-store",
+	iconFileName: "icon-512.png",
+	iconSize: 512,
+	maxIconBytes: 1024 * 1024, // Play Console limit for the hi-res icon
+	featureGraphic: {
+		fileName: "feature-graphic.png",
+		width: 1024,
+		height: 500,
+		defaultLayout: FeatureGraphicLayout.CENTER,
+		textHeightRatio: 0.16, // App name line height relative to the graphic height
+		textMargin: 48, // Margin between the app name and the outer edge
+	},
+};
+
 /**
  * Android icon size information for display
  */
@@ -193,5 +328,14 @@ export const ANDROID_CONFIG = {
 	archiveName: "AndroidIcons.zip",
 	iconSizes: ANDROID_ICON_SIZES,
 	adaptiveIconSizes: ANDROID_ADAPTIVE_ICON_SIZES,
+	monochromeThreshold: 0, // Luminance cut-off for derived monochrome layers (0 keeps every visible pixel)
+	notification: ANDROID_NOTIFICATION_CONFIG,
+	vectorDrawable: {
+		folder: "drawable", // Density-independent drawables
+		size: 108, // Adaptive icon layer size in dp
+	},
+	splash: ANDROID_SPLASH_CONFIG,
+	tvBanner: ANDROID_TV_BANNER_CONFIG,
+	playStore: ANDROID_PLAY_STORE_CONFIG,
 	sizeInfo: ANDROID_SIZE_INFO,
 };
@@ -0,0 +1,67 @@
+/**
+ * Environment Badge Configuration
+ * Defines the styles, positions and proportions of --badge overlays (e.g. "BETA", "DEV")
+ * and of --version-label overlays (e.g. "1.4.2 (318)")
+ */
+
+/**
+ * Badge styles
+ * ribbon: diagonal band across a corner, ending at the midpoints of the two edges so
+ *         round masks keep the text visible
+ * corner: rounded tag tucked into a corner
+ */
+export const BadgeStyle = Object.freeze({
+	RIBBON: "ribbon",
+	CORNER: "corner",
+});
+
+/**
+ * Badge positions (the corner the badge sits in)
+ */
+export const BadgePosition = Object.freeze({
+	TOP_LEFT: "top-left",
+	TOP_RIGHT: "top-right",
+	BOTTOM_LEFT: "bottom-left",
+	BOTTOM_RIGHT: "bottom-right",
+});
+
+/**
+ * Badge configuration
+ * Ratios are relative to the shorter side of the badge box
+ */
+export const BADGE_CONFIG = {
+	defaultStyle: BadgeStyle.RIBBON,
+	defaultPosition: BadgePosition.TOP_RIGHT,
+	defaultColor: "#E53935",
+	fontFamily: "sans-serif",
+	fontWeight: "bold",
+	ribbon: {
+		inset: 0.25, // Band center sits this far from the corner along both edges
+		thickness: 0.16, // Band height
+		textRatio: 0.65, // Max font size relative to the band height
+	},
+	corner: {
+		height: 0.22, // Tag height
+		margin: 0.05, // Gap between tag and the box edges
+		maxWidth: 0.9, // Tag width limit
+		textRatio: 0.6, // Max font size relative to the tag height
+	},
+	// Version label: translucent pill near the bottom, drawn per output size
+	// Ratios are relative to the icon size
+	label: {
+		minSize: 48, // Icons below this many pixels (e.g. 40px and smaller) are left clean
+		centerY: 0.8, // Pill center from the top
+		height: 0.16, // Pill height
+		maxWidth: 0.6, // Pill width limit, fits the chord of a circular mask
+		textRatio: 0.65, // Max font size relative to the pill height
+		color: "#000000",
+		opacity: 0.6,
+		textColor: "#FFFFFF",
+	},
+	// Android foreground layers keep the badge inside the centered 66dp of the 108dp layer
+	// (same zone as SAFE_ZONE_CONFIG.android, not imported to keep ImageProcessor free of config cycles)
+	androidSafeZoneRatio: 66 / 108,
+	// Web maskable icons keep content inside a centered circle of 80% diameter;
+	// the badge uses the square inscribed in it
+	maskableSafeZoneRatio: 0.8 / Math.SQRT2,
+};
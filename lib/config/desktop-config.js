@@ -0,0 +1,58 @@
+/**
+ * Desktop Platform Configuration
+ * Defines Windows (.ico), macOS (.icns) and Linux (hicolor) icon sizes for desktop apps (e.g. Electron)
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+import { MACOS_ICON_TEMPLATE } from "./macos-config.js";
+
+/**
+ * Linux hicolor theme icon definitions
+ * Each entry: { size: number, folder: "icons/hicolor/<n>x<n>/apps" }
+ * The filename is derived from the app name at generation time (<name>.png)
+ */
+export const DESKTOP_ICON_SIZES = [16, 24, 32, 48, 64, 128, 256, 512].map(
+	size => ({
+		size,
+		folder: `icons/hicolor/${size}x${size}/apps`,
+	})
+);
+
+/**
+ * Windows .ico entries (PNG-compressed)
+ */
+export const DESKTOP_ICO_SIZES = [16, 24, 32, 48, 64, 128, 256];
+
+/**
+ * macOS .icns entries
+ */
+export const DESKTOP_ICNS_SIZES = [16, 32, 64, 128, 256, 512, 1024];
+
+/**
+ * Desktop icon size information for display
+ */
+export const DESKTOP_SIZE_INFO = [
+	{ file: "icon.ico", size: "16–256", os: "Windows", use: "Executable, taskbar" },
+	{ file: "icon.icns", size: "16–1024", os: "macOS", use: "Dock, Finder" },
+	{ file: "icons/hicolor/*", size: "16–512", os: "Linux", use: "Desktop entry" },
+];
+
+/**
+ * Desktop platform configuration
+ */
+export const DESKTOP_CONFIG = {
+	platformName: "Desktop",
+	platformKey: Platform.DESKTOP,
+	outputDirectoryName: "desktop-icons",
+	metadataFileName: null, // Icons are referenced from the packager config (e.g. electron-builder)
+	icoFileName: "icon.ico",
+	icnsFileName: "icon.icns",
+	defaultIconName: "app",
+	minSourceImageSize: 1024,
+	archiveName: "DesktopIcons.zip",
+	iconSizes: DESKTOP_ICON_SIZES,
+	icoSizes: DESKTOP_ICO_SIZES,
+	icnsSizes: DESKTOP_ICNS_SIZES,
+	icnsTemplate: MACOS_ICON_TEMPLATE,
+	sizeInfo: DESKTOP_SIZE_INFO,
+};
@@ -5,6 +5,16 @@
 
 import { Platform } from "../core/ImageProcessor.js";
 
+/**
+ * iOS asset catalog layouts
+ * - legacy: one PNG per size/scale/idiom (all Xcode versions)
+ * - single: one 1024×1024 universal image, resized by Xcode 14+ at build time
+ */
+export const IosLayout = Object.freeze({
+	LEGACY: "legacy",
+	SINGLE: "single",
+});
+
 /**
  * iOS icon size definitions
  * Each entry: { size: "WxH", scale: "Nx", filename: "...", idiom: "..." }
@@ -30,6 +40,67 @@ export const IOS_ICON_SIZES = [
 	{ size: "1024x1024", scale: "1x", filename: "Icon-App-1024x1024@1x.png", idiom: "ios-marketing" },
 ];
 
+/**
+ * iOS single-size icon definition (Xcode 14+)
+ * Universal entries carry a platform instead of a scale
+ */
+export const IOS_SINGLE_ICON_SIZES = [
+	{ size: "1024x1024", filename: "Icon-App-1024x1024@1x.png", idiom: "universal", platform: "ios" },
+];
+
+/**
+ * iOS 18 appearance variants of the 1024px icon
+ * Each entry: { appearance: "dark"|"tinted", size: "WxH", filename: "...", idiom: "universal", platform: "ios" }
+ * Written to Contents.json with a luminosity appearance so Xcode picks them for dark and tinted home screens
+ */
+export const IOS_APPEARANCE_ICONS = [
+	{ appearance: "dark", size: "1024x1024", filename: "Icon-App-1024x1024@1x-dark.png", idiom: "universal", platform: "ios" },
+	{ appearance: "tinted", size: "1024x1024", filename: "Icon-App-1024x1024@1x-tinted.png", idiom: "universal", platform: "ios" },
+];
+
+/**
+ * Light ("any" appearance) entry the dark and tinted variants pair with in the legacy layout
+ * The single-size layout's universal image serves this role; here it gets its own file
+ * so the marketing icon is not listed twice in Contents.json
+ */
+export const IOS_LIGHT_APPEARANCE_ICON = { size: "1024x1024", filename: "Icon-App-1024x1024@1x-light.png", idiom: "universal", platform: "ios" };
+
+/**
+ * Idioms written as RGB PNGs without alpha
+ * App Store Connect rejects a marketing icon with transparency;
+ * in the single-size layout the universal image doubles as the marketing icon
+ */
+export const IOS_OPAQUE_IDIOMS = ["ios-marketing", "universal"];
+
+/**
+ * Color transparent pixels are flattened onto when no hex background is supplied
+ */
+export const IOS_FLATTEN_COLOR = "#111111";
+
+/**
+ * Default background for the dark variant when no dark background layer is supplied
+ * Transparent, so iOS draws its own dark backdrop behind the foreground
+ */
+export const IOS_DARK_BACKGROUND = "transparent";
+
+/**
+ * Corner radius of the iOS home screen mask as a share of the icon size
+ */
+export const IOS_CORNER_RADIUS_RATIO = 0.2237;
+
+/**
+ * Launch screen output (--splash), written next to the AppIcon.appiconset
+ * The foreground is centered at pointSize × scale on the background color
+ */
+export const IOS_LAUNCH_SCREEN_CONFIG = {
+	imageSetDirectoryName: "LaunchImage.imageset",
+	imageName: "LaunchImage",
+	storyboardFileName: "LaunchScreen.storyboard",
+	pointSize: 200,
+	scales: ["1x", "2x", "3x"],
+	defaultBackground: "#111111",
+};
+
 /**
  * iOS icon size information for display
  */
@@ -43,6 +114,21 @@ export const IOS_SIZE_INFO = [
 	{ size: "1024×1024", scale: "@1x", pixels: "1024", use: "App Store" },
 ];
 
+/**
+ * iOS single-size layout information for display
+ */
+export const IOS_SINGLE_SIZE_INFO = [
+	{ size: "1024×1024", scale: "@1x", pixels: "1024", use: "All sizes (Xcode 14+)" },
+];
+
+/**
+ * Icon sizes and display info per asset catalog layout
+ */
+export const IOS_LAYOUTS = {
+	[IosLayout.LEGACY]: { iconSizes: IOS_ICON_SIZES, sizeInfo: IOS_SIZE_INFO },
+	[IosLayout.SINGLE]: { iconSizes: IOS_SINGLE_ICON_SIZES, sizeInfo: IOS_SINGLE_SIZE_INFO },
+};
+
 /**
  * iOS platform configuration
  */
@@ -53,6 +139,35 @@ export const IOS_CONFIG = {
 	metadataFileName: "Contents.json",
 	minSourceImageSize: 1024,
 	archiveName: "AppIcon.zip",
+	layout: IosLayout.LEGACY,
 	iconSizes: IOS_ICON_SIZES,
+	appearanceIcons: IOS_APPEARANCE_ICONS,
+	lightAppearanceIcon: IOS_LIGHT_APPEARANCE_ICON,
+	darkBackground: IOS_DARK_BACKGROUND,
+	opaqueIdioms: IOS_OPAQUE_IDIOMS,
+	flattenColor: IOS_FLATTEN_COLOR,
+	launchScreen: IOS_LAUNCH_SCREEN_CONFIG,
+	cornerRadiusRatio: IOS_CORNER_RADIUS_RATIO,
 	sizeInfo: IOS_SIZE_INFO,
 };
+
+/**
+ * Get iOS configuration for an asset catalog layout
+ * @pure
+ * @param {string} [layout=IosLayout.LEGACY] - Layout (IosLayout.LEGACY or IosLayout.SINGLE)
+ * @returns {object} iOS configuration with layout-specific icon sizes and size info
+ */
+export function getIOSConfig(layout = IosLayout.LEGACY) {
+	const layoutConfig = IOS_LAYOUTS[layout];
+	if (!layoutConfig) {
+		throw new Error(
+			`Invalid iOS layout: ${layout}. Must be one of: ${Object.values(IosLayout).join(", ")}`
+		);
+	}
+
+	return {
+		...IOS_CONFIG,
+		layout,
+		...layoutConfig,
+	};
+}
@@ -0,0 +1,69 @@
+/**
+ * macOS Platform Configuration
+ * Defines all macOS-specific icon sizes, template and metadata
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+
+/**
+ * macOS icon size definitions
+ * Each entry: { size: "WxH", scale: "Nx", filename: "...", idiom: "mac" }
+ * Filenames follow iconutil's .iconset naming so the folder can also be packed manually
+ */
+export const MACOS_ICON_SIZES = [
+	{ size: "16x16", scale: "1x", filename: "icon_16x16.png", idiom: "mac" },
+	{ size: "16x16", scale: "2x", filename: "icon_16x16@2x.png", idiom: "mac" },
+	{ size: "32x32", scale: "1x", filename: "icon_32x32.png", idiom: "mac" },
+	{ size: "32x32", scale: "2x", filename: "icon_32x32@2x.png", idiom: "mac" },
+	{ size: "128x128", scale: "1x", filename: "icon_128x128.png", idiom: "mac" },
+	{ size: "128x128", scale: "2x", filename: "icon_128x128@2x.png", idiom: "mac" },
+	{ size: "256x256", scale: "1x", filename: "icon_256x256.png", idiom: "mac" },
+	{ size: "256x256", scale: "2x", filename: "icon_256x256@2x.png", idiom: "mac" },
+	{ size: "512x512", scale: "1x", filename: "icon_512x512.png", idiom: "mac" },
+	{ size: "512x512", scale: "2x", filename: "icon_512x512@2x.png", idiom: "mac" },
+];
+
+/**
+ * macOS icon template (Big Sur and later)
+ * The system does not mask macOS icons, so the rounded body and margin are baked in:
+ * 824×824 body with ~185px continuous corners, centered on a 1024×1024 canvas
+ */
+export const MACOS_ICON_TEMPLATE = {
+	canvasSize: 1024,
+	bodySize: 824,
+	cornerRadius: 185.4,
+};
+
+/**
+ * Pixel sizes packed into the optional AppIcon.icns
+ */
+export const MACOS_ICNS_SIZES = [16, 32, 64, 128, 256, 512, 1024];
+
+/**
+ * macOS icon size information for display
+ */
+export const MACOS_SIZE_INFO = [
+	{ size: "16×16", scale: "@1x/@2x", pixels: "16/32", use: "Finder list, menu" },
+	{ size: "32×32", scale: "@1x/@2x", pixels: "32/64", use: "Finder sidebar" },
+	{ size: "128×128", scale: "@1x/@2x", pixels: "128/256", use: "Finder icon view" },
+	{ size: "256×256", scale: "@1x/@2x", pixels: "256/512", use: "Finder, Quick Look" },
+	{ size: "512×512", scale: "@1x/@2x", pixels: "512/1024", use: "Dock, App Store" },
+];
+
+/**
+ * macOS platform configuration
+ */
+export const MACOS_CONFIG = {
+	platformName: "macOS",
+	platformKey: Platform.MACOS,
+	outputDirectoryName: "macos-icons",
+	iconSetDirectoryName: "AppIcon.appiconset",
+	metadataFileName: "Contents.json",
+	icnsFileName: "AppIcon.icns",
+	minSourceImageSize: 1024,
+	archiveName: "MacOSIcons.zip",
+	iconSizes: MACOS_ICON_SIZES,
+	icnsSizes: MACOS_ICNS_SIZES,
+	iconTemplate: MACOS_ICON_TEMPLATE,
+	sizeInfo: MACOS_SIZE_INFO,
+};
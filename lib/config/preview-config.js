@@ -0,0 +1,35 @@
+/**
+ * Launcher Mask Preview Configuration
+ * Defines the masks and layout of the preview contact sheet
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+import { IOS_CORNER_RADIUS_RATIO } from "./ios-config.js";
+
+/**
+ * Launcher masks shown in the preview sheet, one column each
+ * Each entry: { name: "...", label: "...", platform, shape, ...shape parameters }
+ * Android masks clip the inner 72dp of the 108dp adaptive icon; the iOS mask clips the flat icon
+ */
+export const LAUNCHER_MASKS = [
+	{ name: "circle", label: "Circle", platform: Platform.ANDROID, shape: "circle" },
+	{ name: "squircle", label: "Squircle", platform: Platform.ANDROID, shape: "superellipse", exponent: 4 },
+	{ name: "rounded-square", label: "Rounded Square", platform: Platform.ANDROID, shape: "rounded-rect", cornerRatio: 0.2 },
+	{ name: "teardrop", label: "Teardrop", platform: Platform.ANDROID, shape: "teardrop", cornerRatio: 0.1 },
+	{ name: "ios", label: "iOS", platform: Platform.IOS, shape: "rounded-rect", cornerRatio: IOS_CORNER_RADIUS_RATIO },
+];
+
+/**
+ * Preview sheet configuration
+ */
+export const PREVIEW_CONFIG = {
+	masks: LAUNCHER_MASKS,
+	sizes: [192, 108, 48], // Icon sizes in pixels, one row each
+	adaptiveViewportRatio: 72 / 108, // Visible part of an adaptive icon layer
+	cellPadding: 24, // Space around each icon
+	labelHeight: 28, // Column header and row label height
+	labelWidth: 72, // Row label column width
+	background: "#F5F5F5",
+	textColor: "#333333",
+	fileName: "icon-preview.png",
+};
@@ -0,0 +1,33 @@
+/**
+ * Processing Profile Configuration
+ * Defines the resize kernels and the unsharp masking applied when icons are
+ * downscaled (--resize-kernel, --sharpen)
+ */
+
+/**
+ * Resize kernels
+ * lanczos3: sharp, general purpose (default)
+ * mitchell: softer, fewer ringing halos around high-contrast edges
+ * nearest:  keeps hard pixel edges for pixel art
+ */
+export const ResizeKernel = Object.freeze({
+	LANCZOS3: "lanczos3",
+	MITCHELL: "mitchell",
+	NEAREST: "nearest",
+});
+
+/**
+ * Processing configuration
+ * Sharpening grows with the reduction ratio (source size / output size) on a log scale:
+ * a 2x reduction gets a quarter of the amount, 16x (1024px -> 64px) and more the full amount
+ */
+export const PROCESSING_CONFIG = {
+	defaultKernel: ResizeKernel.LANCZOS3,
+	defaultSharpen: 0, // No sharpening unless requested
+	maxSharpen: 3,
+	sharpen: {
+		sigma: 0.5, // Small radius, icons have little room for halos
+		fullStrengthRatio: 16,
+		jaggedRatio: 2, // Jagged areas (edges) get this much more than flat areas (sharp's default m2/m1)
+	},
+};
@@ -0,0 +1,24 @@
+/**
+ * Safe Zone Analysis Configuration
+ * Defines the regions the foreground layer must stay inside
+ */
+
+import { IOS_CORNER_RADIUS_RATIO } from "./ios-config.js";
+
+/**
+ * Safe zone analysis configuration
+ * Android: adaptive icon layers are 108dp, launchers may clip anything outside the centered 66dp
+ * iOS: the home screen mask rounds the corners with IOS_CORNER_RADIUS_RATIO × size
+ */
+export const SAFE_ZONE_CONFIG = {
+	analysisSize: 432, // Layers are measured at 4px per dp
+	alphaThreshold: 16, // Pixels at or below this alpha count as transparent
+	tolerance: 0.002, // Share of the artwork allowed outside the safe zone (anti-aliasing)
+	android: {
+		canvasDp: 108,
+		safeZoneDp: 66,
+	},
+	ios: {
+		cornerRadiusRatio: IOS_CORNER_RADIUS_RATIO,
+	},
+};
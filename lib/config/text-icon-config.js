@@ -0,0 +1,18 @@
+/**
+ * Text Icon Configuration
+ * Defines how --text foregrounds (initials, short labels) are rendered when no source image is given
+ */
+
+/**
+ * Text icon configuration
+ * The text is rendered as a transparent foreground layer; the platform padding
+ * (iOS 80%, Android safe zone, ...) is applied on top like for image foregrounds
+ */
+export const TEXT_ICON_CONFIG = {
+	size: 1024, // Foreground canvas size in pixels
+	contentRatio: 0.9, // Text box relative to the canvas
+	font: "sans bold", // Pango font description used without --font
+	defaultColor: "#FFFFFF",
+	fileName: "text-foreground.png", // Temporary foreground file
+	tempPrefix: "ino-icon-text",
+};
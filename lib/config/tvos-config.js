@@ -0,0 +1,99 @@
+/**
+ * tvOS Platform Configuration
+ * Defines the App Icon & Top Shelf Image brand assets for Apple TV
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+
+/**
+ * Layers of every App Icon image stack, front to back
+ * Each entry: { name: "Front", source: "foreground"|"background" }
+ * Xcode requires at least two layers; the foreground floats over the background for parallax
+ */
+export const TVOS_IMAGE_STACK_LAYERS = [
+	{ name: "Front", source: "foreground" },
+	{ name: "Back", source: "background" },
+];
+
+/**
+ * Layered App Icon image stacks
+ * Each entry: { name: "...", role: "...", size: "WxH", scales: ["1x", ...], idiom: "tv" }
+ */
+export const TVOS_IMAGE_STACKS = [
+	{ name: "App Icon - App Store", role: "primary-app-icon", size: "1280x768", scales: ["1x"], idiom: "tv" },
+	{ name: "App Icon", role: "primary-app-icon", size: "400x240", scales: ["1x", "2x"], idiom: "tv" },
+];
+
+/**
+ * Flat Top Shelf images (composited, opaque)
+ * Each entry: { name: "...", role: "...", size: "WxH", scales: ["1x", ...], idiom: "tv" }
+ */
+export const TVOS_TOP_SHELF_IMAGES = [
+	{ name: "Top Shelf Image Wide", role: "top-shelf-image-wide", size: "2320x720", scales: ["1x", "2x"], idiom: "tv" },
+	{ name: "Top Shelf Image", role: "top-shelf-image", size: "1920x720", scales: ["1x", "2x"], idiom: "tv" },
+];
+
+/**
+ * Build a PNG filename inside an imageset
+ * @pure
+ * @param {string} baseName - Base name (e.g., "front")
+ * @param {string} scale - Scale (e.g., "2x")
+ * @returns {string} Filename (e.g., "front@2x.png")
+ */
+function scaledFilename(baseName, scale) {
+	return scale === "1x" ? `${baseName}.png` : `${baseName}@${scale}.png`;
+}
+
+/**
+ * Flat list of every generated image
+ * Each entry: { size: "WxH", scale: "Nx", filename: "<relative path inside the brand assets>", asset, layer? }
+ */
+export const TVOS_ICON_SIZES = [
+	...TVOS_IMAGE_STACKS.flatMap(stack =>
+		TVOS_IMAGE_STACK_LAYERS.flatMap(layer =>
+			stack.scales.map(scale => ({
+				size: stack.size,
+				scale,
+				asset: stack.name,
+				layer: layer.name,
+				filename: `${stack.name}.imagestack/${layer.name}.imagestacklayer/Content.imageset/${scaledFilename(layer.name.toLowerCase(), scale)}`,
+			}))
+		)
+	),
+	...TVOS_TOP_SHELF_IMAGES.flatMap(image =>
+		image.scales.map(scale => ({
+			size: image.size,
+			scale,
+			asset: image.name,
+			filename: `${image.name}.imageset/${scaledFilename(image.role, scale)}`,
+		}))
+	),
+];
+
+/**
+ * tvOS asset information for display
+ */
+export const TVOS_SIZE_INFO = [
+	{ size: "400×240", scale: "@1x/@2x", pixels: "400×240/800×480", use: "App Icon (Front/Back)" },
+	{ size: "1280×768", scale: "@1x", pixels: "1280×768", use: "App Store (Front/Back)" },
+	{ size: "1920×720", scale: "@1x/@2x", pixels: "1920/3840 wide", use: "Top Shelf" },
+	{ size: "2320×720", scale: "@1x/@2x", pixels: "2320/4640 wide", use: "Top Shelf Wide" },
+];
+
+/**
+ * tvOS platform configuration
+ */
+export const TVOS_CONFIG = {
+	platformName: "tvOS",
+	platformKey: Platform.TVOS,
+	outputDirectoryName: "tvos-icons",
+	brandAssetsDirectoryName: "App Icon & Top Shelf Image.brandassets",
+	metadataFileName: "Contents.json",
+	minSourceImageSize: 1024,
+	archiveName: "TVOSIcons.zip",
+	imageStacks: TVOS_IMAGE_STACKS,
+	imageStackLayers: TVOS_IMAGE_STACK_LAYERS,
+	topShelfImages: TVOS_TOP_SHELF_IMAGES,
+	iconSizes: TVOS_ICON_SIZES,
+	sizeInfo: TVOS_SIZE_INFO,
+};
@@ -0,0 +1,70 @@
+/**
+ * watchOS Platform Configuration
+ * Defines all watchOS-specific icon sizes, roles and metadata
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+
+/**
+ * watchOS icon size definitions
+ * Each entry: { size: "WxH", scale: "Nx", filename: "...", idiom: "watch", role: "...", subtype: "NNmm" }
+ * companionSettings has no subtype; the marketing icon uses the watch-marketing idiom
+ */
+export const WATCHOS_ICON_SIZES = [
+	// Notification Center
+	{ size: "24x24", scale: "2x", filename: "Icon-Watch-24x24@2x.png", idiom: "watch", role: "notificationCenter", subtype: "38mm" },
+	{ size: "27.5x27.5", scale: "2x", filename: "Icon-Watch-27.5x27.5@2x.png", idiom: "watch", role: "notificationCenter", subtype: "42mm" },
+	{ size: "33x33", scale: "2x", filename: "Icon-Watch-33x33@2x.png", idiom: "watch", role: "notificationCenter", subtype: "45mm" },
+	// Companion Settings (iPhone Watch app)
+	{ size: "29x29", scale: "2x", filename: "Icon-Watch-29x29@2x.png", idiom: "watch", role: "companionSettings" },
+	{ size: "29x29", scale: "3x", filename: "Icon-Watch-29x29@3x.png", idiom: "watch", role: "companionSettings" },
+	// App Launcher
+	{ size: "40x40", scale: "2x", filename: "Icon-Watch-40x40@2x.png", idiom: "watch", role: "appLauncher", subtype: "38mm" },
+	{ size: "44x44", scale: "2x", filename: "Icon-Watch-44x44@2x.png", idiom: "watch", role: "appLauncher", subtype: "40mm" },
+	{ size: "46x46", scale: "2x", filename: "Icon-Watch-46x46@2x.png", idiom: "watch", role: "appLauncher", subtype: "41mm" },
+	{ size: "50x50", scale: "2x", filename: "Icon-Watch-50x50@2x.png", idiom: "watch", role: "appLauncher", subtype: "44mm" },
+	{ size: "51x51", scale: "2x", filename: "Icon-Watch-51x51@2x.png", idiom: "watch", role: "appLauncher", subtype: "45mm" },
+	{ size: "54x54", scale: "2x", filename: "Icon-Watch-54x54@2x.png", idiom: "watch", role: "appLauncher", subtype: "49mm" },
+	// Quick Look (Short Look notifications)
+	{ size: "86x86", scale: "2x", filename: "Icon-Watch-86x86@2x.png", idiom: "watch", role: "quickLook", subtype: "38mm" },
+	{ size: "98x98", scale: "2x", filename: "Icon-Watch-98x98@2x.png", idiom: "watch", role: "quickLook", subtype: "42mm" },
+	{ size: "108x108", scale: "2x", filename: "Icon-Watch-108x108@2x.png", idiom: "watch", role: "quickLook", subtype: "44mm" },
+	{ size: "117x117", scale: "2x", filename: "Icon-Watch-117x117@2x.png", idiom: "watch", role: "quickLook", subtype: "45mm" },
+	{ size: "129x129", scale: "2x", filename: "Icon-Watch-129x129@2x.png", idiom: "watch", role: "quickLook", subtype: "49mm" },
+	// App Store
+	{ size: "1024x1024", scale: "1x", filename: "Icon-Watch-1024x1024@1x.png", idiom: "watch-marketing" },
+];
+
+/**
+ * Roles that also get a circular preview (how the icon looks on the watch face)
+ */
+export const WATCHOS_PREVIEW_ROLES = ["appLauncher"];
+
+/**
+ * watchOS icon size information for display
+ */
+export const WATCHOS_SIZE_INFO = [
+	{ size: "24–33", scale: "@2x", pixels: "48–66", use: "Notification Center" },
+	{ size: "29×29", scale: "@2x/@3x", pixels: "58/87", use: "Companion Settings" },
+	{ size: "40–54", scale: "@2x", pixels: "80–108", use: "App Launcher (38–49mm)" },
+	{ size: "86–129", scale: "@2x", pixels: "172–258", use: "Quick Look (38–49mm)" },
+	{ size: "1024×1024", scale: "@1x", pixels: "1024", use: "App Store" },
+];
+
+/**
+ * watchOS platform configuration
+ */
+export const WATCHOS_CONFIG = {
+	platformName: "watchOS",
+	platformKey: Platform.WATCHOS,
+	outputDirectoryName: "watchos-icons",
+	iconSetDirectoryName: "AppIcon.appiconset",
+	previewDirectoryName: "previews",
+	metadataFileName: "Contents.json",
+	flattenColor: "#111111", // watchOS icons must be opaque; the system applies the circular mask
+	minSourceImageSize: 1024,
+	archiveName: "WatchOSIcons.zip",
+	iconSizes: WATCHOS_ICON_SIZES,
+	previewRoles: WATCHOS_PREVIEW_ROLES,
+	sizeInfo: WATCHOS_SIZE_INFO,
+};
@@ -0,0 +1,61 @@
+/**
+ * Web Platform Configuration
+ * Defines favicon, Apple touch icon and PWA manifest icon sizes
+ */
+
+import { Platform } from "../core/ImageProcessor.js";
+
+/**
+ * Web icon size definitions
+ * Each entry: { size: number, filename: "...", purpose: "favicon" | "apple-touch" | "any" | "maskable" }
+ * "any" and "maskable" entries are listed in manifest.webmanifest
+ */
+export const WEB_ICON_SIZES = [
+	// Browser favicons
+	{ size: 16, filename: "favicon-16x16.png", purpose: "favicon" },
+	{ size: 32, filename: "favicon-32x32.png", purpose: "favicon" },
+	{ size: 48, filename: "favicon-48x48.png", purpose: "favicon" },
+	// iOS home screen bookmark
+	{ size: 180, filename: "apple-touch-icon.png", purpose: "apple-touch" },
+	// PWA manifest icons
+	{ size: 192, filename: "icon-192x192.png", purpose: "any" },
+	{ size: 512, filename: "icon-512x512.png", purpose: "any" },
+	// PWA maskable icons (content kept inside the launcher safe zone)
+	{ size: 192, filename: "icon-maskable-192x192.png", purpose: "maskable" },
+	{ size: 512, filename: "icon-maskable-512x512.png", purpose: "maskable" },
+];
+
+/**
+ * Multi-resolution favicon.ico definition
+ */
+export const WEB_FAVICON_ICO = {
+	filename: "favicon.ico",
+	sizes: [16, 32, 48],
+};
+
+/**
+ * Web icon size information for display
+ */
+export const WEB_SIZE_INFO = [
+	{ file: "favicon.ico", size: "16/32/48", purpose: "favicon", use: "Legacy browsers" },
+	{ file: "favicon-*.png", size: "16/32/48", purpose: "favicon", use: "Browser tabs" },
+	{ file: "apple-touch-icon.png", size: "180", purpose: "apple-touch", use: "iOS home screen" },
+	{ file: "icon-*.png", size: "192/512", purpose: "any", use: "PWA install" },
+	{ file: "icon-maskable-*.png", size: "192/512", purpose: "maskable", use: "PWA adaptive" },
+];
+
+/**
+ * Web platform configuration
+ */
+export const WEB_CONFIG = {
+	platformName: "Web",
+	platformKey: Platform.WEB,
+	outputDirectoryName: "web-icons",
+	metadataFileName: "manifest.webmanifest",
+	htmlSnippetFileName: "icons.html",
+	minSourceImageSize: 512,
+	archiveName: "WebIcons.zip",
+	iconSizes: WEB_ICON_SIZES,
+	faviconIco: WEB_FAVICON_ICO,
+	sizeInfo: WEB_SIZE_INFO,
+};
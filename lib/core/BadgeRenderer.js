@@ -0,0 +1,351 @@
+/**
+ * BadgeRenderer - Single Responsibility: Draw environment badges and version labels onto icons
+ * Renders a "BETA" / "DEV" style ribbon or corner tag as an SVG overlay, so dev, staging
+ * and production builds of the same app can be told apart on the home screen.
+ * Version labels ("1.4.2 (318)", a git short SHA) are drawn per output size instead,
+ * so the text stays sharp and small icons can be skipped
+ */
+
+import sharp from "sharp";
+import { escapeXml } from "./ImageProcessor.js";
+import {
+	BADGE_CONFIG,
+	BadgeStyle,
+	BadgePosition,
+} from "../config/badge-config.js";
+
+export class BadgeRenderer {
+	/**
+	 * @param {ImageProcessor} imageProcessor - Processor used for color parsing and text contrast
+	 * @param {object} [config] - Badge configuration (defaults to BADGE_CONFIG)
+	 */
+	constructor(imageProcessor, config = BADGE_CONFIG) {
+		this.imageProcessor = imageProcessor;
+		this.config = config;
+	}
+
+	/**
+	 * Resolve badge options into a badge definition
+	 * @pure
+	 * @param {object} [options]
+	 * @param {string} [options.badge] - Badge text (no badge when empty)
+	 * @param {string} [options.badgeStyle] - BadgeStyle value (default: ribbon)
+	 * @param {string} [options.badgePosition] - BadgePosition value (default: top-right)
+	 * @param {string} [options.badgeColor] - Badge color (default: #E53935)
+	 * @returns {{text: string, style: string, position: string, color: string, textColor: string}|null}
+	 * @throws {Error} When the style, position or color is invalid
+	 */
+	resolve(options = {}) {
+		const text = options.badge ? String(options.badge).trim() : "";
+		if (!text) {
+			return null;
+		}
+
+		const style = options.badgeStyle || this.config.defaultStyle;
+		const styles = Object.values(BadgeStyle);
+		if (!styles.includes(style)) {
+			throw new Error(
+				`Unknown badge style: ${style}. Available: ${styles.join(", ")}`
+			);
+		}
+
+		const position = options.badgePosition || this.config.defaultPosition;
+		const positions = Object.values(BadgePosition);
+		if (!positions.includes(position)) {
+			throw new Error(
+				`Unknown badge position: ${position}. Available: ${positions.join(", ")}`
+			);
+		}
+
+		const color = this.imageProcessor.colorParser.normalize(
+			options.badgeColor || this.config.defaultColor
+		);
+		if (!color) {
+			throw new Error(`Invalid badge color: ${options.badgeColor}`);
+		}
+
+		return {
+			text,
+			style,
+			position,
+			color,
+			textColor: this.imageProcessor.getContrastColor(color),
+		};
+	}
+
+	/**
+	 * Composite a badge onto an image
+	 * @param {sharp.Sharp} image - Icon image
+	 * @param {object} badge - Badge definition from resolve()
+	 * @param {object} [box] - Area the badge is confined to {left, top, width, height} (default: whole image)
+	 * @returns {Promise<sharp.Sharp>} Badged image
+	 */
+	async apply(image, badge, box) {
+		const buffer = await image.png().toBuffer();
+		const { width, height } = await sharp(buffer).metadata();
+
+		const badged = await sharp(buffer)
+			.composite([{ input: this.createSvg(badge, width, height, box) }])
+			.png()
+			.toBuffer();
+
+		return sharp(badged);
+	}
+
+	/**
+	 * Resolve version label options into a label definition
+	 * @pure
+	 * @param {object} [options]
+	 * @param {string} [options.versionLabel] - Label text (no label when empty)
+	 * @param {number|string} [options.versionLabelMinSize] - Smallest icon size in pixels that gets the label
+	 * @returns {{text: string, minSize: number}|null}
+	 * @throws {Error} When the minimum size is not a positive integer
+	 */
+	resolveLabel(options = {}) {
+		const text = options.versionLabel ? String(options.versionLabel).trim() : "";
+		if (!text) {
+			return null;
+		}
+
+		const { versionLabelMinSize } = options;
+		const minSize =
+			versionLabelMinSize === undefined || versionLabelMinSize === null
+				? this.config.label.minSize
+				: Number(versionLabelMinSize);
+		if (!Number.isInteger(minSize) || minSize < 1) {
+			throw new Error(
+				`Invalid version label minimum size: ${versionLabelMinSize}. Use a positive integer (pixels)`
+			);
+		}
+
+		return { text, minSize };
+	}
+
+	/**
+	 * Resize an icon and draw a version label at that size
+	 * The icon is resized with the image processor's profile (kernel and sharpening),
+	 * so labeled icons match unlabeled ones
+	 * @param {sharp.Sharp} image - Icon image
+	 * @param {object} label - Label definition from resolveLabel()
+	 * @param {number} size - Output size in pixels
+	 * @param {object} [box] - Square area the label is confined to {left, top, width, height} (default: whole icon)
+	 * @returns {Promise<sharp.Sharp>} Labeled image, already at the output size
+	 */
+	async applyLabel(image, label, size, box) {
+		// Render pending operations first: a second resize would replace the pipeline's own
+		const rendered = sharp(await image.png().toBuffer());
+		const pipeline = await this.imageProcessor.resizeWithProfile(rendered, size);
+		const resized = await pipeline.png().toBuffer();
+
+		const labeled = await sharp(resized)
+			.composite([{ input: this.createLabelSvg(label, size, box) }])
+			.png()
+			.toBuffer();
+
+		return sharp(labeled);
+	}
+
+	/**
+	 * Create the version label overlay SVG
+	 * Font size follows the output size (or box); the pill is centered near the bottom so
+	 * round masks and rounded corners keep it whole
+	 * @pure
+	 * @param {object} label - Label definition from resolveLabel()
+	 * @param {number} size - Icon size in pixels
+	 * @param {object} [box] - Square area the label is confined to (default: whole icon)
+	 * @returns {Buffer} SVG buffer
+	 */
+	createLabelSvg(label, size, box = { left: 0, top: 0, width: size, height: size }) {
+		const { centerY, height, maxWidth, textRatio, color, opacity, textColor } =
+			this.config.label;
+		const pillHeight = box.width * height;
+		const padding = pillHeight * 0.4;
+
+		const fontSize = fitFontSize(
+			label.text,
+			box.width * maxWidth - padding * 2,
+			pillHeight * textRatio
+		);
+		const pillWidth = Math.min(
+			box.width * maxWidth,
+			estimateTextWidth(label.text, fontSize) + padding * 2
+		);
+		const centerX = box.left + box.width / 2;
+		const pillCenterY = box.top + box.height * centerY;
+		const x = centerX - pillWidth / 2;
+		const y = pillCenterY - pillHeight / 2;
+
+		return Buffer.from(
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}"><rect x="${round(x)}" y="${round(y)}" width="${round(pillWidth)}" height="${round(pillHeight)}" rx="${round(pillHeight / 2)}" fill="${escapeXml(color)}" fill-opacity="${opacity}"/>${this.createTextXml({ text: label.text, textColor }, centerX, pillCenterY + fontSize * 0.35, fontSize)}</svg>`
+		);
+	}
+
+	/**
+	 * Get the badge and version label box of an Android adaptive foreground layer
+	 * Launchers may clip anything outside the centered 66dp of the 108dp layer
+	 * @pure
+	 * @param {number} size - Layer size in pixels
+	 * @returns {{left: number, top: number, width: number, height: number}}
+	 */
+	createSafeZoneBox(size) {
+		return this.createCenteredBox(size, this.config.androidSafeZoneRatio);
+	}
+
+	/**
+	 * Get the badge box of a web maskable icon
+	 * Browsers may crop anything outside the centered circle of 80% diameter
+	 * @pure
+	 * @param {number} size - Icon size in pixels
+	 * @returns {{left: number, top: number, width: number, height: number}}
+	 */
+	createMaskableSafeZoneBox(size) {
+		return this.createCenteredBox(size, this.config.maskableSafeZoneRatio);
+	}
+
+	/**
+	 * Get a centered square box
+	 * @pure
+	 * @param {number} size - Image size in pixels
+	 * @param {number} ratio - Box size as a share of the image size
+	 * @returns {{left: number, top: number, width: number, height: number}}
+	 */
+	createCenteredBox(size, ratio) {
+		const zoneSize = size * ratio;
+		const margin = (size - zoneSize) / 2;
+		return { left: margin, top: margin, width: zoneSize, height: zoneSize };
+	}
+
+	/**
+	 * Create the badge overlay SVG
+	 * @pure
+	 * @param {object} badge - Badge definition from resolve()
+	 * @param {number} width - Image width in pixels
+	 * @param {number} height - Image height in pixels
+	 * @param {object} [box] - Area the badge is confined to (default: whole image)
+	 * @returns {Buffer} SVG buffer
+	 */
+	createSvg(badge, width, height, box = { left: 0, top: 0, width, height }) {
+		const content =
+			badge.style === BadgeStyle.CORNER
+				? this.createCornerXml(badge, box)
+				: this.createRibbonXml(badge, box);
+
+		return Buffer.from(
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><defs><clipPath id="badge-box"><rect x="${box.left}" y="${box.top}" width="${box.width}" height="${box.height}"/></clipPath></defs><g clip-path="url(#badge-box)">${content}</g></svg>`
+		);
+	}
+
+	/**
+	 * Create a diagonal ribbon across the badge corner
+	 * The band's center line runs between the midpoints of the two edges at `inset`
+	 * from the corner, and the text is sized to fit the shorter, corner-side edge
+	 * @pure
+	 * @param {object} badge - Badge definition
+	 * @param {object} box - Badge box
+	 * @returns {string} SVG markup
+	 */
+	createRibbonXml(badge, box) {
+		const { inset, thickness, textRatio } = this.config.ribbon;
+		const side = Math.min(box.width, box.height);
+		const offset = side * inset;
+		const band = side * thickness;
+
+		const { right, bottom } = parsePosition(badge.position);
+		const cx = right ? box.left + box.width - offset : box.left + offset;
+		const cy = bottom ? box.top + box.height - offset : box.top + offset;
+		// Top-right and bottom-left bands run downward to the right, the others upward
+		const angle = right === bottom ? -45 : 45;
+
+		// Corner-side edge of the band: distance to the corner minus half the band
+		const textLength = 2 * (offset * Math.SQRT2 - band / 2) * 0.9;
+		const fontSize = fitFontSize(badge.text, textLength, band * textRatio);
+		const length = side * 2;
+
+		return `<g transform="translate(${round(cx)} ${round(cy)}) rotate(${angle})"><rect x="${round(-length / 2)}" y="${round(-band / 2)}" width="${round(length)}" height="${round(band)}" fill="${escapeXml(badge.color)}"/>${this.createTextXml(badge, 0, fontSize * 0.35, fontSize)}</g>`;
+	}
+
+	/**
+	 * Create a rounded tag in the badge corner
+	 * @pure
+	 * @param {object} badge - Badge definition
+	 * @param {object} box - Badge box
+	 * @returns {string} SVG markup
+	 */
+	createCornerXml(badge, box) {
+		const { height: heightRatio, margin: marginRatio, maxWidth, textRatio } =
+			this.config.corner;
+		const side = Math.min(box.width, box.height);
+		const tagHeight = side * heightRatio;
+		const margin = side * marginRatio;
+		const padding = tagHeight * 0.4;
+
+		const maxTextLength = box.width * maxWidth - padding * 2;
+		const fontSize = fitFontSize(badge.text, maxTextLength, tagHeight * textRatio);
+		const tagWidth = Math.min(
+			box.width * maxWidth,
+			estimateTextWidth(badge.text, fontSize) + padding * 2
+		);
+
+		const { right, bottom } = parsePosition(badge.position);
+		const x = right ? box.left + box.width - margin - tagWidth : box.left + margin;
+		const y = bottom ? box.top + box.height - margin - tagHeight : box.top + margin;
+
+		return `<rect x="${round(x)}" y="${round(y)}" width="${round(tagWidth)}" height="${round(tagHeight)}" rx="${round(tagHeight * 0.3)}" fill="${escapeXml(badge.color)}"/>${this.createTextXml(badge, x + tagWidth / 2, y + tagHeight / 2 + fontSize * 0.35, fontSize)}`;
+	}
+
+	/**
+	 * Create the centered badge text element
+	 * @pure
+	 * @param {object} badge - Badge or label definition {text, textColor}
+	 * @param {number} x - Center x
+	 * @param {number} y - Baseline y
+	 * @param {number} fontSize - Font size in pixels
+	 * @returns {string} SVG markup
+	 */
+	createTextXml(badge, x, y, fontSize) {
+		const { fontFamily, fontWeight } = this.config;
+		return `<text x="${round(x)}" y="${round(y)}" text-anchor="middle" font-family="${escapeXml(fontFamily)}" font-weight="${escapeXml(fontWeight)}" font-size="${round(fontSize)}" fill="${escapeXml(badge.textColor)}">${escapeXml(badge.text)}</text>`;
+	}
+}
+
+/**
+ * Split a BadgePosition into its sides
+ * @param {string} position - BadgePosition value
+ * @returns {{right: boolean, bottom: boolean}}
+ */
+function parsePosition(position) {
+	return {
+		right: position.endsWith("right"),
+		bottom: position.startsWith("bottom"),
+	};
+}
+
+/**
+ * Approximate rendered text width (0.6em per glyph, like ImageProcessor.createTextImage)
+ * @param {string} text - Text
+ * @param {number} fontSize - Font size in pixels
+ * @returns {number} Width in pixels
+ */
+function estimateTextWidth(text, fontSize) {
+	return Math.max(text.length, 1) * 0.6 * fontSize;
+}
+
+/**
+ * Largest font size that fits the text into a width
+ * @param {string} text - Text
+ * @param {number} maxWidth - Available width in pixels
+ * @param {number} maxFontSize - Font size cap in pixels
+ * @returns {number} Font size in pixels (at least 1)
+ */
+function fitFontSize(text, maxWidth, maxFontSize) {
+	return Math.max(1, Math.min(maxFontSize, maxWidth / estimateTextWidth(text, 1)));
+}
+
+/**
+ * Round a coordinate for SVG output (max 2 decimals)
+ * @param {number} value
+ * @returns {number}
+ */
+function round(value) {
+	return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,262 @@
+/**
+ * ColorParser - Single Responsibility: Parse CSS-like color strings
+ * Supports:
+ *   #RGB, #RGBA, #RRGGBB, #RRGGBBAA (the # is optional for RGB and RRGGBB only, so bare
+ *   words such as "face" or "abc1" stay file paths)
+ *   rgb(255, 87, 34), rgba(255, 87, 34, 0.5), rgb(255 87 34 / 50%)
+ *   hsl(14, 100%, 57%), hsla(14, 100%, 57%, 0.5), hsl(14deg 100% 57% / 50%)
+ *   CSS named colors (red, rebeccapurple, ...) and transparent
+ * Shared by the CLI, HTTP API and programmatic API so every entry point accepts the same colors
+ */
+
+import { NAMED_COLORS } from "../config/color-config.js";
+
+const HEX_PATTERN = /^(#?([A-Fa-f0-9]{3}|[A-Fa-f0-9]{6})|#([A-Fa-f0-9]{4}|[A-Fa-f0-9]{8}))$/;
+const FUNCTION_PATTERN = /^(rgba?|hsla?)\(\s*([^)]*)\)$/i;
+const NUMBER_PATTERN = /^[+-]?(\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?/i;
+
+export class ColorParser {
+	/**
+	 * @param {object} [namedColors] - Named color table (defaults to NAMED_COLORS)
+	 */
+	constructor(namedColors = NAMED_COLORS) {
+		this.namedColors = namedColors;
+	}
+
+	/**
+	 * Parse a color string
+	 * @pure
+	 * @param {string} value - Color string
+	 * @returns {{r: number, g: number, b: number, alpha: number}|null} Channels 0-255, alpha 0-1,
+	 *   or null when the value is not a color
+	 */
+	parse(value) {
+		if (typeof value !== "string") {
+			return null;
+		}
+
+		const color = value.trim();
+		const name = color.toLowerCase();
+
+		if (HEX_PATTERN.test(color)) {
+			return parseHex(color.replace("#", ""));
+		}
+		if (name === "transparent") {
+			return { r: 0, g: 0, b: 0, alpha: 0 };
+		}
+		if (Object.hasOwn(this.namedColors, name)) {
+			return parseHex(this.namedColors[name].replace("#", ""));
+		}
+
+		const match = color.match(FUNCTION_PATTERN);
+		if (!match) {
+			return null;
+		}
+
+		const args = splitArguments(match[2]);
+		if (!args) {
+			return null;
+		}
+
+		return match[1].toLowerCase().startsWith("rgb")
+			? parseRgb(args)
+			: parseHsl(args);
+	}
+
+	/**
+	 * Check if a string is a supported color
+	 * @pure
+	 * @param {string} value - String to check
+	 * @returns {boolean}
+	 */
+	isColor(value) {
+		return this.parse(value) !== null;
+	}
+
+	/**
+	 * Normalize a color string to hex
+	 * @pure
+	 * @param {string} value - Color string
+	 * @returns {string|null} '#RRGGBB' when opaque, '#RRGGBBAA' otherwise, or null when not a color
+	 */
+	normalize(value) {
+		const color = this.parse(value);
+		return color ? this.toHex(color) : null;
+	}
+
+	/**
+	 * Format parsed channels as hex
+	 * @pure
+	 * @param {{r: number, g: number, b: number, alpha: number}} color - Parsed color
+	 * @param {boolean} [includeAlpha=true] - Append the alpha byte when the color is not opaque
+	 * @returns {string} '#RRGGBB' or '#RRGGBBAA'
+	 */
+	toHex(color, includeAlpha = true) {
+		const channels = [color.r, color.g, color.b];
+		if (includeAlpha && color.alpha < 1) {
+			channels.push(Math.round(color.alpha * 255));
+		}
+		return `#${channels
+			.map(value => value.toString(16).padStart(2, "0"))
+			.join("")
+			.toUpperCase()}`;
+	}
+}
+
+/**
+ * Parse 3, 4, 6 or 8 hex digits
+ * @param {string} digits - Hex digits without #
+ * @returns {{r: number, g: number, b: number, alpha: number}}
+ */
+function parseHex(digits) {
+	const full =
+		digits.length <= 4
+			? digits
+					.split("")
+					.map(digit => digit + digit)
+					.join("")
+			: digits;
+	const [r, g, b, a = 255] = [0, 2, 4, 6]
+		.filter(i => i < full.length)
+		.map(i => parseInt(full.substring(i, i + 2), 16));
+	return { r, g, b, alpha: roundAlpha(a / 255) };
+}
+
+/**
+ * Split color function arguments
+ * Accepts the legacy comma syntax and the space syntax with an optional "/ alpha"
+ * @param {string} body - Text between the parentheses
+ * @returns {Array<string>|null} Three or four arguments, or null when malformed
+ */
+function splitArguments(body) {
+	let args;
+	if (body.includes(",")) {
+		args = body.split(",").map(arg => arg.trim());
+	} else {
+		const [channels, alpha, extra] = body.split("/").map(part => part.trim());
+		if (extra !== undefined) {
+			return null;
+		}
+		args = channels.split(/\s+/);
+		if (alpha !== undefined) {
+			args.push(alpha);
+		}
+	}
+
+	return args.length >= 3 && args.length <= 4 && args.every(Boolean)
+		? args
+		: null;
+}
+
+/**
+ * Parse rgb()/rgba() arguments
+ * @param {Array<string>} args - Channel arguments (numbers 0-255 or percentages) and optional alpha
+ * @returns {{r: number, g: number, b: number, alpha: number}|null}
+ */
+function parseRgb(args) {
+	const channels = args.slice(0, 3).map(arg => {
+		const value = parseNumber(arg);
+		if (!value || (value.unit && value.unit !== "%")) {
+			return null;
+		}
+		const channel = value.unit === "%" ? (value.number / 100) * 255 : value.number;
+		return Math.round(clamp(channel, 0, 255));
+	});
+	const alpha = parseAlphaArgument(args[3]);
+
+	if (channels.includes(null) || alpha === null) {
+		return null;
+	}
+
+	const [r, g, b] = channels;
+	return { r, g, b, alpha };
+}
+
+/**
+ * Parse hsl()/hsla() arguments
+ * @param {Array<string>} args - Hue (deg, rad, turn or unitless), saturation and lightness percentages, optional alpha
+ * @returns {{r: number, g: number, b: number, alpha: number}|null}
+ */
+function parseHsl(args) {
+	const hue = parseNumber(args[0]);
+	const saturation = parseNumber(args[1]);
+	const lightness = parseNumber(args[2]);
+	const alpha = parseAlphaArgument(args[3]);
+
+	const hueUnits = { "": 1, deg: 1, rad: 180 / Math.PI, turn: 360 };
+	if (
+		!hue ||
+		!(hue.unit in hueUnits) ||
+		saturation?.unit !== "%" ||
+		lightness?.unit !== "%" ||
+		alpha === null
+	) {
+		return null;
+	}
+
+	const h = (((hue.number * hueUnits[hue.unit]) % 360) + 360) % 360;
+	const s = clamp(saturation.number, 0, 100) / 100;
+	const l = clamp(lightness.number, 0, 100) / 100;
+
+	// CSS Color 4 hslToRgb
+	const chroma = s * Math.min(l, 1 - l);
+	const channel = n => {
+		const k = (n + h / 30) % 12;
+		return Math.round(
+			(l - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255
+		);
+	};
+
+	return { r: channel(0), g: channel(8), b: channel(4), alpha };
+}
+
+/**
+ * Parse an optional alpha argument (0-1 or percentage, defaults to 1)
+ * @param {string} [arg] - Alpha argument
+ * @returns {number|null} Alpha between 0 and 1, or null when malformed
+ */
+function parseAlphaArgument(arg) {
+	if (arg === undefined) {
+		return 1;
+	}
+	const value = parseNumber(arg);
+	if (!value || (value.unit && value.unit !== "%")) {
+		return null;
+	}
+	const alpha = value.unit === "%" ? value.number / 100 : value.number;
+	return roundAlpha(clamp(alpha, 0, 1));
+}
+
+/**
+ * Split a CSS number into its value and unit
+ * @param {string} [arg] - Argument (e.g., '50%', '120deg', '0.5')
+ * @returns {{number: number, unit: string}|null}
+ */
+function parseNumber(arg) {
+	const match = arg?.match(NUMBER_PATTERN);
+	if (!match) {
+		return null;
+	}
+	const unit = arg.slice(match[0].length).toLowerCase();
+	return /^(%|[a-z]*)$/.test(unit) ? { number: parseFloat(match[0]), unit } : null;
+}
+
+/**
+ * Clamp a value to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+	return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Round alpha to 3 decimals so hex round-trips stay stable
+ * @param {number} alpha
+ * @returns {number}
+ */
+function roundAlpha(alpha) {
+	return Math.round(alpha * 1000) / 1000;
+}
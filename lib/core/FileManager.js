@@ -109,6 +109,43 @@ export class FileManager {
 		await fs.writeFile(filePath, data, "utf8");
 	}
 
+	/**
+	 * Write plain text file
+	 * @param {string} filePath - Path to output file
+	 * @param {string} data - Text content
+	 */
+	async writeText(filePath, data) {
+		await fs.writeFile(filePath, data, "utf8");
+	}
+
+	/**
+	 * Read plain text file
+	 * @param {string} filePath - Path to file
+	 * @returns {Promise<string>} Text content
+	 */
+	async readText(filePath) {
+		return await fs.readFile(filePath, "utf8");
+	}
+
+	/**
+	 * Get file size in bytes
+	 * @param {string} filePath - Path to file
+	 * @returns {Promise<number>} Size in bytes
+	 */
+	async getFileSize(filePath) {
+		const stats = await fs.stat(filePath);
+		return stats.size;
+	}
+
+	/**
+	 * Write binary file
+	 * @param {string} filePath - Path to output file
+	 * @param {Buffer} buffer - Binary content
+	 */
+	async writeBuffer(filePath, buffer) {
+		await fs.writeFile(filePath, buffer);
+	}
+
 	/**
 	 * Delete a file
 	 * @param {string} filePath - File to delete
@@ -0,0 +1,240 @@
+/**
+ * GradientRenderer - Single Responsibility: Parse and render gradient color layers
+ * Supports a CSS-like subset:
+ *   linear(135deg, #FF5722, #8E24AA)
+ *   linear(90deg, #FF5722 0%, #FFC107 40%, #8E24AA 100%)
+ *   radial(#FF5722, #8E24AA)
+ * Stops accept any color ColorParser understands (rgb(), hsl(), named, translucent)
+ * Gradients are rendered as SVG at the requested pixel size, so every density stays crisp
+ */
+
+import sharp from "sharp";
+import { ColorParser } from "./ColorParser.js";
+
+const GRADIENT_PATTERN = /^(linear|radial)\s*\((.*)\)$/i;
+const ANGLE_PATTERN = /^(-?\d+(?:\.\d+)?)deg$/i;
+const STOP_PATTERN = /^(.+?)(?:\s+(\d+(?:\.\d+)?)%)?$/;
+
+// CSS default direction: top to bottom
+const DEFAULT_ANGLE = 180;
+
+export class GradientRenderer {
+	/**
+	 * @param {ColorParser} [colorParser] - Parser for stop colors
+	 */
+	constructor(colorParser = new ColorParser()) {
+		this.colorParser = colorParser;
+	}
+
+	/**
+	 * Check if a string looks like a gradient spec
+	 * @pure
+	 * @param {string} str - String to check
+	 * @returns {boolean}
+	 */
+	isGradient(str) {
+		return typeof str === "string" && GRADIENT_PATTERN.test(str.trim());
+	}
+
+	/**
+	 * Parse a gradient spec
+	 * @pure
+	 * @param {string} spec - Gradient spec (e.g., 'linear(135deg,#FF5722,#8E24AA)')
+	 * @returns {{type: string, angle: number, stops: Array<{color: string, opacity: number, offset: number}>}}
+	 *   Offsets and opacities are 0-1, colors normalized to '#RRGGBB'
+	 * @throws {Error} When the spec is malformed
+	 */
+	parse(spec) {
+		const match = typeof spec === "string" && spec.trim().match(GRADIENT_PATTERN);
+		if (!match) {
+			throw new Error(
+				`Invalid gradient "${spec}". Use linear(<angle>deg, <colors>) or radial(<colors>)`
+			);
+		}
+
+		const type = match[1].toLowerCase();
+		const args = splitTopLevel(match[2])
+			.map(arg => arg.trim())
+			.filter(Boolean);
+
+		let angle = DEFAULT_ANGLE;
+		if (type === "linear" && args.length > 0 && ANGLE_PATTERN.test(args[0])) {
+			angle = parseFloat(args.shift().match(ANGLE_PATTERN)[1]);
+		}
+
+		const stops = args.map(arg => {
+			const stop = arg.match(STOP_PATTERN);
+			const color = stop && this.colorParser.parse(stop[1]);
+			if (!color) {
+				throw new Error(
+					`Invalid gradient stop "${arg}" in "${spec}". Use a color with an optional percentage (e.g., #FF5722 40%)`
+				);
+			}
+			return {
+				color: this.colorParser.toHex(color, false),
+				opacity: color.alpha,
+				offset: stop[2] === undefined ? null : parseFloat(stop[2]) / 100,
+			};
+		});
+
+		if (stops.length < 2) {
+			throw new Error(`Gradient "${spec}" needs at least two color stops`);
+		}
+
+		return { type, angle, stops: distributeOffsets(stops) };
+	}
+
+	/**
+	 * Create the SVG for a gradient
+	 * @pure
+	 * @param {string} spec - Gradient spec
+	 * @param {number} width - Width in pixels
+	 * @param {number} height - Height in pixels
+	 * @returns {Buffer} SVG buffer
+	 */
+	createSvg(spec, width, height) {
+		const { type, angle, stops } = this.parse(spec);
+		const stopXml = stops
+			.map(
+				stop =>
+					`<stop offset="${formatNumber(stop.offset)}" stop-color="${stop.color}"${stop.opacity < 1 ? ` stop-opacity="${formatNumber(stop.opacity)}"` : ""}/>`
+			)
+			.join("");
+
+		let gradientXml;
+		if (type === "radial") {
+			// CSS farthest-corner: the last stop reaches the corners
+			gradientXml = `<radialGradient id="g" gradientUnits="userSpaceOnUse" cx="${formatNumber(width / 2)}" cy="${formatNumber(height / 2)}" r="${formatNumber(Math.hypot(width, height) / 2)}">${stopXml}</radialGradient>`;
+		} else {
+			// CSS angles: 0deg points up, 90deg right; the gradient line spans the
+			// box so that the corners get the first and last stop colors
+			const radians = (angle * Math.PI) / 180;
+			const dx = Math.sin(radians);
+			const dy = -Math.cos(radians);
+			const halfLength =
+				(Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+			const cx = width / 2;
+			const cy = height / 2;
+			gradientXml = `<linearGradient id="g" gradientUnits="userSpaceOnUse" x1="${formatNumber(cx - dx * halfLength)}" y1="${formatNumber(cy - dy * halfLength)}" x2="${formatNumber(cx + dx * halfLength)}" y2="${formatNumber(cy + dy * halfLength)}">${stopXml}</linearGradient>`;
+		}
+
+		return Buffer.from(
+			`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><defs>${gradientXml}</defs><rect width="${width}" height="${height}" fill="url(#g)"/></svg>`
+		);
+	}
+
+	/**
+	 * Render a gradient image
+	 * @param {string} spec - Gradient spec
+	 * @param {number} width - Width in pixels
+	 * @param {number} height - Height in pixels
+	 * @returns {sharp.Sharp} Gradient image (opaque unless a stop is translucent)
+	 */
+	render(spec, width, height) {
+		return sharp(this.createSvg(spec, width, height));
+	}
+
+	/**
+	 * Average color along the gradient line
+	 * Used where a single color is needed (manifest colors, text contrast, splash backgrounds)
+	 * @pure
+	 * @param {string} spec - Gradient spec
+	 * @returns {string} Hex color (e.g., '#C63D72')
+	 */
+	getAverageColor(spec) {
+		const { stops } = this.parse(spec);
+		const rgb = stops.map(stop => hexToRgb(stop.color));
+		const sum = [0, 0, 0];
+		const add = (channels, weight) =>
+			channels.forEach((value, i) => (sum[i] += value * weight));
+
+		// Solid ends before the first and after the last stop, linear ramps in between
+		add(rgb[0], stops[0].offset);
+		for (let i = 0; i < stops.length - 1; i++) {
+			const span = stops[i + 1].offset - stops[i].offset;
+			add(rgb[i], span / 2);
+			add(rgb[i + 1], span / 2);
+		}
+		add(rgb[rgb.length - 1], 1 - stops[stops.length - 1].offset);
+
+		return `#${sum
+			.map(value => Math.round(value).toString(16).padStart(2, "0"))
+			.join("")
+			.toUpperCase()}`;
+	}
+}
+
+/**
+ * Fill in missing stop offsets like CSS does
+ * First/last default to 0%/100%, gaps are spread evenly, and offsets never go backwards
+ * @param {Array<{color: string, opacity: number, offset: number|null}>} stops - Parsed stops
+ * @returns {Array<{color: string, opacity: number, offset: number}>} Stops with offsets
+ */
+function distributeOffsets(stops) {
+	const offsets = stops.map(stop => stop.offset);
+	if (offsets[0] === null) {
+		offsets[0] = 0;
+	}
+	if (offsets[offsets.length - 1] === null) {
+		offsets[offsets.length - 1] = 1;
+	}
+
+	for (let i = 1; i < offsets.length; i++) {
+		if (offsets[i] !== null) {
+			offsets[i] = Math.max(offsets[i], offsets[i - 1]);
+			continue;
+		}
+
+		let next = i;
+		while (offsets[next] === null) {
+			next++;
+		}
+		const step = (Math.max(offsets[next], offsets[i - 1]) - offsets[i - 1]) / (next - i + 1);
+		for (let j = i; j < next; j++) {
+			offsets[j] = offsets[j - 1] + step;
+		}
+	}
+
+	return stops.map((stop, i) => ({ ...stop, offset: Math.min(1, offsets[i]) }));
+}
+
+/**
+ * Split gradient arguments on commas outside parentheses, so rgb()/hsl() stops stay whole
+ * @param {string} args - Text between the gradient parentheses
+ * @returns {Array<string>} Arguments
+ */
+function splitTopLevel(args) {
+	const parts = [];
+	let depth = 0;
+	let start = 0;
+	for (let i = 0; i < args.length; i++) {
+		if (args[i] === "(") {
+			depth++;
+		} else if (args[i] === ")") {
+			depth--;
+		} else if (args[i] === "," && depth === 0) {
+			parts.push(args.slice(start, i));
+			start = i + 1;
+		}
+	}
+	parts.push(args.slice(start));
+	return parts;
+}
+
+/**
+ * Convert '#RRGGBB' to channel values
+ * @param {string} hex - Normalized hex color
+ * @returns {Array<number>} [r, g, b]
+ */
+function hexToRgb(hex) {
+	return [1, 3, 5].map(i => parseInt(hex.substring(i, i + 2), 16));
+}
+
+/**
+ * Format a number for SVG output (max 4 decimals)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+	return String(Number(value.toFixed(4)));
+}
@@ -0,0 +1,118 @@
+/**
+ * IconEncoder - Single Responsibility: Encode multi-resolution icon containers
+ * Packs pre-rendered PNG buffers into binary icon file formats (.ico, .icns)
+ */
+
+// ICO file layout (all values little-endian)
+const ICO_HEADER_SIZE = 6;
+const ICO_DIRECTORY_ENTRY_SIZE = 16;
+
+// ICNS file layout (all values big-endian)
+const ICNS_HEADER_SIZE = 8;
+
+// ICNS element types holding PNG data, keyed by pixel size
+// A pixel size can serve both a @1x slot and the @2x slot of half its size
+const ICNS_PNG_TYPES = {
+	16: ["icp4"],
+	32: ["icp5", "ic11"], // 32x32, 16x16@2x
+	64: ["icp6", "ic12"], // 64x64, 32x32@2x
+	128: ["ic07"],
+	256: ["ic08", "ic13"], // 256x256, 128x128@2x
+	512: ["ic09", "ic14"], // 512x512, 256x256@2x
+	1024: ["ic10"], // 512x512@2x
+};
+
+export class IconEncoder {
+	/**
+	 * Encode PNG images into a Windows ICO container
+	 * Entries are stored PNG-compressed (supported since Windows Vista and by all browsers)
+	 *
+	 * @param {Array<{size: number, buffer: Buffer}>} images - Square PNG images (max 256px)
+	 * @returns {Buffer} ICO file contents
+	 */
+	encodeIco(images) {
+		if (!images || images.length === 0) {
+			throw new Error("ICO file requires at least one image");
+		}
+
+		const oversized = images.find(image => image.size > 256);
+		if (oversized) {
+			throw new Error(
+				`ICO entries cannot exceed 256px (got ${oversized.size}px)`
+			);
+		}
+
+		// Sort ascending so small sizes come first, as Windows expects
+		const sorted = [...images].sort((a, b) => a.size - b.size);
+
+		const header = Buffer.alloc(ICO_HEADER_SIZE);
+		header.writeUInt16LE(0, 0); // Reserved
+		header.writeUInt16LE(1, 2); // Type: 1 = icon
+		header.writeUInt16LE(sorted.length, 4); // Image count
+
+		const directory = Buffer.alloc(ICO_DIRECTORY_ENTRY_SIZE * sorted.length);
+		let offset = ICO_HEADER_SIZE + directory.length;
+
+		sorted.forEach((image, index) => {
+			const entryOffset = index * ICO_DIRECTORY_ENTRY_SIZE;
+			// Width/height of 256 is stored as 0
+			const dimension = image.size >= 256 ? 0 : image.size;
+
+			directory.writeUInt8(dimension, entryOffset); // Width
+			directory.writeUInt8(dimension, entryOffset + 1); // Height
+			directory.writeUInt8(0, entryOffset + 2); // Palette colors
+			directory.writeUInt8(0, entryOffset + 3); // Reserved
+			directory.writeUInt16LE(1, entryOffset + 4); // Color planes
+			directory.writeUInt16LE(32, entryOffset + 6); // Bits per pixel
+			directory.writeUInt32LE(image.buffer.length, entryOffset + 8); // Data size
+			directory.writeUInt32LE(offset, entryOffset + 12); // Data offset
+
+			offset += image.buffer.length;
+		});
+
+		return Buffer.concat([header, directory, ...sorted.map(i => i.buffer)]);
+	}
+
+	/**
+	 * Encode PNG images into an Apple ICNS container
+	 * Each image is written to every ICNS slot matching its pixel size
+	 *
+	 * @param {Array<{size: number, buffer: Buffer}>} images - Square PNG images (16-1024px)
+	 * @returns {Buffer} ICNS file contents
+	 */
+	encodeIcns(images) {
+		if (!images || images.length === 0) {
+			throw new Error("ICNS file requires at least one image");
+		}
+
+		const elements = [];
+
+		for (const image of [...images].sort((a, b) => a.size - b.size)) {
+			const types = ICNS_PNG_TYPES[image.size];
+			if (!types) {
+				throw new Error(
+					`Unsupported ICNS size: ${image.size}px. Supported: ${Object.keys(
+						ICNS_PNG_TYPES
+					).join(", ")}`
+				);
+			}
+
+			for (const type of types) {
+				const elementHeader = Buffer.alloc(ICNS_HEADER_SIZE);
+				elementHeader.write(type, 0, "ascii");
+				elementHeader.writeUInt32BE(
+					ICNS_HEADER_SIZE + image.buffer.length,
+					4
+				);
+				elements.push(elementHeader, image.buffer);
+			}
+		}
+
+		const body = Buffer.concat(elements);
+		const header = Buffer.alloc(ICNS_HEADER_SIZE);
+		header.write("icns", 0, "ascii");
+		header.writeUInt32BE(ICNS_HEADER_SIZE + body.length, 4);
+
+		return Buffer.concat([header, body]);
+	}
+}
@@ -4,6 +4,14 @@
  */
 
 import sharp from "sharp";
+import { existsSync } from "fs";
+import { GradientRenderer } from "./GradientRenderer.js";
+import { ColorParser } from "./ColorParser.js";
+import { BadgeRenderer } from "./BadgeRenderer.js";
+import {
+	ResizeKernel,
+	PROCESSING_CONFIG,
+} from "../config/processing-config.js";
 
 // ============================================================================
 // 🎯 PLATFORM ENUM
@@ -11,6 +19,11 @@ import sharp from "sharp";
 export const Platform = Object.freeze({
 	IOS: "ios",
 	ANDROID: "android",
+	WEB: "web",
+	MACOS: "macos",
+	DESKTOP: "desktop",
+	WATCHOS: "watchos",
+	TVOS: "tvos",
 	All: "all",
 });
 
@@ -38,7 +51,15 @@ export const Platform = Object.freeze({
 const ICON_PADDING_CONFIG = {
 	[Platform.IOS]: 0.8, // iOS foreground content ratio (75% = minimal padding)
 	[Platform.ANDROID]: 0.54, // Android foreground content ratio (54% = standard safe zone)
+	[Platform.WATCHOS]: 0.7, // watchOS content ratio (square inscribed in the circular mask ≈ 70.7%)
+	[Platform.TVOS]: 0.6, // tvOS content ratio of the layer height (room for parallax and focus scaling)
 };
+
+// Platforms whose foreground is scaled with the iOS factor (--fg-scale-ios)
+const IOS_SCALE_PLATFORMS = [Platform.IOS, Platform.WATCHOS, Platform.TVOS];
+
+// Max difference from the top-left pixel for a margin to be trimmed (--trim)
+const TRIM_THRESHOLD = 10;
 // ============================================================================
 
 export class ImageProcessor {
@@ -47,6 +68,45 @@ export class ImageProcessor {
 		this.paddingConfig = { ...ICON_PADDING_CONFIG };
 		this.fgScaleIOS = 1.0; // iOS foreground content scale factor
 		this.fgScaleAndroid = 1.0; // Android foreground content scale factor
+		this.trimForeground = false; // Crop uniform margins off foreground layers
+		this.autoFit = false; // Ignore the foreground scale so trimmed content fills the padding ratio
+		this.colorParser = new ColorParser();
+		this.gradientRenderer = new GradientRenderer(this.colorParser);
+		this.badgeRenderer = new BadgeRenderer(this);
+		this.badge = null; // Environment badge drawn onto composites (--badge)
+		this.versionLabel = null; // Version text drawn per output size (--version-label)
+		this.processingProfile = this.resolveProcessingProfile(); // Resize kernel and sharpening
+	}
+
+	/**
+	 * Create a processor for one generation run
+	 * Run settings (foreground scale and fit, badge, version label, processing profile)
+	 * live on the copy, so runs sharing this processor never see each other's settings
+	 * @param {object} [options] - Generation options
+	 * @param {string} [platform] - Platform whose processing overrides apply
+	 * @returns {ImageProcessor} Configured processor
+	 * @throws {Error} When the badge, version label or processing options are invalid
+	 */
+	forRun(options = {}, platform) {
+		const processor = new this.constructor();
+		processor.paddingConfig = { ...this.paddingConfig };
+
+		// Platform-specific scale overrides global scale
+		const { fgScale, fgScaleIos, fgScaleAndroid } = options;
+		const iosScale = fgScaleIos || fgScale;
+		if (iosScale !== null && iosScale !== undefined) {
+			processor.setForegroundScale(Platform.IOS, parseFloat(iosScale));
+		}
+		const androidScale = fgScaleAndroid || fgScale;
+		if (androidScale !== null && androidScale !== undefined) {
+			processor.setForegroundScale(Platform.ANDROID, parseFloat(androidScale));
+		}
+
+		processor.setForegroundFit(options);
+		processor.setBadge(options);
+		processor.setVersionLabel(options);
+		processor.setProcessingProfile(options, platform);
+		return processor;
 	}
 
 	/**
@@ -62,29 +122,263 @@ export class ImageProcessor {
 		}
 	}
 
+	/**
+	 * Set how foreground layers are fitted into the padding ratio
+	 * Auto-fit implies trim and ignores the foreground scale, so the artwork
+	 * fills exactly the ICON_PADDING_CONFIG share of the canvas
+	 * @param {object} [options]
+	 * @param {boolean} [options.trim=false] - Crop transparent or solid-color margins
+	 * @param {boolean} [options.autoFit=false] - Trim and fill the padding ratio exactly
+	 */
+	setForegroundFit({ trim = false, autoFit = false } = {}) {
+		this.trimForeground = !!(trim || autoFit);
+		this.autoFit = !!autoFit;
+	}
+
+	/**
+	 * Set the environment badge drawn onto every composite
+	 * @param {object} [options] - Badge options {badge, badgeStyle, badgePosition, badgeColor}
+	 * @throws {Error} When the badge style, position or color is invalid
+	 */
+	setBadge(options = {}) {
+		this.badge = this.badgeRenderer.resolve(options);
+	}
+
+	/**
+	 * Set the version label drawn onto icons at their output size
+	 * @param {object} [options] - Label options {versionLabel, versionLabelMinSize}
+	 * @throws {Error} When the minimum size is invalid
+	 */
+	setVersionLabel(options = {}) {
+		this.versionLabel = this.badgeRenderer.resolveLabel(options);
+	}
+
+	/**
+	 * Set the resize kernel and sharpening used for the next platform
+	 * @param {object} [options] - Generation options (processing is optional)
+	 * @param {string} [platform] - Platform whose overrides apply
+	 * @throws {Error} When the kernel or sharpen amount is invalid
+	 */
+	setProcessingProfile(options = {}, platform) {
+		this.processingProfile = this.resolveProcessingProfile(
+			options.processing,
+			platform
+		);
+	}
+
+	/**
+	 * Resolve a processing profile
+	 * Platform entries override the global kernel and sharpen amount
+	 * @pure
+	 * @param {object} [processing] - Profile {kernel, sharpen, [platform]: {kernel, sharpen}}
+	 * @param {string} [platform] - Platform whose overrides apply
+	 * @returns {{kernel: string, sharpen: number}}
+	 * @throws {Error} When the kernel or sharpen amount is invalid
+	 */
+	resolveProcessingProfile(processing = {}, platform) {
+		const overrides = (platform && processing?.[platform]) || {};
+		const kernel =
+			overrides.kernel ?? processing?.kernel ?? PROCESSING_CONFIG.defaultKernel;
+		const sharpen =
+			overrides.sharpen ?? processing?.sharpen ?? PROCESSING_CONFIG.defaultSharpen;
+
+		const kernels = Object.values(ResizeKernel);
+		if (!kernels.includes(kernel)) {
+			throw new Error(
+				`Unknown resize kernel: ${kernel}. Use ${kernels.join(", ")}`
+			);
+		}
+
+		const amount = Number(sharpen);
+		if (
+			sharpen === "" ||
+			!Number.isFinite(amount) ||
+			amount < 0 ||
+			amount > PROCESSING_CONFIG.maxSharpen
+		) {
+			throw new Error(
+				`Invalid sharpen amount: ${sharpen}. Use a number from 0 to ${PROCESSING_CONFIG.maxSharpen}`
+			);
+		}
+
+		return { kernel, sharpen: amount };
+	}
+
+	/**
+	 * Resize an image to an output size with the processing profile
+	 * Unsharp masking is scaled by how much the image shrinks and skipped when it grows
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {number} size - Target size (square)
+	 * @param {object} [options] - Sharp resize options (override the profile kernel)
+	 * @returns {Promise<sharp.Sharp>} Resize pipeline (a clone of the source)
+	 */
+	async resizeWithProfile(sourceImage, size, options = {}) {
+		const pipeline = sourceImage.clone().resize(size, size, {
+			kernel: this.processingProfile.kernel,
+			fit: "fill",
+			...options,
+		});
+
+		if (!this.processingProfile.sharpen) {
+			return pipeline;
+		}
+
+		const { width, height } = await sourceImage.metadata();
+		const strength = this.getSharpenStrength(Math.max(width, height) / size);
+		if (strength <= 0) {
+			return pipeline;
+		}
+
+		const { sigma, jaggedRatio } = PROCESSING_CONFIG.sharpen;
+		return pipeline.sharpen({
+			sigma,
+			m1: strength,
+			m2: strength * jaggedRatio,
+		});
+	}
+
+	/**
+	 * Get the sharpening strength for a reduction ratio
+	 * @pure
+	 * @param {number} ratio - Source size / output size
+	 * @returns {number} Strength (0 when not reducing or sharpening is off)
+	 */
+	getSharpenStrength(ratio) {
+		if (!(ratio > 1)) {
+			return 0;
+		}
+		const { fullStrengthRatio } = PROCESSING_CONFIG.sharpen;
+		const scale = Math.min(1, Math.log2(ratio) / Math.log2(fullStrengthRatio));
+		return this.processingProfile.sharpen * scale;
+	}
+
+	/**
+	 * Draw the version label onto an icon at its output size, if one is set
+	 * Icons (or boxes) smaller than the label's minimum size are left untouched
+	 * @param {sharp.Sharp} image - Icon source image
+	 * @param {number} size - Output size in pixels
+	 * @param {object} [box] - Square area the label is confined to {left, top, width, height} (default: whole icon)
+	 * @returns {Promise<sharp.Sharp>} Labeled image at the output size (the input when skipped)
+	 */
+	async applyVersionLabel(image, size, box) {
+		if (!this.versionLabel || (box ? box.width : size) < this.versionLabel.minSize) {
+			return image;
+		}
+		return await this.badgeRenderer.applyLabel(image, this.versionLabel, size, box);
+	}
+
+	/**
+	 * Draw the environment badge onto an image, if one is set
+	 * @param {sharp.Sharp} image - Icon image
+	 * @param {object} [box] - Area the badge is confined to {left, top, width, height} (default: whole image)
+	 * @returns {Promise<sharp.Sharp>} Badged image (the input when no badge is set)
+	 */
+	async applyBadge(image, box) {
+		if (!this.badge) {
+			return image;
+		}
+		return await this.badgeRenderer.apply(image, this.badge, box);
+	}
+
 	/**
 	 * Load and validate an image file
+	 * SVG sources are rasterized so their longest side matches targetSize,
+	 * instead of being upscaled from the default 72 DPI bitmap
 	 * @param {string} filePath - Path to image file
+	 * @param {number} [targetSize] - Pixel size vector sources are rendered at
 	 * @returns {Promise<{image: sharp.Sharp, metadata: object}>}
 	 */
-	async loadImage(filePath) {
+	async loadImage(filePath, targetSize = null) {
 		try {
-			const image = sharp(filePath);
-			const metadata = await image.metadata();
+			let image = sharp(filePath);
+			let metadata = await image.metadata();
 
 			if (!metadata.width || !metadata.height) {
 				throw new Error("Invalid image file: unable to read dimensions");
 			}
 
+			if (metadata.format === "svg" && targetSize) {
+				const density =
+					((metadata.density || 72) * targetSize) /
+					Math.max(metadata.width, metadata.height);
+				image = sharp(filePath, { density });
+				metadata = await image.metadata();
+			}
+
 			return { image, metadata };
 		} catch (error) {
 			throw new Error(`Failed to load image: ${error.message}`);
 		}
 	}
 
+	/**
+	 * Load a foreground layer, cropping its margins when trimming is enabled
+	 * Trimmed vectors are rendered again so the remaining content still reaches targetSize
+	 * @param {string} filePath - Path to image file
+	 * @param {number} [targetSize] - Pixel size vector sources are rendered at
+	 * @returns {Promise<{image: sharp.Sharp, metadata: object}>}
+	 */
+	async loadForegroundImage(filePath, targetSize = null) {
+		const loaded = await this.loadImage(filePath, targetSize);
+		if (!this.trimForeground) {
+			return loaded;
+		}
+
+		const trimmed = await this.trimImage(loaded.image);
+		const contentSize = Math.max(trimmed.metadata.width, trimmed.metadata.height);
+		if (loaded.metadata.format !== "svg" || !targetSize || contentSize >= targetSize) {
+			return trimmed;
+		}
+
+		const { image } = await this.loadImage(
+			filePath,
+			Math.round((targetSize * targetSize) / contentSize)
+		);
+		return await this.trimImage(image);
+	}
+
+	/**
+	 * Crop transparent or solid-color margins (pixels matching the top-left corner)
+	 * @param {sharp.Sharp} image - Freshly loaded image
+	 * @returns {Promise<{image: sharp.Sharp, metadata: object, box: object}>} Trimmed image and
+	 *   its content box {left, top, width, height} as fractions of the source
+	 */
+	async trimImage(image) {
+		const { width, height } = await image.metadata();
+		const { data, info } = await image
+			.clone()
+			.trim({ threshold: TRIM_THRESHOLD })
+			.png()
+			.toBuffer({ resolveWithObject: true });
+
+		const trimmed = sharp(data);
+		return {
+			image: trimmed,
+			metadata: await trimmed.metadata(),
+			box: {
+				left: Math.abs(info.trimOffsetLeft || 0) / width,
+				top: Math.abs(info.trimOffsetTop || 0) / height,
+				width: info.width / width,
+				height: info.height / height,
+			},
+		};
+	}
+
+	/**
+	 * Measure the content box left after trimming a layer
+	 * @param {string} filePath - Path to image file
+	 * @param {number} [size=1024] - Pixel size vector sources are measured at
+	 * @returns {Promise<{left: number, top: number, width: number, height: number}>} Fractions of the source
+	 */
+	async getTrimBox(filePath, size = 1024) {
+		const { image } = await this.loadImage(filePath, size);
+		const { box } = await this.trimImage(image);
+		return box;
+	}
+
 	/**
 	 * Validate if file is a supported image format
-	 * Supports: JPEG, PNG, WebP, AVIF, TIFF
+	 * Supports: JPEG, PNG, WebP, AVIF, TIFF, SVG
 	 *
 	 * @param {string} filePath - Path to file
 	 * @returns {Promise<boolean>}
@@ -94,9 +388,7 @@ export class ImageProcessor {
 			const metadata = await sharp(filePath).metadata();
 
 			// Supported image formats
-			const supportedFormats = ["jpeg", "jpg", "png", "webp", "avif", "tiff"];
-
-			return supportedFormats.includes(metadata.format);
+			return this.getSupportedFormats().includes(metadata.format);
 		} catch (error) {
 			return false;
 		}
@@ -107,7 +399,24 @@ export class ImageProcessor {
 	 * @returns {Array<string>} List of supported formats
 	 */
 	getSupportedFormats() {
-		return ["jpeg", "jpg", "png", "webp", "avif", "tiff"];
+		return ["jpeg", "jpg", "png", "webp", "avif", "tiff", "svg"];
+	}
+
+	/**
+	 * Check whether a file is an SVG (vector) image
+	 * @param {string} filePath - Path to image file (colors and gradients are never vectors)
+	 * @returns {Promise<boolean>}
+	 */
+	async isVectorImage(filePath) {
+		if (!filePath || this.isColorLayer(filePath)) {
+			return false;
+		}
+		try {
+			const metadata = await sharp(filePath).metadata();
+			return metadata.format === "svg";
+		} catch (error) {
+			return false;
+		}
 	}
 
 	/**
@@ -130,11 +439,11 @@ export class ImageProcessor {
 			const newHeight = Math.round(metadata.height * scaleFactor);
 
 			console.log(
-				`   ⚠️  Image is smaller than ${minSize}px, upscaling with Lanczos3...`
+				`   ⚠️  Image is smaller than ${minSize}px, upscaling with ${this.processingProfile.kernel}...`
 			);
 
 			processedImage = processedImage.resize(newWidth, newHeight, {
-				kernel: sharp.kernel.lanczos3,
+				kernel: this.processingProfile.kernel,
 				fit: "fill",
 			});
 
@@ -166,21 +475,31 @@ export class ImageProcessor {
 	 * @param {object} options - Sharp options
 	 */
 	async resizeAndSave(sourceImage, size, outputPath, options = {}) {
-		const defaultOptions = {
-			kernel: sharp.kernel.lanczos3,
-			fit: "fill",
+		const pngOptions = {
+			compressionLevel: 9,
+			adaptiveFiltering: true,
 		};
 
+		const resized = await this.resizeWithProfile(sourceImage, size, options);
+		await resized.png(pngOptions).toFile(outputPath);
+	}
+
+	/**
+	 * Resize image to specific dimensions and return PNG buffer
+	 * Used when icons are packed into container formats (e.g. .ico) instead of written as files
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {number} size - Target size (square)
+	 * @param {object} options - Sharp options
+	 * @returns {Promise<Buffer>} PNG buffer
+	 */
+	async resizeToBuffer(sourceImage, size, options = {}) {
 		const pngOptions = {
 			compressionLevel: 9,
 			adaptiveFiltering: true,
 		};
 
-		await sourceImage
-			.clone()
-			.resize(size, size, { ...defaultOptions, ...options })
-			.png(pngOptions)
-			.toFile(outputPath);
+		const resized = await this.resizeWithProfile(sourceImage, size, options);
+		return await resized.png(pngOptions).toBuffer();
 	}
 
 	/**
@@ -225,18 +544,195 @@ export class ImageProcessor {
 	}
 
 	/**
-	 * Resize image to specific dimensions, apply circular mask, and save
+	 * Create a rounded rectangle mask SVG
+	 * @param {number} size - Size of the mask
+	 * @param {number} radius - Corner radius in pixels
+	 * @returns {Buffer} SVG buffer with rounded rectangle mask
+	 */
+	createRoundedRectMask(size, radius) {
+		const svg = `
+			<svg width="${size}" height="${size}">
+				<rect x="0" y="0" width="${size}" height="${size}" rx="${radius}" ry="${radius}" fill="white"/>
+			</svg>
+		`;
+		return Buffer.from(svg);
+	}
+
+	/**
+	 * Render a single line of text centered in a transparent box
+	 * The font size is capped so the text fits the box width (approximate 0.6em glyph width)
+	 * @param {string} text - Text to render
+	 * @param {number} width - Box width in pixels
+	 * @param {number} height - Box height in pixels (also the maximum font size)
+	 * @param {object} [options]
+	 * @param {string} [options.color='#FFFFFF'] - Hex text color
+	 * @param {string} [options.fontFamily='sans-serif'] - Font family
+	 * @param {string} [options.fontWeight='bold'] - Font weight
+	 * @returns {sharp.Sharp} Transparent image with the rendered text
+	 */
+	createTextImage(text, width, height, options = {}) {
+		const {
+			color = "#FFFFFF",
+			fontFamily = "sans-serif",
+			fontWeight = "bold",
+		} = options;
+		const fontSize = Math.max(
+			1,
+			Math.floor(Math.min(height, width / (Math.max(text.length, 1) * 0.6)))
+		);
+		const baseline = height / 2 + fontSize * 0.35;
+
+		// Font and color come from user options (CLI, HTTP API), so escape them like the text
+		const svg = `
+			<svg width="${width}" height="${height}">
+				<text x="${width / 2}" y="${baseline}" text-anchor="middle" font-family="${escapeXml(fontFamily)}" font-weight="${escapeXml(fontWeight)}" font-size="${fontSize}" fill="${escapeXml(color)}">${escapeXml(text)}</text>
+			</svg>
+		`;
+		return sharp(Buffer.from(svg));
+	}
+
+	/**
+	 * Apply a rounded icon template to full-bleed artwork
+	 * Shrinks the artwork into a rounded body centered on a transparent canvas
+	 * (e.g. macOS: 824px body with ~185px corners on a 1024px canvas)
+	 * @param {sharp.Sharp} sourceImage - Full-bleed source image
+	 * @param {object} template - Template {canvasSize, bodySize, cornerRadius}
+	 * @returns {Promise<sharp.Sharp>} Templated image at canvasSize
+	 */
+	async applyRoundedTemplate(sourceImage, template) {
+		const { canvasSize, bodySize, cornerRadius } = template;
+		const margin = canvasSize - bodySize;
+		const marginStart = Math.floor(margin / 2);
+		const marginEnd = margin - marginStart;
+
+		const body = await sourceImage
+			.clone()
+			.resize(bodySize, bodySize, {
+				kernel: this.processingProfile.kernel,
+				fit: "fill",
+			})
+			.composite([
+				{
+					input: this.createRoundedRectMask(bodySize, cornerRadius),
+					blend: "dest-in",
+				},
+			])
+			.png()
+			.toBuffer();
+
+		const templated = await sharp(body)
+			.extend({
+				top: marginStart,
+				bottom: marginEnd,
+				left: marginStart,
+				right: marginEnd,
+				background: { r: 0, g: 0, b: 0, alpha: 0 },
+			})
+			.png()
+			.toBuffer();
+
+		return sharp(templated);
+	}
+
+	/**
+	 * Resize image, flatten it onto a solid color and save as RGB PNG (no alpha channel)
+	 * Used for icons that must not contain transparency (e.g. the App Store marketing icon)
 	 * @param {sharp.Sharp} sourceImage - Source image
 	 * @param {number} size - Target size (square)
 	 * @param {string} outputPath - Output file path
+	 * @param {string} backgroundColor - Hex color to flatten onto (e.g., '#FFFFFF')
 	 * @param {object} options - Sharp options
 	 */
-	async resizeAndSaveRound(sourceImage, size, outputPath, options = {}) {
-		const defaultOptions = {
-			kernel: sharp.kernel.lanczos3,
-			fit: "fill",
+	async resizeAndSaveOpaque(
+		sourceImage,
+		size,
+		outputPath,
+		backgroundColor,
+		options = {}
+	) {
+		const pngOptions = {
+			compressionLevel: 9,
+			adaptiveFiltering: true,
+		};
+
+		const resized = await this.resizeWithProfile(sourceImage, size, options);
+		await resized
+			.flatten({ background: backgroundColor })
+			.removeAlpha()
+			.png(pngOptions)
+			.toFile(outputPath);
+	}
+
+	/**
+	 * Inspect an image's alpha channel
+	 * @param {string} filePath - Path to image file
+	 * @returns {Promise<{hasAlpha: boolean, isOpaque: boolean}>} Whether an alpha channel exists and whether every pixel is opaque
+	 */
+	async getAlphaInfo(filePath) {
+		const image = sharp(filePath);
+		const [metadata, stats] = await Promise.all([image.metadata(), image.stats()]);
+
+		return {
+			hasAlpha: !!metadata.hasAlpha,
+			isOpaque: stats.isOpaque,
 		};
+	}
 
+	/**
+	 * Get the dominant color of an image as a hex string
+	 * @param {string} filePath - Path to image file
+	 * @returns {Promise<string>} Hex color (e.g., '#FF5722')
+	 */
+	async getDominantColor(filePath) {
+		const { dominant } = await sharp(filePath).stats();
+		const toHex = value => value.toString(16).padStart(2, "0").toUpperCase();
+		return `#${toHex(dominant.r)}${toHex(dominant.g)}${toHex(dominant.b)}`;
+	}
+
+	/**
+	 * Resolve a single opaque color for a layer
+	 * Colors drop their alpha (fully transparent ones use the fallback), gradients
+	 * contribute their average color and images their dominant color
+	 * @param {string} [layerPath] - Layer path, color or gradient spec
+	 * @param {string} [fallback='#111111'] - Color used when no layer is given
+	 * @returns {Promise<string>} Hex color
+	 */
+	async resolveLayerColor(layerPath, fallback = "#111111") {
+		if (!layerPath) {
+			return fallback;
+		}
+		if (this.isColor(layerPath)) {
+			const color = this.colorParser.parse(layerPath);
+			return color.alpha > 0 ? this.colorParser.toHex(color, false) : fallback;
+		}
+		if (this.isGradient(layerPath)) {
+			return this.gradientRenderer.getAverageColor(layerPath);
+		}
+		return await this.getDominantColor(layerPath);
+	}
+
+	/**
+	 * Pick black or white text for a background color
+	 * @pure
+	 * @param {string} color - Background color (alpha is ignored)
+	 * @returns {string} '#000000' on light backgrounds, '#FFFFFF' otherwise
+	 */
+	getContrastColor(color) {
+		const { r, g, b } = this.parseColor(color);
+
+		// Rec. 709 luma, same weights as the monochrome silhouette threshold
+		const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+		return luma > 150 ? "#000000" : "#FFFFFF";
+	}
+
+	/**
+	 * Resize image to specific dimensions, apply circular mask, and save
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {number} size - Target size (square)
+	 * @param {string} outputPath - Output file path
+	 * @param {object} options - Sharp options
+	 */
+	async resizeAndSaveRound(sourceImage, size, outputPath, options = {}) {
 		const pngOptions = {
 			compressionLevel: 9,
 			adaptiveFiltering: true,
@@ -246,9 +742,8 @@ export class ImageProcessor {
 		const mask = this.createCircularMask(size);
 
 		// Resize and apply circular mask
-		await sourceImage
-			.clone()
-			.resize(size, size, { ...defaultOptions, ...options })
+		const resized = await this.resizeWithProfile(sourceImage, size, options);
+		await resized
 			.composite([
 				{
 					input: mask,
@@ -262,7 +757,7 @@ export class ImageProcessor {
 	/**
 	 * Validate adaptive icon layers
 	 * @param {string} foregroundPath - Path to foreground layer
-	 * @param {string} backgroundPath - Path to background layer (image or hex color)
+	 * @param {string} backgroundPath - Path to background layer (image, color or gradient)
 	 * @param {string} monochromePath - Optional path to monochrome layer
 	 * @returns {Promise<{isValid: boolean, error?: string, layers: object}>}
 	 */
@@ -292,20 +787,26 @@ export class ImageProcessor {
 			const fgMetadata = await sharp(foregroundPath).metadata();
 			result.layers.foreground = { path: foregroundPath, metadata: fgMetadata };
 
-			// Validate background layer (can be image, hex color, or null for default #111111)
+			// Validate background layer (can be image, color, gradient, or null for default #111111)
 			if (!backgroundPath) {
 				// Use default #111111 background
 				result.layers.background = { color: "#111111", isDefault: true };
-			} else if (this.isHexColor(backgroundPath)) {
-				// Check if background is a hex color
-				result.layers.background = { color: backgroundPath };
+			} else if (this.isColor(backgroundPath)) {
+				// Check if background is a color (hex, rgb(), hsl(), named or transparent)
+				result.layers.background = {
+					color: this.colorParser.normalize(backgroundPath),
+				};
+			} else if (this.isGradient(backgroundPath)) {
+				// Parse to surface malformed gradients before generation
+				this.gradientRenderer.parse(backgroundPath);
+				result.layers.background = { gradient: backgroundPath };
 			} else {
 				// Background is an image file
 				const bgValid = await this.validateImageFormat(backgroundPath);
 				if (!bgValid) {
 					return {
 						isValid: false,
-						error: "Background layer is not a valid image or hex color",
+						error: "Background layer is not a valid image or color",
 					};
 				}
 
@@ -343,27 +844,81 @@ export class ImageProcessor {
 	}
 
 	/**
-	 * Check if a string is a valid hex color
+	 * Check if a string is a valid hex color (#RGB, #RGBA, #RRGGBB or #RRGGBBAA)
 	 * @param {string} str - String to check
 	 * @returns {boolean}
 	 */
 	isHexColor(str) {
-		return /^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(str);
+		return /^#([A-Fa-f0-9]{3,4}|[A-Fa-f0-9]{6}|[A-Fa-f0-9]{8})$/.test(str);
+	}
+
+	/**
+	 * Check if a layer value is a supported color (hex, rgb(), hsl(), named or transparent)
+	 * An existing file of the same name wins, so images called "red" or "face" stay usable
+	 * @param {string} str - String to check
+	 * @returns {boolean}
+	 */
+	isColor(str) {
+		return this.colorParser.isColor(str) && !existsSync(str);
+	}
+
+	/**
+	 * Parse a color string
+	 * @param {string} color - Color string
+	 * @returns {{r: number, g: number, b: number, alpha: number}} Channels 0-255, alpha 0-1
+	 * @throws {Error} When the string is not a supported color
+	 */
+	parseColor(color) {
+		const parsed = this.colorParser.parse(color);
+		if (!parsed) {
+			throw new Error(
+				`Invalid color "${color}". Use hex (#FF5722, #FF572280), rgb(), hsl() or a CSS color name`
+			);
+		}
+		return parsed;
+	}
+
+	/**
+	 * Check if a string is a gradient spec (e.g., 'linear(135deg,#FF5722,#8E24AA)')
+	 * @param {string} str - String to check
+	 * @returns {boolean}
+	 */
+	isGradient(str) {
+		return this.gradientRenderer.isGradient(str);
+	}
+
+	/**
+	 * Check if a layer is a color or gradient rather than an image file
+	 * @param {string} str - Layer path or color
+	 * @returns {boolean}
+	 */
+	isColorLayer(str) {
+		return this.isColor(str) || this.isGradient(str);
+	}
+
+	/**
+	 * Create an image for a color layer
+	 * Gradients are rendered at the requested size, so each density gets its own crisp render
+	 * @param {number} width - Image width
+	 * @param {number} height - Image height
+	 * @param {string} color - Color or gradient spec
+	 * @returns {sharp.Sharp} Sharp instance with the color or gradient
+	 */
+	createColorImage(width, height, color) {
+		return this.isGradient(color)
+			? this.gradientRenderer.render(color, width, height)
+			: this.createSolidColorImage(width, height, color);
 	}
 
 	/**
 	 * Create a solid color image
 	 * @param {number} width - Image width
 	 * @param {number} height - Image height
-	 * @param {string} hexColor - Hex color (e.g., '#FF5722')
+	 * @param {string} color - Color (e.g., '#FF5722', '#FF572280', 'rgb(255 87 34)', 'transparent')
 	 * @returns {sharp.Sharp} Sharp instance with solid color
 	 */
-	createSolidColorImage(width, height, hexColor) {
-		// Parse hex color to RGB
-		const hex = hexColor.replace("#", "");
-		const r = parseInt(hex.substring(0, 2), 16);
-		const g = parseInt(hex.substring(2, 4), 16);
-		const b = parseInt(hex.substring(4, 6), 16);
+	createSolidColorImage(width, height, color) {
+		const background = this.parseColor(color);
 
 		// Create solid color image
 		return sharp({
@@ -371,7 +926,7 @@ export class ImageProcessor {
 				width,
 				height,
 				channels: 4,
-				background: { r, g, b, alpha: 1 },
+				background,
 			},
 		});
 	}
@@ -379,17 +934,20 @@ export class ImageProcessor {
 	/**
 	 * Create a composite image from background and foreground layers
 	 * Used for iOS when generating from layer-based workflow
+	 * The environment badge (setBadge) is drawn on top
 	 * @param {string} foregroundPath - Path to foreground image
-	 * @param {string} backgroundPath - Path to background image or hex color (or null for #111111)
+	 * @param {string} backgroundPath - Path to background image, color or gradient spec (or null for #111111)
 	 * @param {number} size - Target size for composite
 	 * @param {string} platform - Platform (use Platform.IOS or Platform.ANDROID)
+	 * @param {object} [badgeBox] - Area the badge is confined to (default: whole image)
 	 * @returns {Promise<sharp.Sharp>} Composite image
 	 */
 	async createCompositeFromLayers(
 		foregroundPath,
 		backgroundPath,
 		size = 1024,
-		platform = Platform.IOS
+		platform = Platform.IOS,
+		badgeBox
 	) {
 		// Prepare background layer (fills entire space)
 		const bgLayer = await this.prepareAdaptiveLayer(
@@ -422,12 +980,60 @@ export class ImageProcessor {
 			.png()
 			.toBuffer();
 
-		return sharp(composite);
+		// Environment badge goes on top of the finished icon
+		return await this.applyBadge(sharp(composite), badgeBox);
+	}
+
+	/**
+	 * Create a grayscale composite from a layer on a black background
+	 * Used for iOS 18 tinted icons, which the system recolors from luminance
+	 * @param {string} layerPath - Path to layer image
+	 * @param {number} size - Target size for composite
+	 * @param {string} platform - Platform (use Platform.IOS or Platform.ANDROID)
+	 * @returns {Promise<sharp.Sharp>} Grayscale composite image
+	 */
+	async createGrayscaleFromLayer(layerPath, size = 1024, platform = Platform.IOS) {
+		const composite = await this.createCompositeFromLayers(
+			layerPath,
+			"#000000",
+			size,
+			platform
+		);
+
+		const grayscale = await composite.grayscale().png().toBuffer();
+
+		return sharp(grayscale);
+	}
+
+	/**
+	 * Get the foreground content ratio for a platform
+	 * Platform padding ratio multiplied by the platform's foreground scale
+	 * @param {string} platform - Platform (use Platform.IOS or Platform.ANDROID)
+	 * @returns {number} Share of the canvas the foreground content fills (min 0.1, may exceed 1)
+	 */
+	getSafeZoneRatio(platform) {
+		// Use platform-specific safe zone ratio from config
+		const paddingRatio =
+			this.paddingConfig[platform] || this.paddingConfig[Platform.ANDROID];
+
+		// Apply foreground scale factor for the specific platform (auto-fit uses the ratio as is)
+		const platformScale = IOS_SCALE_PLATFORMS.includes(platform)
+			? this.fgScaleIOS
+			: this.fgScaleAndroid;
+		const fgScale = this.autoFit ? 1 : platformScale;
+
+		// DIRECT SCALE FORMULA:
+		// Multiply the content size by the scale factor
+		// scale=1 → normal size with padding
+		// scale=2 → 2x bigger content (may overflow and get cropped)
+		// scale=0.5 → 0.5x smaller content (more padding)
+		// Clamp to reasonable range
+		return Math.max(0.1, paddingRatio * fgScale);
 	}
 
 	/**
 	 * Prepare adaptive icon layer for generation
-	 * @param {string} layerPath - Path to layer image or hex color (or null for default #111111)
+	 * @param {string} layerPath - Path to layer image, color or gradient spec (or null for default #111111)
 	 * @param {number} targetSize - Target size in pixels
 	 * @param {boolean} isForeground - If true, adds padding/safe zone (recommended for foreground layers)
 	 * @param {string} platform - Platform (use Platform.IOS or Platform.ANDROID)
@@ -444,14 +1050,11 @@ export class ImageProcessor {
 			return this.createSolidColorImage(targetSize, targetSize, "#111111");
 		}
 
-		// If it's a hex color, create a solid color image
-		if (this.isHexColor(layerPath)) {
-			return this.createSolidColorImage(targetSize, targetSize, layerPath);
+		// If it's a color or gradient, render it at the target size
+		if (this.isColorLayer(layerPath)) {
+			return this.createColorImage(targetSize, targetSize, layerPath);
 		}
 
-		// Load and prepare the image
-		const { image, metadata } = await this.loadImage(layerPath);
-
 		// For foreground layers, add padding (safe zone) to prevent clipping by launcher masks
 		// Uses platform-specific padding ratios from ICON_PADDING_CONFIG
 		// Android adaptive icons specification:
@@ -460,25 +1063,15 @@ export class ImageProcessor {
 		// - Outer margin: 18dp on each side (36dp total)
 		// - Safe zone = 66/108 = 0.6111 (61.11% content)
 		// This ensures important content isn't clipped by circular/squircle launcher masks
-		if (isForeground) {
-			// Use platform-specific safe zone ratio from config
-			let safeZoneRatio =
-				this.paddingConfig[platform] || this.paddingConfig[Platform.ANDROID];
-
-			// Apply foreground scale factor for the specific platform
-			const fgScale =
-				platform === Platform.IOS ? this.fgScaleIOS : this.fgScaleAndroid;
-
-			// DIRECT SCALE FORMULA:
-			// Multiply the content size by the scale factor
-			// scale=1 → normal size with padding
-			// scale=2 → 2x bigger content (may overflow and get cropped)
-			// scale=0.5 → 0.5x smaller content (more padding)
-			safeZoneRatio = safeZoneRatio * fgScale;
+		const safeZoneRatio = isForeground ? this.getSafeZoneRatio(platform) : 1;
 
-			// Clamp to reasonable range
-			safeZoneRatio = Math.max(0.1, safeZoneRatio);
+		// Load and prepare the image (vectors are rendered at the final content size)
+		const renderSize = Math.round(targetSize * Math.max(1, safeZoneRatio));
+		const { image } = isForeground
+			? await this.loadForegroundImage(layerPath, renderSize)
+			: await this.loadImage(layerPath, renderSize);
 
+		if (isForeground) {
 			const contentSize = Math.round(targetSize * safeZoneRatio);
 
 			// If content fits within target (ratio <=1), add padding
@@ -490,7 +1083,7 @@ export class ImageProcessor {
 				return image
 					.clone()
 					.resize(contentSize, contentSize, {
-						kernel: sharp.kernel.lanczos3,
+						kernel: this.processingProfile.kernel,
 						fit: "contain",
 						background: { r: 0, g: 0, b: 0, alpha: 0 },
 						position: "centre",
@@ -508,7 +1101,7 @@ export class ImageProcessor {
 				return image
 					.clone()
 					.resize(contentSize, contentSize, {
-						kernel: sharp.kernel.lanczos3,
+						kernel: this.processingProfile.kernel,
 						fit: "contain",
 						background: { r: 0, g: 0, b: 0, alpha: 0 },
 						position: "centre",
@@ -526,9 +1119,165 @@ export class ImageProcessor {
 		// Using 'cover' fills the entire space while maintaining aspect ratio
 		// This prevents transparent padding and ensures the background fills the entire canvas
 		return image.clone().resize(targetSize, targetSize, {
-			kernel: sharp.kernel.lanczos3, // High-quality resampling
+			kernel: this.processingProfile.kernel, // Lanczos3 unless the profile says otherwise
 			fit: "cover", // Fill entire space, crop edges if needed (no distortion)
 			position: "centre", // Center the image
 		});
 	}
+
+	/**
+	 * Create a white-on-transparent silhouette from a layer's alpha channel
+	 * Used for Android notification icons, which the system tints itself
+	 * @param {string} layerPath - Path to layer image
+	 * @param {number} size - Target size in pixels
+	 * @param {number} [contentRatio=1] - Share of the canvas the artwork may fill
+	 * @param {number} [threshold=0] - Luminance threshold (0-255), see createSilhouette
+	 * @returns {Promise<sharp.Sharp>} Silhouette image (white RGB + source alpha)
+	 */
+	async createSilhouetteFromLayer(layerPath, size, contentRatio = 1, threshold = 0) {
+		const { image } = await this.loadForegroundImage(layerPath, size);
+		const contentSize = Math.round(size * contentRatio);
+		const padding = size - contentSize;
+		const paddingStart = Math.floor(padding / 2);
+		const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+		const resized = await this.resizeWithProfile(image.ensureAlpha(), contentSize, {
+			fit: "contain",
+			background: transparent,
+		});
+		const padded = resized.extend({
+			top: paddingStart,
+			bottom: padding - paddingStart,
+			left: paddingStart,
+			right: padding - paddingStart,
+			background: transparent,
+		});
+
+		return await this.createSilhouette(padded, threshold);
+	}
+
+	/**
+	 * Turn an image into a white silhouette that keeps the source alpha
+	 * Pixels darker than the luminance threshold become transparent, so
+	 * dark details inside the artwork can be cut out of the shape
+	 * @param {sharp.Sharp} sourceImage - Source image (already sized)
+	 * @param {number} [threshold=0] - Luminance threshold (0-255); 0 keeps every visible pixel
+	 * @returns {Promise<sharp.Sharp>} Silhouette image (white RGB + alpha)
+	 */
+	async createSilhouette(sourceImage, threshold = 0) {
+		const { data, info } = await sourceImage
+			.clone()
+			.toColourspace("srgb")
+			.ensureAlpha()
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+
+		const output = Buffer.alloc(info.width * info.height * 4, 255);
+		for (let i = 0, o = 0; i < data.length; i += info.channels, o += 4) {
+			// Rec. 709 luma
+			const luminance =
+				0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+			output[o + 3] = luminance >= threshold ? data[i + 3] : 0;
+		}
+
+		return sharp(output, {
+			raw: { width: info.width, height: info.height, channels: 4 },
+		});
+	}
+
+	/**
+	 * Prepare a rectangular layer (e.g. tvOS image stack layers, width >= height)
+	 * Foregrounds are padded like square layers at the layer height, then extended
+	 * with transparency to the full width; backgrounds cover the whole rectangle
+	 * @param {string} layerPath - Path to layer image, color or gradient spec (or null for default #111111)
+	 * @param {number} width - Target width in pixels
+	 * @param {number} height - Target height in pixels
+	 * @param {boolean} isForeground - If true, adds padding/safe zone
+	 * @param {string} platform - Platform for the padding ratio
+	 * @returns {Promise<sharp.Sharp>} Prepared layer image
+	 */
+	async prepareRectLayer(
+		layerPath,
+		width,
+		height,
+		isForeground = false,
+		platform = Platform.TVOS
+	) {
+		if (!isForeground) {
+			if (!layerPath || this.isColorLayer(layerPath)) {
+				return this.createColorImage(width, height, layerPath || "#111111");
+			}
+
+			const { image } = await this.loadImage(layerPath, Math.max(width, height));
+			return image.clone().resize(width, height, {
+				kernel: this.processingProfile.kernel,
+				fit: "cover",
+				position: "centre",
+			});
+		}
+
+		const squareLayer = await this.prepareAdaptiveLayer(
+			layerPath,
+			height,
+			true,
+			platform
+		);
+		const squareBuffer = await squareLayer.png().toBuffer();
+		const sidePadding = width - height;
+
+		return sharp(squareBuffer).extend({
+			top: 0,
+			bottom: 0,
+			left: Math.floor(sidePadding / 2),
+			right: sidePadding - Math.floor(sidePadding / 2),
+			background: { r: 0, g: 0, b: 0, alpha: 0 },
+		});
+	}
+
+	/**
+	 * Create a rectangular composite from background and foreground layers
+	 * @param {string} foregroundPath - Path to foreground image
+	 * @param {string} backgroundPath - Path to background image, color or gradient spec (or null for #111111)
+	 * @param {number} width - Target width in pixels
+	 * @param {number} height - Target height in pixels
+	 * @param {string} platform - Platform for the padding ratio
+	 * @returns {Promise<sharp.Sharp>} Composite image
+	 */
+	async createRectCompositeFromLayers(
+		foregroundPath,
+		backgroundPath,
+		width,
+		height,
+		platform = Platform.TVOS
+	) {
+		const [bgLayer, fgLayer] = await Promise.all([
+			this.prepareRectLayer(backgroundPath, width, height, false, platform),
+			this.prepareRectLayer(foregroundPath, width, height, true, platform),
+		]);
+
+		const [bgBuffer, fgBuffer] = await Promise.all([
+			bgLayer.png().toBuffer(),
+			fgLayer.png().toBuffer(),
+		]);
+
+		const composite = await sharp(bgBuffer)
+			.composite([{ input: fgBuffer, blend: "over" }])
+			.png()
+			.toBuffer();
+
+		return sharp(composite);
+	}
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeXml(text) {
+	return String(text)
+		.replace(/&/g, "&amp;")
+		.replace(/</g, "&lt;")
+		.replace(/>/g, "&gt;")
+		.replace(/"/g, "&quot;");
 }
@@ -0,0 +1,283 @@
+/**
+ * PreviewRenderer - Single Responsibility: Render launcher mask preview sheets
+ * Clips the icon with common launcher masks at several sizes and lays the results
+ * out as one PNG contact sheet (masks as columns, sizes as rows)
+ */
+
+import sharp from "sharp";
+import { Platform } from "./ImageProcessor.js";
+import { PREVIEW_CONFIG } from "../config/preview-config.js";
+
+export class PreviewRenderer {
+	/**
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {object} [config] - Preview configuration (defaults to PREVIEW_CONFIG)
+	 */
+	constructor(imageProcessor, config = PREVIEW_CONFIG) {
+		this.imageProcessor = imageProcessor;
+		this.config = config;
+	}
+
+	/**
+	 * Render the preview contact sheet
+	 * @param {object} layers - Icon layers {foreground, background}; a single image is used as the foreground
+	 * @param {object} [options]
+	 * @param {Array<number>} [options.sizes] - Icon sizes in pixels (one row each)
+	 * @param {Array<string>} [options.masks] - Mask names to include (default: all)
+	 * @returns {Promise<Buffer>} PNG buffer
+	 */
+	async render(layers, options = {}) {
+		const sizes = options.sizes || this.config.sizes;
+		const masks = this.resolveMasks(options.masks);
+		const { cellPadding, labelHeight, labelWidth, background, textColor } =
+			this.config;
+
+		const maxSize = Math.max(...sizes);
+		const cellWidth = maxSize + cellPadding * 2;
+		const rowHeights = sizes.map(size => size + cellPadding * 2);
+		const width = labelWidth + cellWidth * masks.length;
+		const height = labelHeight + rowHeights.reduce((sum, h) => sum + h, 0);
+
+		// Render each platform's full icon once at the largest size, then scale down
+		const platforms = [...new Set(masks.map(mask => mask.platform))];
+		const baseIcons = Object.fromEntries(
+			await Promise.all(
+				platforms.map(async platform => [
+					platform,
+					await this.renderBaseIcon(layers, maxSize, platform),
+				])
+			)
+		);
+
+		const overlays = [];
+
+		// Column headers
+		for (const [column, mask] of masks.entries()) {
+			overlays.push({
+				input: await this.renderLabel(mask.label, cellWidth, textColor),
+				left: labelWidth + column * cellWidth,
+				top: 0,
+			});
+		}
+
+		// One row per size: label, then every mask
+		let top = labelHeight;
+		for (const [row, size] of sizes.entries()) {
+			overlays.push({
+				input: await this.renderLabel(`${size}px`, labelWidth, textColor),
+				left: 0,
+				top: top + Math.round((rowHeights[row] - labelHeight) / 2),
+			});
+
+			for (const [column, mask] of masks.entries()) {
+				overlays.push({
+					input: await this.renderMaskedIcon(
+						baseIcons[mask.platform],
+						mask,
+						size
+					),
+					left: labelWidth + column * cellWidth + Math.round((cellWidth - size) / 2),
+					top: top + cellPadding,
+				});
+			}
+
+			top += rowHeights[row];
+		}
+
+		return await this.imageProcessor
+			.createSolidColorImage(width, height, background)
+			.composite(overlays)
+			.png()
+			.toBuffer();
+	}
+
+	/**
+	 * Render the preview sheet to a file
+	 * @param {object} layers - Icon layers {foreground, background}
+	 * @param {string} outputPath - Output PNG path
+	 * @param {object} [options] - Render options (see render)
+	 * @returns {Promise<string>} Output path
+	 */
+	async renderToFile(layers, outputPath, options = {}) {
+		const buffer = await this.render(layers, options);
+		await sharp(buffer).toFile(outputPath);
+		return outputPath;
+	}
+
+	/**
+	 * Resolve mask names to mask definitions
+	 * @param {Array<string>} [names] - Mask names (default: all)
+	 * @returns {Array<object>} Mask definitions in configuration order
+	 */
+	resolveMasks(names) {
+		if (!names || names.length === 0) {
+			return this.config.masks;
+		}
+
+		const unknown = names.filter(
+			name => !this.config.masks.some(mask => mask.name === name)
+		);
+		if (unknown.length > 0) {
+			throw new Error(
+				`Unknown preview mask: ${unknown.join(", ")}. Available: ${this.getMaskNames().join(", ")}`
+			);
+		}
+
+		return this.config.masks.filter(mask => names.includes(mask.name));
+	}
+
+	/**
+	 * Get the names of all available masks
+	 * @pure
+	 * @returns {Array<string>} Mask names
+	 */
+	getMaskNames() {
+		return this.config.masks.map(mask => mask.name);
+	}
+
+	/**
+	 * Render the unmasked icon for a platform
+	 * Android renders the full 108dp adaptive layer stack so masks can clip its inner 72dp
+	 * @param {object} layers - Icon layers {foreground, background}
+	 * @param {number} size - Visible icon size in pixels
+	 * @param {string} platform - Platform.ANDROID or Platform.IOS
+	 * @returns {Promise<Buffer>} PNG buffer
+	 */
+	async renderBaseIcon(layers, size, platform) {
+		const fullSize =
+			platform === Platform.ANDROID
+				? Math.round(size / this.config.adaptiveViewportRatio)
+				: size;
+
+		const composite = await this.imageProcessor.createCompositeFromLayers(
+			layers.foreground,
+			layers.background,
+			fullSize,
+			platform
+		);
+		return await composite.png().toBuffer();
+	}
+
+	/**
+	 * Scale a base icon to a size and clip it with a mask
+	 * @param {Buffer} baseIcon - Unmasked icon from renderBaseIcon
+	 * @param {object} mask - Mask definition
+	 * @param {number} size - Visible icon size in pixels
+	 * @returns {Promise<Buffer>} PNG buffer (size x size, transparent outside the mask)
+	 */
+	async renderMaskedIcon(baseIcon, mask, size) {
+		const fullSize =
+			mask.platform === Platform.ANDROID
+				? Math.round(size / this.config.adaptiveViewportRatio)
+				: size;
+		const offset = Math.floor((fullSize - size) / 2);
+
+		// Same kernel and sharpening as the generated icons
+		const resized = await this.imageProcessor.resizeWithProfile(
+			sharp(baseIcon),
+			fullSize
+		);
+		const scaled = await resized
+			.extract({ left: offset, top: offset, width: size, height: size })
+			.toBuffer();
+
+		return await sharp(scaled)
+			.composite([{ input: this.createMaskSvg(mask, size), blend: "dest-in" }])
+			.png()
+			.toBuffer();
+	}
+
+	/**
+	 * Create the SVG for a launcher mask
+	 * @pure
+	 * @param {object} mask - Mask definition
+	 * @param {number} size - Mask size in pixels
+	 * @returns {Buffer} SVG buffer
+	 */
+	createMaskSvg(mask, size) {
+		return Buffer.from(
+			`<svg width="${size}" height="${size}"><path d="${createMaskPath(mask, size)}" fill="white"/></svg>`
+		);
+	}
+
+	/**
+	 * Render a centered text label
+	 * @param {string} text - Label text
+	 * @param {number} width - Label width in pixels
+	 * @param {string} color - Text color
+	 * @returns {Promise<Buffer>} PNG buffer
+	 */
+	async renderLabel(text, width, color) {
+		const { labelHeight } = this.config;
+		return await this.imageProcessor
+			.createTextImage(text, width - 8, Math.round(labelHeight * 0.5), {
+				color,
+				fontWeight: "normal",
+			})
+			.extend({
+				top: Math.round(labelHeight * 0.25),
+				bottom: labelHeight - Math.round(labelHeight * 0.5) - Math.round(labelHeight * 0.25),
+				left: 4,
+				right: 4,
+				background: { r: 0, g: 0, b: 0, alpha: 0 },
+			})
+			.png()
+			.toBuffer();
+	}
+}
+
+/**
+ * Build the SVG path data of a mask shape
+ * @param {object} mask - Mask definition {shape, exponent?, cornerRatio?}
+ * @param {number} size - Mask size in pixels
+ * @returns {string} Path data
+ */
+function createMaskPath(mask, size) {
+	const r = size / 2;
+
+	switch (mask.shape) {
+		case "circle":
+			return `M0,${r}A${r},${r} 0 1 1 ${size},${r}A${r},${r} 0 1 1 0,${r}Z`;
+
+		case "superellipse": {
+			// |x|^n + |y|^n = 1, sampled as a polygon
+			const power = 2 / mask.exponent;
+			const steps = 128;
+			const points = [];
+			for (let i = 0; i < steps; i++) {
+				const angle = (i / steps) * Math.PI * 2;
+				const cos = Math.cos(angle);
+				const sin = Math.sin(angle);
+				const x = r + r * Math.sign(cos) * Math.abs(cos) ** power;
+				const y = r + r * Math.sign(sin) * Math.abs(sin) ** power;
+				points.push(`${x.toFixed(2)},${y.toFixed(2)}`);
+			}
+			return `M${points.join("L")}Z`;
+		}
+
+		case "rounded-rect": {
+			const c = size * mask.cornerRatio;
+			return [
+				`M${c},0H${size - c}`,
+				`A${c},${c} 0 0 1 ${size},${c}V${size - c}`,
+				`A${c},${c} 0 0 1 ${size - c},${size}H${c}`,
+				`A${c},${c} 0 0 1 0,${size - c}V${c}`,
+				`A${c},${c} 0 0 1 ${c},0Z`,
+			].join("");
+		}
+
+		case "teardrop": {
+			// Round on three corners, small radius bottom-right
+			const c = size * mask.cornerRatio;
+			return [
+				`M0,${r}A${r},${r} 0 0 1 ${r},0`,
+				`A${r},${r} 0 0 1 ${size},${r}V${size - c}`,
+				`A${c},${c} 0 0 1 ${size - c},${size}H${r}`,
+				`A${r},${r} 0 0 1 0,${r}Z`,
+			].join("");
+		}
+
+		default:
+			throw new Error(`Unknown mask shape: ${mask.shape}`);
+	}
+}
@@ -61,6 +61,7 @@ export class ProjectDetector {
 			if (iosExists) {
 				appName = await this.findReactNativeAppName(iosDir);
 			}
+			const iosAppDir = path.join(iosDir, appName || packageJson.name);
 
 			return {
 				type: "react-native",
@@ -68,12 +69,13 @@ export class ProjectDetector {
 				appName: appName || packageJson.name || "app",
 				paths: {
 					ios: iosExists
-						? path.join(
-								iosDir,
-								appName || packageJson.name,
-								"Images.xcassets",
-								"AppIcon.appiconset"
-						  )
+						? path.join(iosAppDir, "Images.xcassets", "AppIcon.appiconset")
+						: null,
+					iosLaunchImage: iosExists
+						? path.join(iosAppDir, "Images.xcassets", "LaunchImage.imageset")
+						: null,
+					iosLaunchScreen: iosExists
+						? path.join(iosAppDir, "LaunchScreen.storyboard")
 						: null,
 					android: androidExists
 						? path.join(androidDir, "app", "src", "main", "res")
@@ -155,6 +157,12 @@ export class ProjectDetector {
 				appName: appName,
 				paths: {
 					ios: iosExists ? path.join(iosRunnerDir, "AppIcon.appiconset") : null,
+					iosLaunchImage: iosExists
+						? path.join(iosRunnerDir, "LaunchImage.imageset")
+						: null,
+					iosLaunchScreen: iosExists
+						? path.join(cwd, "ios", "Runner", "Base.lproj", "LaunchScreen.storyboard")
+						: null,
 					android: androidExists ? androidResDir : null,
 				},
 				hasIos: iosExists,
@@ -197,9 +205,11 @@ export class ProjectDetector {
 	 * Get installation paths for a project
 	 * @param {object} projectInfo - Project info from detectProject
 	 * @param {string} generatedIconsPath - Path to generated icons
+	 * @param {object} [options] - Plan options
+	 * @param {boolean} [options.splash=false] - Also install the iOS launch image and storyboard
 	 * @returns {object} Installation plan
 	 */
-	getInstallationPlan(projectInfo, generatedIconsPath) {
+	getInstallationPlan(projectInfo, generatedIconsPath, options = {}) {
 		if (!projectInfo) return null;
 
 		const plan = {
@@ -216,6 +226,21 @@ export class ProjectDetector {
 			});
 		}
 
+		if (options.splash && projectInfo.hasIos && projectInfo.paths.iosLaunchImage) {
+			plan.installations.push({
+				platform: Platform.IOS,
+				kind: "launchImage",
+				source: path.join(generatedIconsPath, "LaunchImage.imageset"),
+				target: projectInfo.paths.iosLaunchImage,
+			});
+			plan.installations.push({
+				platform: Platform.IOS,
+				kind: "launchScreen",
+				source: path.join(generatedIconsPath, "LaunchScreen.storyboard"),
+				target: projectInfo.paths.iosLaunchScreen,
+			});
+		}
+
 		if (projectInfo.hasAndroid && projectInfo.paths.android) {
 			plan.installations.push({
 				platform: Platform.ANDROID,
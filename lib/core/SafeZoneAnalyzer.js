@@ -0,0 +1,237 @@
+/**
+ * SafeZoneAnalyzer - Single Responsibility: Detect foreground content launchers will clip
+ * Measures the prepared foreground layer against the Android 66dp safe zone or the
+ * iOS corner radius region, and how much artwork the foreground scale crops away
+ */
+
+import sharp from "sharp";
+import { Platform } from "./ImageProcessor.js";
+import { SAFE_ZONE_CONFIG } from "../config/safe-zone-config.js";
+
+export class SafeZoneAnalyzer {
+	/**
+	 * @param {ImageProcessor} imageProcessor - Processor whose foreground scale is analyzed
+	 * @param {object} [config] - Safe zone configuration (defaults to SAFE_ZONE_CONFIG)
+	 */
+	constructor(imageProcessor, config = SAFE_ZONE_CONFIG) {
+		this.imageProcessor = imageProcessor;
+		this.config = config;
+	}
+
+	/**
+	 * Analyze a foreground layer for a platform
+	 * @param {string} foregroundPath - Path to foreground image (colors and gradients are skipped)
+	 * @param {string} platform - Platform.ANDROID or Platform.IOS
+	 * @returns {Promise<object|null>} Report {platform, bounds, outsideRatio, clippedRatio,
+	 *   overflowDp?, violation, message}, or null when there is nothing to analyze
+	 */
+	async analyze(foregroundPath, platform) {
+		if (!foregroundPath || this.imageProcessor.isColorLayer(foregroundPath)) {
+			return null;
+		}
+
+		const size = this.config.analysisSize;
+		const layer = await this.imageProcessor.prepareAdaptiveLayer(
+			foregroundPath,
+			size,
+			true,
+			platform
+		);
+		const alpha = await this.extractAlpha(await layer.png().toBuffer());
+
+		const isInside =
+			platform === Platform.ANDROID
+				? this.createAndroidZone(size)
+				: this.createIosZone(size);
+		const { bounds, total, outside } = this.measureAlpha(alpha, size, isInside);
+
+		const report = {
+			platform,
+			bounds: bounds && {
+				left: bounds.left / size,
+				top: bounds.top / size,
+				right: bounds.right / size,
+				bottom: bounds.bottom / size,
+			},
+			outsideRatio: total > 0 ? outside / total : 0,
+			clippedRatio: await this.measureClipping(foregroundPath, platform, total),
+		};
+
+		if (platform === Platform.ANDROID) {
+			report.overflowDp = this.calculateOverflowDp(report.bounds);
+		}
+
+		report.violation =
+			report.outsideRatio > this.config.tolerance ||
+			report.clippedRatio > this.config.tolerance;
+		report.message = report.violation ? this.formatMessage(report) : null;
+
+		return report;
+	}
+
+	/**
+	 * Read the alpha channel of a PNG buffer
+	 * @param {Buffer} buffer - PNG buffer
+	 * @returns {Promise<Buffer>} One byte per pixel
+	 */
+	async extractAlpha(buffer) {
+		return await sharp(buffer).ensureAlpha().extractChannel(3).raw().toBuffer();
+	}
+
+	/**
+	 * Measure the content bounding box and how much alpha falls outside a zone
+	 * @pure
+	 * @param {Buffer} alpha - Alpha channel, one byte per pixel
+	 * @param {number} size - Layer size in pixels
+	 * @param {function(number, number): boolean} isInside - Zone test for pixel centers
+	 * @returns {{bounds: object|null, total: number, outside: number}} Bounds in pixels
+	 *   (right/bottom exclusive), null for an empty layer
+	 */
+	measureAlpha(alpha, size, isInside) {
+		const threshold = this.config.alphaThreshold;
+		let left = size;
+		let top = size;
+		let right = 0;
+		let bottom = 0;
+		let total = 0;
+		let outside = 0;
+
+		for (let y = 0; y < size; y++) {
+			for (let x = 0; x < size; x++) {
+				const value = alpha[y * size + x];
+				if (value <= threshold) {
+					continue;
+				}
+
+				total += value;
+				if (!isInside(x + 0.5, y + 0.5)) {
+					outside += value;
+				}
+
+				left = Math.min(left, x);
+				top = Math.min(top, y);
+				right = Math.max(right, x + 1);
+				bottom = Math.max(bottom, y + 1);
+			}
+		}
+
+		return {
+			bounds: total > 0 ? { left, top, right, bottom } : null,
+			total,
+			outside,
+		};
+	}
+
+	/**
+	 * Share of the scaled artwork cropped off the canvas (foreground scale above 1)
+	 * prepareAdaptiveLayer extracts the center of the oversized content without notice
+	 * @param {string} foregroundPath - Path to foreground image
+	 * @param {string} platform - Platform
+	 * @param {number} keptAlpha - Alpha sum of the prepared layer
+	 * @returns {Promise<number>} Clipped share (0-1)
+	 */
+	async measureClipping(foregroundPath, platform, keptAlpha) {
+		const ratio = this.imageProcessor.getSafeZoneRatio(platform);
+		if (ratio <= 1) {
+			return 0;
+		}
+
+		const contentSize = Math.round(this.config.analysisSize * ratio);
+		const { image } = await this.imageProcessor.loadForegroundImage(
+			foregroundPath,
+			contentSize
+		);
+		const content = await image
+			.resize(contentSize, contentSize, {
+				kernel: this.imageProcessor.processingProfile.kernel, // Same kernel as the layer
+				fit: "contain",
+				background: { r: 0, g: 0, b: 0, alpha: 0 },
+			})
+			.png()
+			.toBuffer();
+
+		const alpha = await this.extractAlpha(content);
+		const { total } = this.measureAlpha(alpha, contentSize, () => true);
+
+		return total > 0 ? Math.max(0, 1 - keptAlpha / total) : 0;
+	}
+
+	/**
+	 * Create the Android safe zone test: the centered 66dp square of the 108dp layer
+	 * @pure
+	 * @param {number} size - Layer size in pixels
+	 * @returns {function(number, number): boolean}
+	 */
+	createAndroidZone(size) {
+		const { canvasDp, safeZoneDp } = this.config.android;
+		const margin = (size * (canvasDp - safeZoneDp)) / canvasDp / 2;
+		return (x, y) =>
+			x >= margin && x <= size - margin && y >= margin && y <= size - margin;
+	}
+
+	/**
+	 * Create the iOS safe zone test: everything but the rounded corners
+	 * @pure
+	 * @param {number} size - Icon size in pixels
+	 * @returns {function(number, number): boolean}
+	 */
+	createIosZone(size) {
+		const radius = size * this.config.ios.cornerRadiusRatio;
+		return (x, y) => {
+			const dx = Math.max(radius - x, x - (size - radius), 0);
+			const dy = Math.max(radius - y, y - (size - radius), 0);
+			return dx * dx + dy * dy <= radius * radius;
+		};
+	}
+
+	/**
+	 * Calculate how far Android content reaches past the safe zone
+	 * @pure
+	 * @param {object|null} bounds - Content bounds as canvas fractions
+	 * @returns {number} Largest overflow on any side in dp (0 when inside)
+	 */
+	calculateOverflowDp(bounds) {
+		if (!bounds) {
+			return 0;
+		}
+
+		const { canvasDp, safeZoneDp } = this.config.android;
+		const margin = (canvasDp - safeZoneDp) / 2;
+		const overflow = Math.max(
+			margin - bounds.left * canvasDp,
+			margin - bounds.top * canvasDp,
+			bounds.right * canvasDp - (canvasDp - margin),
+			bounds.bottom * canvasDp - (canvasDp - margin),
+			0
+		);
+		return Math.round(overflow * 10) / 10;
+	}
+
+	/**
+	 * Format a violation as a warning message
+	 * @pure
+	 * @param {object} report - Analysis report
+	 * @returns {string} Warning message
+	 */
+	formatMessage(report) {
+		const percent = ratio => `${(ratio * 100).toFixed(1)}%`;
+		const { tolerance } = this.config;
+		const parts = [];
+
+		if (report.outsideRatio > tolerance) {
+			parts.push(
+				report.platform === Platform.ANDROID
+					? `extends ${report.overflowDp}dp past the ${this.config.android.safeZoneDp}dp safe zone, ${percent(report.outsideRatio)} of the visible artwork may be clipped by launcher masks`
+					: `reaches into the rounded corners, ${percent(report.outsideRatio)} of the visible artwork is masked off`
+			);
+		}
+		if (report.clippedRatio > tolerance) {
+			parts.push(
+				`${percent(report.clippedRatio)} of the artwork is cropped by the foreground scale`
+			);
+		}
+
+		const platformName = report.platform === Platform.ANDROID ? "Android" : "iOS";
+		return `${platformName} foreground: ${parts.join("; ")}`;
+	}
+}
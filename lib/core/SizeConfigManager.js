@@ -4,6 +4,7 @@
  * Single Responsibility: Manage icon size customization
  * - Add custom sizes not in defaults
  * - Exclude specific sizes from generation
+ * - Resolve hand-tuned source files for specific sizes or size ranges
  * - Validate customization inputs
  *
  * Design Principles:
@@ -12,6 +13,16 @@
  * - Provides clear error messages
  */
 
+import path from "path";
+import { Platform } from "./ImageProcessor.js";
+
+// Platforms whose sizes are defined in points with a scale factor (e.g. "20x20" @ "2x")
+const POINT_SIZE_PLATFORMS = [Platform.IOS, Platform.MACOS, Platform.WATCHOS];
+
+// Source override rules: "32", "<=64", "<64", ">=512", ">512" or "16-48" (pixels, optional "px")
+const SIZE_RULE_PATTERN = /^(<=|>=|<|>)?\s*(\d+)\s*(?:px)?$/i;
+const SIZE_RANGE_PATTERN = /^(\d+)\s*(?:px)?\s*-\s*(\d+)\s*(?:px)?$/i;
+
 export class SizeConfigManager {
 	/**
 	 * Apply size customization to a platform config
@@ -20,7 +31,9 @@ export class SizeConfigManager {
 	 * @param {object} customization - Customization options
 	 * @param {object} [customization.ios] - iOS-specific customization
 	 * @param {object} [customization.android] - Android-specific customization
-	 * @returns {object} Modified config with customized sizes
+	 * @param {object} [customization.sourceOverrides] - Size rules mapped to hand-tuned source files (all platforms)
+	 * @returns {object} Modified config with customized sizes (icons matched by a
+	 *   source override carry its path as `source`)
 	 */
 	applySizeCustomization(baseConfig, customization) {
 		if (!customization) {
@@ -86,9 +99,169 @@ export class SizeConfigManager {
 			}
 		}
 
+		// Point small (or any) sizes at hand-tuned source files
+		const rules = [
+			...this.parseSourceOverrides(platformCustomization.sourceOverrides),
+			...this.parseSourceOverrides(customization.sourceOverrides),
+		];
+		if (rules.length > 0) {
+			// Kept for the entries of .ico/.icns containers, which are not icon sizes
+			config.sourceOverrideRules = rules;
+
+			let overriddenCount = 0;
+			for (const iconDef of config.iconSizes) {
+				const source = this.resolveSource(iconDef, platformKey, rules);
+				if (source) {
+					iconDef.source = source;
+					overriddenCount++;
+				}
+			}
+
+			if (overriddenCount > 0) {
+				console.log(
+					`🎯 ${overriddenCount} ${baseConfig.platformName} size(s) use hand-tuned sources`
+				);
+			}
+		}
+
 		return config;
 	}
 
+	/**
+	 * Parse a size rule of a source override
+	 *
+	 * @param {string} rule - "32", "<=64", "<64", ">=512", ">512" or "16-48" (pixels)
+	 * @returns {{min: number, max: number}|null} Inclusive pixel range or null if invalid
+	 */
+	parseSizeRule(rule) {
+		const text = String(rule).trim();
+
+		const range = text.match(SIZE_RANGE_PATTERN);
+		if (range) {
+			const min = parseInt(range[1], 10);
+			const max = parseInt(range[2], 10);
+			return min <= max ? { min, max } : null;
+		}
+
+		const match = text.match(SIZE_RULE_PATTERN);
+		if (!match) {
+			return null;
+		}
+
+		const size = parseInt(match[2], 10);
+		switch (match[1]) {
+			case "<=":
+				return { min: 0, max: size };
+			case "<":
+				return { min: 0, max: size - 1 };
+			case ">=":
+				return { min: size, max: Infinity };
+			case ">":
+				return { min: size + 1, max: Infinity };
+			default:
+				return { min: size, max: size };
+		}
+	}
+
+	/**
+	 * Parse source overrides into ordered rules
+	 * Exact sizes come before ranges, ranges keep their declared order
+	 *
+	 * @param {object} [overrides] - Size rules mapped to source paths (e.g., {"<=64": "icon-small.png"})
+	 * @returns {Array<{rule: string, min: number, max: number, source: string}>} Rules
+	 */
+	parseSourceOverrides(overrides) {
+		if (!overrides) {
+			return [];
+		}
+
+		const rules = Object.entries(overrides).map(([rule, source]) => ({
+			rule,
+			...this.parseSizeRule(rule),
+			source,
+		}));
+
+		return [
+			...rules.filter(rule => rule.min === rule.max),
+			...rules.filter(rule => rule.min !== rule.max),
+		];
+	}
+
+	/**
+	 * Resolve which source file an icon definition is generated from
+	 *
+	 * @param {object} iconDef - Icon definition
+	 * @param {string} platformKey - Platform identifier
+	 * @param {Array<object>} rules - Rules from parseSourceOverrides (first match wins)
+	 * @returns {string|null} Override source path or null for the main source image
+	 */
+	resolveSource(iconDef, platformKey, rules) {
+		const pixelSize = this.getPixelSize(iconDef, platformKey);
+		if (!Number.isFinite(pixelSize)) {
+			return null;
+		}
+
+		const rule = rules.find(
+			({ min, max }) => pixelSize >= min && pixelSize <= max
+		);
+		return rule ? rule.source : null;
+	}
+
+	/**
+	 * Get the output size of an icon definition in pixels
+	 *
+	 * @param {object} iconDef - Icon definition
+	 * @param {string} platformKey - Platform identifier
+	 * @returns {number} Pixel size (NaN for non-square definitions like tvOS image stacks)
+	 */
+	getPixelSize(iconDef, platformKey) {
+		if (POINT_SIZE_PLATFORMS.includes(platformKey)) {
+			// Universal (single-size) entries have no scale
+			const scale = parseInt(String(iconDef.scale || "1x"), 10);
+			return Math.round(parseFloat(iconDef.size) * scale);
+		}
+		return typeof iconDef.size === "number" ? iconDef.size : NaN;
+	}
+
+	/**
+	 * Resolve relative source override paths against a base directory
+	 * Lets config files refer to hand-tuned sources next to them
+	 *
+	 * @param {object} customization - Customization options
+	 * @param {string} baseDir - Directory relative paths are resolved from
+	 * @returns {object} Customization with absolute source paths
+	 */
+	resolveSourcePaths(customization, baseDir) {
+		if (!customization || typeof customization !== "object") {
+			return customization;
+		}
+
+		const resolvePaths = overrides =>
+			overrides && typeof overrides === "object"
+				? Object.fromEntries(
+						Object.entries(overrides).map(([rule, source]) => [
+							rule,
+							typeof source === "string" ? path.resolve(baseDir, source) : source,
+						])
+					)
+				: overrides;
+
+		const resolved = { ...customization };
+		if (customization.sourceOverrides) {
+			resolved.sourceOverrides = resolvePaths(customization.sourceOverrides);
+		}
+		for (const platform of Object.values(Platform)) {
+			const platformCustomization = customization[platform];
+			if (platformCustomization?.sourceOverrides) {
+				resolved[platform] = {
+					...platformCustomization,
+					sourceOverrides: resolvePaths(platformCustomization.sourceOverrides),
+				};
+			}
+		}
+		return resolved;
+	}
+
 	/**
 	 * Add custom sizes to the size array
 	 *
@@ -100,10 +273,10 @@ export class SizeConfigManager {
 	addCustomSizes(sizes, additionalSizes, platformKey) {
 		// Validate that custom sizes have required fields
 		for (const customSize of additionalSizes) {
-			if (platformKey === "ios") {
+			if (POINT_SIZE_PLATFORMS.includes(platformKey)) {
 				if (!customSize.size || !customSize.scale || !customSize.filename) {
 					throw new Error(
-						`iOS custom size must have 'size', 'scale', and 'filename' fields: ${JSON.stringify(
+						`${platformKey} custom size must have 'size', 'scale', and 'filename' fields: ${JSON.stringify(
 							customSize
 						)}`
 					);
@@ -139,8 +312,8 @@ export class SizeConfigManager {
 	excludeSizes(sizes, exclusions, platformKey) {
 		return sizes.filter(sizeConfig => {
 			for (const exclusion of exclusions) {
-				if (platformKey === "ios") {
-					// iOS exclusion patterns:
+				if (POINT_SIZE_PLATFORMS.includes(platformKey)) {
+					// iOS/macOS exclusion patterns:
 					// - "20x20@2x" - exact match
 					// - "20x20" - matches all scales of this size
 					// - "@2x" - matches all @2x icons
@@ -211,8 +384,17 @@ export class SizeConfigManager {
 			return { valid: false, error: "Customization must be an object" };
 		}
 
+		const overridesError = this.validateSourceOverrides(
+			customization.sourceOverrides,
+			"sourceOverrides"
+		);
+		if (overridesError) {
+			return { valid: false, error: overridesError };
+		}
+
 		// Validate platform-specific customization
-		for (const platform of ["ios", "android"]) {
+		const platforms = Object.values(Platform).filter(p => p !== Platform.All);
+		for (const platform of platforms) {
 			const platformCustomization = customization[platform];
 			if (!platformCustomization) continue;
 
@@ -244,11 +426,47 @@ export class SizeConfigManager {
 					error: `${platform} excludeSizes must be an array`,
 				};
 			}
+
+			const platformOverridesError = this.validateSourceOverrides(
+				platformCustomization.sourceOverrides,
+				`${platform} sourceOverrides`
+			);
+			if (platformOverridesError) {
+				return { valid: false, error: platformOverridesError };
+			}
 		}
 
 		return { valid: true };
 	}
 
+	/**
+	 * Validate source overrides
+	 *
+	 * @param {object} [overrides] - Size rules mapped to source paths
+	 * @param {string} label - Name used in error messages
+	 * @returns {string|null} Error message or null if valid
+	 */
+	validateSourceOverrides(overrides, label) {
+		if (overrides === undefined) {
+			return null;
+		}
+
+		if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+			return `${label} must be an object mapping sizes to source files`;
+		}
+
+		for (const [rule, source] of Object.entries(overrides)) {
+			if (!this.parseSizeRule(rule)) {
+				return `${label} has an invalid size "${rule}" (use e.g. "32", "<=64" or "16-48")`;
+			}
+			if (typeof source !== "string" || source.trim().length === 0) {
+				return `${label} "${rule}" must be a source file path`;
+			}
+		}
+
+		return null;
+	}
+
 	/**
 	 * Parse size customization from CLI options
 	 *
@@ -269,12 +487,10 @@ export class SizeConfigManager {
 			if (exclusions.length > 0) {
 				// Apply to both platforms if platform not specified
 				// Users can use platform-specific patterns
-				if (options.platform === "ios") {
-					customization.ios = customization.ios || {};
-					customization.ios.excludeSizes = exclusions;
-				} else if (options.platform === "android") {
-					customization.android = customization.android || {};
-					customization.android.excludeSizes = exclusions;
+				if (options.platform && options.platform !== Platform.All) {
+					const platformKey = options.platform.toLowerCase();
+					customization[platformKey] = customization[platformKey] || {};
+					customization[platformKey].excludeSizes = exclusions;
 				} else {
 					// Apply to both
 					customization.ios = customization.ios || {};
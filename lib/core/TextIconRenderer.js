@@ -0,0 +1,194 @@
+/**
+ * TextIconRenderer - Single Responsibility: Render text foregrounds
+ * Turns initials or a short label into a transparent foreground layer, so internal tools
+ * and prototypes get icons without a source image. Text is laid out by Pango; the font
+ * is either a .ttf/.otf file or a font description such as "Helvetica Bold"
+ */
+
+import sharp from "sharp";
+import { readFile } from "fs/promises";
+import { escapeXml } from "./ImageProcessor.js";
+import { ColorParser } from "./ColorParser.js";
+import { TEXT_ICON_CONFIG } from "../config/text-icon-config.js";
+
+const FONT_FILE_PATTERN = /\.(ttf|otf|ttc)$/i;
+
+// OpenType name IDs
+const NAME_ID_FAMILY = 1;
+const NAME_ID_SUBFAMILY = 2;
+
+export class TextIconRenderer {
+	/**
+	 * @param {ColorParser} [colorParser] - Parser for the text color
+	 * @param {object} [config] - Text icon configuration (defaults to TEXT_ICON_CONFIG)
+	 */
+	constructor(colorParser = new ColorParser(), config = TEXT_ICON_CONFIG) {
+		this.colorParser = colorParser;
+		this.config = config;
+	}
+
+	/**
+	 * Resolve text icon options
+	 * @pure
+	 * @param {object} options
+	 * @param {string} options.text - Text to render (e.g., initials)
+	 * @param {string} [options.font] - Font file (.ttf/.otf) or font description (default: sans bold)
+	 * @param {string} [options.textColor] - Text color (default: #FFFFFF)
+	 * @returns {{text: string, font: string|null, color: string}}
+	 * @throws {Error} When the text is empty or the color is invalid
+	 */
+	resolve(options = {}) {
+		const text = options.text ? String(options.text).trim() : "";
+		if (!text) {
+			throw new Error("Text icon needs a non-empty text");
+		}
+
+		const color = this.colorParser.normalize(
+			options.textColor || this.config.defaultColor
+		);
+		if (!color) {
+			throw new Error(`Invalid text color: ${options.textColor}`);
+		}
+
+		return { text, font: options.font || null, color };
+	}
+
+	/**
+	 * Check if a font option points to a font file
+	 * @pure
+	 * @param {string} [font] - Font option
+	 * @returns {boolean}
+	 */
+	isFontFile(font) {
+		return typeof font === "string" && FONT_FILE_PATTERN.test(font);
+	}
+
+	/**
+	 * Render the text foreground layer
+	 * @param {object} options - Text icon options {text, font, textColor}
+	 * @param {number} [size] - Canvas size in pixels (defaults to config.size)
+	 * @returns {Promise<sharp.Sharp>} Transparent square image with the text centered
+	 * @throws {Error} When the font file cannot be read
+	 */
+	async render(options, size = this.config.size) {
+		const { text, font, color } = this.resolve(options);
+		const box = Math.round(size * this.config.contentRatio);
+
+		// Width and height make sharp pick the largest font size that fits the box
+		const textOptions = {
+			text: `<span foreground="${escapeXml(color)}">${escapeXml(text)}</span>`,
+			font: font || this.config.font,
+			width: box,
+			height: box,
+			align: "centre",
+			rgba: true,
+		};
+		if (this.isFontFile(font)) {
+			// Pango selects the font by name, the file only makes it available
+			textOptions.fontfile = font;
+			textOptions.font = await this.readFontName(font);
+		}
+
+		// Crop the line spacing so the glyphs themselves are centered
+		const { data, info } = await sharp({ text: textOptions })
+			.trim()
+			.png()
+			.toBuffer({ resolveWithObject: true });
+
+		const left = Math.floor((size - info.width) / 2);
+		const top = Math.floor((size - info.height) / 2);
+		const canvas = await sharp(data)
+			.extend({
+				left,
+				top,
+				right: size - info.width - left,
+				bottom: size - info.height - top,
+				background: { r: 0, g: 0, b: 0, alpha: 0 },
+			})
+			.png()
+			.toBuffer();
+
+		return sharp(canvas);
+	}
+
+	/**
+	 * Render the text foreground layer to a PNG file
+	 * @param {object} options - Text icon options {text, font, textColor}
+	 * @param {string} outputPath - Output PNG path
+	 * @returns {Promise<string>} Output path
+	 */
+	async renderToFile(options, outputPath) {
+		const image = await this.render(options);
+		await image.toFile(outputPath);
+		return outputPath;
+	}
+
+	/**
+	 * Read the name Pango knows a font file by
+	 * @param {string} fontPath - Path to a .ttf, .otf or .ttc file
+	 * @returns {Promise<string>} Family and style (e.g., 'Source Code Pro Bold')
+	 * @throws {Error} When the file has no readable name table
+	 */
+	async readFontName(fontPath) {
+		const name = readNameTable(await readFile(fontPath));
+		if (!name) {
+			throw new Error(`Could not read the font name from ${fontPath}`);
+		}
+		return name;
+	}
+}
+
+/**
+ * Read the family and style names from an OpenType name table
+ * Pango parses "<family> <style>" but not PostScript-style names like "Lato-Regular".
+ * Windows (UTF-16BE) records are preferred over Macintosh (Latin-1) records
+ * @param {Buffer} buffer - Font file contents
+ * @returns {string|null} Font description, or null when the table is missing or malformed
+ */
+function readNameTable(buffer) {
+	try {
+		// Font collections: use the first font
+		const fontOffset =
+			buffer.toString("latin1", 0, 4) === "ttcf" ? buffer.readUInt32BE(12) : 0;
+
+		const numTables = buffer.readUInt16BE(fontOffset + 4);
+		let tableOffset = null;
+		for (let i = 0; i < numTables; i++) {
+			const record = fontOffset + 12 + i * 16;
+			if (buffer.toString("latin1", record, record + 4) === "name") {
+				tableOffset = buffer.readUInt32BE(record + 8);
+				break;
+			}
+		}
+		if (tableOffset === null) {
+			return null;
+		}
+
+		const count = buffer.readUInt16BE(tableOffset + 2);
+		const stringOffset = tableOffset + buffer.readUInt16BE(tableOffset + 4);
+		const names = {};
+		for (let i = 0; i < count; i++) {
+			const record = tableOffset + 6 + i * 12;
+			const platformId = buffer.readUInt16BE(record);
+			const nameId = buffer.readUInt16BE(record + 6);
+			const length = buffer.readUInt16BE(record + 8);
+			const start = stringOffset + buffer.readUInt16BE(record + 10);
+			const bytes = buffer.subarray(start, start + length);
+
+			if (platformId === 3) {
+				names[`3:${nameId}`] ??= Buffer.from(bytes).swap16().toString("utf16le");
+			} else if (platformId === 1) {
+				names[`1:${nameId}`] ??= bytes.toString("latin1");
+			}
+		}
+
+		const family = names[`3:${NAME_ID_FAMILY}`] || names[`1:${NAME_ID_FAMILY}`];
+		const style = names[`3:${NAME_ID_SUBFAMILY}`] || names[`1:${NAME_ID_SUBFAMILY}`];
+		if (!family) {
+			return null;
+		}
+		return style ? `${family.trim()} ${style.trim()}` : family.trim();
+	} catch {
+		return null;
+	}
+}
@@ -0,0 +1,473 @@
+/**
+ * VectorDrawableConverter - Single Responsibility: Convert simple SVGs to Android VectorDrawables
+ * Supports path, rect, circle, ellipse, polygon and polyline shapes with solid fills/strokes
+ * (any color ColorParser understands; alpha becomes fillAlpha/strokeAlpha).
+ * Transforms, gradients, text, images and clip paths are rejected with a descriptive error.
+ */
+
+import { ColorParser } from "./ColorParser.js";
+
+const colorParser = new ColorParser();
+
+// Shapes converted to <path> elements
+const SHAPE_ELEMENTS = ["path", "rect", "circle", "ellipse", "polygon", "polyline"];
+
+// Elements whose content is ignored entirely
+const SKIPPED_ELEMENTS = ["title", "desc", "metadata", "defs"];
+
+// Presentation attributes inherited from <g> groups
+const INHERITED_ATTRIBUTES = [
+	"fill",
+	"fill-opacity",
+	"fill-rule",
+	"stroke",
+	"stroke-width",
+	"stroke-opacity",
+];
+
+const DEFAULT_FILL = "#000000";
+
+export class VectorDrawableConverter {
+	/**
+	 * Convert an SVG document to a VectorDrawable
+	 * The artwork is scaled into a square viewport and centered
+	 *
+	 * @param {string} svgContent - SVG source
+	 * @param {object} [options]
+	 * @param {number} [options.size=108] - Drawable size in dp (also used as viewport size)
+	 * @param {number} [options.contentRatio=1] - Share of the viewport the artwork fills
+	 * @param {string} [options.fit="contain"] - "contain" fits the longest side, "cover" the shortest
+	 * @param {object} [options.crop] - Region of the viewBox to keep {left, top, width, height} as fractions
+	 *   (e.g. from ImageProcessor.getTrimBox); artwork outside it is clipped
+	 * @returns {string} VectorDrawable XML
+	 */
+	convert(svgContent, options = {}) {
+		const { size = 108, contentRatio = 1, fit = "contain", crop = null } = options;
+		const parsed = this.parse(svgContent);
+		const { paths } = parsed;
+		const viewBox = crop
+			? {
+					x: parsed.viewBox.x + crop.left * parsed.viewBox.width,
+					y: parsed.viewBox.y + crop.top * parsed.viewBox.height,
+					width: crop.width * parsed.viewBox.width,
+					height: crop.height * parsed.viewBox.height,
+				}
+			: parsed.viewBox;
+
+		const side =
+			fit === "cover"
+				? Math.min(viewBox.width, viewBox.height)
+				: Math.max(viewBox.width, viewBox.height);
+		const scale = (size * contentRatio) / side;
+		const translateX = (size - viewBox.width * scale) / 2 - viewBox.x * scale;
+		const translateY = (size - viewBox.height * scale) / 2 - viewBox.y * scale;
+
+		const group = [
+			"    <group",
+			`        android:scaleX="${formatNumber(scale)}"`,
+			`        android:scaleY="${formatNumber(scale)}"`,
+			`        android:translateX="${formatNumber(translateX)}"`,
+			`        android:translateY="${formatNumber(translateY)}">`,
+			...(crop
+				? [
+						`        <clip-path android:pathData="M${formatNumber(viewBox.x)},${formatNumber(viewBox.y)}h${formatNumber(viewBox.width)}v${formatNumber(viewBox.height)}h${formatNumber(-viewBox.width)}z"/>`,
+					]
+				: []),
+			...paths.map(pathDef => this.createPathXml(pathDef, "        ")),
+			"    </group>",
+		].join("\n");
+
+		return this.createVectorXml(size, group);
+	}
+
+	/**
+	 * Create a VectorDrawable filled with a single color
+	 * @param {string} color - Color (e.g., '#FF5722', '#FF572280', 'transparent')
+	 * @param {number} [size=108] - Drawable size in dp
+	 * @returns {string} VectorDrawable XML
+	 */
+	createSolidColor(color, size = 108) {
+		const { hex, alpha } = parseColor(color);
+		const pathXml = this.createPathXml(
+			{
+				pathData: `M0,0h${size}v${size}h-${size}z`,
+				fillColor: hex,
+				fillAlpha: alpha,
+			},
+			"    "
+		);
+
+		return this.createVectorXml(size, pathXml);
+	}
+
+	/**
+	 * Parse an SVG document into a viewBox and flat list of paths
+	 * @param {string} svgContent - SVG source
+	 * @returns {{viewBox: {x: number, y: number, width: number, height: number}, paths: Array<object>}}
+	 */
+	parse(svgContent) {
+		const source = svgContent
+			.replace(/<!--[\s\S]*?-->/g, "")
+			.replace(/<\?[\s\S]*?\?>/g, "")
+			.replace(/<!DOCTYPE[\s\S]*?>/gi, "");
+
+		const tagPattern = /<(\/?)([a-zA-Z][\w:.-]*)([^>]*?)(\/?)>/g;
+		const inherited = [{}];
+		const paths = [];
+		let viewBox = null;
+		let skipDepth = 0;
+		let match;
+
+		while ((match = tagPattern.exec(source)) !== null) {
+			const [, closing, name, rawAttributes, selfClosing] = match;
+			const tagName = name.toLowerCase();
+
+			if (skipDepth > 0) {
+				if (SKIPPED_ELEMENTS.includes(tagName) && !selfClosing) {
+					skipDepth += closing ? -1 : 1;
+				}
+				continue;
+			}
+
+			if (closing) {
+				if (tagName === "g") {
+					inherited.pop();
+				}
+				continue;
+			}
+
+			if (SKIPPED_ELEMENTS.includes(tagName)) {
+				if (!selfClosing) {
+					skipDepth = 1;
+				}
+				continue;
+			}
+
+			const attributes = parseAttributes(rawAttributes);
+			if (attributes.transform) {
+				throw new Error(
+					`SVG transforms are not supported in VectorDrawable conversion (<${tagName} transform="${attributes.transform}">)`
+				);
+			}
+
+			if (tagName === "svg") {
+				if (viewBox) {
+					throw new Error("Nested <svg> elements are not supported");
+				}
+				viewBox = parseViewBox(attributes);
+				continue;
+			}
+
+			if (tagName === "g") {
+				if (!selfClosing) {
+					inherited.push({
+						...inherited[inherited.length - 1],
+						...pickInherited(attributes),
+					});
+				}
+				continue;
+			}
+
+			if (!SHAPE_ELEMENTS.includes(tagName)) {
+				throw new Error(
+					`Unsupported SVG element <${tagName}> (only simple shapes can become VectorDrawables)`
+				);
+			}
+
+			const style = { ...inherited[inherited.length - 1], ...attributes };
+			const pathDef = this.createPathDef(tagName, attributes, style);
+			if (pathDef) {
+				paths.push(pathDef);
+			}
+		}
+
+		if (!viewBox) {
+			throw new Error("Invalid SVG: missing <svg> root element");
+		}
+		if (paths.length === 0) {
+			throw new Error("SVG contains no drawable shapes");
+		}
+
+		return { viewBox, paths };
+	}
+
+	/**
+	 * Build a path definition from a shape element
+	 * @param {string} tagName - Shape element name
+	 * @param {object} attributes - Element attributes
+	 * @param {object} style - Element attributes merged over inherited group attributes
+	 * @returns {object|null} Path definition, or null when nothing is painted
+	 */
+	createPathDef(tagName, attributes, style) {
+		const pathData = shapeToPathData(tagName, attributes);
+		const opacity = parseOpacity(style.opacity);
+
+		const fill = style.fill ?? DEFAULT_FILL;
+		const stroke = style.stroke ?? "none";
+		if (!pathData || (fill === "none" && stroke === "none")) {
+			return null;
+		}
+
+		const pathDef = { pathData };
+
+		if (fill !== "none") {
+			const { hex, alpha } = parseColor(fill);
+			pathDef.fillColor = hex;
+			pathDef.fillAlpha = opacity * alpha * parseOpacity(style["fill-opacity"]);
+			if (style["fill-rule"] === "evenodd") {
+				pathDef.fillType = "evenOdd";
+			}
+		}
+
+		if (stroke !== "none") {
+			const { hex, alpha } = parseColor(stroke);
+			pathDef.strokeColor = hex;
+			pathDef.strokeWidth = parseFloat(style["stroke-width"] ?? "1");
+			pathDef.strokeAlpha = opacity * alpha * parseOpacity(style["stroke-opacity"]);
+		}
+
+		return pathDef;
+	}
+
+	/**
+	 * Create a <path> element
+	 * @param {object} pathDef - Path definition
+	 * @param {string} indent - Leading whitespace
+	 * @returns {string} XML element
+	 */
+	createPathXml(pathDef, indent) {
+		const attributes = [];
+
+		if (pathDef.fillColor) {
+			attributes.push(`android:fillColor="${pathDef.fillColor}"`);
+			if (pathDef.fillAlpha !== undefined && pathDef.fillAlpha < 1) {
+				attributes.push(`android:fillAlpha="${formatNumber(pathDef.fillAlpha)}"`);
+			}
+			if (pathDef.fillType) {
+				attributes.push(`android:fillType="${pathDef.fillType}"`);
+			}
+		}
+
+		if (pathDef.strokeColor) {
+			attributes.push(`android:strokeColor="${pathDef.strokeColor}"`);
+			attributes.push(`android:strokeWidth="${formatNumber(pathDef.strokeWidth)}"`);
+			if (pathDef.strokeAlpha < 1) {
+				attributes.push(
+					`android:strokeAlpha="${formatNumber(pathDef.strokeAlpha)}"`
+				);
+			}
+		}
+
+		attributes.push(`android:pathData="${pathDef.pathData}"`);
+
+		return `${indent}<path\n${attributes
+			.map(attribute => `${indent}    ${attribute}`)
+			.join("\n")}/>`;
+	}
+
+	/**
+	 * Wrap content in a <vector> root element
+	 * @param {number} size - Drawable and viewport size
+	 * @param {string} content - Child elements
+	 * @returns {string} VectorDrawable XML
+	 */
+	createVectorXml(size, content) {
+		return `<?xml version="1.0" encoding="utf-8"?>
+<vector xmlns:android="http://schemas.android.com/apk/res/android"
+    android:width="${size}dp"
+    android:height="${size}dp"
+    android:viewportWidth="${size}"
+    android:viewportHeight="${size}">
+${content}
+</vector>`;
+	}
+}
+
+/**
+ * Parse XML attributes (style declarations override attributes)
+ * @param {string} raw - Raw attribute string
+ * @returns {object} Attribute map
+ */
+function parseAttributes(raw) {
+	const attributes = {};
+	const attributePattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+	let match;
+
+	while ((match = attributePattern.exec(raw)) !== null) {
+		attributes[match[1]] = (match[2] ?? match[3]).trim();
+	}
+
+	if (attributes.style) {
+		for (const declaration of attributes.style.split(";")) {
+			const [property, ...value] = declaration.split(":");
+			if (property && value.length > 0) {
+				attributes[property.trim()] = value.join(":").trim();
+			}
+		}
+		delete attributes.style;
+	}
+
+	return attributes;
+}
+
+/**
+ * Pick attributes inherited by child shapes
+ * @param {object} attributes - Group attributes
+ * @returns {object} Inheritable attributes
+ */
+function pickInherited(attributes) {
+	if (attributes.opacity !== undefined) {
+		throw new Error("Group opacity is not supported in VectorDrawable conversion");
+	}
+
+	return Object.fromEntries(
+		Object.entries(attributes).filter(([name]) =>
+			INHERITED_ATTRIBUTES.includes(name)
+		)
+	);
+}
+
+/**
+ * Read the viewBox (falls back to width/height)
+ * @param {object} attributes - <svg> attributes
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+function parseViewBox(attributes) {
+	if (attributes.viewBox) {
+		const [x, y, width, height] = attributes.viewBox
+			.split(/[\s,]+/)
+			.map(parseFloat);
+		if ([x, y, width, height].every(Number.isFinite) && width > 0 && height > 0) {
+			return { x, y, width, height };
+		}
+	}
+
+	const width = parseFloat(attributes.width);
+	const height = parseFloat(attributes.height);
+	if (!(width > 0) || !(height > 0)) {
+		throw new Error("SVG needs a viewBox or width/height to convert");
+	}
+
+	return { x: 0, y: 0, width, height };
+}
+
+/**
+ * Convert a shape element to path data
+ * @param {string} tagName - Shape element name
+ * @param {object} attributes - Element attributes
+ * @returns {string|null} Path data
+ */
+function shapeToPathData(tagName, attributes) {
+	const number = name => parseFloat(attributes[name] ?? "0") || 0;
+	const n = formatNumber;
+
+	switch (tagName) {
+		case "path":
+			return attributes.d ? attributes.d.replace(/\s+/g, " ").trim() : null;
+
+		case "rect": {
+			const [x, y, width, height] = ["x", "y", "width", "height"].map(number);
+			if (width <= 0 || height <= 0) return null;
+
+			let rx = attributes.rx !== undefined ? number("rx") : number("ry");
+			let ry = attributes.ry !== undefined ? number("ry") : rx;
+			rx = Math.min(rx, width / 2);
+			ry = Math.min(ry, height / 2);
+
+			if (rx <= 0 || ry <= 0) {
+				return `M${n(x)},${n(y)}h${n(width)}v${n(height)}h${n(-width)}z`;
+			}
+
+			const arc = (dx, dy) => `a${n(rx)},${n(ry)} 0 0 1 ${n(dx)},${n(dy)}`;
+			return [
+				`M${n(x + rx)},${n(y)}`,
+				`h${n(width - 2 * rx)}`,
+				arc(rx, ry),
+				`v${n(height - 2 * ry)}`,
+				arc(-rx, ry),
+				`h${n(-(width - 2 * rx))}`,
+				arc(-rx, -ry),
+				`v${n(-(height - 2 * ry))}`,
+				arc(rx, -ry),
+				"z",
+			].join("");
+		}
+
+		case "circle":
+		case "ellipse": {
+			const cx = number("cx");
+			const cy = number("cy");
+			const rx = tagName === "circle" ? number("r") : number("rx");
+			const ry = tagName === "circle" ? number("r") : number("ry");
+			if (rx <= 0 || ry <= 0) return null;
+
+			return [
+				`M${n(cx - rx)},${n(cy)}`,
+				`a${n(rx)},${n(ry)} 0 1 0 ${n(2 * rx)},0`,
+				`a${n(rx)},${n(ry)} 0 1 0 ${n(-2 * rx)},0`,
+				"z",
+			].join("");
+		}
+
+		case "polygon":
+		case "polyline": {
+			const values = (attributes.points || "")
+				.trim()
+				.split(/[\s,]+/)
+				.map(parseFloat)
+				.filter(Number.isFinite);
+			if (values.length < 4) return null;
+
+			const points = [];
+			for (let i = 0; i + 1 < values.length; i += 2) {
+				points.push(`${n(values[i])},${n(values[i + 1])}`);
+			}
+			return `M${points.join("L")}${tagName === "polygon" ? "z" : ""}`;
+		}
+
+		default:
+			return null;
+	}
+}
+
+/**
+ * Parse a paint value into a VectorDrawable color
+ * @param {string} value - SVG paint value
+ * @returns {{hex: string, alpha: number}} Hex color (#RRGGBB) and its alpha (0-1)
+ */
+function parseColor(value) {
+	const color = value.trim();
+
+	if (color === "currentColor") {
+		return { hex: DEFAULT_FILL, alpha: 1 };
+	}
+
+	const parsed = colorParser.parse(color);
+	if (parsed) {
+		return { hex: colorParser.toHex(parsed, false), alpha: parsed.alpha };
+	}
+
+	throw new Error(
+		`Unsupported SVG color "${color}" (use solid colors; gradients and patterns cannot be converted)`
+	);
+}
+
+/**
+ * Parse an opacity value (defaults to 1)
+ * @param {string} [value] - Opacity (0-1 or percentage)
+ * @returns {number} Opacity between 0 and 1
+ */
+function parseOpacity(value) {
+	if (value === undefined) return 1;
+	const opacity = value.endsWith("%") ? parseFloat(value) / 100 : parseFloat(value);
+	return Number.isFinite(opacity) ? Math.min(1, Math.max(0, opacity)) : 1;
+}
+
+/**
+ * Format a number for XML output (max 4 decimals, no trailing zeros)
+ * @param {number} value - Number
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+	return String(Number(value.toFixed(4)));
+}
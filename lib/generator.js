@@ -5,8 +5,14 @@
  * Ensures existing code continues to work without breaking changes
  */
 
+import os from "os";
+import path from "path";
 import { iconGeneratorFactory } from "./IconGeneratorFactory.js";
-import { Platform } from "./core/ImageProcessor.js";
+import { ImageProcessor, Platform } from "./core/ImageProcessor.js";
+import { PreviewRenderer } from "./core/PreviewRenderer.js";
+import { FileManager } from "./core/FileManager.js";
+import { TextIconRenderer } from "./core/TextIconRenderer.js";
+import { TEXT_ICON_CONFIG } from "./config/text-icon-config.js";
 
 /**
  * Generate iOS icons (backward-compatible function)
@@ -22,11 +28,12 @@ export async function generateIcons(inputPath, outputDir, options = {}) {
 
 /**
  * Generate icons for a specific platform
- * @param {string} platform - Platform name (Platform.IOS, Platform.ANDROID)
+ * @param {string} platform - Platform name (Platform.IOS, Platform.ANDROID, Platform.WEB)
  * @param {string} inputPath - Path to source image
  * @param {string} outputDir - Output directory
  * @param {object} options - Generation options
  * @param {object} [options.customSizes] - Optional size customization
+ * @param {object} [options.textIcon] - Render the foreground from text {text, font, textColor}
  * @returns {Promise<object>} Generation result
  */
 export async function generateIconsForPlatform(
@@ -35,9 +42,11 @@ export async function generateIconsForPlatform(
 	outputDir,
 	options = {}
 ) {
-	const { customSizes, ...otherOptions } = options;
-	const generator = iconGeneratorFactory.createGenerator(platform, customSizes);
-	return await generator.generate(inputPath, outputDir, otherOptions);
+	return await withTextForeground(options, async textOptions => {
+		const { customSizes, ...otherOptions } = textOptions;
+		const generator = iconGeneratorFactory.createGenerator(platform, customSizes);
+		return await generator.generate(inputPath, outputDir, otherOptions);
+	});
 }
 
 /**
@@ -47,6 +56,7 @@ export async function generateIconsForPlatform(
  * @param {string} outputDir - Output directory
  * @param {object} options - Generation options
  * @param {object} [options.customSizes] - Optional size customization
+ * @param {object} [options.textIcon] - Render the foreground from text {text, font, textColor}
  * @returns {Promise<Array<object>>} Array of generation results
  */
 export async function generateIconsForMultiplePlatforms(
@@ -55,6 +65,20 @@ export async function generateIconsForMultiplePlatforms(
 	outputDir,
 	options = {}
 ) {
+	return await withTextForeground(options, textOptions =>
+		generateEachPlatform(platforms, inputPath, outputDir, textOptions)
+	);
+}
+
+/**
+ * Generate platforms one after another, collecting failures as results
+ * @param {Array<string>} platforms - Array of platform names
+ * @param {string} inputPath - Path to source image
+ * @param {string} outputDir - Output directory
+ * @param {object} options - Generation options
+ * @returns {Promise<Array<object>>} Array of generation results
+ */
+async function generateEachPlatform(platforms, inputPath, outputDir, options) {
 	const { customSizes, ...otherOptions } = options;
 	const results = [];
 
@@ -83,6 +107,40 @@ export async function generateIconsForMultiplePlatforms(
 	return results;
 }
 
+/**
+ * Run a generation with the foreground rendered from text, if requested
+ * The text is rendered to a temporary PNG used as adaptiveIcon.foreground,
+ * and removed once the generation finishes or fails
+ * @param {object} options - Generation options (textIcon {text, font, textColor} is optional)
+ * @param {function(object): Promise<*>} generate - Generation to run with the final options
+ * @returns {Promise<*>} Result of generate
+ */
+async function withTextForeground(options, generate) {
+	const { textIcon, ...otherOptions } = options;
+	if (!textIcon) {
+		return await generate(options);
+	}
+
+	const fileManager = new FileManager();
+	const tempDir = await fileManager.createTempDirectory(
+		os.tmpdir(),
+		TEXT_ICON_CONFIG.tempPrefix
+	);
+
+	try {
+		const foreground = await new TextIconRenderer().renderToFile(
+			textIcon,
+			path.join(tempDir, TEXT_ICON_CONFIG.fileName)
+		);
+		return await generate({
+			...otherOptions,
+			adaptiveIcon: { ...otherOptions.adaptiveIcon, foreground },
+		});
+	} finally {
+		await fileManager.removeDirectory(tempDir, true);
+	}
+}
+
 /**
  * Validate image file (backward-compatible)
  * @param {string} filePath - Path to file
@@ -108,6 +166,34 @@ export async function createZipArchive(sourceDir, outputPath) {
 	);
 }
 
+/**
+ * Render a launcher mask preview sheet (masks as columns, sizes as rows) to a PNG file
+ * @param {object} layers - Icon layers {foreground, background}; background defaults to #111111
+ * @param {string} outputPath - Output PNG path
+ * @param {object} [options] - Preview options
+ * @param {Array<number>} [options.sizes] - Icon sizes in pixels
+ * @param {Array<string>} [options.masks] - Mask names (circle, squircle, rounded-square, teardrop, ios)
+ * @param {number} [options.fgScale] - Foreground content scale, as for generation
+ * @param {boolean} [options.trim] - Crop foreground margins, as for generation
+ * @param {boolean} [options.autoFit] - Trim and fill the padding ratio, as for generation
+ * @param {object} [options.processing] - Resize kernel and sharpening {kernel, sharpen}, as for generation
+ * @returns {Promise<string>} Output path
+ */
+export async function generatePreview(layers, outputPath, options = {}) {
+	const { fgScale, trim, autoFit, processing, ...renderOptions } = options;
+
+	// Fresh processor so the foreground scale does not leak into other generations
+	const imageProcessor = new ImageProcessor().forRun({
+		fgScale,
+		trim,
+		autoFit,
+		processing,
+	});
+
+	const renderer = new PreviewRenderer(imageProcessor);
+	return await renderer.renderToFile(layers, outputPath, renderOptions);
+}
+
 /**
  * Get supported platforms
  * @returns {Array<string>}
@@ -116,22 +202,32 @@ export function getSupportedPlatforms() {
 	return iconGeneratorFactory.getSupportedPlatforms();
 }
 
+/**
+ * Get platforms generated when "all" is requested
+ * @returns {Array<string>}
+ */
+export function getDefaultPlatforms() {
+	return iconGeneratorFactory.getDefaultPlatforms();
+}
+
 /**
  * Get platform information
  * @param {string} platform - Platform name
+ * @param {object} [options] - Display options (e.g., iosLayout)
  * @returns {object} Platform info
  */
-export function getPlatformInfo(platform) {
+export function getPlatformInfo(platform, options = {}) {
 	const generator = iconGeneratorFactory.createGenerator(platform);
-	return generator.getPlatformInfo();
+	return generator.getPlatformInfo(options);
 }
 
 /**
  * Get all platforms information
+ * @param {object} [options] - Display options (e.g., iosLayout)
  * @returns {Array<object>}
  */
-export function getAllPlatformsInfo() {
-	return iconGeneratorFactory.getAllPlatformInfo();
+export function getAllPlatformsInfo(options = {}) {
+	return iconGeneratorFactory.getAllPlatformInfo(options);
 }
 
 // Export factory for advanced usage
@@ -10,6 +10,7 @@ import sharp from "sharp";
 import { PlatformGenerator } from "./PlatformGenerator.js";
 import { ANDROID_CONFIG } from "../config/android-config.js";
 import { Platform } from "../core/ImageProcessor.js";
+import { VectorDrawableConverter } from "../core/VectorDrawableConverter.js";
 
 export class AndroidGenerator extends PlatformGenerator {
 	/**
@@ -27,6 +28,17 @@ export class AndroidGenerator extends PlatformGenerator {
 			archiveManager,
 			customSizes
 		);
+		this.splashLayers = null;
+		this.tvBannerLayers = null;
+		this.playStoreLayers = null;
+		this.playStoreResult = null;
+		this.featureGraphicLayout = ANDROID_CONFIG.playStore.featureGraphic.defaultLayout;
+		this.appName = null;
+		this.monochromeThreshold = ANDROID_CONFIG.monochromeThreshold;
+		this.themedIcon = false;
+		this.vectorDrawable = false;
+		this.vectorLayers = {};
+		this.vectorDrawableConverter = new VectorDrawableConverter();
 	}
 
 	/**
@@ -42,31 +54,93 @@ export class AndroidGenerator extends PlatformGenerator {
 	 * Override generate method to support adaptive icons
 	 * @param {string} inputPath - Path to source image
 	 * @param {string} outputDir - Output directory
-	 * @param {object} options - Generation options {force, zip, adaptiveIcon}
+	 * @param {object} options - Generation options {force, zip, adaptiveIcon, splash}
+	 * @param {number} [options.monochromeThreshold=0] - Luminance threshold (0-255) for the derived monochrome layer
+	 * @param {boolean} [options.themedIcon=false] - Reference the derived monochrome layer in the adaptive icon XML
+	 * @param {boolean} [options.vectorDrawable=false] - Emit SVG layers as drawable/*.xml VectorDrawables (adaptive mode)
+	 * @param {boolean} [options.tvBanner=false] - Also generate the Android TV drawable-xhdpi/banner.png
+	 * @param {string} [options.appName] - App name shown next to the icon on the TV banner and feature graphic
+	 * @param {boolean} [options.playStore=false] - Also generate the play-store/ listing assets (512 icon, feature graphic)
+	 * @param {string} [options.featureGraphicLayout='center'] - Feature graphic layout (center, left, right)
+	 * @param {boolean} [options.strict=false] - Fail instead of warning when the foreground leaves the 66dp safe zone
+	 * @param {string} [options.badge] - Environment badge text drawn onto every launcher icon (with badgeStyle, badgePosition, badgeColor)
+	 * @param {string} [options.versionLabel] - Version/build text drawn onto legacy icons and the adaptive foreground safe zone of at least versionLabelMinSize pixels
 	 * @returns {Promise<object>} Generation result
 	 */
 	async generate(inputPath, outputDir, options = {}) {
-		const { force = false, zip = false, adaptiveIcon, fgScale = null, fgScaleAndroid = null } = options;
+		const {
+			force = false,
+			zip = false,
+			adaptiveIcon,
+			splash = false,
+			monochromeThreshold,
+			themedIcon = false,
+			vectorDrawable = false,
+			tvBanner = false,
+			appName = null,
+			playStore = false,
+			featureGraphicLayout,
+			strict = false,
+		} = options;
 
-		// Set foreground scale for Android if provided
-		// Platform-specific scale overrides global scale
-		const androidScale = fgScaleAndroid || fgScale;
-		if (androidScale !== null && androidScale !== undefined) {
-			this.imageProcessor.setForegroundScale(Platform.ANDROID, parseFloat(androidScale));
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+		if (this.imageProcessor.badge && vectorDrawable) {
+			throw new Error(
+				"--badge cannot be combined with --vector-drawable: VectorDrawable layers cannot contain text"
+			);
 		}
-
-		// Check if using adaptive icon mode
-		if (this.detectAdaptiveMode(options)) {
-			return await this.generateAdaptiveMode(
-				adaptiveIcon,
-				outputDir,
-				force,
-				zip
+		if (this.imageProcessor.versionLabel && vectorDrawable) {
+			throw new Error(
+				"--version-label cannot be combined with --vector-drawable: VectorDrawable layers cannot contain text"
 			);
 		}
 
-		// Fall back to legacy mode (single image)
-		return await super.generate(inputPath, outputDir, options);
+		this.monochromeThreshold =
+			monochromeThreshold ?? this.config.monochromeThreshold;
+		this.themedIcon = !!themedIcon;
+		this.vectorDrawable = !!vectorDrawable;
+		this.vectorLayers = {};
+
+		// Splash screen, TV banner and Play Store graphics reuse the launcher
+		// foreground (or the single source image)
+		const sourceLayers = {
+			foreground: adaptiveIcon?.foreground || inputPath,
+			background: adaptiveIcon?.background || null,
+		};
+		this.splashLayers = splash ? sourceLayers : null;
+		this.tvBannerLayers = tvBanner ? sourceLayers : null;
+		this.playStoreLayers = playStore ? sourceLayers : null;
+		this.playStoreResult = null;
+		this.featureGraphicLayout =
+			featureGraphicLayout || this.config.playStore.featureGraphic.defaultLayout;
+		this.appName = appName;
+
+		// Adaptive layers are scaled and cropped, so check what launchers will clip
+		const safeZoneWarnings = this.detectAdaptiveMode(options)
+			? await this.checkSafeZone(adaptiveIcon.foreground, Platform.ANDROID, strict)
+			: [];
+
+		// Check if using adaptive icon mode, fall back to legacy mode (single image)
+		const result = this.detectAdaptiveMode(options)
+			? await this.generateAdaptiveMode(adaptiveIcon, outputDir, force, zip)
+			: await this.generateStandardMode(inputPath, outputDir, options);
+
+		if (safeZoneWarnings.length > 0) {
+			result.warnings = [...safeZoneWarnings, ...(result.warnings || [])];
+		}
+
+		if (this.tvBannerLayers) {
+			result.tvBanner = this.createTvBannerInfo();
+		}
+
+		if (this.playStoreResult) {
+			const { warnings, ...playStoreAssets } = this.playStoreResult;
+			result.playStore = playStoreAssets;
+			result.warnings = [...(result.warnings || []), ...warnings];
+		}
+
+		return result;
 	}
 
 	/**
@@ -90,6 +164,8 @@ export class AndroidGenerator extends PlatformGenerator {
 		}
 		console.log(`Output:     ${outputDir}\n`);
 
+		this.defaultSource = adaptiveIcon.foreground;
+
 		// Prepare output directory
 		const targetDir = await this.prepareOutputDirectory(outputDir, force);
 
@@ -103,8 +179,30 @@ export class AndroidGenerator extends PlatformGenerator {
 		// Generate adaptive icon layers
 		await this.generateAdaptiveIcons(adaptiveIcon, targetDir);
 
+		// Generate notification icons from the monochrome (or foreground) silhouette
+		await this.generateNotificationIcons(adaptiveIcon, targetDir);
+
 		// Generate legacy icons for compatibility
-		await this.generateLegacyFromAdaptive(adaptiveIcon, targetDir);
+		const composite = await this.generateLegacyFromAdaptive(adaptiveIcon, targetDir);
+
+		// Generate splash screen assets if requested
+		if (this.splashLayers) {
+			await this.generateSplashAssets(this.splashLayers, targetDir);
+		}
+
+		// Generate Android TV banner if requested
+		if (this.tvBannerLayers) {
+			await this.generateTvBanner(this.tvBannerLayers, targetDir);
+		}
+
+		// Generate Play Store listing assets next to android-icons/ if requested
+		if (this.playStoreLayers) {
+			this.playStoreResult = await this.generatePlayStoreAssets(
+				this.playStoreLayers,
+				composite,
+				targetDir
+			);
+		}
 
 		// Create archive if requested
 		let zipPath = null;
@@ -116,7 +214,11 @@ export class AndroidGenerator extends PlatformGenerator {
 		const totalIcons =
 			this.config.adaptiveIconSizes.length * 3 + // 3 layers per density
 			this.config.iconSizes.length + // legacy icons
-			2; // XML files
+			this.config.notification.iconSizes.length + // notification icons
+			2 + // XML files
+			this.getSplashGeneratedFiles().length + // splash assets
+			this.getTvBannerGeneratedFiles().length + // TV banner
+			(this.playStoreResult?.files.length || 0); // Play Store assets
 
 		console.log(
 			`\n✅ Successfully generated ${totalIcons} ${this.config.platformName} icons!\n`
@@ -127,6 +229,7 @@ export class AndroidGenerator extends PlatformGenerator {
 			platform: this.config.platformKey,
 			outputDir: targetDir,
 			files: this.getAdaptiveGeneratedFiles(),
+			sources: this.getIconSources(),
 			metadataPath: null,
 			zipPath,
 			adaptiveMode: true,
@@ -151,6 +254,25 @@ export class AndroidGenerator extends PlatformGenerator {
 				this.generateSingleIcon(sourceImage, outputDir, iconDef)
 			)
 		);
+
+		// Generate splash screen assets if requested
+		if (this.splashLayers) {
+			await this.generateSplashAssets(this.splashLayers, outputDir);
+		}
+
+		// Generate Android TV banner if requested
+		if (this.tvBannerLayers) {
+			await this.generateTvBanner(this.tvBannerLayers, outputDir);
+		}
+
+		// Generate Play Store listing assets next to android-icons/ if requested
+		if (this.playStoreLayers) {
+			this.playStoreResult = await this.generatePlayStoreAssets(
+				this.playStoreLayers,
+				this.artworkImage,
+				outputDir
+			);
+		}
 	}
 
 	/**
@@ -186,17 +308,19 @@ export class AndroidGenerator extends PlatformGenerator {
 		// Use circular mask for round launcher icons
 		const isRoundIcon = iconDef.filename.includes("_round");
 
+		// Version label text is sized for this icon (skipped below the minimum size)
+		const image = await this.imageProcessor.applyVersionLabel(
+			await this.getIconSource(sourceImage, iconDef),
+			size
+		);
+
 		if (isRoundIcon) {
-			await this.imageProcessor.resizeAndSaveRound(
-				sourceImage,
-				size,
-				outputPath
-			);
+			await this.imageProcessor.resizeAndSaveRound(image, size, outputPath);
 			console.log(
 				`   ✓ ${iconDef.folder}/${iconDef.filename} (${size}x${size}px, circular)`
 			);
 		} else {
-			await this.imageProcessor.resizeAndSave(sourceImage, size, outputPath);
+			await this.imageProcessor.resizeAndSave(image, size, outputPath);
 			console.log(
 				`   ✓ ${iconDef.folder}/${iconDef.filename} (${size}x${size}px)`
 			);
@@ -223,7 +347,42 @@ export class AndroidGenerator extends PlatformGenerator {
 	 * @returns {Array<string>} List of file paths relative to output directory
 	 */
 	getGeneratedFiles() {
-		return this.config.iconSizes.map(icon => `${icon.folder}/${icon.filename}`);
+		return [
+			...this.config.iconSizes.map(icon => `${icon.folder}/${icon.filename}`),
+			...this.getSplashGeneratedFiles(),
+			...this.getTvBannerGeneratedFiles(),
+		];
+	}
+
+	/**
+	 * Get list of generated TV banner files (empty unless the banner is enabled)
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getTvBannerGeneratedFiles() {
+		if (!this.tvBannerLayers) {
+			return [];
+		}
+
+		return [`${this.config.tvBanner.folder}/${this.config.tvBanner.fileName}`];
+	}
+
+	/**
+	 * Get list of generated splash screen files (empty unless splash is enabled)
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getSplashGeneratedFiles() {
+		if (!this.splashLayers) {
+			return [];
+		}
+
+		const splash = this.config.splash;
+		return [
+			...splash.iconSizes.map(
+				sizeConfig => `${sizeConfig.folder}/${splash.iconFileName}`
+			),
+			`${splash.themeFolder}/${splash.themeFileName}`,
+			`${splash.fallbackFolder}/${splash.fallbackFileName}`,
+		];
 	}
 
 	/**
@@ -235,11 +394,19 @@ export class AndroidGenerator extends PlatformGenerator {
 
 		// Adaptive icon layers
 		for (const sizeConfig of this.config.adaptiveIconSizes) {
-			files.push(`${sizeConfig.folder}/ic_launcher_foreground.png`);
-			files.push(`${sizeConfig.folder}/ic_launcher_background.png`);
+			for (const layer of ["foreground", "background"]) {
+				if (!this.vectorLayers[layer]) {
+					files.push(`${sizeConfig.folder}/ic_launcher_${layer}.png`);
+				}
+			}
 			files.push(`${sizeConfig.folder}/ic_launcher_monochrome.png`);
 		}
 
+		// Notification icons
+		for (const sizeConfig of this.config.notification.iconSizes) {
+			files.push(`${sizeConfig.folder}/${this.config.notification.iconFileName}`);
+		}
+
 		// Legacy icons
 		files.push(...this.getGeneratedFiles());
 
@@ -247,6 +414,13 @@ export class AndroidGenerator extends PlatformGenerator {
 		files.push("mipmap-anydpi-v26/ic_launcher.xml");
 		files.push("mipmap-anydpi-v26/ic_launcher_round.xml");
 
+		// VectorDrawable layers
+		for (const layer of ["foreground", "background"]) {
+			if (this.vectorLayers[layer]) {
+				files.push(`${this.config.vectorDrawable.folder}/ic_launcher_${layer}.xml`);
+			}
+		}
+
 		return files;
 	}
 
@@ -282,46 +456,164 @@ export class AndroidGenerator extends PlatformGenerator {
 			throw new Error(validation.error);
 		}
 
+		// Convert SVG layers to VectorDrawables if requested
+		// Converted layers replace their per-density PNGs
+		if (this.vectorDrawable) {
+			this.vectorLayers = await this.generateVectorDrawables(
+				adaptiveIcon,
+				outputDir
+			);
+		}
+
 		// Generate all adaptive icon sizes in parallel
 		const tasks = [];
 
 		for (const sizeConfig of this.config.adaptiveIconSizes) {
 			// Foreground layer
-			tasks.push(
-				this.generateAdaptiveLayer(
-					foreground,
-					sizeConfig,
-					"ic_launcher_foreground.png",
-					outputDir
-				)
-			);
+			if (!this.vectorLayers.foreground) {
+				tasks.push(
+					this.generateAdaptiveLayer(
+						foreground,
+						sizeConfig,
+						"ic_launcher_foreground.png",
+						outputDir
+					)
+				);
+			}
 
 			// Background layer
-			tasks.push(
-				this.generateAdaptiveLayer(
-					background,
-					sizeConfig,
-					"ic_launcher_background.png",
-					outputDir
-				)
-			);
+			if (!this.vectorLayers.background) {
+				tasks.push(
+					this.generateAdaptiveLayer(
+						background,
+						sizeConfig,
+						"ic_launcher_background.png",
+						outputDir
+					)
+				);
+			}
 
-			// Monochrome layer (use foreground if not provided)
-			const monoSource = monochrome || foreground;
+			// Monochrome layer (derived from the foreground if not provided)
 			tasks.push(
-				this.generateAdaptiveLayer(
-					monoSource,
-					sizeConfig,
-					"ic_launcher_monochrome.png",
-					outputDir
-				)
+				monochrome
+					? this.generateAdaptiveLayer(
+							monochrome,
+							sizeConfig,
+							"ic_launcher_monochrome.png",
+							outputDir
+						)
+					: this.generateDerivedMonochromeLayer(
+							foreground,
+							sizeConfig,
+							"ic_launcher_monochrome.png",
+							outputDir
+						)
 			);
 		}
 
 		await Promise.all(tasks);
 
 		// Create adaptive icon XML files
-		await this.generateAdaptiveIconXml(outputDir, !!monochrome);
+		// A derived monochrome layer is only referenced when themed icons are requested
+		await this.generateAdaptiveIconXml(
+			outputDir,
+			!!monochrome || this.themedIcon,
+			this.vectorLayers
+		);
+	}
+
+	/**
+	 * Convert the foreground (and an SVG or hex background) to VectorDrawables
+	 * The foreground keeps the same safe zone padding as the PNG layers
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<{foreground: boolean, background: boolean}>} Layers written as drawables
+	 */
+	async generateVectorDrawables(adaptiveIcon, outputDir) {
+		const { foreground, background } = adaptiveIcon;
+		const { folder, size } = this.config.vectorDrawable;
+
+		if (!(await this.imageProcessor.isVectorImage(foreground))) {
+			throw new Error(
+				"VectorDrawable output requires an SVG foreground layer"
+			);
+		}
+
+		const drawableDir = path.join(outputDir, folder);
+		await this.fileManager.ensureDirectory(drawableDir);
+
+		console.log("\n📦 Converting SVG layers to VectorDrawables...\n");
+
+		const foregroundXml = this.vectorDrawableConverter.convert(
+			await this.fileManager.readText(foreground),
+			{
+				size,
+				contentRatio: this.imageProcessor.getSafeZoneRatio(Platform.ANDROID),
+				// Match the trimmed PNG layers
+				crop: this.imageProcessor.trimForeground
+					? await this.imageProcessor.getTrimBox(foreground)
+					: null,
+			}
+		);
+		await this.fileManager.writeXml(
+			path.join(drawableDir, "ic_launcher_foreground.xml"),
+			foregroundXml
+		);
+		console.log(`   ✓ ${folder}/ic_launcher_foreground.xml`);
+
+		// Raster backgrounds stay as mipmap PNGs
+		let backgroundXml = null;
+		if (!background || this.imageProcessor.isColor(background)) {
+			backgroundXml = this.vectorDrawableConverter.createSolidColor(
+				background || "#111111",
+				size
+			);
+		} else if (await this.imageProcessor.isVectorImage(background)) {
+			backgroundXml = this.vectorDrawableConverter.convert(
+				await this.fileManager.readText(background),
+				{ size, fit: "cover" }
+			);
+		}
+
+		if (backgroundXml) {
+			await this.fileManager.writeXml(
+				path.join(drawableDir, "ic_launcher_background.xml"),
+				backgroundXml
+			);
+			console.log(`   ✓ ${folder}/ic_launcher_background.xml`);
+		}
+
+		return { foreground: true, background: !!backgroundXml };
+	}
+
+	/**
+	 * Derive a monochrome layer from the foreground at a specific density
+	 * Keeps the foreground alpha (and padding) as a white silhouette; pixels below
+	 * the luminance threshold are cut out
+	 * @param {string} foreground - Path to foreground image
+	 * @param {object} sizeConfig - Size configuration {density, size, folder}
+	 * @param {string} filename - Output filename
+	 * @param {string} outputDir - Base output directory
+	 */
+	async generateDerivedMonochromeLayer(foreground, sizeConfig, filename, outputDir) {
+		const outputPath = path.join(outputDir, sizeConfig.folder, filename);
+
+		const preparedLayer = await this.imageProcessor.prepareAdaptiveLayer(
+			foreground,
+			sizeConfig.size,
+			true, // Same safe zone padding as the foreground layer
+			Platform.ANDROID
+		);
+		const silhouette = await this.imageProcessor.createSilhouette(
+			preparedLayer,
+			this.monochromeThreshold
+		);
+
+		await this.imageProcessor.saveImage(silhouette, outputPath);
+
+		console.log(
+			`   ✓ ${sizeConfig.folder}/${filename} (${sizeConfig.size}x${sizeConfig.size}px, derived)`
+		);
 	}
 
 	/**
@@ -330,14 +622,20 @@ export class AndroidGenerator extends PlatformGenerator {
 	 * @param {object} sizeConfig - Size configuration {density, size, folder}
 	 * @param {string} filename - Output filename
 	 * @param {string} outputDir - Base output directory
+	 * @param {boolean} [isForeground] - Pad as a foreground layer (derived from the filename by default)
 	 */
-	async generateAdaptiveLayer(layerPath, sizeConfig, filename, outputDir) {
+	async generateAdaptiveLayer(
+		layerPath,
+		sizeConfig,
+		filename,
+		outputDir,
+		isForeground = filename.includes("foreground") ||
+			filename.includes("monochrome")
+	) {
 		const outputPath = path.join(outputDir, sizeConfig.folder, filename);
 
-		// Determine if this is a foreground/monochrome layer (needs padding)
+		// Foreground/monochrome layers need padding
 		// Background layers should fill entire space
-		const isForeground =
-			filename.includes("foreground") || filename.includes("monochrome");
 
 		const preparedLayer = await this.imageProcessor.prepareAdaptiveLayer(
 			layerPath,
@@ -346,8 +644,21 @@ export class AndroidGenerator extends PlatformGenerator {
 			Platform.ANDROID // Use Android platform for correct padding ratio
 		);
 
+		// The environment badge and version label go on the foreground, inside the 66dp safe zone
+		let layer = preparedLayer;
+		if (filename === "ic_launcher_foreground.png") {
+			const safeZone = this.imageProcessor.badgeRenderer.createSafeZoneBox(
+				sizeConfig.size
+			);
+			layer = await this.imageProcessor.applyVersionLabel(
+				await this.imageProcessor.applyBadge(preparedLayer, safeZone),
+				sizeConfig.size,
+				safeZone
+			);
+		}
+
 		// Save directly without resizing - prepareAdaptiveLayer already sized correctly
-		await this.imageProcessor.saveImage(preparedLayer, outputPath);
+		await this.imageProcessor.saveImage(layer, outputPath);
 
 		console.log(
 			`   ✓ ${sizeConfig.folder}/${filename} (${sizeConfig.size}x${sizeConfig.size}px)`
@@ -358,13 +669,14 @@ export class AndroidGenerator extends PlatformGenerator {
 	 * Generate adaptive icon XML files (mipmap-anydpi-v26)
 	 * @param {string} outputDir - Output directory
 	 * @param {boolean} hasMonochrome - Whether monochrome layer exists
+	 * @param {object} [vectorLayers] - Layers referenced as VectorDrawables {foreground, background}
 	 */
-	async generateAdaptiveIconXml(outputDir, hasMonochrome) {
+	async generateAdaptiveIconXml(outputDir, hasMonochrome, vectorLayers = {}) {
 		const xmlDir = path.join(outputDir, "mipmap-anydpi-v26");
 		await this.fileManager.ensureDirectory(xmlDir);
 
 		// Generate ic_launcher.xml
-		const launcherXml = this.createAdaptiveIconXml(hasMonochrome);
+		const launcherXml = this.createAdaptiveIconXml(hasMonochrome, vectorLayers);
 		const launcherPath = path.join(xmlDir, "ic_launcher.xml");
 		await this.fileManager.writeXml(launcherPath, launcherXml);
 		console.log(`\n   ✓ mipmap-anydpi-v26/ic_launcher.xml`);
@@ -378,13 +690,17 @@ export class AndroidGenerator extends PlatformGenerator {
 	/**
 	 * Create adaptive icon XML content
 	 * @param {boolean} hasMonochrome - Whether to include monochrome layer
+	 * @param {object} [vectorLayers] - Layers referenced as VectorDrawables {foreground, background}
 	 * @returns {string} XML content
 	 */
-	createAdaptiveIconXml(hasMonochrome) {
+	createAdaptiveIconXml(hasMonochrome, vectorLayers = {}) {
+		const backgroundType = vectorLayers.background ? "drawable" : "mipmap";
+		const foregroundType = vectorLayers.foreground ? "drawable" : "mipmap";
+
 		let xml = `<?xml version="1.0" encoding="utf-8"?>
 <adaptive-icon xmlns:android="http://schemas.android.com/apk/res/android">
-    <background android:drawable="@mipmap/ic_launcher_background"/>
-    <foreground android:drawable="@mipmap/ic_launcher_foreground"/>`;
+    <background android:drawable="@${backgroundType}/ic_launcher_background"/>
+    <foreground android:drawable="@${foregroundType}/ic_launcher_foreground"/>`;
 
 		if (hasMonochrome) {
 			xml += `
@@ -402,6 +718,7 @@ export class AndroidGenerator extends PlatformGenerator {
 	 * Combines foreground and background layers
 	 * @param {object} adaptiveIcon - Adaptive icon configuration
 	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<sharp.Sharp>} Composited legacy artwork (without the environment badge)
 	 */
 	async generateLegacyFromAdaptive(adaptiveIcon, outputDir) {
 		const { foreground, background } = adaptiveIcon;
@@ -441,8 +758,10 @@ export class AndroidGenerator extends PlatformGenerator {
 			.png()
 			.toBuffer();
 
-		// Create a fresh Sharp instance from the composited buffer
-		const composited = sharp(compositedBuffer);
+		// Create a fresh Sharp instance from the composited buffer (with the environment badge)
+		const composited = await this.imageProcessor.applyBadge(
+			sharp(compositedBuffer)
+		);
 
 		// Generate all legacy icon sizes
 		await Promise.all(
@@ -450,5 +769,373 @@ export class AndroidGenerator extends PlatformGenerator {
 				this.generateSingleIcon(composited, outputDir, iconDef)
 			)
 		);
+
+		return sharp(compositedBuffer);
+	}
+
+	/**
+	 * Generate ic_stat_* notification icons (white silhouette at 24dp per density)
+	 * Only generated in adaptive mode: a full-bleed single image would become a white square
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateNotificationIcons(adaptiveIcon, outputDir) {
+		const notification = this.config.notification;
+		const { monochrome, foreground } = adaptiveIcon;
+
+		console.log("\n📦 Generating notification icons...\n");
+
+		await this.createFolderStructure(
+			outputDir,
+			new Set(notification.iconSizes.map(sizeConfig => sizeConfig.folder))
+		);
+
+		await Promise.all(
+			notification.iconSizes.map(async sizeConfig => {
+				const silhouette = await this.imageProcessor.createSilhouetteFromLayer(
+					monochrome || foreground,
+					sizeConfig.size,
+					notification.contentRatio,
+					monochrome ? 0 : this.monochromeThreshold // Supplied layers are used as-is
+				);
+				await this.imageProcessor.saveImage(
+					silhouette,
+					path.join(outputDir, sizeConfig.folder, notification.iconFileName)
+				);
+				console.log(
+					`   ✓ ${sizeConfig.folder}/${notification.iconFileName} (${sizeConfig.size}x${sizeConfig.size}px)`
+				);
+			})
+		);
+	}
+
+	/**
+	 * Generate Android 12+ splash screen assets
+	 * - drawable-<density>/splash_icon.png (windowSplashScreenAnimatedIcon)
+	 * - values-v31/themes.xml (windowSplashScreenBackground + icon)
+	 * - drawable/launch_background.xml (pre-Android 12 fallback)
+	 * @param {object} layers - Splash layers {foreground, background}
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateSplashAssets(layers, outputDir) {
+		const splash = this.config.splash;
+
+		console.log("\n📦 Generating splash screen assets (Android 12+)...\n");
+
+		const folders = new Set([
+			...splash.iconSizes.map(sizeConfig => sizeConfig.folder),
+			splash.themeFolder,
+			splash.fallbackFolder,
+		]);
+		await this.createFolderStructure(outputDir, folders);
+
+		// Same padding as the launcher foreground: 160/240dp matches the 72/108dp adaptive mask
+		await Promise.all(
+			splash.iconSizes.map(sizeConfig =>
+				this.generateAdaptiveLayer(
+					layers.foreground,
+					sizeConfig,
+					splash.iconFileName,
+					outputDir,
+					true
+				)
+			)
+		);
+
+		const backgroundColor = await this.imageProcessor.resolveLayerColor(
+			layers.background,
+			splash.defaultBackground
+		);
+
+		const themePath = path.join(
+			outputDir,
+			splash.themeFolder,
+			splash.themeFileName
+		);
+		await this.fileManager.writeXml(
+			themePath,
+			this.createSplashThemeXml(backgroundColor)
+		);
+		console.log(`\n   ✓ ${splash.themeFolder}/${splash.themeFileName}`);
+
+		const fallbackPath = path.join(
+			outputDir,
+			splash.fallbackFolder,
+			splash.fallbackFileName
+		);
+		await this.fileManager.writeXml(
+			fallbackPath,
+			this.createLaunchBackgroundXml(backgroundColor)
+		);
+		console.log(`   ✓ ${splash.fallbackFolder}/${splash.fallbackFileName}`);
+	}
+
+	/**
+	 * Create values-v31/themes.xml content
+	 * @pure
+	 * @param {string} backgroundColor - Splash background hex color
+	 * @returns {string} XML content
+	 */
+	createSplashThemeXml(backgroundColor) {
+		const iconName = path.parse(this.config.splash.iconFileName).name;
+
+		return `<?xml version="1.0" encoding="utf-8"?>
+<resources>
+    <style name="${this.config.splash.themeName}" parent="@android:style/Theme.Light.NoTitleBar">
+        <item name="android:windowSplashScreenBackground">${backgroundColor}</item>
+        <item name="android:windowSplashScreenAnimatedIcon">@drawable/${iconName}</item>
+    </style>
+</resources>`;
+	}
+
+	/**
+	 * Create drawable/launch_background.xml content (pre-Android 12 windowBackground)
+	 * @pure
+	 * @param {string} backgroundColor - Splash background hex color
+	 * @returns {string} XML content
+	 */
+	createLaunchBackgroundXml(backgroundColor) {
+		const iconName = path.parse(this.config.splash.iconFileName).name;
+
+		return `<?xml version="1.0" encoding="utf-8"?>
+<layer-list xmlns:android="http://schemas.android.com/apk/res/android">
+    <item>
+        <color android:color="${backgroundColor}"/>
+    </item>
+    <item>
+        <bitmap
+            android:gravity="center"
+            android:src="@drawable/${iconName}"/>
+    </item>
+</layer-list>`;
+	}
+
+	/**
+	 * Generate the Android TV leanback launcher banner (drawable-xhdpi/banner.png)
+	 * The background covers the banner; the foreground is centered, or sits left of the
+	 * app name when one is given
+	 * @param {object} layers - Banner layers {foreground, background}
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateTvBanner(layers, outputDir) {
+		const { folder, fileName, width, height, textHeightRatio, textMargin } =
+			this.config.tvBanner;
+
+		console.log("\n📦 Generating Android TV banner...\n");
+
+		const outputPath = path.join(outputDir, folder, fileName);
+		await this.fileManager.ensureDirectory(path.dirname(outputPath));
+
+		const banner = await this.composeBanner(layers, {
+			width,
+			height,
+			layout: this.appName ? "left" : "center",
+			text: this.appName,
+			textHeightRatio,
+			textMargin,
+		});
+		await this.imageProcessor.saveImage(banner, outputPath);
+
+		const label = this.appName ? `, "${this.appName}"` : "";
+		console.log(`   ✓ ${folder}/${fileName} (${width}x${height}px${label})`);
+	}
+
+	/**
+	 * Compose a landscape graphic from the layers
+	 * - center: foreground centered on the background
+	 * - left/right: foreground square on that side, text centered in the remaining space
+	 * @param {object} layers - Layers {foreground, background}
+	 * @param {object} options
+	 * @param {number} options.width - Width in pixels
+	 * @param {number} options.height - Height in pixels (also the foreground square size)
+	 * @param {string} [options.layout='center'] - center, left or right
+	 * @param {string} [options.text] - Text drawn next to the foreground (left/right layouts)
+	 * @param {number} options.textHeightRatio - Text line height relative to the height
+	 * @param {number} options.textMargin - Margin between the text and the outer edge in pixels
+	 * @returns {Promise<sharp.Sharp>} Composite image
+	 */
+	async composeBanner(layers, options) {
+		const {
+			width,
+			height,
+			layout = "center",
+			text = null,
+			textHeightRatio,
+			textMargin,
+		} = options;
+
+		if (layout === "center") {
+			return await this.imageProcessor.createRectCompositeFromLayers(
+				layers.foreground,
+				layers.background,
+				width,
+				height,
+				Platform.ANDROID
+			);
+		}
+
+		const iconLeft = layout === "right" ? width - height : 0;
+		const textWidth = width - height - textMargin;
+		const textHeight = Math.round(height * textHeightRatio);
+		const textColor = this.imageProcessor.getContrastColor(
+			await this.imageProcessor.resolveLayerColor(layers.background)
+		);
+
+		const [background, icon, textImage] = await Promise.all([
+			this.imageProcessor.prepareRectLayer(
+				layers.background,
+				width,
+				height,
+				false,
+				Platform.ANDROID
+			),
+			this.imageProcessor.prepareAdaptiveLayer(
+				layers.foreground,
+				height,
+				true,
+				Platform.ANDROID
+			),
+			text
+				? this.imageProcessor.createTextImage(text, textWidth, textHeight, {
+						color: textColor,
+					})
+				: null,
+		]);
+
+		const [backgroundBuffer, iconBuffer, textBuffer] = await Promise.all(
+			[background, icon, textImage].map(image =>
+				image ? image.png().toBuffer() : null
+			)
+		);
+
+		const overlays = [{ input: iconBuffer, left: iconLeft, top: 0 }];
+		if (textBuffer) {
+			overlays.push({
+				input: textBuffer,
+				left: layout === "right" ? textMargin : height,
+				top: Math.round((height - textHeight) / 2),
+			});
+		}
+
+		const composite = await sharp(backgroundBuffer)
+			.composite(overlays)
+			.png()
+			.toBuffer();
+
+		return sharp(composite);
+	}
+
+	/**
+	 * Generate Google Play listing assets in a play-store/ folder next to android-icons/
+	 * - icon-512.png: the legacy icon artwork rendered at 512px as a 32-bit PNG, validated
+	 *   against Play's requirements (independent of the playstore launcher size); the
+	 *   environment badge and version label are left off the store listing
+	 * - feature-graphic.png: 1024x500 24-bit PNG composed from the layers
+	 * @param {object} layers - Layers {foreground, background}
+	 * @param {sharp.Sharp} sourceImage - Unbadged legacy icon source (prepared image or layer composite)
+	 * @param {string} targetDir - android-icons output directory
+	 * @returns {Promise<{outputDir: string, files: Array<string>, warnings: Array<string>}>}
+	 */
+	async generatePlayStoreAssets(layers, sourceImage, targetDir) {
+		const playStore = this.config.playStore;
+		const { featureGraphic } = playStore;
+		const playStoreDir = path.join(path.dirname(targetDir), playStore.folder);
+		await this.fileManager.ensureDirectory(playStoreDir);
+
+		console.log("\n📦 Generating Google Play listing assets...\n");
+
+		// Same artwork as the playstore launcher icon (and its source override, if any),
+		// rendered here so excluding that size does not remove the listing icon
+		const playstoreIcon = this.config.iconSizes.find(
+			icon => icon.density === "playstore"
+		);
+		const iconImage = playstoreIcon
+			? await this.getIconSource(sourceImage, playstoreIcon, { badge: false })
+			: sourceImage;
+		const iconPath = path.join(playStoreDir, playStore.iconFileName);
+		await this.imageProcessor.saveImage(
+			(
+				await this.imageProcessor.resizeWithProfile(iconImage, playStore.iconSize)
+			).ensureAlpha(), // 32-bit PNG
+			iconPath
+		);
+		console.log(
+			`   ✓ ${playStore.folder}/${playStore.iconFileName} (${playStore.iconSize}x${playStore.iconSize}px)`
+		);
+
+		const graphic = await this.composeBanner(layers, {
+			width: featureGraphic.width,
+			height: featureGraphic.height,
+			layout: this.featureGraphicLayout,
+			text: this.appName,
+			textHeightRatio: featureGraphic.textHeightRatio,
+			textMargin: featureGraphic.textMargin,
+		});
+		await this.imageProcessor.saveImage(
+			graphic.removeAlpha(), // Play rejects feature graphics with alpha
+			path.join(playStoreDir, featureGraphic.fileName)
+		);
+		console.log(
+			`   ✓ ${playStore.folder}/${featureGraphic.fileName} (${featureGraphic.width}x${featureGraphic.height}px, ${this.featureGraphicLayout})`
+		);
+
+		const warnings = await this.validatePlayStoreIcon(iconPath);
+
+		return {
+			outputDir: playStoreDir,
+			files: [playStore.iconFileName, featureGraphic.fileName],
+			warnings,
+		};
+	}
+
+	/**
+	 * Check a Play Store icon against Google Play's requirements
+	 * 512x512, 32-bit PNG, at most 1024 KB, full square (no transparent pixels)
+	 * @param {string} iconPath - Path to the icon
+	 * @returns {Promise<Array<string>>} Warning messages (empty when the icon is valid)
+	 */
+	async validatePlayStoreIcon(iconPath) {
+		const { iconSize, maxIconBytes, iconFileName } = this.config.playStore;
+		const image = sharp(iconPath);
+		const [metadata, stats, fileSize] = await Promise.all([
+			image.metadata(),
+			image.stats(),
+			this.fileManager.getFileSize(iconPath),
+		]);
+		const warnings = [];
+
+		if (metadata.width !== iconSize || metadata.height !== iconSize) {
+			warnings.push(
+				`${iconFileName} is ${metadata.width}x${metadata.height}px; Google Play requires ${iconSize}x${iconSize}px`
+			);
+		}
+		if (metadata.format !== "png" || metadata.channels !== 4) {
+			warnings.push(`${iconFileName} is not a 32-bit PNG (RGBA)`);
+		}
+		if (fileSize > maxIconBytes) {
+			warnings.push(
+				`${iconFileName} is ${Math.ceil(fileSize / 1024)} KB; Google Play allows at most ${maxIconBytes / 1024} KB`
+			);
+		}
+		if (!stats.isOpaque) {
+			warnings.push(
+				`${iconFileName} has transparent pixels; Google Play expects a full-square icon and applies its own mask (add a background layer with -bg)`
+			);
+		}
+
+		return warnings;
+	}
+
+	/**
+	 * Describe the generated TV banner and how to reference it
+	 * @pure
+	 * @returns {{file: string, manifestAttribute: string}} Banner path and <application> attribute
+	 */
+	createTvBannerInfo() {
+		const { folder, fileName } = this.config.tvBanner;
+		return {
+			file: `${folder}/${fileName}`,
+			manifestAttribute: `android:banner="@drawable/${path.parse(fileName).name}"`,
+		};
 	}
 }
@@ -0,0 +1,312 @@
+/**
+ * DesktopGenerator - Desktop Platform Implementation
+ *
+ * Implements the PlatformGenerator interface for desktop app bundles (e.g. Electron):
+ * Windows .ico, macOS .icns and the Linux hicolor icon theme tree
+ * Follows Liskov Substitution Principle - can be used wherever PlatformGenerator is expected
+ */
+
+import path from "path";
+import { PlatformGenerator } from "./PlatformGenerator.js";
+import { DESKTOP_CONFIG } from "../config/desktop-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+import { IconEncoder } from "../core/IconEncoder.js";
+
+export class DesktopGenerator extends PlatformGenerator {
+	/**
+	 * Create Desktop generator with default dependencies
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {FileManager} fileManager
+	 * @param {ArchiveManager} archiveManager
+	 * @param {object} [customSizes] - Optional size customization
+	 */
+	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
+		super(
+			DESKTOP_CONFIG,
+			imageProcessor,
+			fileManager,
+			archiveManager,
+			customSizes
+		);
+		this.iconEncoder = new IconEncoder();
+		this.iconName = DESKTOP_CONFIG.defaultIconName;
+	}
+
+	/**
+	 * Override generate to support adaptive mode (layer-based)
+	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options
+	 * @param {string} [options.appName] - App name, used for the Linux icon filename
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generate(inputPath, outputDir, options = {}) {
+		const {
+			force = false,
+			zip = false,
+			adaptiveIcon,
+			appName,
+		} = options;
+
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+
+		this.iconName = this.resolveIconName(appName);
+
+		// Check if using adaptive mode (layer-based generation)
+		if (adaptiveIcon && adaptiveIcon.foreground) {
+			return await this.generateAdaptiveMode(
+				adaptiveIcon,
+				outputDir,
+				force,
+				zip
+			);
+		}
+
+		// Fall back to standard mode (single image)
+		return await this.generateStandardMode(inputPath, outputDir, options);
+	}
+
+	/**
+	 * Generate icons in adaptive mode (with layers)
+	 * Creates a composite from foreground + background layers
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @param {boolean} force - Force overwrite
+	 * @param {boolean} zip - Create ZIP archive
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateAdaptiveMode(adaptiveIcon, outputDir, force, zip) {
+		console.log(
+			`\n🚀 ${this.config.platformName} Icon Generator (Layer-Based Mode)\n`
+		);
+		console.log(`Foreground: ${adaptiveIcon.foreground}`);
+		console.log(
+			`Background: ${adaptiveIcon.background || "#111111 (default)"}`
+		);
+		console.log(`Output:     ${outputDir}\n`);
+
+		this.defaultSource = adaptiveIcon.foreground;
+
+		// Create composite from layers
+		console.log("🔨 Creating composite from layers...");
+		const composite = await this.imageProcessor.createCompositeFromLayers(
+			adaptiveIcon.foreground,
+			adaptiveIcon.background || null, // null defaults to #111111
+			1024,
+			Platform.IOS
+		);
+
+		// Prepare output directory
+		const targetDir = await this.prepareOutputDirectory(outputDir, force);
+
+		// Generate icons from composite
+		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
+		await this.generateIcons(composite, targetDir);
+
+		// Generate metadata (none for desktop)
+		const metadataPath = await this.generateMetadata(targetDir);
+
+		// Create archive if requested
+		let zipPath = null;
+		if (zip) {
+			zipPath = await this.createArchive(targetDir, outputDir);
+			console.log(`\n📦 Created ZIP: ${zipPath}`);
+		}
+
+		console.log(
+			`\n✅ Successfully generated ${this.getGeneratedFiles().length} ${this.config.platformName} icons!\n`
+		);
+
+		return {
+			success: true,
+			platform: this.config.platformKey,
+			outputDir: targetDir,
+			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
+			metadataPath,
+			zipPath,
+		};
+	}
+
+	/**
+	 * Generate .ico, .icns and the Linux hicolor tree
+	 * @param {sharp.Sharp} sourceImage - Prepared source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcons(sourceImage, outputDir) {
+		const folders = new Set(this.config.iconSizes.map(icon => icon.folder));
+		await Promise.all(
+			Array.from(folders).map(folder =>
+				this.fileManager.ensureDirectory(path.join(outputDir, folder))
+			)
+		);
+
+		await Promise.all([
+			...this.config.iconSizes.map(iconDef =>
+				this.generateSingleIcon(sourceImage, outputDir, iconDef)
+			),
+			this.generateIco(sourceImage, outputDir),
+			this.generateIcns(sourceImage, outputDir),
+		]);
+	}
+
+	/**
+	 * Generate a single Linux hicolor icon
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Output directory
+	 * @param {object} iconDef - Icon definition {size, folder}
+	 */
+	async generateSingleIcon(sourceImage, outputDir, iconDef) {
+		const filename = `${this.iconName}.png`;
+		const outputPath = path.join(outputDir, iconDef.folder, filename);
+
+		await this.imageProcessor.resizeAndSave(
+			await this.getIconSource(sourceImage, iconDef),
+			iconDef.size,
+			outputPath
+		);
+
+		console.log(
+			`   ✓ ${iconDef.folder}/${filename} (${iconDef.size}x${iconDef.size}px)`
+		);
+	}
+
+	/**
+	 * Generate Windows .ico with PNG-compressed entries
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIco(sourceImage, outputDir) {
+		const images = await Promise.all(
+			this.getIcoIconDefs().map(async entry => ({
+				size: entry.size,
+				buffer: await this.imageProcessor.resizeToBuffer(
+					await this.getIconSource(sourceImage, entry),
+					entry.size
+				),
+			}))
+		);
+
+		await this.fileManager.writeBuffer(
+			path.join(outputDir, this.config.icoFileName),
+			this.iconEncoder.encodeIco(images)
+		);
+
+		console.log(
+			`   ✓ ${this.config.icoFileName} (${this.config.icoSizes.join("/")}px)`
+		);
+	}
+
+	/**
+	 * Generate macOS .icns with the macOS rounded template applied
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcns(sourceImage, outputDir) {
+		const templated = await this.imageProcessor.applyRoundedTemplate(
+			sourceImage,
+			this.config.icnsTemplate
+		);
+
+		const images = await Promise.all(
+			this.getIcnsIconDefs().map(async entry => ({
+				size: entry.size,
+				buffer: await this.imageProcessor.resizeToBuffer(
+					await this.getIconSource(templated, entry),
+					entry.size
+				),
+			}))
+		);
+
+		await this.fileManager.writeBuffer(
+			path.join(outputDir, this.config.icnsFileName),
+			this.iconEncoder.encodeIcns(images)
+		);
+
+		console.log(`   ✓ ${this.config.icnsFileName}`);
+	}
+
+	/**
+	 * Desktop icons are referenced from the packager config, no metadata file needed
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<null>}
+	 */
+	async generateMetadata(outputDir) {
+		console.log(
+			`\n   ℹ️  Desktop icons ready - reference ${this.config.icoFileName}, ${this.config.icnsFileName} and icons/ in your packager config`
+		);
+		return null;
+	}
+
+	/**
+	 * Derive a Linux-friendly icon name from the app name
+	 * @pure
+	 * @param {string} [appName] - App name
+	 * @returns {string} Lowercase, hyphenated icon name
+	 */
+	resolveIconName(appName) {
+		if (!appName) {
+			return this.config.defaultIconName;
+		}
+
+		const slug = appName
+			.trim()
+			.toLowerCase()
+			.replace(/[^a-z0-9._-]+/g, "-")
+			.replace(/^-+|-+$/g, "");
+
+		return slug || this.config.defaultIconName;
+	}
+
+	/**
+	 * Get the path of an icon file relative to the output directory
+	 * @param {object} iconDef - Icon definition {size, folder}
+	 * @returns {string} Relative file path
+	 */
+	getIconFile(iconDef) {
+		return `${iconDef.folder}/${this.iconName}.png`;
+	}
+
+	/**
+	 * Get the entries of the .ico file
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getIcoIconDefs() {
+		return this.config.icoSizes.map(size =>
+			this.getContainerIconDef(this.config.icoFileName, size)
+		);
+	}
+
+	/**
+	 * Get the entries of the .icns file
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getIcnsIconDefs() {
+		return this.config.icnsSizes.map(size =>
+			this.getContainerIconDef(this.config.icnsFileName, size)
+		);
+	}
+
+	/**
+	 * Get the entries of the .ico and .icns files
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getContainerIconDefs() {
+		return [...this.getIcoIconDefs(), ...this.getIcnsIconDefs()];
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getGeneratedFiles() {
+		return [
+			this.config.icoFileName,
+			this.config.icnsFileName,
+			...this.config.iconSizes.map(
+				icon => `${icon.folder}/${this.iconName}.png`
+			),
+		];
+	}
+}
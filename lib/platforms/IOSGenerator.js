@@ -7,8 +7,9 @@
 
 import path from "path";
 import { PlatformGenerator } from "./PlatformGenerator.js";
-import { IOS_CONFIG } from "../config/ios-config.js";
+import { IOS_CONFIG, getIOSConfig } from "../config/ios-config.js";
 import { Platform } from "../core/ImageProcessor.js";
+import { sizeConfigManager } from "../core/SizeConfigManager.js";
 
 export class IOSGenerator extends PlatformGenerator {
 	/**
@@ -20,6 +21,10 @@ export class IOSGenerator extends PlatformGenerator {
 	 */
 	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
 		super(IOS_CONFIG, imageProcessor, fileManager, archiveManager, customSizes);
+		this.appearanceIcons = [];
+		this.flattenAll = false;
+		this.flattenColor = IOS_CONFIG.flattenColor;
+		this.warnings = [];
 	}
 
 	/**
@@ -27,30 +32,80 @@ export class IOSGenerator extends PlatformGenerator {
 	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
 	 * @param {string} outputDir - Output directory
 	 * @param {object} options - Generation options
-	 * @returns {Promise<object>} Generation result
+	 * @param {object} [options.adaptiveIcon] - Layers; darkForeground/darkBackground/tinted add iOS 18 appearance variants
+	 * @param {string} [options.iosLayout] - Asset catalog layout ("legacy" or "single")
+	 * @param {boolean} [options.flattenAlpha=false] - Flatten every icon, not only the App Store icon
+	 * @param {boolean} [options.splash=false] - Also write LaunchImage.imageset and LaunchScreen.storyboard
+	 * @param {boolean} [options.strict=false] - Fail instead of warning when the foreground reaches into the rounded corners
+	 * @param {string} [options.versionLabel] - Version/build text drawn onto icons of at least versionLabelMinSize pixels
+	 * @returns {Promise<object>} Generation result (with `warnings` for icons that still contain alpha
+	 *   and `splashPaths` when a launch screen was generated)
 	 */
 	async generate(inputPath, outputDir, options = {}) {
-		const { force = false, zip = false, adaptiveIcon, fgScale, fgScaleIos } = options;
+		const {
+			force = false,
+			zip = false,
+			adaptiveIcon,
+			iosLayout,
+			flattenAlpha = false,
+			splash = false,
+			strict = false,
+		} = options;
 
-		// Set foreground scale for iOS if provided
-		// Platform-specific scale overrides global scale
-		const iosScale = fgScaleIos || fgScale;
-		if (iosScale !== null && iosScale !== undefined) {
-			this.imageProcessor.setForegroundScale(Platform.IOS, parseFloat(iosScale));
+		if (iosLayout) {
+			this.setLayout(iosLayout);
 		}
 
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+
+		this.appearanceIcons = this.resolveAppearanceIcons(adaptiveIcon);
+		this.flattenAll = !!flattenAlpha;
+		this.flattenColor = this.resolveFlattenColor(adaptiveIcon);
+		this.warnings = [];
+
+		// Layer-based generation scales the foreground, so check what the mask clips
+		const safeZoneWarnings = adaptiveIcon?.foreground
+			? await this.checkSafeZone(adaptiveIcon.foreground, Platform.IOS, strict)
+			: [];
+
 		// Check if using adaptive mode (layer-based generation)
-		if (adaptiveIcon && adaptiveIcon.foreground) {
-			return await this.generateAdaptiveMode(
-				adaptiveIcon,
-				outputDir,
-				force,
-				zip
-			);
-		}
+		const result =
+			adaptiveIcon && adaptiveIcon.foreground
+				? await this.generateAdaptiveMode(adaptiveIcon, outputDir, force, zip)
+				: await this.generateStandardMode(inputPath, outputDir, options); // Standard mode (single image)
+
+		// Launch screen reuses the foreground (or the single source image)
+		const splashPaths = splash
+			? await this.generateLaunchScreen(
+					{
+						foreground: adaptiveIcon?.foreground || inputPath,
+						background: adaptiveIcon?.background || null,
+					},
+					outputDir
+				)
+			: null;
+
+		return {
+			...result,
+			warnings: [...safeZoneWarnings, ...this.warnings],
+			splashPaths,
+		};
+	}
 
-		// Fall back to standard mode (single image)
-		return await super.generate(inputPath, outputDir, options);
+	/**
+	 * Switch the asset catalog layout
+	 * Re-applies size customization on top of the layout's icon sizes
+	 * @param {string} layout - Layout (IosLayout.LEGACY or IosLayout.SINGLE)
+	 */
+	setLayout(layout) {
+		this.baseConfig = getIOSConfig(layout);
+		this.config = this.customSizes
+			? sizeConfigManager.applySizeCustomization(
+					this.baseConfig,
+					this.customSizes
+				)
+			: this.baseConfig;
 	}
 
 	/**
@@ -72,6 +127,8 @@ export class IOSGenerator extends PlatformGenerator {
 		);
 		console.log(`Output:     ${outputDir}\n`);
 
+		this.defaultSource = adaptiveIcon.foreground;
+
 		// Create composite from layers
 		console.log("🔨 Creating composite from layers...");
 		const composite = await this.imageProcessor.createCompositeFromLayers(
@@ -88,6 +145,9 @@ export class IOSGenerator extends PlatformGenerator {
 		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
 		await this.generateIcons(composite, targetDir);
 
+		// Generate iOS 18 dark/tinted variants if requested
+		await this.generateAppearanceIcons(adaptiveIcon, targetDir);
+
 		// Generate metadata
 		const metadataPath = await this.generateMetadata(targetDir);
 
@@ -107,6 +167,7 @@ export class IOSGenerator extends PlatformGenerator {
 			platform: this.config.platformKey,
 			outputDir: targetDir,
 			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
 			metadataPath,
 			zipPath,
 		};
@@ -124,6 +185,17 @@ export class IOSGenerator extends PlatformGenerator {
 				this.generateSingleIcon(sourceImage, outputDir, iconDef)
 			)
 		);
+
+		// Legacy catalogs get a separate light entry for the appearance variants
+		const lightIcon = this.getLightAppearanceIcon();
+		if (lightIcon && !this.config.iconSizes.includes(lightIcon)) {
+			await this.generateSingleIcon(sourceImage, outputDir, lightIcon);
+		}
+
+		this.warnings = await this.validateOpaqueOutput(outputDir);
+		for (const warning of this.warnings) {
+			console.log(`   ⚠️  ${warning}`);
+		}
 	}
 
 	/**
@@ -135,15 +207,323 @@ export class IOSGenerator extends PlatformGenerator {
 	async generateSingleIcon(sourceImage, outputDir, iconDef) {
 		const pixelSize = this.imageProcessor.calculatePixelSize(
 			iconDef.size,
-			iconDef.scale
+			iconDef.scale || "1x" // Universal (single-size) entries have no scale
 		);
 		const outputPath = path.join(outputDir, iconDef.filename);
 
-		await this.imageProcessor.resizeAndSave(sourceImage, pixelSize, outputPath);
+		// Version label text is sized for this icon (skipped below the minimum size)
+		const image = await this.imageProcessor.applyVersionLabel(
+			await this.getIconSource(sourceImage, iconDef),
+			pixelSize
+		);
+
+		if (this.shouldFlatten(iconDef)) {
+			await this.imageProcessor.resizeAndSaveOpaque(
+				image,
+				pixelSize,
+				outputPath,
+				this.flattenColor
+			);
+		} else {
+			await this.imageProcessor.resizeAndSave(image, pixelSize, outputPath);
+		}
 
 		console.log(`   ✓ ${iconDef.filename} (${pixelSize}x${pixelSize}px)`);
 	}
 
+	/**
+	 * Check whether an icon is written without alpha
+	 * @pure
+	 * @param {object} iconDef - Icon definition
+	 * @returns {boolean} True for App Store icons, or every icon with flattenAlpha
+	 */
+	shouldFlatten(iconDef) {
+		return this.flattenAll || this.config.opaqueIdioms.includes(iconDef.idiom);
+	}
+
+	/**
+	 * Pick the color transparent pixels are flattened onto
+	 * @pure
+	 * @param {object} [adaptiveIcon] - Adaptive icon configuration
+	 * @returns {string} Hex color (opaque background layer color, or the configured default)
+	 */
+	resolveFlattenColor(adaptiveIcon) {
+		const background = adaptiveIcon?.background;
+		if (background && this.imageProcessor.isColor(background)) {
+			const color = this.imageProcessor.parseColor(background);
+			if (color.alpha === 1) {
+				return this.imageProcessor.colorParser.toHex(color);
+			}
+		}
+		return this.config.flattenColor;
+	}
+
+	/**
+	 * Check generated icons for alpha that App Store Connect would reject
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<Array<string>>} Warning messages (empty when every icon is safe)
+	 */
+	async validateOpaqueOutput(outputDir) {
+		const warnings = [];
+		const checked = new Set();
+
+		for (const iconDef of this.config.iconSizes) {
+			if (checked.has(iconDef.filename)) {
+				continue;
+			}
+			checked.add(iconDef.filename);
+
+			const { hasAlpha, isOpaque } = await this.imageProcessor.getAlphaInfo(
+				path.join(outputDir, iconDef.filename)
+			);
+
+			if (!isOpaque) {
+				warnings.push(
+					`${iconDef.filename} contains transparent pixels (use --flatten-alpha to flatten all iOS icons)`
+				);
+			} else if (hasAlpha && this.shouldFlatten(iconDef)) {
+				warnings.push(`${iconDef.filename} still has an alpha channel`);
+			}
+		}
+
+		return warnings;
+	}
+
+	/**
+	 * Determine which appearance variants to generate from the supplied layers
+	 * Dark is generated when a dark foreground or background is given,
+	 * tinted when a tinted layer (or `true`, to derive it from the foreground) is given
+	 * @pure
+	 * @param {object} [adaptiveIcon] - Adaptive icon configuration
+	 * @returns {Array<object>} Appearance icon definitions from the config
+	 */
+	resolveAppearanceIcons(adaptiveIcon) {
+		if (!adaptiveIcon || !adaptiveIcon.foreground) {
+			return [];
+		}
+
+		const { darkForeground, darkBackground, tinted } = adaptiveIcon;
+		const requested = {
+			dark: !!(darkForeground || darkBackground),
+			tinted: !!tinted,
+		};
+
+		return this.config.appearanceIcons.filter(
+			icon => requested[icon.appearance]
+		);
+	}
+
+	/**
+	 * Get the light ("any" appearance) entry the dark and tinted variants pair with
+	 * The single-size layout reuses its universal image, the legacy layout has its own file
+	 * @returns {object|null} Icon definition, or null without appearance variants
+	 */
+	getLightAppearanceIcon() {
+		if (this.appearanceIcons.length === 0) {
+			return null;
+		}
+		return (
+			this.config.iconSizes.find(icon => icon.idiom === "universal") ||
+			this.config.lightAppearanceIcon
+		);
+	}
+
+	/**
+	 * Generate the 1024px dark and tinted appearance variants
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateAppearanceIcons(adaptiveIcon, outputDir) {
+		for (const iconDef of this.appearanceIcons) {
+			const pixelSize = this.imageProcessor.calculatePixelSize(
+				iconDef.size,
+				"1x"
+			);
+			const image = await this.createAppearanceImage(
+				iconDef.appearance,
+				adaptiveIcon,
+				pixelSize
+			);
+			const outputPath = path.join(outputDir, iconDef.filename);
+
+			await this.imageProcessor.resizeAndSave(image, pixelSize, outputPath);
+
+			console.log(
+				`   ✓ ${iconDef.filename} (${pixelSize}x${pixelSize}px, ${iconDef.appearance})`
+			);
+		}
+	}
+
+	/**
+	 * Compose the source image for an appearance variant
+	 * Falls back to the light layers when a dark layer is missing and derives
+	 * the tinted variant as grayscale of the foreground when no tinted layer is supplied
+	 * @param {string} appearance - "dark" or "tinted"
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {number} size - Target size in pixels
+	 * @returns {Promise<sharp.Sharp>} Composed image
+	 */
+	async createAppearanceImage(appearance, adaptiveIcon, size) {
+		if (appearance === "dark") {
+			return await this.imageProcessor.createCompositeFromLayers(
+				adaptiveIcon.darkForeground || adaptiveIcon.foreground,
+				adaptiveIcon.darkBackground || this.config.darkBackground,
+				size,
+				Platform.IOS
+			);
+		}
+
+		const tintedLayer =
+			typeof adaptiveIcon.tinted === "string"
+				? adaptiveIcon.tinted
+				: adaptiveIcon.foreground;
+
+		return await this.imageProcessor.createGrayscaleFromLayer(
+			tintedLayer,
+			size,
+			Platform.IOS
+		);
+	}
+
+	/**
+	 * Generate the launch screen next to the AppIcon.appiconset
+	 * - LaunchImage.imageset with the foreground at 1x/2x/3x
+	 * - LaunchScreen.storyboard centering the image on the background color
+	 * @param {object} layers - Launch screen layers {foreground, background}
+	 * @param {string} outputDir - Base output directory (parent of AppIcon.appiconset)
+	 * @returns {Promise<{imageSet: string, storyboard: string}>} Absolute paths of the generated assets
+	 */
+	async generateLaunchScreen(layers, outputDir) {
+		const launchScreen = this.config.launchScreen;
+		const imageSetDir = path.join(outputDir, launchScreen.imageSetDirectoryName);
+		await this.fileManager.ensureDirectory(imageSetDir);
+
+		console.log(`\n📦 Generating ${this.config.platformName} launch screen...\n`);
+
+		for (const scale of launchScreen.scales) {
+			const pixelSize = this.imageProcessor.calculatePixelSize(
+				`${launchScreen.pointSize}x${launchScreen.pointSize}`,
+				scale
+			);
+			const image = await this.imageProcessor.prepareAdaptiveLayer(
+				layers.foreground,
+				pixelSize,
+				true, // Same padding as the icon foreground
+				Platform.IOS
+			);
+			const filename = this.getLaunchImageFilename(scale);
+
+			await this.imageProcessor.saveImage(
+				image,
+				path.join(imageSetDir, filename)
+			);
+			console.log(
+				`   ✓ ${launchScreen.imageSetDirectoryName}/${filename} (${pixelSize}x${pixelSize}px)`
+			);
+		}
+
+		await this.fileManager.writeJson(
+			path.join(imageSetDir, this.config.metadataFileName),
+			this.createLaunchImageContentsJson()
+		);
+		console.log(
+			`   ✓ ${launchScreen.imageSetDirectoryName}/${this.config.metadataFileName}`
+		);
+
+		const backgroundColor = await this.imageProcessor.resolveLayerColor(
+			layers.background,
+			launchScreen.defaultBackground
+		);
+		const storyboardPath = path.join(outputDir, launchScreen.storyboardFileName);
+		await this.fileManager.writeXml(
+			storyboardPath,
+			this.createLaunchScreenStoryboard(backgroundColor)
+		);
+		console.log(`   ✓ ${launchScreen.storyboardFileName}`);
+
+		return {
+			imageSet: imageSetDir,
+			storyboard: storyboardPath,
+		};
+	}
+
+	/**
+	 * Get the launch image filename for a scale
+	 * @pure
+	 * @param {string} scale - Scale (e.g., "2x")
+	 * @returns {string} Filename (e.g., "LaunchImage@2x.png")
+	 */
+	getLaunchImageFilename(scale) {
+		const { imageName } = this.config.launchScreen;
+		return scale === "1x" ? `${imageName}.png` : `${imageName}@${scale}.png`;
+	}
+
+	/**
+	 * Create LaunchImage.imageset Contents.json structure
+	 * @pure
+	 * @returns {object} Contents.json object
+	 */
+	createLaunchImageContentsJson() {
+		return {
+			images: this.config.launchScreen.scales.map(scale => ({
+				filename: this.getLaunchImageFilename(scale),
+				idiom: "universal",
+				scale,
+			})),
+			info: {
+				author: "xcode",
+				version: 1,
+			},
+		};
+	}
+
+	/**
+	 * Create a minimal LaunchScreen.storyboard that centers the launch image
+	 * @pure
+	 * @param {string} backgroundColor - Background hex color
+	 * @returns {string} Storyboard XML
+	 */
+	createLaunchScreenStoryboard(backgroundColor) {
+		const { imageName, pointSize } = this.config.launchScreen;
+		const hex = backgroundColor.replace("#", "");
+		const fullHex =
+			hex.length === 3 ? hex.split("").map(c => c + c).join("") : hex;
+		const [red, green, blue] = [0, 2, 4].map(offset =>
+			Number((parseInt(fullHex.substring(offset, offset + 2), 16) / 255).toFixed(3))
+		);
+
+		return `<?xml version="1.0" encoding="UTF-8" standalone="no"?>
+<document type="com.apple.InterfaceBuilder3.CocoaTouch.Storyboard.XIB" version="3.0" toolsVersion="12121" systemVersion="16G29" targetRuntime="iOS.CocoaTouch" propertyAccessControl="none" useAutolayout="YES" launchScreen="YES" colorMatched="YES" initialViewController="01J-lp-oVM">
+    <dependencies>
+        <plugIn identifier="com.apple.InterfaceBuilder.IBCocoaTouchPlugin" version="12089"/>
+    </dependencies>
+    <scenes>
+        <!--View Controller-->
+        <scene sceneID="EHf-IW-A2E">
+            <objects>
+                <viewController id="01J-lp-oVM" sceneMemberID="viewController">
+                    <view key="view" contentMode="scaleToFill" id="Ze5-6b-2t3">
+                        <autoresizingMask key="autoresizingMask" widthSizable="YES" heightSizable="YES"/>
+                        <subviews>
+                            <imageView opaque="NO" clipsSubviews="YES" multipleTouchEnabled="YES" contentMode="center" image="${imageName}" translatesAutoresizingMaskIntoConstraints="NO" id="YRO-k0-Ey4"/>
+                        </subviews>
+                        <color key="backgroundColor" red="${red}" green="${green}" blue="${blue}" alpha="1" colorSpace="custom" customColorSpace="sRGB"/>
+                        <constraints>
+                            <constraint firstItem="YRO-k0-Ey4" firstAttribute="centerX" secondItem="Ze5-6b-2t3" secondAttribute="centerX" id="1a2-6s-vTC"/>
+                            <constraint firstItem="YRO-k0-Ey4" firstAttribute="centerY" secondItem="Ze5-6b-2t3" secondAttribute="centerY" id="4X2-HB-R7a"/>
+                        </constraints>
+                    </view>
+                </viewController>
+                <placeholder placeholderIdentifier="IBFirstResponder" id="iYj-Kq-Ea1" userLabel="First Responder" sceneMemberID="firstResponder"/>
+            </objects>
+        </scene>
+    </scenes>
+    <resources>
+        <image name="${imageName}" width="${pointSize}" height="${pointSize}"/>
+    </resources>
+</document>`;
+	}
+
 	/**
 	 * Generate iOS Contents.json metadata file
 	 * @param {string} outputDir - Output directory
@@ -164,13 +544,41 @@ export class IOSGenerator extends PlatformGenerator {
 	 * @returns {object} Contents.json object
 	 */
 	createContentsJson() {
+		// Undefined keys (scale for universal, platform for legacy) are dropped by JSON
 		const images = this.config.iconSizes.map(icon => ({
 			filename: icon.filename,
 			idiom: icon.idiom,
+			platform: icon.platform,
 			scale: icon.scale,
 			size: icon.size,
 		}));
 
+		// Appearance variants pair with a light "any" universal entry of the same size
+		const lightIcon = this.getLightAppearanceIcon();
+		if (lightIcon && !this.config.iconSizes.includes(lightIcon)) {
+			images.push({
+				filename: lightIcon.filename,
+				idiom: lightIcon.idiom,
+				platform: lightIcon.platform,
+				size: lightIcon.size,
+			});
+		}
+
+		for (const icon of this.appearanceIcons) {
+			images.push({
+				appearances: [
+					{
+						appearance: "luminosity",
+						value: icon.appearance,
+					},
+				],
+				filename: icon.filename,
+				idiom: icon.idiom,
+				platform: icon.platform,
+				size: icon.size,
+			});
+		}
+
 		return {
 			images,
 			info: {
@@ -180,6 +588,38 @@ export class IOSGenerator extends PlatformGenerator {
 		};
 	}
 
+	/**
+	 * Get platform information for display
+	 * @param {object} [options] - Display options
+	 * @param {string} [options.iosLayout] - Asset catalog layout to describe
+	 * @returns {object} Platform info
+	 */
+	getPlatformInfo(options = {}) {
+		if (options.iosLayout) {
+			this.setLayout(options.iosLayout);
+		}
+
+		return {
+			...super.getPlatformInfo(),
+			layout: this.config.layout,
+		};
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of filenames
+	 */
+	getGeneratedFiles() {
+		const lightIcon = this.getLightAppearanceIcon();
+		return [
+			...super.getGeneratedFiles(),
+			...(lightIcon && !this.config.iconSizes.includes(lightIcon)
+				? [lightIcon.filename]
+				: []),
+			...this.appearanceIcons.map(icon => icon.filename),
+		];
+	}
+
 	/**
 	 * Validate iOS-specific requirements
 	 * @param {string} inputPath - Path to input file
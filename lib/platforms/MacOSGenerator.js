@@ -0,0 +1,286 @@
+/**
+ * MacOSGenerator - macOS Platform Implementation
+ *
+ * Implements the PlatformGenerator interface for macOS (and Mac Catalyst) icon generation
+ * Follows Liskov Substitution Principle - can be used wherever PlatformGenerator is expected
+ */
+
+import path from "path";
+import { PlatformGenerator } from "./PlatformGenerator.js";
+import { MACOS_CONFIG } from "../config/macos-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+import { IconEncoder } from "../core/IconEncoder.js";
+
+export class MacOSGenerator extends PlatformGenerator {
+	/**
+	 * Create macOS generator with default dependencies
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {FileManager} fileManager
+	 * @param {ArchiveManager} archiveManager
+	 * @param {object} [customSizes] - Optional size customization
+	 */
+	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
+		super(
+			MACOS_CONFIG,
+			imageProcessor,
+			fileManager,
+			archiveManager,
+			customSizes
+		);
+		this.iconEncoder = new IconEncoder();
+		this.createIcns = false;
+	}
+
+	/**
+	 * Override generate to support adaptive mode (layer-based)
+	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options
+	 * @param {boolean} [options.icns=false] - Also pack icons into AppIcon.icns
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generate(inputPath, outputDir, options = {}) {
+		const {
+			force = false,
+			zip = false,
+			adaptiveIcon,
+			icns = false,
+		} = options;
+
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+
+		this.createIcns = !!icns;
+
+		// Check if using adaptive mode (layer-based generation)
+		if (adaptiveIcon && adaptiveIcon.foreground) {
+			return await this.generateAdaptiveMode(
+				adaptiveIcon,
+				outputDir,
+				force,
+				zip
+			);
+		}
+
+		// Fall back to standard mode (single image)
+		return await this.generateStandardMode(inputPath, outputDir, options);
+	}
+
+	/**
+	 * Generate icons in adaptive mode (with layers)
+	 * Creates a composite from foreground + background layers
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @param {boolean} force - Force overwrite
+	 * @param {boolean} zip - Create ZIP archive
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateAdaptiveMode(adaptiveIcon, outputDir, force, zip) {
+		console.log(
+			`\n🚀 ${this.config.platformName} Icon Generator (Layer-Based Mode)\n`
+		);
+		console.log(`Foreground: ${adaptiveIcon.foreground}`);
+		console.log(
+			`Background: ${adaptiveIcon.background || "#111111 (default)"}`
+		);
+		console.log(`Output:     ${outputDir}\n`);
+
+		this.defaultSource = adaptiveIcon.foreground;
+
+		// Create full-bleed composite from layers (template is applied in generateIcons)
+		console.log("🔨 Creating composite from layers...");
+		const composite = await this.imageProcessor.createCompositeFromLayers(
+			adaptiveIcon.foreground,
+			adaptiveIcon.background || null, // null defaults to #111111
+			1024,
+			Platform.IOS // Use iOS padding ratio for the artwork inside the body
+		);
+
+		// Prepare output directory
+		const targetDir = await this.prepareOutputDirectory(outputDir, force);
+
+		// Generate icons from composite
+		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
+		await this.generateIcons(composite, targetDir);
+
+		// Generate metadata
+		const metadataPath = await this.generateMetadata(targetDir);
+
+		// Create archive if requested
+		let zipPath = null;
+		if (zip) {
+			zipPath = await this.createArchive(targetDir, outputDir);
+			console.log(`\n📦 Created ZIP: ${zipPath}`);
+		}
+
+		console.log(
+			`\n✅ Successfully generated ${this.config.iconSizes.length} ${this.config.platformName} icons!\n`
+		);
+
+		return {
+			success: true,
+			platform: this.config.platformKey,
+			outputDir: targetDir,
+			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
+			metadataPath,
+			zipPath,
+		};
+	}
+
+	/**
+	 * Generate all macOS icon sizes (and AppIcon.icns if requested)
+	 * Applies the macOS rounded template to the full-bleed source first
+	 * @param {sharp.Sharp} sourceImage - Prepared full-bleed source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcons(sourceImage, outputDir) {
+		const templated = await this.imageProcessor.applyRoundedTemplate(
+			sourceImage,
+			this.config.iconTemplate
+		);
+
+		const iconSetDir = path.join(outputDir, this.config.iconSetDirectoryName);
+		await this.fileManager.ensureDirectory(iconSetDir);
+
+		await Promise.all(
+			this.config.iconSizes.map(iconDef =>
+				this.generateSingleIcon(templated, iconSetDir, iconDef)
+			)
+		);
+
+		if (this.createIcns) {
+			await this.generateIcns(templated, outputDir);
+		}
+	}
+
+	/**
+	 * Generate a single macOS icon
+	 * @param {sharp.Sharp} sourceImage - Templated source image
+	 * @param {string} outputDir - Icon set directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename}
+	 */
+	async generateSingleIcon(sourceImage, outputDir, iconDef) {
+		const pixelSize = this.imageProcessor.calculatePixelSize(
+			iconDef.size,
+			iconDef.scale
+		);
+		const outputPath = path.join(outputDir, iconDef.filename);
+
+		await this.imageProcessor.resizeAndSave(
+			await this.getIconSource(sourceImage, iconDef),
+			pixelSize,
+			outputPath
+		);
+
+		console.log(
+			`   ✓ ${this.config.iconSetDirectoryName}/${iconDef.filename} (${pixelSize}x${pixelSize}px)`
+		);
+	}
+
+	/**
+	 * Pack templated icons into a binary AppIcon.icns
+	 * @param {sharp.Sharp} sourceImage - Templated source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcns(sourceImage, outputDir) {
+		const images = await Promise.all(
+			this.getContainerIconDefs().map(async entry => ({
+				size: entry.size,
+				buffer: await this.imageProcessor.resizeToBuffer(
+					await this.getIconSource(sourceImage, entry),
+					entry.size
+				),
+			}))
+		);
+
+		const icnsBuffer = this.iconEncoder.encodeIcns(images);
+		await this.fileManager.writeBuffer(
+			path.join(outputDir, this.config.icnsFileName),
+			icnsBuffer
+		);
+
+		console.log(`   ✓ ${this.config.icnsFileName}`);
+	}
+
+	/**
+	 * Generate macOS Contents.json metadata file
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<string>} Path to metadata file
+	 */
+	async generateMetadata(outputDir) {
+		const contentsPath = path.join(
+			outputDir,
+			this.config.iconSetDirectoryName,
+			this.config.metadataFileName
+		);
+
+		await this.fileManager.writeJson(contentsPath, this.createContentsJson());
+		console.log(
+			`\n   ✓ ${this.config.iconSetDirectoryName}/${this.config.metadataFileName}`
+		);
+
+		return contentsPath;
+	}
+
+	/**
+	 * Create macOS Contents.json structure
+	 * @returns {object} Contents.json object
+	 */
+	createContentsJson() {
+		const images = this.config.iconSizes.map(icon => ({
+			filename: icon.filename,
+			idiom: icon.idiom,
+			scale: icon.scale,
+			size: icon.size,
+		}));
+
+		return {
+			images,
+			info: {
+				author: "xcode",
+				version: 1,
+			},
+		};
+	}
+
+	/**
+	 * Get the path of an icon file relative to the output directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename}
+	 * @returns {string} Relative file path
+	 */
+	getIconFile(iconDef) {
+		return `${this.config.iconSetDirectoryName}/${iconDef.filename}`;
+	}
+
+	/**
+	 * Get the entries of AppIcon.icns (only packed with the icns option)
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getContainerIconDefs() {
+		if (!this.createIcns) {
+			return [];
+		}
+		return this.config.icnsSizes.map(size =>
+			this.getContainerIconDef(this.config.icnsFileName, size)
+		);
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getGeneratedFiles() {
+		const iconSetDir = this.config.iconSetDirectoryName;
+		const files = this.config.iconSizes.map(
+			icon => `${iconSetDir}/${icon.filename}`
+		);
+		files.push(`${iconSetDir}/${this.config.metadataFileName}`);
+
+		if (this.createIcns) {
+			files.push(this.config.icnsFileName);
+		}
+
+		return files;
+	}
+}
@@ -10,10 +10,11 @@
  */
 
 import path from "path";
-import { ImageProcessor, Platform } from "../core/ImageProcessor.js";
+import { ImageProcessor } from "../core/ImageProcessor.js";
 import { FileManager } from "../core/FileManager.js";
 import { ArchiveManager } from "../core/ArchiveManager.js";
 import { sizeConfigManager } from "../core/SizeConfigManager.js";
+import { SafeZoneAnalyzer } from "../core/SafeZoneAnalyzer.js";
 
 export class PlatformGenerator {
 	/**
@@ -44,10 +45,20 @@ export class PlatformGenerator {
 			? sizeConfigManager.applySizeCustomization(config, customSizes)
 			: config;
 
+		// Shared processor; each run works on its own copy (see applyRunOptions)
+		this.sharedImageProcessor = imageProcessor;
 		this.imageProcessor = imageProcessor;
 		this.fileManager = fileManager;
 		this.archiveManager = archiveManager;
 		this.customSizes = customSizes;
+		this.safeZoneAnalyzer = new SafeZoneAnalyzer(imageProcessor);
+
+		// Main source reported for icons without a source override
+		this.defaultSource = null;
+		this.sourceOverrideImages = new Map();
+
+		// Prepared source image without the environment badge (standard mode)
+		this.artworkImage = null;
 	}
 
 	/**
@@ -57,17 +68,40 @@ export class PlatformGenerator {
 	 * @param {string} inputPath - Path to source image
 	 * @param {string} outputDir - Output directory
 	 * @param {object} options - Generation options {force: boolean, zip: boolean, customSizes: object}
+	 * @param {object} [options.processing] - Resize kernel and sharpening {kernel, sharpen, [platform]: {kernel, sharpen}}
 	 * @returns {Promise<object>} Generation result
 	 */
 	async generate(inputPath, outputDir, options = {}) {
-		const { force = false, zip = false, customSizes = null, fgScale = null, fgScaleIos = null } = options;
+		this.applyRunOptions(options);
+		return await this.generateStandardMode(inputPath, outputDir, options);
+	}
 
-		// Set foreground scale for iOS if provided
-		// Platform-specific scale overrides global scale
-		const iosScale = fgScaleIos || fgScale;
-		if (iosScale !== null && iosScale !== undefined) {
-			this.imageProcessor.setForegroundScale(Platform.IOS, parseFloat(iosScale));
-		}
+	/**
+	 * Apply the per-run options (foreground scale and fit, badge, version label,
+	 * processing profile) to a processor owned by this run
+	 * The shared processor is never modified, so concurrent runs cannot leak settings
+	 * into each other. Every generate() path calls this once before any image work.
+	 * @param {object} options - Generation options
+	 * @throws {Error} When the badge, version label or processing options are invalid
+	 */
+	applyRunOptions(options = {}) {
+		this.imageProcessor = this.sharedImageProcessor.forRun(
+			options,
+			this.config.platformKey
+		);
+		this.safeZoneAnalyzer = new SafeZoneAnalyzer(this.imageProcessor);
+	}
+
+	/**
+	 * Generate icons from a single source image
+	 * Expects applyRunOptions() to have been called for this run
+	 * @param {string} inputPath - Path to source image
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options {force: boolean, zip: boolean, customSizes: object}
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateStandardMode(inputPath, outputDir, options = {}) {
+		const { force = false, zip = false, customSizes = null } = options;
 
 		// Apply custom sizes if provided in options (runtime customization)
 		if (customSizes && !this.customSizes) {
@@ -78,6 +112,8 @@ export class PlatformGenerator {
 			this.customSizes = customSizes;
 		}
 
+		this.defaultSource = inputPath;
+
 		console.log(`\n🚀 ${this.config.platformName} Icon Generator\n`);
 		console.log(`Input:  ${inputPath}`);
 		console.log(`Output: ${outputDir}\n`);
@@ -89,16 +125,21 @@ export class PlatformGenerator {
 		const targetDir = await this.prepareOutputDirectory(outputDir, force);
 
 		// Step 3: Load and prepare source image
-		const { image, metadata } = await this.imageProcessor.loadImage(inputPath);
+		const { image, metadata } = await this.imageProcessor.loadImage(
+			inputPath,
+			this.config.minSourceImageSize // SVG sources render at this size
+		);
 		console.log(
 			`📷 Loaded: ${metadata.width}x${metadata.height}, format: ${metadata.format}`
 		);
 
-		const preparedImage = await this.imageProcessor.prepareImage(
+		// Outputs that must not carry the environment badge start from the plain artwork
+		this.artworkImage = await this.imageProcessor.prepareImage(
 			image,
 			metadata,
 			this.config.minSourceImageSize
 		);
+		const preparedImage = await this.imageProcessor.applyBadge(this.artworkImage);
 
 		// Step 4: Generate icons (platform-specific)
 		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
@@ -123,6 +164,7 @@ export class PlatformGenerator {
 			platform: this.config.platformKey,
 			outputDir: targetDir,
 			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
 			metadataPath,
 			zipPath,
 		};
@@ -143,6 +185,28 @@ export class PlatformGenerator {
 		}
 	}
 
+	/**
+	 * Check the foreground layer against the platform safe zone
+	 * Runs before any file is written so strict mode fails without partial output
+	 * @param {string} foregroundPath - Path to foreground image
+	 * @param {string} platform - Platform.ANDROID or Platform.IOS
+	 * @param {boolean} [strict=false] - Throw instead of returning a warning
+	 * @returns {Promise<Array<string>>} Safe zone warnings (empty when the content fits)
+	 */
+	async checkSafeZone(foregroundPath, platform, strict = false) {
+		const report = await this.safeZoneAnalyzer.analyze(foregroundPath, platform);
+		if (!report || !report.violation) {
+			return [];
+		}
+
+		if (strict) {
+			throw new Error(`Safe zone violation: ${report.message}`);
+		}
+
+		console.log(`   ⚠️  ${report.message}`);
+		return [report.message];
+	}
+
 	/**
 	 * Prepare output directory
 	 * @param {string} outputDir - Base output directory
@@ -150,6 +214,9 @@ export class PlatformGenerator {
 	 * @returns {Promise<string>} Full path to prepared directory
 	 */
 	async prepareOutputDirectory(outputDir, force) {
+		// Fail on a missing hand-tuned source before anything is written
+		this.validateSourceOverrides();
+
 		return await this.fileManager.prepareOutputDirectory(
 			outputDir,
 			this.config.outputDirectoryName,
@@ -184,11 +251,125 @@ export class PlatformGenerator {
 		return files;
 	}
 
+	/**
+	 * Get the image an icon is resized from
+	 * Icons matched by a source override (see SizeConfigManager) use their hand-tuned
+	 * file as-is instead of the main source; the environment badge is still drawn
+	 * @param {sharp.Sharp} sourceImage - Main source image
+	 * @param {object} iconDef - Icon definition (with `source` when overridden)
+	 * @param {object} [options] - Options
+	 * @param {boolean} [options.badge=true] - Draw the environment badge on a hand-tuned source
+	 * @returns {Promise<sharp.Sharp>} Image to resize
+	 */
+	async getIconSource(sourceImage, iconDef, { badge = true } = {}) {
+		if (!iconDef.source) {
+			return sourceImage;
+		}
+
+		// Icons are generated in parallel, so every file is loaded once per size
+		const pixelSize = sizeConfigManager.getPixelSize(
+			iconDef,
+			this.config.platformKey
+		);
+		const key = `${iconDef.source}@${pixelSize}`;
+		if (!this.sourceOverrideImages.has(key)) {
+			this.sourceOverrideImages.set(
+				key,
+				this.loadSourceOverride(iconDef.source, pixelSize)
+			);
+		}
+
+		const image = await this.sourceOverrideImages.get(key);
+		return badge ? await this.imageProcessor.applyBadge(image) : image;
+	}
+
+	/**
+	 * Load a hand-tuned source file
+	 * @param {string} sourcePath - Path to source override
+	 * @param {number} pixelSize - Size of the icon it is loaded for (SVG sources render at this size)
+	 * @returns {Promise<sharp.Sharp>} Loaded image
+	 */
+	async loadSourceOverride(sourcePath, pixelSize) {
+		const { image } = await this.imageProcessor.loadImage(sourcePath, pixelSize);
+		return image;
+	}
+
+	/**
+	 * Check that every hand-tuned source file exists
+	 * @throws {Error} If a source override is missing
+	 */
+	validateSourceOverrides() {
+		const iconDefs = [...this.config.iconSizes, ...this.getContainerIconDefs()];
+		for (const { source } of iconDefs) {
+			if (source && !this.fileManager.exists(source)) {
+				throw new Error(`Source override not found: ${source}`);
+			}
+		}
+	}
+
+	/**
+	 * Get the entries of the multi-size containers (.ico/.icns) of the platform
+	 * Override in platforms that pack icons into containers
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getContainerIconDefs() {
+		return [];
+	}
+
+	/**
+	 * Get the icon definition of one container entry
+	 * Entries resolve source overrides like the loose icon of the same pixel size
+	 * @param {string} container - Container file name
+	 * @param {number} size - Entry size in pixels
+	 * @returns {object} Icon definition {container, size, scale, source?}
+	 */
+	getContainerIconDef(container, size) {
+		const iconDef = { container, size, scale: "1x" };
+		const source = this.config.sourceOverrideRules
+			? sizeConfigManager.resolveSource(
+					iconDef,
+					this.config.platformKey,
+					this.config.sourceOverrideRules
+				)
+			: null;
+		return source ? { ...iconDef, source } : iconDef;
+	}
+
+	/**
+	 * Get the source each icon was generated from
+	 * Container entries are listed as "<container>#<size>x<size>"
+	 * @returns {object} Map of icon file (relative to output directory) to source path
+	 */
+	getIconSources() {
+		return Object.fromEntries([
+			...this.config.iconSizes.map(icon => [
+				this.getIconFile(icon),
+				icon.source || this.defaultSource,
+			]),
+			...this.getContainerIconDefs().map(entry => [
+				`${entry.container}#${entry.size}x${entry.size}`,
+				entry.source || this.defaultSource,
+			]),
+		]);
+	}
+
+	/**
+	 * Get the path of an icon file relative to the output directory
+	 * @param {object} iconDef - Icon definition
+	 * @returns {string} Relative file path
+	 */
+	getIconFile(iconDef) {
+		return iconDef.folder
+			? `${iconDef.folder}/${iconDef.filename}`
+			: iconDef.filename;
+	}
+
 	/**
 	 * Get platform information for display
+	 * @param {object} [options] - Platform-specific display options
 	 * @returns {object} Platform info
 	 */
-	getPlatformInfo() {
+	getPlatformInfo(options = {}) {
 		return {
 			name: this.config.platformName,
 			key: this.config.platformKey,
@@ -0,0 +1,319 @@
+/**
+ * TVOSGenerator - tvOS Platform Implementation
+ *
+ * Implements the PlatformGenerator interface for Apple TV brand assets:
+ * layered App Icon image stacks (.imagestack) and Top Shelf images inside a .brandassets folder
+ * Follows Liskov Substitution Principle - can be used wherever PlatformGenerator is expected
+ */
+
+import path from "path";
+import { PlatformGenerator } from "./PlatformGenerator.js";
+import { TVOS_CONFIG } from "../config/tvos-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+
+const XCODE_INFO = {
+	author: "xcode",
+	version: 1,
+};
+
+export class TVOSGenerator extends PlatformGenerator {
+	/**
+	 * Create tvOS generator with default dependencies
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {FileManager} fileManager
+	 * @param {ArchiveManager} archiveManager
+	 * @param {object} [customSizes] - Optional size customization
+	 */
+	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
+		super(
+			TVOS_CONFIG,
+			imageProcessor,
+			fileManager,
+			archiveManager,
+			customSizes
+		);
+	}
+
+	/**
+	 * Override generate: tvOS always works with layers
+	 * In standard mode the single image becomes the front layer over the default background
+	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generate(inputPath, outputDir, options = {}) {
+		const { force = false, zip = false, adaptiveIcon } = options;
+
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+
+		if (adaptiveIcon && adaptiveIcon.foreground) {
+			return await this.generateAdaptiveMode(
+				adaptiveIcon,
+				outputDir,
+				force,
+				zip
+			);
+		}
+
+		await this.validateInput(inputPath);
+		return await this.generateAdaptiveMode(
+			{ foreground: inputPath, background: null },
+			outputDir,
+			force,
+			zip
+		);
+	}
+
+	/**
+	 * Generate brand assets in adaptive mode (with layers)
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @param {boolean} force - Force overwrite
+	 * @param {boolean} zip - Create ZIP archive
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateAdaptiveMode(adaptiveIcon, outputDir, force, zip) {
+		console.log(
+			`\n🚀 ${this.config.platformName} Icon Generator (Layer-Based Mode)\n`
+		);
+		console.log(`Foreground: ${adaptiveIcon.foreground}`);
+		console.log(
+			`Background: ${adaptiveIcon.background || "#111111 (default)"}`
+		);
+		console.log(`Output:     ${outputDir}\n`);
+
+		// Prepare output directory
+		const targetDir = await this.prepareOutputDirectory(outputDir, force);
+
+		// Generate layer and Top Shelf images
+		console.log(`\n📦 Generating ${this.config.platformName} brand assets...\n`);
+		await this.generateIcons(adaptiveIcon, targetDir);
+
+		// Generate Contents.json for every folder in the brand assets
+		const metadataPath = await this.generateMetadata(targetDir);
+
+		// Create archive if requested
+		let zipPath = null;
+		if (zip) {
+			zipPath = await this.createArchive(targetDir, outputDir);
+			console.log(`\n📦 Created ZIP: ${zipPath}`);
+		}
+
+		console.log(
+			`\n✅ Successfully generated ${this.config.iconSizes.length} ${this.config.platformName} images!\n`
+		);
+
+		return {
+			success: true,
+			platform: this.config.platformKey,
+			outputDir: targetDir,
+			files: this.getGeneratedFiles(),
+			metadataPath,
+			zipPath,
+		};
+	}
+
+	/**
+	 * Generate every image stack layer and Top Shelf image
+	 * Unlike other platforms this works from the layers, not a single prepared image
+	 * @param {object} adaptiveIcon - Adaptive icon configuration {foreground, background}
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcons(adaptiveIcon, outputDir) {
+		const brandDir = path.join(outputDir, this.config.brandAssetsDirectoryName);
+
+		// Sequential: Top Shelf @2x images are large
+		for (const iconDef of this.config.iconSizes) {
+			await this.generateSingleIcon(adaptiveIcon, brandDir, iconDef);
+		}
+	}
+
+	/**
+	 * Generate a single layer or Top Shelf image
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} brandDir - Brand assets directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename, layer?}
+	 */
+	async generateSingleIcon(adaptiveIcon, brandDir, iconDef) {
+		const { width, height } = this.calculateDimensions(
+			iconDef.size,
+			iconDef.scale
+		);
+		const outputPath = path.join(brandDir, iconDef.filename);
+		await this.fileManager.ensureDirectory(path.dirname(outputPath));
+
+		let image;
+		if (iconDef.layer) {
+			const layerDef = this.config.imageStackLayers.find(
+				layer => layer.name === iconDef.layer
+			);
+			const isForeground = layerDef.source === "foreground";
+			image = await this.imageProcessor.prepareRectLayer(
+				isForeground ? adaptiveIcon.foreground : adaptiveIcon.background,
+				width,
+				height,
+				isForeground,
+				Platform.TVOS
+			);
+			// The environment badge rides on the front layer of each image stack
+			if (isForeground) {
+				image = await this.imageProcessor.applyBadge(image);
+			}
+		} else {
+			image = await this.imageProcessor.createRectCompositeFromLayers(
+				adaptiveIcon.foreground,
+				adaptiveIcon.background,
+				width,
+				height,
+				Platform.TVOS
+			);
+		}
+
+		await this.imageProcessor.saveImage(image, outputPath);
+
+		console.log(`   ✓ ${iconDef.filename} (${width}x${height}px)`);
+	}
+
+	/**
+	 * Write Contents.json for the brand assets, image stacks, layers and image sets
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<string>} Path to the brand assets Contents.json
+	 */
+	async generateMetadata(outputDir) {
+		const brandDir = path.join(outputDir, this.config.brandAssetsDirectoryName);
+
+		for (const { file, contents } of this.createContentsFiles()) {
+			const filePath = path.join(brandDir, file);
+			await this.fileManager.ensureDirectory(path.dirname(filePath));
+			await this.fileManager.writeJson(filePath, contents);
+		}
+
+		console.log(
+			`\n   ✓ ${this.config.brandAssetsDirectoryName}/${this.config.metadataFileName} (+ image stack metadata)`
+		);
+
+		return path.join(brandDir, this.config.metadataFileName);
+	}
+
+	/**
+	 * Create every Contents.json in the brand assets folder
+	 * @pure
+	 * @returns {Array<{file: string, contents: object}>} Paths relative to the brand assets folder
+	 */
+	createContentsFiles() {
+		const metadataFileName = this.config.metadataFileName;
+		const files = [
+			{ file: metadataFileName, contents: this.createBrandAssetsJson() },
+		];
+
+		for (const stack of this.config.imageStacks) {
+			const stackDir = `${stack.name}.imagestack`;
+			files.push({
+				file: `${stackDir}/${metadataFileName}`,
+				contents: {
+					info: XCODE_INFO,
+					layers: this.config.imageStackLayers.map(layer => ({
+						filename: `${layer.name}.imagestacklayer`,
+					})),
+				},
+			});
+
+			for (const layer of this.config.imageStackLayers) {
+				const layerDir = `${stackDir}/${layer.name}.imagestacklayer`;
+				files.push({
+					file: `${layerDir}/${metadataFileName}`,
+					contents: { info: XCODE_INFO },
+				});
+				files.push({
+					file: `${layerDir}/Content.imageset/${metadataFileName}`,
+					contents: this.createImageSetJson(stack, layer.name),
+				});
+			}
+		}
+
+		for (const image of this.config.topShelfImages) {
+			files.push({
+				file: `${image.name}.imageset/${metadataFileName}`,
+				contents: this.createImageSetJson(image),
+			});
+		}
+
+		return files;
+	}
+
+	/**
+	 * Create the brand assets Contents.json structure
+	 * @pure
+	 * @returns {object} Contents.json object
+	 */
+	createBrandAssetsJson() {
+		const assets = [
+			...this.config.imageStacks.map(stack => ({
+				filename: `${stack.name}.imagestack`,
+				idiom: stack.idiom,
+				role: stack.role,
+				size: stack.size,
+			})),
+			...this.config.topShelfImages.map(image => ({
+				filename: `${image.name}.imageset`,
+				idiom: image.idiom,
+				role: image.role,
+				size: image.size,
+			})),
+		];
+
+		return {
+			assets,
+			info: XCODE_INFO,
+		};
+	}
+
+	/**
+	 * Create an imageset Contents.json listing the generated scales
+	 * @pure
+	 * @param {object} asset - Image stack or Top Shelf definition
+	 * @param {string} [layerName] - Layer name for image stack layers
+	 * @returns {object} Contents.json object
+	 */
+	createImageSetJson(asset, layerName = undefined) {
+		const images = this.config.iconSizes
+			.filter(icon => icon.asset === asset.name && icon.layer === layerName)
+			.map(icon => ({
+				filename: path.posix.basename(icon.filename),
+				idiom: asset.idiom,
+				scale: icon.scale,
+			}));
+
+		return {
+			images,
+			info: XCODE_INFO,
+		};
+	}
+
+	/**
+	 * Calculate pixel dimensions from a "WxH" size and scale
+	 * @pure
+	 * @param {string} sizeStr - Size string (e.g., "400x240")
+	 * @param {string} scale - Scale string (e.g., "2x")
+	 * @returns {{width: number, height: number}}
+	 */
+	calculateDimensions(sizeStr, scale) {
+		const [width, height] = sizeStr.split("x").map(Number);
+		const factor = parseInt(scale);
+		return { width: width * factor, height: height * factor };
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getGeneratedFiles() {
+		const brandDir = this.config.brandAssetsDirectoryName;
+		return [
+			...this.config.iconSizes.map(icon => `${brandDir}/${icon.filename}`),
+			...this.createContentsFiles().map(({ file }) => `${brandDir}/${file}`),
+		];
+	}
+}
@@ -0,0 +1,290 @@
+/**
+ * WatchOSGenerator - watchOS Platform Implementation
+ *
+ * Implements the PlatformGenerator interface for watchOS icon generation
+ * Follows Liskov Substitution Principle - can be used wherever PlatformGenerator is expected
+ */
+
+import path from "path";
+import { PlatformGenerator } from "./PlatformGenerator.js";
+import { WATCHOS_CONFIG } from "../config/watchos-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+
+export class WatchOSGenerator extends PlatformGenerator {
+	/**
+	 * Create watchOS generator with default dependencies
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {FileManager} fileManager
+	 * @param {ArchiveManager} archiveManager
+	 * @param {object} [customSizes] - Optional size customization
+	 */
+	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
+		super(
+			WATCHOS_CONFIG,
+			imageProcessor,
+			fileManager,
+			archiveManager,
+			customSizes
+		);
+		this.flattenColor = WATCHOS_CONFIG.flattenColor;
+	}
+
+	/**
+	 * Override generate to support adaptive mode (layer-based)
+	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generate(inputPath, outputDir, options = {}) {
+		const { force = false, zip = false, adaptiveIcon } = options;
+
+		// Foreground scale, fit, badge, version label and processing profile
+		this.applyRunOptions(options);
+
+		this.flattenColor = this.resolveFlattenColor(adaptiveIcon);
+
+		// Check if using adaptive mode (layer-based generation)
+		if (adaptiveIcon && adaptiveIcon.foreground) {
+			return await this.generateAdaptiveMode(
+				adaptiveIcon,
+				outputDir,
+				force,
+				zip
+			);
+		}
+
+		// Fall back to standard mode (single image)
+		return await this.generateStandardMode(inputPath, outputDir, options);
+	}
+
+	/**
+	 * Generate icons in adaptive mode (with layers)
+	 * Creates a composite from foreground + background layers
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @param {boolean} force - Force overwrite
+	 * @param {boolean} zip - Create ZIP archive
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateAdaptiveMode(adaptiveIcon, outputDir, force, zip) {
+		console.log(
+			`\n🚀 ${this.config.platformName} Icon Generator (Layer-Based Mode)\n`
+		);
+		console.log(`Foreground: ${adaptiveIcon.foreground}`);
+		console.log(
+			`Background: ${adaptiveIcon.background || "#111111 (default)"}`
+		);
+		console.log(`Output:     ${outputDir}\n`);
+
+		this.defaultSource = adaptiveIcon.foreground;
+
+		// Create composite from layers
+		console.log("🔨 Creating composite from layers...");
+		const composite = await this.imageProcessor.createCompositeFromLayers(
+			adaptiveIcon.foreground,
+			adaptiveIcon.background || null, // null defaults to #111111
+			1024,
+			Platform.WATCHOS // Keep artwork inside the circular mask
+		);
+
+		// Prepare output directory
+		const targetDir = await this.prepareOutputDirectory(outputDir, force);
+
+		// Generate icons from composite
+		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
+		await this.generateIcons(composite, targetDir);
+
+		// Generate metadata
+		const metadataPath = await this.generateMetadata(targetDir);
+
+		// Create archive if requested
+		let zipPath = null;
+		if (zip) {
+			zipPath = await this.createArchive(targetDir, outputDir);
+			console.log(`\n📦 Created ZIP: ${zipPath}`);
+		}
+
+		console.log(
+			`\n✅ Successfully generated ${this.config.iconSizes.length} ${this.config.platformName} icons!\n`
+		);
+
+		return {
+			success: true,
+			platform: this.config.platformKey,
+			outputDir: targetDir,
+			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
+			metadataPath,
+			zipPath,
+		};
+	}
+
+	/**
+	 * Generate all watchOS icon sizes and circular previews
+	 * @param {sharp.Sharp} sourceImage - Prepared source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateIcons(sourceImage, outputDir) {
+		const iconSetDir = path.join(outputDir, this.config.iconSetDirectoryName);
+		const previewDir = path.join(outputDir, this.config.previewDirectoryName);
+		await this.fileManager.ensureDirectory(iconSetDir);
+		await this.fileManager.ensureDirectory(previewDir);
+
+		await Promise.all([
+			...this.config.iconSizes.map(iconDef =>
+				this.generateSingleIcon(sourceImage, iconSetDir, iconDef)
+			),
+			...this.getPreviewIcons().map(iconDef =>
+				this.generatePreviewIcon(sourceImage, previewDir, iconDef)
+			),
+		]);
+	}
+
+	/**
+	 * Generate a single watchOS icon
+	 * watchOS icons must be opaque, so every icon is flattened onto the background color
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Icon set directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename}
+	 */
+	async generateSingleIcon(sourceImage, outputDir, iconDef) {
+		const pixelSize = this.imageProcessor.calculatePixelSize(
+			iconDef.size,
+			iconDef.scale
+		);
+		const outputPath = path.join(outputDir, iconDef.filename);
+
+		await this.imageProcessor.resizeAndSaveOpaque(
+			await this.getIconSource(sourceImage, iconDef),
+			pixelSize,
+			outputPath,
+			this.flattenColor
+		);
+
+		console.log(
+			`   ✓ ${this.config.iconSetDirectoryName}/${iconDef.filename} (${pixelSize}x${pixelSize}px)`
+		);
+	}
+
+	/**
+	 * Generate a circular preview of an icon as it appears on the watch face
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Preview directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename}
+	 */
+	async generatePreviewIcon(sourceImage, outputDir, iconDef) {
+		const pixelSize = this.imageProcessor.calculatePixelSize(
+			iconDef.size,
+			iconDef.scale
+		);
+		const outputPath = path.join(outputDir, iconDef.filename);
+
+		await this.imageProcessor.resizeAndSaveRound(
+			sourceImage,
+			pixelSize,
+			outputPath
+		);
+
+		console.log(
+			`   ✓ ${this.config.previewDirectoryName}/${iconDef.filename} (${pixelSize}x${pixelSize}px, preview)`
+		);
+	}
+
+	/**
+	 * Generate watchOS Contents.json metadata file
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<string>} Path to metadata file
+	 */
+	async generateMetadata(outputDir) {
+		const contentsPath = path.join(
+			outputDir,
+			this.config.iconSetDirectoryName,
+			this.config.metadataFileName
+		);
+
+		await this.fileManager.writeJson(contentsPath, this.createContentsJson());
+		console.log(
+			`\n   ✓ ${this.config.iconSetDirectoryName}/${this.config.metadataFileName}`
+		);
+
+		return contentsPath;
+	}
+
+	/**
+	 * Create watchOS Contents.json structure
+	 * Undefined keys (role/subtype on entries without them) are dropped by JSON
+	 * @returns {object} Contents.json object
+	 */
+	createContentsJson() {
+		const images = this.config.iconSizes.map(icon => ({
+			filename: icon.filename,
+			idiom: icon.idiom,
+			role: icon.role,
+			scale: icon.scale,
+			size: icon.size,
+			subtype: icon.subtype,
+		}));
+
+		return {
+			images,
+			info: {
+				author: "xcode",
+				version: 1,
+			},
+		};
+	}
+
+	/**
+	 * Get icon definitions that also get a circular preview
+	 * @returns {Array<object>} Icon definitions
+	 */
+	getPreviewIcons() {
+		return this.config.iconSizes.filter(icon =>
+			this.config.previewRoles.includes(icon.role)
+		);
+	}
+
+	/**
+	 * Pick the color icons are flattened onto
+	 * @pure
+	 * @param {object} [adaptiveIcon] - Adaptive icon configuration
+	 * @returns {string} Hex color (opaque background layer color, or the configured default)
+	 */
+	resolveFlattenColor(adaptiveIcon) {
+		const background = adaptiveIcon?.background;
+		if (background && this.imageProcessor.isColor(background)) {
+			const color = this.imageProcessor.parseColor(background);
+			if (color.alpha === 1) {
+				return this.imageProcessor.colorParser.toHex(color);
+			}
+		}
+		return this.config.flattenColor;
+	}
+
+	/**
+	 * Get the path of an icon file relative to the output directory
+	 * @param {object} iconDef - Icon definition {size, scale, filename}
+	 * @returns {string} Relative file path
+	 */
+	getIconFile(iconDef) {
+		return `${this.config.iconSetDirectoryName}/${iconDef.filename}`;
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of file paths relative to output directory
+	 */
+	getGeneratedFiles() {
+		const { iconSetDirectoryName, previewDirectoryName } = this.config;
+		return [
+			...this.config.iconSizes.map(
+				icon => `${iconSetDirectoryName}/${icon.filename}`
+			),
+			`${iconSetDirectoryName}/${this.config.metadataFileName}`,
+			...this.getPreviewIcons().map(
+				icon => `${previewDirectoryName}/${icon.filename}`
+			),
+		];
+	}
+}
@@ -0,0 +1,384 @@
+/**
+ * WebGenerator - Web/PWA Platform Implementation
+ *
+ * Implements the PlatformGenerator interface for favicons, Apple touch icons
+ * and PWA manifest icons (including maskable variants)
+ * Follows Liskov Substitution Principle - can be used wherever PlatformGenerator is expected
+ */
+
+import path from "path";
+import sharp from "sharp";
+import { PlatformGenerator } from "./PlatformGenerator.js";
+import { WEB_CONFIG } from "../config/web-config.js";
+import { Platform } from "../core/ImageProcessor.js";
+import { IconEncoder } from "../core/IconEncoder.js";
+
+export class WebGenerator extends PlatformGenerator {
+	/**
+	 * Create Web generator with default dependencies
+	 * @param {ImageProcessor} imageProcessor
+	 * @param {FileManager} fileManager
+	 * @param {ArchiveManager} archiveManager
+	 * @param {object} [customSizes] - Optional size customization
+	 */
+	constructor(imageProcessor, fileManager, archiveManager, customSizes = null) {
+		super(WEB_CONFIG, imageProcessor, fileManager, archiveManager, customSizes);
+		this.iconEncoder = new IconEncoder();
+		this.manifestOptions = {};
+	}
+
+	/**
+	 * Override generate to support adaptive mode (layer-based)
+	 * @param {string} inputPath - Path to source image (or null in adaptive mode)
+	 * @param {string} outputDir - Output directory
+	 * @param {object} options - Generation options
+	 * @param {string} [options.appName] - App name written to manifest.webmanifest
+	 * @param {object} [options.webManifest] - Manifest overrides {name, shortName, themeColor, backgroundColor, display}
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generate(inputPath, outputDir, options = {}) {
+		const {
+			force = false,
+			zip = false,
+			adaptiveIcon,
+			appName,
+			webManifest = {},
+		} = options;
+
+		// Foreground scale, fit, badge, version label and processing profile
+		// (regular icons reuse the iOS composite, maskable icons the Android safe zone)
+		this.applyRunOptions(options);
+
+		this.manifestOptions = {
+			name: appName,
+			backgroundColor: this.resolveBackgroundColor(adaptiveIcon),
+			...webManifest,
+		};
+
+		// Check if using adaptive mode (layer-based generation)
+		if (adaptiveIcon && adaptiveIcon.foreground) {
+			return await this.generateAdaptiveMode(
+				adaptiveIcon,
+				outputDir,
+				force,
+				zip
+			);
+		}
+
+		// Fall back to standard mode (single image)
+		return await this.generateStandardMode(inputPath, outputDir, options);
+	}
+
+	/**
+	 * Generate icons in adaptive mode (with layers)
+	 * Creates one composite for regular icons and one safe-zone composite for maskable icons
+	 * @param {object} adaptiveIcon - Adaptive icon configuration
+	 * @param {string} outputDir - Output directory
+	 * @param {boolean} force - Force overwrite
+	 * @param {boolean} zip - Create ZIP archive
+	 * @returns {Promise<object>} Generation result
+	 */
+	async generateAdaptiveMode(adaptiveIcon, outputDir, force, zip) {
+		console.log(
+			`\n🚀 ${this.config.platformName} Icon Generator (Layer-Based Mode)\n`
+		);
+		console.log(`Foreground: ${adaptiveIcon.foreground}`);
+		console.log(
+			`Background: ${adaptiveIcon.background || "#111111 (default)"}`
+		);
+		console.log(`Output:     ${outputDir}\n`);
+
+		this.defaultSource = adaptiveIcon.foreground;
+
+		console.log("🔨 Creating composites from layers...");
+		const composite = await this.imageProcessor.createCompositeFromLayers(
+			adaptiveIcon.foreground,
+			adaptiveIcon.background || null, // null defaults to #111111
+			1024,
+			Platform.IOS // Regular icons use iOS padding ratio
+		);
+
+		// Maskable icons must keep content inside the launcher safe zone,
+		// which is exactly what the Android adaptive foreground padding provides
+		const maskableComposite =
+			await this.imageProcessor.createCompositeFromLayers(
+				adaptiveIcon.foreground,
+				adaptiveIcon.background || null,
+				1024,
+				Platform.ANDROID,
+				this.imageProcessor.badgeRenderer.createMaskableSafeZoneBox(1024)
+			);
+
+		// Prepare output directory
+		const targetDir = await this.prepareOutputDirectory(outputDir, force);
+
+		// Generate icons from composites
+		console.log(`\n📦 Generating ${this.config.platformName} icons...\n`);
+		await this.generateIcons(composite, targetDir, maskableComposite);
+
+		// Generate manifest and HTML snippet
+		const metadataPath = await this.generateMetadata(targetDir);
+
+		// Create archive if requested
+		let zipPath = null;
+		if (zip) {
+			zipPath = await this.createArchive(targetDir, outputDir);
+			console.log(`\n📦 Created ZIP: ${zipPath}`);
+		}
+
+		console.log(
+			`\n✅ Successfully generated ${this.config.iconSizes.length} ${this.config.platformName} icons!\n`
+		);
+
+		return {
+			success: true,
+			platform: this.config.platformKey,
+			outputDir: targetDir,
+			files: this.getGeneratedFiles(),
+			sources: this.getIconSources(),
+			metadataPath,
+			zipPath,
+		};
+	}
+
+	/**
+	 * Generate all web icon sizes and the multi-resolution favicon.ico
+	 * @param {sharp.Sharp} sourceImage - Prepared source image
+	 * @param {string} outputDir - Output directory
+	 * @param {sharp.Sharp} [maskableImage] - Safe-zone source for maskable icons (derived from
+	 *   the unbadged artwork when not given, i.e. in standard mode)
+	 */
+	async generateIcons(sourceImage, outputDir, maskableImage = null) {
+		const maskableSource =
+			maskableImage || (await this.createMaskableImage(this.artworkImage));
+
+		await Promise.all(
+			this.config.iconSizes.map(iconDef =>
+				this.generateSingleIcon(
+					iconDef.purpose === "maskable" ? maskableSource : sourceImage,
+					outputDir,
+					iconDef
+				)
+			)
+		);
+
+		await this.generateFaviconIco(sourceImage, outputDir);
+	}
+
+	/**
+	 * Pad a single source image into the maskable safe zone
+	 * Without layers the whole image is scaled like an Android adaptive foreground and
+	 * centered on the manifest background color (or the image's dominant color);
+	 * the environment badge is drawn afterwards, inside the maskable safe zone
+	 * @param {sharp.Sharp} sourceImage - Prepared source image without the badge
+	 * @returns {Promise<sharp.Sharp>} Maskable source (1024x1024)
+	 */
+	async createMaskableImage(sourceImage) {
+		const size = 1024; // Same as the layer-based composites
+		const contentSize = Math.round(
+			size * Math.min(1, this.imageProcessor.getSafeZoneRatio(Platform.ANDROID))
+		);
+		const offset = Math.floor((size - contentSize) / 2);
+
+		const sourceBuffer = await sourceImage.clone().png().toBuffer();
+		const [content, backgroundColor] = await Promise.all([
+			this.imageProcessor.resizeToBuffer(sharp(sourceBuffer), contentSize),
+			this.manifestOptions.backgroundColor ||
+				this.imageProcessor.getDominantColor(sourceBuffer),
+		]);
+
+		const maskable = await this.imageProcessor
+			.createSolidColorImage(size, size, backgroundColor)
+			.composite([{ input: content, left: offset, top: offset }])
+			.png()
+			.toBuffer();
+
+		return await this.imageProcessor.applyBadge(
+			sharp(maskable),
+			this.imageProcessor.badgeRenderer.createMaskableSafeZoneBox(size)
+		);
+	}
+
+	/**
+	 * Generate a single web icon
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Output directory
+	 * @param {object} iconDef - Icon definition {size, filename, purpose}
+	 */
+	async generateSingleIcon(sourceImage, outputDir, iconDef) {
+		const outputPath = path.join(outputDir, iconDef.filename);
+
+		await this.imageProcessor.resizeAndSave(
+			await this.getIconSource(sourceImage, iconDef),
+			iconDef.size,
+			outputPath
+		);
+
+		console.log(
+			`   ✓ ${iconDef.filename} (${iconDef.size}x${iconDef.size}px, ${iconDef.purpose})`
+		);
+	}
+
+	/**
+	 * Generate multi-resolution favicon.ico
+	 * @param {sharp.Sharp} sourceImage - Source image
+	 * @param {string} outputDir - Output directory
+	 */
+	async generateFaviconIco(sourceImage, outputDir) {
+		const { filename, sizes } = this.config.faviconIco;
+
+		const images = await Promise.all(
+			this.getContainerIconDefs().map(async entry => ({
+				size: entry.size,
+				buffer: await this.imageProcessor.resizeToBuffer(
+					await this.getIconSource(sourceImage, entry),
+					entry.size
+				),
+			}))
+		);
+
+		const icoBuffer = this.iconEncoder.encodeIco(images);
+		await this.fileManager.writeBuffer(path.join(outputDir, filename), icoBuffer);
+
+		console.log(`   ✓ ${filename} (${sizes.join("/")}px)`);
+	}
+
+	/**
+	 * Generate manifest.webmanifest and HTML <link> snippet
+	 * @param {string} outputDir - Output directory
+	 * @returns {Promise<string>} Path to manifest file
+	 */
+	async generateMetadata(outputDir) {
+		const manifestPath = path.join(outputDir, this.config.metadataFileName);
+		await this.fileManager.writeJson(manifestPath, this.createManifest());
+		console.log(`\n   ✓ ${this.config.metadataFileName}`);
+
+		const snippetPath = path.join(outputDir, this.config.htmlSnippetFileName);
+		await this.fileManager.writeText(snippetPath, this.createHtmlSnippet());
+		console.log(`   ✓ ${this.config.htmlSnippetFileName}`);
+
+		return manifestPath;
+	}
+
+	/**
+	 * Create manifest.webmanifest structure
+	 * @returns {object} Web app manifest object
+	 */
+	createManifest() {
+		const {
+			name = "App",
+			shortName,
+			themeColor,
+			backgroundColor,
+			display = "standalone",
+		} = this.manifestOptions;
+
+		const icons = this.config.iconSizes
+			.filter(icon => icon.purpose === "any" || icon.purpose === "maskable")
+			.map(icon => ({
+				src: icon.filename,
+				sizes: `${icon.size}x${icon.size}`,
+				type: "image/png",
+				purpose: icon.purpose,
+			}));
+
+		const manifest = {
+			name: name || "App",
+			short_name: shortName || name || "App",
+			icons,
+			display,
+		};
+
+		if (themeColor || backgroundColor) {
+			manifest.theme_color = themeColor || backgroundColor;
+		}
+		if (backgroundColor) {
+			manifest.background_color = backgroundColor;
+		}
+
+		return manifest;
+	}
+
+	/**
+	 * Create HTML <link> tags for the document <head>
+	 * @returns {string} HTML snippet
+	 */
+	createHtmlSnippet() {
+		const lines = [
+			"<!-- Generated by ino-icon-maker: paste into <head> -->",
+			`<link rel="icon" href="/${this.config.faviconIco.filename}" sizes="any">`,
+		];
+
+		for (const icon of this.config.iconSizes) {
+			if (icon.purpose === "favicon") {
+				lines.push(
+					`<link rel="icon" type="image/png" sizes="${icon.size}x${icon.size}" href="/${icon.filename}">`
+				);
+			} else if (icon.purpose === "apple-touch") {
+				lines.push(
+					`<link rel="apple-touch-icon" sizes="${icon.size}x${icon.size}" href="/${icon.filename}">`
+				);
+			}
+		}
+
+		lines.push(`<link rel="manifest" href="/${this.config.metadataFileName}">`);
+
+		const { themeColor, backgroundColor } = this.manifestOptions;
+		if (themeColor || backgroundColor) {
+			lines.push(
+				`<meta name="theme-color" content="${themeColor || backgroundColor}">`
+			);
+		}
+
+		return lines.join("\n") + "\n";
+	}
+
+	/**
+	 * Use the background layer as manifest background color when it is a plain color
+	 * Gradients contribute their average color, translucent colors their opaque part
+	 * @param {object} [adaptiveIcon] - Adaptive icon configuration
+	 * @returns {string|undefined} Hex color or undefined for image and fully transparent backgrounds
+	 */
+	resolveBackgroundColor(adaptiveIcon) {
+		if (!adaptiveIcon || !adaptiveIcon.foreground) {
+			return undefined;
+		}
+		if (!adaptiveIcon.background) {
+			return "#111111";
+		}
+		if (this.imageProcessor.isColor(adaptiveIcon.background)) {
+			const color = this.imageProcessor.parseColor(adaptiveIcon.background);
+			return color.alpha > 0
+				? this.imageProcessor.colorParser.toHex(color, false)
+				: undefined;
+		}
+		if (this.imageProcessor.isGradient(adaptiveIcon.background)) {
+			return this.imageProcessor.gradientRenderer.getAverageColor(
+				adaptiveIcon.background
+			);
+		}
+		return undefined;
+	}
+
+	/**
+	 * Get the entries of favicon.ico
+	 * @returns {Array<object>} Icon definitions from getContainerIconDef
+	 */
+	getContainerIconDefs() {
+		const { filename, sizes } = this.config.faviconIco;
+		return sizes.map(size => this.getContainerIconDef(filename, size));
+	}
+
+	/**
+	 * Get list of generated files
+	 * @returns {Array<string>} List of filenames
+	 */
+	getGeneratedFiles() {
+		return [
+			...this.config.iconSizes.map(icon => icon.filename),
+			this.config.faviconIco.filename,
+			this.config.metadataFileName,
+			this.config.htmlSnippetFileName,
+		];
+	}
+}
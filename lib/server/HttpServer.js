@@ -5,7 +5,7 @@
  * Delegates responsibilities to specialized handlers:
  * - ServerConfig for configuration
  * - RequestValidator for validation
- * - IconGenerationHandler for generation
+ * - IconGenerationHandler for generation and previews
  * - ResponseHandler for responses
  *
  * Follows Dependency Inversion Principle: Depends on abstractions (handlers)
@@ -66,7 +66,7 @@ export class HttpServer {
 				} else {
 					cb(
 						new Error(
-							"Invalid file type. Supported formats: JPEG, PNG, WebP, AVIF, TIFF"
+							"Invalid file type. Supported formats: JPEG, PNG, WebP, AVIF, TIFF, SVG"
 						)
 					);
 				}
@@ -102,6 +102,11 @@ export class HttpServer {
 			await this.handleGeneration(req, res);
 		});
 
+		// Launcher mask preview endpoint
+		this.app.post("/preview", uploadFields, async (req, res) => {
+			await this.handlePreview(req, res);
+		});
+
 		// Error handling middleware
 		this.app.use((err, req, res, next) => {
 			this.handleError(err, req, res, next);
@@ -130,12 +135,19 @@ export class HttpServer {
 			},
 			endpoints: {
 				generate: {
-					url: "POST /generate?platform=all|ios|android",
+					url: "POST /generate?platform=all|ios|android|web|macos|desktop|watchos|tvos",
 					legacyMode:
 						'Single "file" field (multipart/form-data) for standard icons',
 					adaptiveMode:
 						'"foreground" + "background" fields for Android adaptive icons (background can be image file or use ?backgroundColor=#HEX query param)',
 					optional: '"monochrome" field for themed icons',
+					appName:
+						"?appName= query param names the web manifest and Linux desktop icons",
+				},
+				preview: {
+					url: "POST /preview?sizes=192,108,48&masks=circle,squircle,rounded-square,teardrop,ios",
+					fields:
+						'"file" or "foreground" (+ optional "background" file or ?backgroundColor=#HEX); returns a PNG contact sheet',
 				},
 				platforms: "GET /platforms",
 			},
@@ -241,7 +253,15 @@ export class HttpServer {
 				);
 			}
 
-			// Step 6: Validate custom sizes if provided
+			// Step 6: Validate background color and custom sizes if provided
+			const colorValidation = this.validator.validateBackgroundColor(
+				modeInfo.backgroundColor
+			);
+			if (!colorValidation.valid) {
+				await this.generationHandler.cleanupFiles(uploadedFiles);
+				return this.responseHandler.sendError(res, 400, colorValidation.error);
+			}
+
 			const customSizesValidation = this.validator.validateCustomSizes(
 				req.query,
 				req.body
@@ -268,7 +288,8 @@ export class HttpServer {
 				modeInfo,
 				validatedFiles,
 				modeInfo.backgroundColor,
-				customSizes
+				customSizes,
+				req.query?.appName || req.body?.appName || null
 			);
 
 			// Step 9: Generate icons
@@ -311,6 +332,91 @@ export class HttpServer {
 		}
 	}
 
+	/**
+	 * Handle launcher mask preview request
+	 * Responds with a PNG contact sheet instead of a ZIP
+	 * @private
+	 * @param {object} req - Express request
+	 * @param {object} res - Express response
+	 */
+	async handlePreview(req, res) {
+		const uploadedFiles = this.validator.extractFilePaths(req.files || {});
+
+		try {
+			const modeInfo = this.validator.detectGenerationMode(
+				req.files,
+				req.query,
+				req.body
+			);
+			const filesValidation = this.validator.validateFilesExist(modeInfo);
+			if (!filesValidation.valid) {
+				await this.generationHandler.cleanupFiles(uploadedFiles);
+				return this.responseHandler.sendError(res, 400, filesValidation.error);
+			}
+
+			const colorValidation = this.validator.validateBackgroundColor(
+				modeInfo.backgroundColor
+			);
+			if (!colorValidation.valid) {
+				await this.generationHandler.cleanupFiles(uploadedFiles);
+				return this.responseHandler.sendError(res, 400, colorValidation.error);
+			}
+
+			const optionsValidation = this.validator.validatePreviewOptions(
+				req.query,
+				req.body
+			);
+			if (!optionsValidation.valid) {
+				await this.generationHandler.cleanupFiles(uploadedFiles);
+				return this.responseHandler.sendError(
+					res,
+					400,
+					optionsValidation.error
+				);
+			}
+
+			// A single file is previewed as the foreground over the background
+			let layers;
+			if (modeInfo.adaptiveMode) {
+				const validation = await this.validator.validateAdaptiveFiles(
+					req.files
+				);
+				if (!validation.valid) {
+					await this.generationHandler.cleanupFiles(uploadedFiles);
+					return this.responseHandler.sendError(res, 400, validation.error);
+				}
+				layers = {
+					foreground: validation.files.foreground,
+					background: validation.files.background || modeInfo.backgroundColor,
+				};
+			} else {
+				const validation = await this.validator.validateLegacyFile(req.files);
+				if (!validation.valid) {
+					await this.generationHandler.cleanupFiles(uploadedFiles);
+					return this.responseHandler.sendError(res, 400, validation.error);
+				}
+				layers = {
+					foreground: validation.filePath,
+					background: modeInfo.backgroundColor,
+				};
+			}
+
+			console.log(`\n🔍 Rendering launcher mask preview...`);
+
+			const buffer = await this.generationHandler.renderPreview(layers, {
+				sizes: optionsValidation.sizes,
+				masks: optionsValidation.masks,
+			});
+
+			await this.generationHandler.cleanupFiles(uploadedFiles);
+			this.responseHandler.sendPng(res, buffer);
+		} catch (error) {
+			console.error("Preview error:", error);
+			await this.generationHandler.cleanupFiles(uploadedFiles);
+			this.responseHandler.sendError(res, 500, error.message);
+		}
+	}
+
 	/**
 	 * Handle errors
 	 * @private
@@ -365,11 +471,12 @@ export class HttpServer {
 						chalk.yellow(getSupportedPlatforms().join(", ")) +
 						"\n" +
 						chalk.white("Formats:   ") +
-						chalk.yellow("JPEG, PNG, WebP, AVIF, TIFF") +
+						chalk.yellow("JPEG, PNG, WebP, AVIF, TIFF, SVG") +
 						"\n\n" +
 						chalk.bold("Endpoints:\n") +
 						chalk.gray("  GET  /platforms\n") +
-						chalk.gray("  POST /generate?platform=<ios|android|all>\n\n") +
+						chalk.gray("  POST /generate?platform=<ios|android|web|macos|desktop|watchos|tvos|all>\n") +
+						chalk.gray("  POST /preview?sizes=192,108,48&masks=circle,squircle,...\n\n") +
 						chalk.bold("Examples:\n") +
 						chalk.gray(`  # Both platforms (default):\n`) +
 						chalk.gray(
@@ -17,10 +17,12 @@ import {
 	generateIconsForMultiplePlatforms,
 } from "../generator.js";
 import { ImageProcessor, Platform } from "../core/ImageProcessor.js";
+import { PreviewRenderer } from "../core/PreviewRenderer.js";
 
 export class IconGenerationHandler {
 	constructor() {
 		this.imageProcessor = new ImageProcessor();
+		this.previewRenderer = new PreviewRenderer(this.imageProcessor);
 	}
 
 	/**
@@ -41,13 +43,15 @@ export class IconGenerationHandler {
 	 * @param {object} files - Validated file paths
 	 * @param {string} backgroundColor - Background color (optional)
 	 * @param {object} customSizes - Custom size configuration (optional)
+	 * @param {string} appName - App name for generated metadata (optional)
 	 * @returns {object} Generation options
 	 */
 	buildGenerationOptions(
 		modeInfo,
 		files,
 		backgroundColor = null,
-		customSizes = null
+		customSizes = null,
+		appName = null
 	) {
 		const options = {
 			force: true,
@@ -66,6 +70,10 @@ export class IconGenerationHandler {
 			options.customSizes = customSizes;
 		}
 
+		if (appName) {
+			options.appName = appName;
+		}
+
 		return options;
 	}
 
@@ -272,6 +280,16 @@ export class IconGenerationHandler {
 		);
 	}
 
+	/**
+	 * Render a launcher mask preview sheet
+	 * @param {object} layers - Icon layers {foreground, background}
+	 * @param {object} [options] - Preview options {sizes, masks}
+	 * @returns {Promise<Buffer>} PNG buffer
+	 */
+	async renderPreview(layers, options = {}) {
+		return await this.previewRenderer.render(layers, options);
+	}
+
 	/**
 	 * Clean up a single file (ignore errors)
 	 * @param {string} filePath - File to delete
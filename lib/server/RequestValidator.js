@@ -11,10 +11,22 @@
  */
 
 import { Platform } from "../core/ImageProcessor.js";
-import { validateImageFile, getSupportedPlatforms } from "../generator.js";
+import {
+	validateImageFile,
+	getSupportedPlatforms,
+	getDefaultPlatforms,
+} from "../generator.js";
 import { sizeConfigManager } from "../core/SizeConfigManager.js";
+import { LAUNCHER_MASKS } from "../config/preview-config.js";
+import { GradientRenderer } from "../core/GradientRenderer.js";
+import { ColorParser } from "../core/ColorParser.js";
 
 export class RequestValidator {
+	constructor() {
+		this.colorParser = new ColorParser();
+		this.gradientRenderer = new GradientRenderer(this.colorParser);
+	}
+
 	/**
 	 * Detect generation mode from request
 	 * @pure
@@ -34,8 +46,8 @@ export class RequestValidator {
 		const hasForeground = files && files.foreground && files.foreground[0];
 		const hasBackgroundFile = files && files.background && files.background[0];
 		const rawBackgroundColor = query?.backgroundColor || body?.backgroundColor;
-		// Normalize backgroundColor to include # prefix if provided
-		const backgroundColor = this.normalizeHexColor(rawBackgroundColor);
+		// Normalize backgroundColor to hex if provided (gradients pass through)
+		const backgroundColor = this.normalizeColor(rawBackgroundColor);
 
 		const adaptiveMode = hasForeground;
 		const mode = adaptiveMode ? "adaptive" : "legacy";
@@ -70,6 +82,32 @@ export class RequestValidator {
 		return { valid: true };
 	}
 
+	/**
+	 * Validate backgroundColor parameter (color or gradient spec)
+	 * @pure
+	 * @param {string|null} backgroundColor - Normalized color from detectGenerationMode
+	 * @returns {object} Validation result
+	 */
+	validateBackgroundColor(backgroundColor) {
+		if (!backgroundColor || this.isColor(backgroundColor)) {
+			return { valid: true };
+		}
+
+		if (this.gradientRenderer.isGradient(backgroundColor)) {
+			try {
+				this.gradientRenderer.parse(backgroundColor);
+				return { valid: true };
+			} catch (error) {
+				return { valid: false, error: error.message };
+			}
+		}
+
+		return {
+			valid: false,
+			error: `Invalid backgroundColor "${backgroundColor}". Use a color (e.g., FF5722, FF572280, rgb(255 87 34), tomato, transparent) or a gradient (e.g., linear(135deg,#FF5722,#8E24AA))`,
+		};
+	}
+
 	/**
 	 * Validate platform parameter
 	 * @pure
@@ -79,7 +117,7 @@ export class RequestValidator {
 	validatePlatform(platform = Platform.All) {
 		const platforms =
 			platform.toLowerCase() === Platform.All
-				? getSupportedPlatforms()
+				? getDefaultPlatforms()
 				: [platform.toLowerCase()];
 
 		const supportedPlatforms = getSupportedPlatforms();
@@ -212,28 +250,72 @@ export class RequestValidator {
 	}
 
 	/**
-	 * Check if string is a valid hex color
+	 * Validate preview sheet parameters (?sizes=192,48&masks=circle,ios)
+	 * @pure
+	 * @param {object} query - Query parameters
+	 * @param {object} body - Request body
+	 * @returns {object} Validation result {valid, error?, sizes?, masks?}
+	 */
+	validatePreviewOptions(query, body) {
+		const rawSizes = query?.sizes || body?.sizes;
+		const rawMasks = query?.masks || body?.masks;
+		const toList = value =>
+			String(value)
+				.split(",")
+				.map(item => item.trim())
+				.filter(Boolean);
+
+		let sizes;
+		if (rawSizes) {
+			sizes = toList(rawSizes).map(Number);
+			if (
+				sizes.length === 0 ||
+				sizes.some(size => !Number.isInteger(size) || size < 16 || size > 1024)
+			) {
+				return {
+					valid: false,
+					error: `Invalid sizes "${rawSizes}". Use comma-separated integers from 16 to 1024`,
+				};
+			}
+		}
+
+		let masks;
+		if (rawMasks) {
+			masks = toList(rawMasks);
+			const names = LAUNCHER_MASKS.map(mask => mask.name);
+			const unknown = masks.filter(mask => !names.includes(mask));
+			if (unknown.length > 0) {
+				return {
+					valid: false,
+					error: `Unknown mask: ${unknown.join(", ")}. Available: ${names.join(", ")}`,
+				};
+			}
+		}
+
+		return { valid: true, sizes, masks };
+	}
+
+	/**
+	 * Check if string is a supported color (hex with or without #, rgb(), hsl(), named or transparent)
 	 * @pure
 	 * @param {string} str - String to check
-	 * @returns {boolean} True if valid hex color
+	 * @returns {boolean} True if valid color
 	 */
-	isHexColor(str) {
-		return /^#?([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/.test(str);
+	isColor(str) {
+		return this.colorParser.isColor(str);
 	}
 
 	/**
-	 * Normalize hex color to include # prefix
+	 * Normalize a color to hex
+	 * Anything else (gradients, invalid values) is returned trimmed for validateBackgroundColor
 	 * @pure
-	 * @param {string} color - Color string (with or without #)
-	 * @returns {string} Normalized color with # prefix
+	 * @param {string} color - Color string
+	 * @returns {string|null} '#RRGGBB' or '#RRGGBBAA' for colors
 	 */
-	normalizeHexColor(color) {
+	normalizeColor(color) {
 		if (!color) return null;
-		const trimmed = color.trim();
-		if (trimmed.startsWith("#")) {
-			return trimmed;
-		}
-		return `#${trimmed}`;
+		const trimmed = String(color).trim();
+		return this.colorParser.normalize(trimmed) ?? trimmed;
 	}
 
 	/**
@@ -306,6 +388,18 @@ export class RequestValidator {
 			};
 		}
 
+		// Source overrides name files on the server's disk, uploads are the only sources
+		const platforms = Object.values(Platform);
+		if (
+			customSizes.sourceOverrides ||
+			platforms.some(platform => customSizes[platform]?.sourceOverrides)
+		) {
+			return {
+				valid: false,
+				error: "customSizes sourceOverrides are not supported by the HTTP API",
+			};
+		}
+
 		return {
 			valid: true,
 			customSizes,
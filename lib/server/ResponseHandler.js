@@ -43,6 +43,16 @@ export class ResponseHandler {
 		});
 	}
 
+	/**
+	 * Send PNG image response
+	 * @param {object} res - Express response object
+	 * @param {Buffer} buffer - PNG data
+	 * @returns {void}
+	 */
+	sendPng(res, buffer) {
+		res.type("png").send(buffer);
+	}
+
 	/**
 	 * Verify ZIP file is valid and readable
 	 * @param {string} zipPath - Path to ZIP file
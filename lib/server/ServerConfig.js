@@ -74,6 +74,7 @@ export class ServerConfig {
 			"image/webp",
 			"image/avif",
 			"image/tiff",
+			"image/svg+xml",
 		];
 	}
 
@@ -83,7 +84,7 @@ export class ServerConfig {
 	 * @returns {Array<string>} Array of format names
 	 */
 	getSupportedFormats() {
-		return ["jpeg", "jpg", "png", "webp", "avif", "tiff"];
+		return ["jpeg", "jpg", "png", "webp", "avif", "tiff", "svg"];
 	}
 
 	/**
@@ -10,6 +10,7 @@ import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
 import {
 	getTestIcon,
 	getTestForeground,
+	getTestSvgForeground,
 	getTestBackground,
 	cleanupDir,
 	TEST_OUTPUT_DIR,
@@ -17,7 +18,8 @@ import {
 } from "../setup.js";
 import path from "path";
 import { existsSync } from "fs";
-import { mkdir, readdir } from "fs/promises";
+import { mkdir, readdir, readFile } from "fs/promises";
+import sharp from "sharp";
 
 describe("AndroidGenerator", () => {
 	let generator;
@@ -136,6 +138,69 @@ describe("AndroidGenerator", () => {
 			expect(result.success).toBe(true);
 		}, 30000);
 
+		test("should render gradient backgrounds at each density", async () => {
+			const foregroundPath = getTestForeground();
+
+			const result = await generator.generate(foregroundPath, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "linear(90deg,#FF0000,#0000FF)",
+				},
+			});
+
+			expect(result.success).toBe(true);
+
+			const backgroundIcon = path.join(
+				testOutputDir,
+				"android-icons",
+				"mipmap-xxxhdpi",
+				"ic_launcher_background.png"
+			);
+			const { data, info } = await sharp(backgroundIcon)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			expect(info.width).toBe(432);
+
+			// Left edge is red, right edge is blue
+			const row = 216 * info.width * info.channels;
+			const right = row + (info.width - 1) * info.channels;
+			expect(data[row]).toBeGreaterThan(240);
+			expect(data[row + 2]).toBeLessThan(15);
+			expect(data[right]).toBeLessThan(15);
+			expect(data[right + 2]).toBeGreaterThan(240);
+		}, 30000);
+
+		test("should keep transparent backgrounds for foreground-only icons", async () => {
+			const foregroundPath = getTestForeground();
+
+			const result = await generator.generate(foregroundPath, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "transparent",
+				},
+			});
+
+			expect(result.success).toBe(true);
+
+			const mipmapDir = path.join(testOutputDir, "android-icons", "mipmap-xxxhdpi");
+			const { data } = await sharp(
+				path.join(mipmapDir, "ic_launcher_background.png")
+			)
+				.ensureAlpha()
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			expect(data[3]).toBe(0);
+
+			// Legacy icon corners show through instead of the default #111111
+			const legacy = await sharp(path.join(mipmapDir, "ic_launcher.png"))
+				.ensureAlpha()
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			expect(legacy.data[3]).toBe(0);
+		}, 30000);
+
 		test("should create mipmap-anydpi-v26 directory for adaptive icons", async () => {
 			const foregroundPath = getTestForeground();
 			const backgroundPath = getTestBackground();
@@ -229,6 +294,486 @@ describe("AndroidGenerator", () => {
 		}, 30000);
 	});
 
+	describe("Derived Monochrome", () => {
+		const readLauncherXml = outputDir =>
+			readFile(
+				path.join(outputDir, "mipmap-anydpi-v26", "ic_launcher.xml"),
+				"utf-8"
+			);
+
+		test("should derive a white silhouette monochrome layer from the foreground", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const monochromePath = path.join(
+				result.outputDir,
+				"mipmap-xxxhdpi",
+				"ic_launcher_monochrome.png"
+			);
+			const foregroundPath = path.join(
+				result.outputDir,
+				"mipmap-xxxhdpi",
+				"ic_launcher_foreground.png"
+			);
+			const [monochrome, foreground] = await Promise.all([
+				sharp(monochromePath).stats(),
+				sharp(foregroundPath).stats(),
+			]);
+
+			expect(monochrome.channels[0].min).toBe(255);
+			expect(monochrome.channels[3].mean).toBeCloseTo(
+				foreground.channels[3].mean,
+				0
+			);
+
+			// Not referenced unless themed icons are requested
+			expect(await readLauncherXml(result.outputDir)).not.toContain(
+				"<monochrome"
+			);
+		}, 30000);
+
+		test("should reference the derived layer with themedIcon", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				themedIcon: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(await readLauncherXml(result.outputDir)).toContain(
+				'<monochrome android:drawable="@mipmap/ic_launcher_monochrome"/>'
+			);
+		}, 30000);
+
+		test("should cut out more pixels with a higher threshold", async () => {
+			const alphaMean = async threshold => {
+				const result = await generator.generate(null, testOutputDir, {
+					force: true,
+					monochromeThreshold: threshold,
+					adaptiveIcon: {
+						foreground: getTestForeground(),
+						background: "#FF5722",
+					},
+				});
+				const stats = await sharp(
+					path.join(result.outputDir, "mipmap-xxxhdpi", "ic_launcher_monochrome.png")
+				).stats();
+				return stats.channels[3].mean;
+			};
+
+			expect(await alphaMean(255)).toBeLessThan(await alphaMean(0));
+		}, 60000);
+
+		test("should keep hard alpha edges with the nearest resize kernel", async () => {
+			// Opaque square whose edges fall between output pixels at every density
+			const foregroundPath = path.join(testOutputDir, "hard-edges.png");
+			await sharp({
+				create: {
+					width: 999,
+					height: 999,
+					channels: 4,
+					background: { r: 0, g: 0, b: 0, alpha: 0 },
+				},
+			})
+				.composite([
+					{
+						input: {
+							create: {
+								width: 601,
+								height: 601,
+								channels: 4,
+								background: { r: 33, g: 150, b: 243, alpha: 1 },
+							},
+						},
+						left: 199,
+						top: 199,
+					},
+				])
+				.png()
+				.toFile(foregroundPath);
+
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				processing: { kernel: "nearest" },
+				adaptiveIcon: { foreground: foregroundPath, background: "#FFFFFF" },
+			});
+
+			for (const file of [
+				"mipmap-hdpi/ic_launcher_monochrome.png",
+				"mipmap-xxxhdpi/ic_launcher_monochrome.png",
+				"drawable-hdpi/ic_stat_notification.png",
+			]) {
+				const alpha = await sharp(path.join(result.outputDir, file))
+					.extractChannel(3)
+					.raw()
+					.toBuffer();
+				expect(alpha.every(value => value === 0 || value === 255)).toBe(true);
+			}
+		}, 30000);
+	});
+
+	describe("Notification Icons", () => {
+		test("should generate white silhouette notification icons at 24dp", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const densities = { mdpi: 24, hdpi: 36, xhdpi: 48, xxhdpi: 72, xxxhdpi: 96 };
+			for (const [density, size] of Object.entries(densities)) {
+				const file = `drawable-${density}/ic_stat_notification.png`;
+				expect(result.files).toContain(file);
+
+				const metadata = await sharp(path.join(result.outputDir, file)).metadata();
+				expect(metadata.width).toBe(size);
+				expect(metadata.hasAlpha).toBe(true);
+			}
+
+			const { data, info } = await sharp(
+				path.join(result.outputDir, "drawable-xxxhdpi", "ic_stat_notification.png")
+			)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+
+			// Every visible pixel is white; only alpha carries the shape
+			for (let i = 0; i < data.length; i += info.channels) {
+				if (data[i + 3] > 0) {
+					expect([data[i], data[i + 1], data[i + 2]]).toEqual([255, 255, 255]);
+				}
+			}
+		}, 30000);
+
+		test("should not generate notification icons in standard mode", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+			});
+
+			expect(result.files.some(file => file.includes("ic_stat_"))).toBe(false);
+		}, 30000);
+	});
+
+	describe("Splash Screen", () => {
+		test("should generate splash icons, theme and fallback drawable", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				splash: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+
+			const splashIcon = await sharp(
+				path.join(result.outputDir, "drawable-xxxhdpi", "splash_icon.png")
+			).metadata();
+			expect(splashIcon.width).toBe(960);
+			expect(splashIcon.height).toBe(960);
+
+			const themeXml = await readFile(
+				path.join(result.outputDir, "values-v31", "themes.xml"),
+				"utf-8"
+			);
+			expect(themeXml).toContain(
+				'<item name="android:windowSplashScreenBackground">#FF5722</item>'
+			);
+			expect(themeXml).toContain(
+				'<item name="android:windowSplashScreenAnimatedIcon">@drawable/splash_icon</item>'
+			);
+
+			const fallbackXml = await readFile(
+				path.join(result.outputDir, "drawable", "launch_background.xml"),
+				"utf-8"
+			);
+			expect(fallbackXml).toContain('<color android:color="#FF5722"/>');
+			expect(fallbackXml).toContain('android:src="@drawable/splash_icon"');
+		}, 30000);
+
+		test("should use the dominant color of a background image", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				splash: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: getTestBackground(),
+				},
+			});
+
+			const themeXml = await readFile(
+				path.join(result.outputDir, "values-v31", "themes.xml"),
+				"utf-8"
+			);
+			expect(themeXml).toMatch(
+				/windowSplashScreenBackground">#[0-9A-F]{6}</
+			);
+		}, 30000);
+
+		test("should not generate splash assets unless requested", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+			});
+
+			expect(existsSync(path.join(result.outputDir, "values-v31"))).toBe(false);
+			expect(result.files.some(file => file.includes("splash"))).toBe(false);
+		}, 30000);
+	});
+
+	describe("TV Banner", () => {
+		test("should generate an opaque 320x180 banner and describe the manifest attribute", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				tvBanner: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.files).toContain("drawable-xhdpi/banner.png");
+			expect(result.tvBanner).toEqual({
+				file: "drawable-xhdpi/banner.png",
+				manifestAttribute: 'android:banner="@drawable/banner"',
+			});
+
+			const bannerPath = path.join(result.outputDir, "drawable-xhdpi", "banner.png");
+			const metadata = await sharp(bannerPath).metadata();
+			expect(metadata.width).toBe(320);
+			expect(metadata.height).toBe(180);
+			expect((await sharp(bannerPath).stats()).isOpaque).toBe(true);
+		}, 30000);
+
+		test("should draw the app name right of the icon", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+				tvBanner: true,
+				appName: "Stream",
+			});
+
+			expect(result.files).toContain("drawable-xhdpi/banner.png");
+
+			// The text area (right of the 180px icon square) holds white text on the
+			// default #111111 background; extract to a buffer first, stats() on an
+			// extract pipeline would read the whole input image
+			const textArea = await sharp(
+				await sharp(path.join(result.outputDir, "drawable-xhdpi", "banner.png"))
+					.extract({ left: 180, top: 0, width: 124, height: 180 })
+					.toBuffer()
+			).stats();
+			for (const channel of textArea.channels.slice(0, 3)) {
+				expect(channel.min).toBe(0x11);
+				expect(channel.max).toBeGreaterThan(240);
+			}
+		}, 30000);
+
+		test("should not generate a banner unless requested", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+			});
+
+			expect(result.tvBanner).toBeUndefined();
+			expect(result.files.some(file => file.includes("banner"))).toBe(false);
+		}, 30000);
+	});
+
+	describe("Play Store Assets", () => {
+		test("should write the 512 icon and feature graphic next to android-icons", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				playStore: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.playStore).toEqual({
+				outputDir: path.join(testOutputDir, "play-store"),
+				files: ["icon-512.png", "feature-graphic.png"],
+			});
+			expect(result.warnings).toEqual([]);
+
+			const icon = await sharp(
+				path.join(result.playStore.outputDir, "icon-512.png")
+			).metadata();
+			expect(icon.width).toBe(512);
+			expect(icon.channels).toBe(4);
+
+			const graphic = await sharp(
+				path.join(result.playStore.outputDir, "feature-graphic.png")
+			).metadata();
+			expect(graphic.width).toBe(1024);
+			expect(graphic.height).toBe(500);
+			expect(graphic.hasAlpha).toBe(false);
+		}, 30000);
+
+		test("should render the 512 icon when the playstore size is excluded", async () => {
+			const customGenerator = new AndroidGenerator(
+				new ImageProcessor(),
+				new FileManager(),
+				new ArchiveManager(new FileManager()),
+				{ android: { excludeSizes: ["playstore"] } }
+			);
+			const result = await customGenerator.generate(null, testOutputDir, {
+				force: true,
+				playStore: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.files).not.toContain("playstore/ic_launcher_playstore.png");
+			expect(result.playStore.files).toContain("icon-512.png");
+
+			const iconPath = path.join(result.playStore.outputDir, "icon-512.png");
+			const [icon, stats] = await Promise.all([
+				sharp(iconPath).metadata(),
+				sharp(iconPath).stats(),
+			]);
+			expect(icon.width).toBe(512);
+			expect(icon.channels).toBe(4);
+			expect(stats.isOpaque).toBe(true);
+		}, 30000);
+
+		test("should place the icon according to the feature graphic layout", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				playStore: true,
+				featureGraphicLayout: "right",
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const graphicPath = path.join(result.playStore.outputDir, "feature-graphic.png");
+			const sideStats = async left =>
+				sharp(
+					await sharp(graphicPath)
+						.extract({ left, top: 0, width: 500, height: 500 })
+						.toBuffer()
+				).stats();
+
+			// The blue foreground only appears in the right-hand square
+			const [leftSide, rightSide] = await Promise.all([
+				sideStats(0),
+				sideStats(524),
+			]);
+			expect(leftSide.channels[2].max).toBeLessThan(200);
+			expect(rightSide.channels[2].max).toBeGreaterThan(200);
+		}, 30000);
+
+		test("should leave the badge and version label off the Play Store icon", async () => {
+			const labelOptions = {
+				badge: "BETA",
+				badgeColor: "#0000FF",
+				versionLabel: "1.4.2 (318)",
+			};
+			const readIcon = async (inputPath, options) => {
+				const result = await generator.generate(inputPath, testOutputDir, {
+					force: true,
+					playStore: true,
+					...options,
+				});
+				return await sharp(path.join(result.playStore.outputDir, "icon-512.png"))
+					.raw()
+					.toBuffer();
+			};
+
+			expect(
+				(await readIcon(getTestIcon(), labelOptions)).equals(
+					await readIcon(getTestIcon(), {})
+				)
+			).toBe(true);
+
+			const adaptiveIcon = {
+				foreground: getTestForeground(),
+				background: "#FFFFFF",
+			};
+			expect(
+				(await readIcon(null, { ...labelOptions, adaptiveIcon })).equals(
+					await readIcon(null, { adaptiveIcon })
+				)
+			).toBe(true);
+		}, 60000);
+
+		test("should warn when the Play Store icon is not full-square", async () => {
+			const result = await generator.generate(getTestForeground(), testOutputDir, {
+				force: true,
+				playStore: true,
+			});
+
+			expect(result.playStore.files).toContain("icon-512.png");
+			expect(result.warnings.some(warning => warning.includes("full-square"))).toBe(
+				true
+			);
+		}, 30000);
+	});
+
+	describe("Vector Drawables", () => {
+		test("should emit SVG layers as drawable XML and reference them", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				vectorDrawable: true,
+				adaptiveIcon: {
+					foreground: getTestSvgForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.files).toContain("drawable/ic_launcher_foreground.xml");
+			expect(result.files).toContain("drawable/ic_launcher_background.xml");
+			expect(result.files.some(file => file.endsWith("ic_launcher_foreground.png"))).toBe(false);
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+
+			const foregroundXml = await readFile(
+				path.join(result.outputDir, "drawable", "ic_launcher_foreground.xml"),
+				"utf-8"
+			);
+			expect(foregroundXml).toContain("<vector");
+			expect(foregroundXml).toContain('android:fillColor="#FF5722"');
+
+			const adaptiveXml = await readFile(
+				path.join(result.outputDir, "mipmap-anydpi-v26", "ic_launcher.xml"),
+				"utf-8"
+			);
+			expect(adaptiveXml).toContain(
+				'<foreground android:drawable="@drawable/ic_launcher_foreground"/>'
+			);
+			expect(adaptiveXml).toContain(
+				'<background android:drawable="@drawable/ic_launcher_background"/>'
+			);
+		}, 30000);
+
+		test("should require an SVG foreground", async () => {
+			await expect(
+				generator.generate(null, testOutputDir, {
+					force: true,
+					vectorDrawable: true,
+					adaptiveIcon: {
+						foreground: getTestForeground(),
+						background: "#FF5722",
+					},
+				})
+			).rejects.toThrow("SVG foreground");
+		}, 30000);
+	});
+
 	describe("ZIP Creation", () => {
 		test("should create ZIP archive when zip option is true", async () => {
 			const iconPath = getTestIcon();
@@ -243,6 +788,177 @@ describe("AndroidGenerator", () => {
 		}, 30000);
 	});
 
+	describe("Safe Zone", () => {
+		test("should warn when the scaled foreground leaves the safe zone", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				fgScaleAndroid: 1.5,
+				adaptiveIcon: {
+					foreground: getTestIcon(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.warnings).toEqual([
+				expect.stringContaining("past the 66dp safe zone"),
+			]);
+		}, 30000);
+
+		test("should fail in strict mode before writing any file", async () => {
+			await expect(
+				generator.generate(null, testOutputDir, {
+					force: true,
+					strict: true,
+					fgScaleAndroid: 1.5,
+					adaptiveIcon: {
+						foreground: getTestIcon(),
+						background: "#FF5722",
+					},
+				})
+			).rejects.toThrow("Safe zone violation");
+
+			expect(existsSync(path.join(testOutputDir, "android-icons"))).toBe(false);
+		}, 30000);
+	});
+
+	describe("Environment Badge and Version Label", () => {
+		const readPixel = async (filePath, x, y) => {
+			const { data, info } = await sharp(filePath)
+				.ensureAlpha()
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			const i = (y * info.width + x) * 4;
+			return Array.from(data.subarray(i, i + 4));
+		};
+
+		test("should badge legacy icons and keep the foreground badge in the safe zone", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				badge: "BETA",
+				badgeColor: "#0000FF",
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FFFFFF",
+				},
+			});
+
+			expect(result.success).toBe(true);
+
+			const mipmapDir = path.join(testOutputDir, "android-icons", "mipmap-xxxhdpi");
+
+			// 192px legacy icon: ribbon band across the top-right corner
+			expect(await readPixel(path.join(mipmapDir, "ic_launcher.png"), 172, 76)).toEqual([
+				0, 0, 255, 255,
+			]);
+
+			// 432px foreground layer: band inside the 66dp zone, nothing past its edge
+			const foregroundPath = path.join(mipmapDir, "ic_launcher_foreground.png");
+			expect(await readPixel(foregroundPath, 310, 178)).toEqual([0, 0, 255, 255]);
+			expect((await readPixel(foregroundPath, 400, 260))[3]).toBe(0);
+
+			// The background layer stays plain
+			expect(
+				await readPixel(path.join(mipmapDir, "ic_launcher_background.png"), 400, 30)
+			).toEqual([255, 255, 255, 255]);
+		}, 30000);
+
+		test("should draw the version label inside the foreground safe zone", async () => {
+			const readForeground = async options => {
+				const result = await generator.generate(null, testOutputDir, {
+					force: true,
+					adaptiveIcon: {
+						foreground: getTestForeground(),
+						background: "#FFFFFF",
+					},
+					...options,
+				});
+				return await sharp(
+					path.join(
+						result.outputDir,
+						"mipmap-xxxhdpi",
+						"ic_launcher_foreground.png"
+					)
+				)
+					.ensureAlpha()
+					.raw()
+					.toBuffer({ resolveWithObject: true });
+			};
+
+			const plain = await readForeground({});
+			const labeled = await readForeground({ versionLabel: "1.4.2 (318)" });
+
+			// Every changed pixel of the 432px layer lies in the centered 264px zone
+			const { width } = labeled.info;
+			const changed = [];
+			for (let i = 0; i < labeled.data.length; i += 4) {
+				if (labeled.data.compare(plain.data, i, i + 4, i, i + 4) !== 0) {
+					changed.push([(i / 4) % width, Math.floor(i / 4 / width)]);
+				}
+			}
+			expect(changed.length).toBeGreaterThan(0);
+			for (const [x, y] of changed) {
+				expect(x >= 84 && x < 348 && y >= 84 && y < 348).toBe(true);
+			}
+		}, 60000);
+
+		test("should reject badges and version labels on VectorDrawable output", async () => {
+			await expect(
+				generator.generate(null, testOutputDir, {
+					force: true,
+					badge: "BETA",
+					vectorDrawable: true,
+					adaptiveIcon: {
+						foreground: getTestSvgForeground(),
+						background: "#FFFFFF",
+					},
+				})
+			).rejects.toThrow("--badge cannot be combined with --vector-drawable");
+
+			await expect(
+				generator.generate(null, testOutputDir, {
+					force: true,
+					versionLabel: "1.4.2 (318)",
+					vectorDrawable: true,
+					adaptiveIcon: {
+						foreground: getTestSvgForeground(),
+						background: "#FFFFFF",
+					},
+				})
+			).rejects.toThrow("--version-label cannot be combined with --vector-drawable");
+		});
+
+		test("should draw the version label on legacy icons of at least 48px", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				versionLabel: "1.4.2 (318)",
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FFFFFF",
+				},
+			});
+
+			expect(result.success).toBe(true);
+
+			const androidDir = path.join(testOutputDir, "android-icons");
+
+			// Translucent black pill below the foreground on the 192px icon
+			const [r, g, b] = await readPixel(
+				path.join(androidDir, "mipmap-xxxhdpi", "ic_launcher.png"),
+				44,
+				154
+			);
+			expect(r).toBe(g);
+			expect(g).toBe(b);
+			expect(r).toBeLessThan(128);
+
+			// The 36px ldpi icon is left clean
+			expect(
+				await readPixel(path.join(androidDir, "mipmap-ldpi", "ic_launcher.png"), 9, 29)
+			).toEqual([255, 255, 255, 255]);
+		}, 30000);
+	});
+
 	describe("Error Handling", () => {
 		test("should throw error for invalid input image", async () => {
 			await expect(
@@ -5,11 +5,73 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import sharp from "sharp";
 import { quickGenerate } from "../../index.js";
+import { sizeConfigManager } from "../../lib/core/SizeConfigManager.js";
+import { loadCustomSizeConfig } from "../../lib/cli/GenerationHelpers.js";
+import { WebGenerator } from "../../lib/platforms/WebGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
 import { getTestIcon, cleanupDir, TEST_OUTPUT_DIR } from "../setup.js";
 import path from "path";
 import { existsSync } from "fs";
-import { mkdir } from "fs/promises";
+import { mkdir, readFile, writeFile } from "fs/promises";
+
+/**
+ * Write a solid red square used as a hand-tuned source
+ */
+async function createRedSource(filePath, size) {
+	await sharp({
+		create: {
+			width: size,
+			height: size,
+			channels: 4,
+			background: { r: 255, g: 0, b: 0, alpha: 1 },
+		},
+	})
+		.png()
+		.toFile(filePath);
+	return filePath;
+}
+
+/**
+ * Read the center pixel (RGB) of an image file
+ */
+async function getCenterPixel(filePath) {
+	const { data, info } = await sharp(filePath)
+		.removeAlpha()
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	const i = (Math.floor(info.height / 2) * info.width + Math.floor(info.width / 2)) * 3;
+	return Array.from(data.subarray(i, i + 3));
+}
+
+/**
+ * Extract the PNG of an .ico entry by its width
+ */
+function readIcoEntry(ico, width) {
+	for (let i = 0; i < ico.readUInt16LE(4); i++) {
+		const entry = 6 + i * 16;
+		if ((ico.readUInt8(entry) || 256) === width) {
+			const offset = ico.readUInt32LE(entry + 12);
+			return ico.subarray(offset, offset + ico.readUInt32LE(entry + 8));
+		}
+	}
+	return null;
+}
+
+/**
+ * Extract the PNG of an .icns entry by its type
+ */
+function readIcnsEntry(icns, type) {
+	for (let offset = 8; offset < icns.length; offset += icns.readUInt32BE(offset + 4)) {
+		if (icns.subarray(offset, offset + 4).toString("ascii") === type) {
+			return icns.subarray(offset + 8, offset + icns.readUInt32BE(offset + 4));
+		}
+	}
+	return null;
+}
 
 describe("Custom Sizes", () => {
 	let testOutputDir;
@@ -110,4 +172,248 @@ describe("Custom Sizes", () => {
 			expect(result.length).toBe(2);
 		}, 30000);
 	});
+
+	describe("Source Overrides", () => {
+		test("should parse size rules and reject invalid overrides", () => {
+			expect(sizeConfigManager.parseSizeRule("32")).toEqual({ min: 32, max: 32 });
+			expect(sizeConfigManager.parseSizeRule("<= 64px")).toEqual({ min: 0, max: 64 });
+			expect(sizeConfigManager.parseSizeRule("<64")).toEqual({ min: 0, max: 63 });
+			expect(sizeConfigManager.parseSizeRule(">512")).toEqual({
+				min: 513,
+				max: Infinity,
+			});
+			expect(sizeConfigManager.parseSizeRule("16-48")).toEqual({ min: 16, max: 48 });
+			expect(sizeConfigManager.parseSizeRule("48-16")).toBeNull();
+			expect(sizeConfigManager.parseSizeRule("small")).toBeNull();
+
+			expect(
+				sizeConfigManager.validateSizeCustomization({
+					ios: { sourceOverrides: { tiny: "icon-small.png" } },
+				}).error
+			).toContain('ios sourceOverrides has an invalid size "tiny"');
+			expect(
+				sizeConfigManager.validateSizeCustomization({
+					sourceOverrides: ["icon-small.png"],
+				}).valid
+			).toBe(false);
+		});
+
+		test("should resolve exact sizes before ranges and platform rules first", () => {
+			const rules = [
+				...sizeConfigManager.parseSourceOverrides({ "<=64": "ios-small.png" }),
+				...sizeConfigManager.parseSourceOverrides({
+					"<=40": "small.png",
+					"58": "icon-58.png",
+				}),
+			];
+			const resolve = (size, scale) =>
+				sizeConfigManager.resolveSource({ size, scale }, "ios", rules);
+
+			expect(resolve("29x29", "2x")).toBe("ios-small.png");
+			expect(resolve("20x20", "2x")).toBe("ios-small.png");
+			expect(resolve("60x60", "3x")).toBeNull();
+
+			const globalRules = sizeConfigManager.parseSourceOverrides({
+				"<=40": "small.png",
+				"58": "icon-58.png",
+			});
+			expect(
+				sizeConfigManager.resolveSource(
+					{ size: "29x29", scale: "2x" },
+					"ios",
+					globalRules
+				)
+			).toBe("icon-58.png");
+		});
+
+		test("should generate small iOS icons from the hand-tuned source", async () => {
+			const smallSource = await createRedSource(
+				path.join(testOutputDir, "icon-small.png"),
+				40
+			);
+
+			const result = await quickGenerate({
+				foreground: getTestIcon(),
+				output: testOutputDir,
+				platform: "ios",
+				force: true,
+				customSizes: {
+					ios: {
+						sourceOverrides: { "<=40": smallSource },
+					},
+				},
+			});
+
+			const iconDir = path.join(testOutputDir, "AppIcon.appiconset");
+			expect(result.sources["Icon-App-20x20@2x.png"]).toBe(smallSource);
+			expect(result.sources["Icon-App-20x20@3x.png"]).toBe(getTestIcon());
+			expect(result.sources["Icon-App-1024x1024@1x.png"]).toBe(getTestIcon());
+
+			expect(
+				await getCenterPixel(path.join(iconDir, "Icon-App-20x20@2x.png"))
+			).toEqual([255, 0, 0]);
+			expect(
+				await getCenterPixel(path.join(iconDir, "Icon-App-20x20@3x.png"))
+			).not.toEqual([255, 0, 0]);
+		}, 30000);
+
+		test("should use hand-tuned sources for Android legacy icons only", async () => {
+			const smallSource = await createRedSource(
+				path.join(testOutputDir, "icon-small.png"),
+				48
+			);
+
+			const result = await quickGenerate({
+				foreground: getTestIcon(),
+				output: testOutputDir,
+				platform: "android",
+				force: true,
+				customSizes: {
+					sourceOverrides: { "<=48": smallSource },
+				},
+			});
+
+			expect(result.sources["mipmap-mdpi/ic_launcher.png"]).toBe(smallSource);
+			expect(result.sources["mipmap-hdpi/ic_launcher.png"]).toBe(getTestIcon());
+			expect(
+				await getCenterPixel(
+					path.join(testOutputDir, "android-icons", "mipmap-mdpi", "ic_launcher.png")
+				)
+			).toEqual([255, 0, 0]);
+		}, 30000);
+
+		test("should use hand-tuned sources for favicon.ico entries", async () => {
+			const smallSource = await createRedSource(
+				path.join(testOutputDir, "favicon-small.png"),
+				32
+			);
+
+			const result = await quickGenerate({
+				foreground: getTestIcon(),
+				output: testOutputDir,
+				platform: "web",
+				force: true,
+				customSizes: {
+					web: { sourceOverrides: { "<=32": smallSource } },
+				},
+			});
+
+			expect(result.sources["favicon.ico#16x16"]).toBe(smallSource);
+			expect(result.sources["favicon.ico#32x32"]).toBe(smallSource);
+			expect(result.sources["favicon.ico#48x48"]).toBe(getTestIcon());
+
+			const ico = await readFile(path.join(result.outputDir, "favicon.ico"));
+			expect(await getCenterPixel(readIcoEntry(ico, 16))).toEqual([255, 0, 0]);
+			expect(await getCenterPixel(readIcoEntry(ico, 48))).not.toEqual([255, 0, 0]);
+		}, 30000);
+
+		test("should use hand-tuned sources for .ico and .icns entries", async () => {
+			const smallSource = await createRedSource(
+				path.join(testOutputDir, "icon-small.png"),
+				48
+			);
+
+			const result = await quickGenerate({
+				foreground: getTestIcon(),
+				output: testOutputDir,
+				platform: "desktop",
+				force: true,
+				customSizes: {
+					sourceOverrides: { "<=48": smallSource },
+				},
+			});
+
+			expect(result.sources["icon.ico#48x48"]).toBe(smallSource);
+			expect(result.sources["icon.ico#256x256"]).toBe(getTestIcon());
+			expect(result.sources["icon.icns#16x16"]).toBe(smallSource);
+
+			const ico = await readFile(path.join(result.outputDir, "icon.ico"));
+			expect(await getCenterPixel(readIcoEntry(ico, 16))).toEqual([255, 0, 0]);
+			expect(await getCenterPixel(readIcoEntry(ico, 48))).toEqual([255, 0, 0]);
+			expect(await getCenterPixel(readIcoEntry(ico, 256))).not.toEqual([255, 0, 0]);
+
+			const icns = await readFile(path.join(result.outputDir, "icon.icns"));
+			expect(await getCenterPixel(readIcnsEntry(icns, "icp4"))).toEqual([255, 0, 0]);
+			expect(await getCenterPixel(readIcnsEntry(icns, "ic07"))).not.toEqual([
+				255, 0, 0,
+			]);
+		}, 30000);
+
+		test("should use hand-tuned sources for AppIcon.icns entries", async () => {
+			const smallSource = await createRedSource(
+				path.join(testOutputDir, "icon-small.png"),
+				48
+			);
+
+			const result = await quickGenerate({
+				foreground: getTestIcon(),
+				output: testOutputDir,
+				platform: "macos",
+				force: true,
+				icns: true,
+				customSizes: {
+					macos: { sourceOverrides: { "<=48": smallSource } },
+				},
+			});
+
+			expect(result.sources["AppIcon.icns#32x32"]).toBe(smallSource);
+			expect(result.sources["AppIcon.icns#64x64"]).toBe(getTestIcon());
+
+			const icns = await readFile(path.join(result.outputDir, "AppIcon.icns"));
+			expect(await getCenterPixel(readIcnsEntry(icns, "icp5"))).toEqual([255, 0, 0]);
+			expect(await getCenterPixel(readIcnsEntry(icns, "icp6"))).not.toEqual([
+				255, 0, 0,
+			]);
+		}, 30000);
+
+		test("should render vector hand-tuned sources at the icon size", async () => {
+			const svgSource = path.join(testOutputDir, "icon-small.svg");
+			await writeFile(
+				svgSource,
+				'<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16"><rect width="16" height="16" fill="red"/></svg>'
+			);
+
+			const fileManager = new FileManager();
+			const generator = new WebGenerator(
+				new ImageProcessor(),
+				fileManager,
+				new ArchiveManager(fileManager),
+				{ web: { sourceOverrides: { "16-48": svgSource } } }
+			);
+			const image = await generator.getIconSource(
+				null,
+				generator.getContainerIconDef("favicon.ico", 48)
+			);
+
+			expect((await image.metadata()).width).toBe(48);
+		});
+
+		test("should resolve override paths relative to the config file", async () => {
+			const configPath = path.join(testOutputDir, "custom-sizes.json");
+			await writeFile(
+				configPath,
+				JSON.stringify({ web: { sourceOverrides: { "<=32": "./favicon-small.png" } } })
+			);
+
+			const config = await loadCustomSizeConfig(configPath);
+			expect(config.web.sourceOverrides["<=32"]).toBe(
+				path.join(testOutputDir, "favicon-small.png")
+			);
+		});
+
+		test("should fail when a hand-tuned source is missing", async () => {
+			await expect(
+				quickGenerate({
+					foreground: getTestIcon(),
+					output: testOutputDir,
+					platform: "ios",
+					force: true,
+					customSizes: {
+						ios: { sourceOverrides: { "<=40": "./missing-small.png" } },
+					},
+				})
+			).rejects.toThrow("Source override not found: ./missing-small.png");
+			expect(existsSync(path.join(testOutputDir, "AppIcon.appiconset"))).toBe(false);
+		}, 30000);
+	});
 });
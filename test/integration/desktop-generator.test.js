@@ -0,0 +1,129 @@
+/**
+ * Desktop Generator Integration Tests
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { DesktopGenerator } from "../../lib/platforms/DesktopGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
+import {
+	getTestIcon,
+	getTestForeground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
+import path from "path";
+import { existsSync } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
+
+describe("DesktopGenerator", () => {
+	let generator;
+	let testOutputDir;
+
+	beforeEach(async () => {
+		const imageProcessor = new ImageProcessor();
+		const fileManager = new FileManager();
+		const archiveManager = new ArchiveManager(fileManager);
+		generator = new DesktopGenerator(imageProcessor, fileManager, archiveManager);
+
+		testOutputDir = path.join(TEST_OUTPUT_DIR, "desktop-generator");
+		await cleanupDir(testOutputDir);
+		await mkdir(testOutputDir, { recursive: true });
+	});
+
+	afterEach(async () => {
+		await cleanupDir(testOutputDir);
+	});
+
+	describe("Icon Generation", () => {
+		test("should generate ico, icns and hicolor tree", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.platform).toBe("desktop");
+			expect(result.metadataPath).toBeNull();
+			expect(result.files).toContain("icon.ico");
+			expect(result.files).toContain("icon.icns");
+
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+
+			const linuxIcon = path.join(
+				result.outputDir,
+				"icons/hicolor/48x48/apps/app.png"
+			);
+			const metadata = await sharp(linuxIcon).metadata();
+			expect(metadata.width).toBe(48);
+			expect(metadata.height).toBe(48);
+		}, 30000);
+
+		test("should name Linux icons after the app name", async () => {
+			const foregroundPath = getTestForeground();
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				appName: "My Cool App",
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.files).toContain(
+				"icons/hicolor/512x512/apps/my-cool-app.png"
+			);
+			expect(
+				existsSync(
+					path.join(result.outputDir, "icons/hicolor/16x16/apps/my-cool-app.png")
+				)
+			).toBe(true);
+		}, 30000);
+
+		test("should create ZIP archive", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+				zip: true,
+			});
+
+			expect(result.zipPath).toBe(path.join(testOutputDir, "DesktopIcons.zip"));
+			expect(existsSync(result.zipPath)).toBe(true);
+		}, 30000);
+	});
+
+	describe("Container Formats", () => {
+		test("should pack every ico entry from 16 to 256", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			const ico = await readFile(path.join(result.outputDir, "icon.ico"));
+			expect(ico.readUInt16LE(2)).toBe(1); // Icon type
+			expect(ico.readUInt16LE(4)).toBe(7); // Image count
+
+			const widths = [];
+			for (let i = 0; i < 7; i++) {
+				const width = ico.readUInt8(6 + i * 16);
+				widths.push(width === 0 ? 256 : width);
+			}
+			expect(widths).toEqual([16, 24, 32, 48, 64, 128, 256]);
+		}, 30000);
+
+		test("should write a valid icns container", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			const icns = await readFile(path.join(result.outputDir, "icon.icns"));
+			expect(icns.subarray(0, 4).toString("ascii")).toBe("icns");
+			expect(icns.readUInt32BE(4)).toBe(icns.length);
+		}, 30000);
+	});
+});
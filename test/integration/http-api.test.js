@@ -243,6 +243,30 @@ describe("HTTP API", () => {
 		}, 10000);
 	});
 
+	describe("Preview", () => {
+		test("should return a PNG contact sheet", async () => {
+			if (!serverRunning) return;
+
+			const iconPath = getTestIcon();
+			const response = await uploadFile(
+				"/preview?sizes=96,48&masks=circle,ios",
+				iconPath
+			);
+
+			expect(response.ok).toBe(true);
+			expect(response.headers.get("content-type")).toContain("image/png");
+		}, 30000);
+
+		test("should reject unknown masks", async () => {
+			if (!serverRunning) return;
+
+			const iconPath = getTestIcon();
+			const response = await uploadFile("/preview?masks=hexagon", iconPath);
+
+			expect(response.status).toBe(400);
+		}, 10000);
+	});
+
 	describe("Custom Sizes", () => {
 		test("should accept customSizes parameter", async () => {
 			if (!serverRunning) return;
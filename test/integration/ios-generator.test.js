@@ -9,6 +9,7 @@ import { FileManager } from "../../lib/core/FileManager.js";
 import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
 import {
 	getTestIcon,
+	getTestForeground,
 	cleanupDir,
 	TEST_OUTPUT_DIR,
 	countFilesInDir,
@@ -16,6 +17,7 @@ import {
 import path from "path";
 import { existsSync } from "fs";
 import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
 
 describe("IOSGenerator", () => {
 	let generator;
@@ -181,4 +183,310 @@ describe("IOSGenerator", () => {
 			expect(has3x).toBe(true);
 		}, 30000);
 	});
+
+	describe("Version Label", () => {
+		test("should draw the version label only on icons above the minimum size", async () => {
+			const plainDir = path.join(testOutputDir, "plain");
+			const labeledDir = path.join(testOutputDir, "labeled");
+			await generator.generate(getTestIcon(), plainDir, { force: true });
+			await generator.generate(getTestIcon(), labeledDir, {
+				force: true,
+				versionLabel: "1.4.2 (318)",
+				versionLabelMinSize: 100,
+			});
+
+			const readIcon = (dir, filename) =>
+				readFile(path.join(dir, "AppIcon.appiconset", filename));
+
+			// 40px and 87px icons stay clean, 120px and up get the label
+			for (const filename of ["Icon-App-20x20@2x.png", "Icon-App-29x29@3x.png"]) {
+				expect(
+					(await readIcon(labeledDir, filename)).equals(
+						await readIcon(plainDir, filename)
+					)
+				).toBe(true);
+			}
+			for (const filename of ["Icon-App-60x60@2x.png", "Icon-App-1024x1024@1x.png"]) {
+				expect(
+					(await readIcon(labeledDir, filename)).equals(
+						await readIcon(plainDir, filename)
+					)
+				).toBe(false);
+			}
+		}, 30000);
+	});
+
+	describe("Appearance Variants", () => {
+		test("should not add appearance variants by default", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: { foreground: getTestForeground() },
+			});
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(contents.images.some(image => image.appearances)).toBe(false);
+		}, 30000);
+
+		test("should add dark variant with luminosity appearance", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+					darkBackground: "#000000",
+				},
+			});
+
+			expect(result.files).toContain("Icon-App-1024x1024@1x-dark.png");
+			expect(result.files).not.toContain("Icon-App-1024x1024@1x-tinted.png");
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			const dark = contents.images.find(image => image.appearances);
+			expect(dark).toEqual({
+				appearances: [{ appearance: "luminosity", value: "dark" }],
+				filename: "Icon-App-1024x1024@1x-dark.png",
+				idiom: "universal",
+				platform: "ios",
+				size: "1024x1024",
+			});
+		}, 30000);
+
+		test("should pair legacy appearance variants with their own light file", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+					darkForeground: getTestForeground(),
+				},
+			});
+
+			expect(result.files).toContain("Icon-App-1024x1024@1x-light.png");
+			expect(
+				existsSync(path.join(result.outputDir, "Icon-App-1024x1024@1x-light.png"))
+			).toBe(true);
+
+			// The marketing icon keeps a single ios-marketing entry
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(
+				contents.images.filter(
+					image => image.filename === "Icon-App-1024x1024@1x.png"
+				)
+			).toEqual([
+				{
+					filename: "Icon-App-1024x1024@1x.png",
+					idiom: "ios-marketing",
+					scale: "1x",
+					size: "1024x1024",
+				},
+			]);
+			expect(
+				contents.images.find(
+					image => image.filename === "Icon-App-1024x1024@1x-light.png"
+				)
+			).toEqual({
+				filename: "Icon-App-1024x1024@1x-light.png",
+				idiom: "universal",
+				platform: "ios",
+				size: "1024x1024",
+			});
+
+			// Without a dark background the dark variant keeps its transparency
+			const darkStats = await sharp(
+				path.join(result.outputDir, "Icon-App-1024x1024@1x-dark.png")
+			).stats();
+			expect(darkStats.isOpaque).toBe(false);
+		}, 30000);
+
+		test("should derive tinted variant as grayscale when no layer is supplied", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+					tinted: true,
+				},
+			});
+
+			const tintedPath = path.join(
+				result.outputDir,
+				"Icon-App-1024x1024@1x-tinted.png"
+			);
+			expect(existsSync(tintedPath)).toBe(true);
+
+			const stats = await sharp(tintedPath).stats();
+			expect(stats.isOpaque).toBe(true);
+			const [r, g, b] = stats.channels;
+			if (g && b) {
+				expect(r.mean).toBeCloseTo(g.mean, 5);
+				expect(g.mean).toBeCloseTo(b.mean, 5);
+			}
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			const tinted = contents.images.find(image => image.appearances);
+			expect(tinted.appearances).toEqual([
+				{ appearance: "luminosity", value: "tinted" },
+			]);
+		}, 30000);
+	});
+
+	describe("Single-Size Layout", () => {
+		test("should write one universal 1024 entry", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+				iosLayout: "single",
+			});
+
+			expect(result.files).toEqual([
+				"Icon-App-1024x1024@1x.png",
+				"Contents.json",
+			]);
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(contents.images).toEqual([
+				{
+					filename: "Icon-App-1024x1024@1x.png",
+					idiom: "universal",
+					platform: "ios",
+					size: "1024x1024",
+				},
+			]);
+
+			const pngCount = await countFilesInDir(result.outputDir, ".png");
+			expect(pngCount).toBe(1);
+		}, 30000);
+
+		test("should add dark and tinted entries to the single-size catalog", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				iosLayout: "single",
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					darkBackground: "#000000",
+					tinted: true,
+				},
+			});
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(contents.images.length).toBe(3);
+			expect(contents.images.every(image => image.idiom === "universal")).toBe(
+				true
+			);
+			expect(
+				contents.images
+					.filter(image => image.appearances)
+					.map(image => image.appearances[0].value)
+			).toEqual(["dark", "tinted"]);
+		}, 30000);
+
+		test("should describe the active layout in platform info", () => {
+			expect(generator.getPlatformInfo().layout).toBe("legacy");
+
+			const info = generator.getPlatformInfo({ iosLayout: "single" });
+			expect(info.layout).toBe("single");
+			expect(info.iconCount).toBe(1);
+			expect(info.sizeInfo.length).toBe(1);
+		});
+
+		test("should reject unknown layouts", async () => {
+			await expect(
+				generator.generate(getTestIcon(), testOutputDir, {
+					force: true,
+					iosLayout: "compact",
+				})
+			).rejects.toThrow(/Invalid iOS layout/);
+		});
+	});
+
+	describe("Alpha Flattening", () => {
+		test("should write the App Store icon as RGB without alpha", async () => {
+			const result = await generator.generate(getTestForeground(), testOutputDir, {
+				force: true,
+			});
+
+			const metadata = await sharp(
+				path.join(result.outputDir, "Icon-App-1024x1024@1x.png")
+			).metadata();
+			expect(metadata.hasAlpha).toBe(false);
+			expect(metadata.channels).toBe(3);
+		}, 30000);
+
+		test("should warn about transparent icons that were not flattened", async () => {
+			const result = await generator.generate(getTestForeground(), testOutputDir, {
+				force: true,
+			});
+
+			expect(result.warnings.length).toBeGreaterThan(0);
+			expect(
+				result.warnings.some(warning => warning.startsWith("Icon-App-1024x1024"))
+			).toBe(false);
+		}, 30000);
+
+		test("should flatten every icon with flattenAlpha", async () => {
+			const result = await generator.generate(getTestForeground(), testOutputDir, {
+				force: true,
+				flattenAlpha: true,
+			});
+
+			expect(result.warnings).toEqual([]);
+
+			const metadata = await sharp(
+				path.join(result.outputDir, "Icon-App-60x60@3x.png")
+			).metadata();
+			expect(metadata.hasAlpha).toBe(false);
+		}, 30000);
+	});
+
+	describe("Launch Screen", () => {
+		test("should write a launch image set and storyboard next to the icon set", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				splash: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			expect(result.splashPaths.imageSet).toBe(
+				path.join(testOutputDir, "LaunchImage.imageset")
+			);
+
+			const contents = JSON.parse(
+				await readFile(
+					path.join(result.splashPaths.imageSet, "Contents.json"),
+					"utf-8"
+				)
+			);
+			expect(contents.images).toEqual([
+				{ filename: "LaunchImage.png", idiom: "universal", scale: "1x" },
+				{ filename: "LaunchImage@2x.png", idiom: "universal", scale: "2x" },
+				{ filename: "LaunchImage@3x.png", idiom: "universal", scale: "3x" },
+			]);
+
+			const launch3x = await sharp(
+				path.join(result.splashPaths.imageSet, "LaunchImage@3x.png")
+			).metadata();
+			expect(launch3x.width).toBe(600);
+
+			const storyboard = await readFile(result.splashPaths.storyboard, "utf-8");
+			expect(storyboard).toContain('launchScreen="YES"');
+			expect(storyboard).toContain('image="LaunchImage"');
+			expect(storyboard).toContain(
+				'<color key="backgroundColor" red="1" green="0.341" blue="0.133" alpha="1"'
+			);
+		}, 30000);
+
+		test("should not generate a launch screen unless requested", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+			});
+
+			expect(result.splashPaths).toBeNull();
+			expect(existsSync(path.join(testOutputDir, "LaunchImage.imageset"))).toBe(
+				false
+			);
+		}, 30000);
+	});
 });
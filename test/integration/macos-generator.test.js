@@ -0,0 +1,114 @@
+/**
+ * macOS Generator Integration Tests
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { MacOSGenerator } from "../../lib/platforms/MacOSGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
+import {
+	getTestIcon,
+	getTestForeground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
+import path from "path";
+import { existsSync } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
+
+describe("MacOSGenerator", () => {
+	let generator;
+	let testOutputDir;
+
+	beforeEach(async () => {
+		const imageProcessor = new ImageProcessor();
+		const fileManager = new FileManager();
+		const archiveManager = new ArchiveManager(fileManager);
+		generator = new MacOSGenerator(imageProcessor, fileManager, archiveManager);
+
+		testOutputDir = path.join(TEST_OUTPUT_DIR, "macos-generator");
+		await cleanupDir(testOutputDir);
+		await mkdir(testOutputDir, { recursive: true });
+	});
+
+	afterEach(async () => {
+		await cleanupDir(testOutputDir);
+	});
+
+	describe("Icon Generation", () => {
+		test("should generate AppIcon.appiconset with mac idiom Contents.json", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.platform).toBe("macos");
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(contents.images.length).toBe(10);
+			expect(contents.images.every(image => image.idiom === "mac")).toBe(true);
+
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+		}, 30000);
+
+		test("should apply the rounded template with transparent margin", async () => {
+			const foregroundPath = getTestForeground();
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "#FF5722",
+				},
+			});
+
+			const largestPath = path.join(
+				result.outputDir,
+				"AppIcon.appiconset",
+				"icon_512x512@2x.png"
+			);
+			const { data, info } = await sharp(largestPath)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+
+			const alphaAt = (x, y) => data[(y * info.width + x) * info.channels + 3];
+
+			expect(info.width).toBe(1024);
+			expect(alphaAt(50, 512)).toBe(0); // Margin outside the 824px body
+			expect(alphaAt(110, 110)).toBe(0); // Rounded corner of the body
+			expect(alphaAt(512, 512)).toBe(255); // Body center
+		}, 30000);
+	});
+
+	describe("ICNS Packing", () => {
+		test("should write AppIcon.icns when requested", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+				icns: true,
+			});
+
+			expect(result.files).toContain("AppIcon.icns");
+
+			const icns = await readFile(path.join(result.outputDir, "AppIcon.icns"));
+			expect(icns.subarray(0, 4).toString("ascii")).toBe("icns");
+			expect(icns.readUInt32BE(4)).toBe(icns.length);
+			expect(icns.subarray(8, 12).toString("ascii")).toBe("icp4");
+		}, 30000);
+
+		test("should not write AppIcon.icns by default", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			expect(existsSync(path.join(result.outputDir, "AppIcon.icns"))).toBe(
+				false
+			);
+		}, 30000);
+	});
+});
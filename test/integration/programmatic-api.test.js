@@ -11,6 +11,7 @@ import {
 	getPlatformInfo,
 	getAllPlatformsInfo,
 	validateImageFile,
+	iconGeneratorFactory,
 } from "../../index.js";
 import {
 	getTestIcon,
@@ -22,6 +23,7 @@ import {
 import path from "path";
 import { existsSync } from "fs";
 import { mkdir } from "fs/promises";
+import sharp from "sharp";
 
 describe("Programmatic API", () => {
 	let testOutputDir;
@@ -110,6 +112,49 @@ describe("Programmatic API", () => {
 			expect(result.success).toBe(true);
 		}, 30000);
 
+		test("should generate icons from text without a source image", async () => {
+			const result = await quickGenerate({
+				text: "AB",
+				textColor: "#FFFFFF",
+				background: "#1E88E5",
+				output: testOutputDir,
+				platform: "android",
+				force: true,
+			});
+
+			expect(result.success).toBe(true);
+
+			// The rendered text is the foreground layer
+			const { data } = await sharp(
+				path.join(
+					result.outputDir,
+					"mipmap-xxxhdpi",
+					"ic_launcher_foreground.png"
+				)
+			)
+				.ensureAlpha()
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+			let covered = 0;
+			for (let i = 3; i < data.length; i += 4) {
+				if (data[i] === 255) {
+					covered++;
+					expect([data[i - 3], data[i - 2], data[i - 1]]).toEqual([255, 255, 255]);
+				}
+			}
+			expect(covered).toBeGreaterThan(0);
+		}, 30000);
+
+		test("should reject text combined with a foreground image", async () => {
+			await expect(
+				quickGenerate({
+					text: "AB",
+					foreground: getTestForeground(),
+					output: testOutputDir,
+				})
+			).rejects.toThrow("cannot be combined with 'foreground'");
+		});
+
 		test("should throw error when missing required parameters", async () => {
 			await expect(
 				quickGenerate({
@@ -152,6 +197,42 @@ describe("Programmatic API", () => {
 			expect(result.files.length).toBeGreaterThan(0);
 		}, 30000);
 
+		test("should keep run options out of concurrent runs", async () => {
+			const iconPath = getTestIcon();
+			const plainDir = path.join(testOutputDir, "plain");
+			const badgedDir = path.join(testOutputDir, "badged");
+			const aloneDir = path.join(testOutputDir, "alone");
+
+			// Badge and processing profile of one run must not reach the other
+			const [plain] = await Promise.all([
+				generateIconsForPlatform("ios", iconPath, plainDir, { force: true }),
+				generateIconsForPlatform("ios", iconPath, badgedDir, {
+					force: true,
+					badge: "DEV",
+					processing: { kernel: "nearest", sharpen: 2 },
+				}),
+			]);
+			const alone = await generateIconsForPlatform("ios", iconPath, aloneDir, {
+				force: true,
+			});
+
+			const file = "Icon-App-1024x1024@1x.png";
+			const plainPixels = await sharp(path.join(plain.outputDir, file))
+				.raw()
+				.toBuffer();
+			const alonePixels = await sharp(path.join(alone.outputDir, file))
+				.raw()
+				.toBuffer();
+			expect(plainPixels.equals(alonePixels)).toBe(true);
+
+			// The factory's shared processor is never configured by a run
+			expect(iconGeneratorFactory.imageProcessor.badge).toBeNull();
+			expect(iconGeneratorFactory.imageProcessor.processingProfile).toEqual({
+				kernel: "lanczos3",
+				sharpen: 0,
+			});
+		}, 60000);
+
 		test("should throw error for unsupported platform", async () => {
 			const iconPath = getTestIcon();
 
@@ -0,0 +1,156 @@
+/**
+ * tvOS Generator Integration Tests
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { TVOSGenerator } from "../../lib/platforms/TVOSGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
+import {
+	getTestIcon,
+	getTestForeground,
+	getTestBackground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
+import path from "path";
+import { existsSync } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
+
+const BRAND_ASSETS = "App Icon & Top Shelf Image.brandassets";
+
+describe("TVOSGenerator", () => {
+	let generator;
+	let testOutputDir;
+
+	beforeEach(async () => {
+		const imageProcessor = new ImageProcessor();
+		const fileManager = new FileManager();
+		const archiveManager = new ArchiveManager(fileManager);
+		generator = new TVOSGenerator(imageProcessor, fileManager, archiveManager);
+
+		testOutputDir = path.join(TEST_OUTPUT_DIR, "tvos-generator");
+		await cleanupDir(testOutputDir);
+		await mkdir(testOutputDir, { recursive: true });
+	});
+
+	afterEach(async () => {
+		await cleanupDir(testOutputDir);
+	});
+
+	describe("Brand Assets", () => {
+		test("should generate brand assets with image stacks and Top Shelf images", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: getTestBackground(),
+				},
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.platform).toBe("tvos");
+
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+
+			const brandAssets = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(brandAssets.assets.map(asset => asset.role)).toEqual([
+				"primary-app-icon",
+				"primary-app-icon",
+				"top-shelf-image-wide",
+				"top-shelf-image",
+			]);
+			expect(brandAssets.assets.every(asset => asset.idiom === "tv")).toBe(true);
+		}, 60000);
+
+		test("should write per-layer Contents.json files", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const stackDir = path.join(
+				result.outputDir,
+				BRAND_ASSETS,
+				"App Icon.imagestack"
+			);
+			const stack = JSON.parse(
+				await readFile(path.join(stackDir, "Contents.json"), "utf-8")
+			);
+			expect(stack.layers).toEqual([
+				{ filename: "Front.imagestacklayer" },
+				{ filename: "Back.imagestacklayer" },
+			]);
+
+			const frontImageSet = JSON.parse(
+				await readFile(
+					path.join(
+						stackDir,
+						"Front.imagestacklayer",
+						"Content.imageset",
+						"Contents.json"
+					),
+					"utf-8"
+				)
+			);
+			expect(frontImageSet.images).toEqual([
+				{ filename: "front.png", idiom: "tv", scale: "1x" },
+				{ filename: "front@2x.png", idiom: "tv", scale: "2x" },
+			]);
+		}, 60000);
+
+		test("should keep the front layer transparent and the back layer opaque", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const layerPath = layer =>
+				path.join(
+					result.outputDir,
+					BRAND_ASSETS,
+					"App Icon.imagestack",
+					`${layer}.imagestacklayer`,
+					"Content.imageset",
+					`${layer.toLowerCase()}@2x.png`
+				);
+
+			const front = await sharp(layerPath("Front")).metadata();
+			expect(front.width).toBe(800);
+			expect(front.height).toBe(480);
+			expect((await sharp(layerPath("Front")).stats()).isOpaque).toBe(false);
+			expect((await sharp(layerPath("Back")).stats()).isOpaque).toBe(true);
+
+			const topShelf = await sharp(
+				path.join(
+					result.outputDir,
+					BRAND_ASSETS,
+					"Top Shelf Image Wide.imageset",
+					"top-shelf-image-wide.png"
+				)
+			).metadata();
+			expect(topShelf.width).toBe(2320);
+			expect(topShelf.height).toBe(720);
+		}, 60000);
+
+		test("should use a single image as the front layer in standard mode", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+				zip: true,
+			});
+
+			expect(result.success).toBe(true);
+			expect(existsSync(result.zipPath)).toBe(true);
+		}, 60000);
+	});
+});
@@ -0,0 +1,138 @@
+/**
+ * watchOS Generator Integration Tests
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { WatchOSGenerator } from "../../lib/platforms/WatchOSGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
+import {
+	getTestIcon,
+	getTestForeground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
+import path from "path";
+import { existsSync } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
+
+describe("WatchOSGenerator", () => {
+	let generator;
+	let testOutputDir;
+
+	beforeEach(async () => {
+		const imageProcessor = new ImageProcessor();
+		const fileManager = new FileManager();
+		const archiveManager = new ArchiveManager(fileManager);
+		generator = new WatchOSGenerator(imageProcessor, fileManager, archiveManager);
+
+		testOutputDir = path.join(TEST_OUTPUT_DIR, "watchos-generator");
+		await cleanupDir(testOutputDir);
+		await mkdir(testOutputDir, { recursive: true });
+	});
+
+	afterEach(async () => {
+		await cleanupDir(testOutputDir);
+	});
+
+	describe("Icon Generation", () => {
+		test("should generate watch icon set with roles and subtypes", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.platform).toBe("watchos");
+
+			for (const file of result.files) {
+				expect(existsSync(path.join(result.outputDir, file))).toBe(true);
+			}
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			const launcher44 = contents.images.find(
+				image => image.role === "appLauncher" && image.subtype === "44mm"
+			);
+			expect(launcher44).toEqual({
+				filename: "Icon-Watch-50x50@2x.png",
+				idiom: "watch",
+				role: "appLauncher",
+				scale: "2x",
+				size: "50x50",
+				subtype: "44mm",
+			});
+
+			const companion = contents.images.filter(
+				image => image.role === "companionSettings"
+			);
+			expect(companion.length).toBe(2);
+			expect(companion.every(image => image.subtype === undefined)).toBe(true);
+
+			const marketing = contents.images.find(
+				image => image.idiom === "watch-marketing"
+			);
+			expect(marketing.size).toBe("1024x1024");
+		}, 30000);
+
+		test("should cover every watch case size", async () => {
+			const result = await generator.generate(getTestIcon(), testOutputDir, {
+				force: true,
+			});
+
+			const contents = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			const launcherSubtypes = contents.images
+				.filter(image => image.role === "appLauncher")
+				.map(image => image.subtype);
+			expect(launcherSubtypes).toEqual([
+				"38mm",
+				"40mm",
+				"41mm",
+				"44mm",
+				"45mm",
+				"49mm",
+			]);
+		}, 30000);
+	});
+
+	describe("Opacity and Previews", () => {
+		test("should write opaque icons even from a transparent source", async () => {
+			const result = await generator.generate(
+				getTestForeground(),
+				testOutputDir,
+				{ force: true }
+			);
+
+			const metadata = await sharp(
+				path.join(result.outputDir, "AppIcon.appiconset", "Icon-Watch-50x50@2x.png")
+			).metadata();
+			expect(metadata.hasAlpha).toBe(false);
+		}, 30000);
+
+		test("should generate circular app launcher previews", async () => {
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: getTestForeground(),
+					background: "#FF5722",
+				},
+			});
+
+			const previewPath = path.join(
+				result.outputDir,
+				"previews",
+				"Icon-Watch-54x54@2x.png"
+			);
+			const { data, info } = await sharp(previewPath)
+				.raw()
+				.toBuffer({ resolveWithObject: true });
+
+			const alphaAt = (x, y) => data[(y * info.width + x) * info.channels + 3];
+
+			expect(info.width).toBe(108);
+			expect(alphaAt(0, 0)).toBe(0); // Corner outside the circle
+			expect(alphaAt(54, 54)).toBe(255); // Center
+		}, 30000);
+	});
+});
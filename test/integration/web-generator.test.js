@@ -0,0 +1,216 @@
+/**
+ * Web Generator Integration Tests
+ */
+
+import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
+import { WebGenerator } from "../../lib/platforms/WebGenerator.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { FileManager } from "../../lib/core/FileManager.js";
+import { ArchiveManager } from "../../lib/core/ArchiveManager.js";
+import {
+	getTestIcon,
+	getTestForeground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
+import path from "path";
+import { existsSync } from "fs";
+import { mkdir, readFile } from "fs/promises";
+import sharp from "sharp";
+
+describe("WebGenerator", () => {
+	let generator;
+	let testOutputDir;
+
+	beforeEach(async () => {
+		const imageProcessor = new ImageProcessor();
+		const fileManager = new FileManager();
+		const archiveManager = new ArchiveManager(fileManager);
+		generator = new WebGenerator(imageProcessor, fileManager, archiveManager);
+
+		testOutputDir = path.join(TEST_OUTPUT_DIR, "web-generator");
+		await cleanupDir(testOutputDir);
+		await mkdir(testOutputDir, { recursive: true });
+	});
+
+	afterEach(async () => {
+		await cleanupDir(testOutputDir);
+	});
+
+	describe("Icon Generation", () => {
+		test("should generate all web icons", async () => {
+			const iconPath = getTestIcon();
+			const result = await generator.generate(iconPath, testOutputDir, {
+				force: true,
+			});
+
+			expect(result.success).toBe(true);
+			expect(result.platform).toBe("web");
+
+			const webIconsPath = path.join(testOutputDir, "web-icons");
+			for (const file of result.files) {
+				expect(existsSync(path.join(webIconsPath, file))).toBe(true);
+			}
+		}, 30000);
+
+		test("should generate maskable icons from layers", async () => {
+			const foregroundPath = getTestForeground();
+			await generator.generate(null, testOutputDir, {
+				force: true,
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "#FF5722",
+				},
+			});
+
+			const maskablePath = path.join(
+				testOutputDir,
+				"web-icons",
+				"icon-maskable-512x512.png"
+			);
+			expect(existsSync(maskablePath)).toBe(true);
+
+			const imageProcessor = new ImageProcessor();
+			const { metadata } = await imageProcessor.loadImage(maskablePath);
+			expect(metadata.width).toBe(512);
+		}, 30000);
+	});
+
+	describe("Maskable Icons", () => {
+		test("should pad the single source image into the safe zone", async () => {
+			await generator.generate(getTestIcon(), testOutputDir, { force: true });
+
+			const iconsPath = path.join(testOutputDir, "web-icons");
+			const [maskable, any] = await Promise.all(
+				["icon-maskable-512x512.png", "icon-512x512.png"].map(file =>
+					sharp(path.join(iconsPath, file))
+						.removeAlpha()
+						.raw()
+						.toBuffer({ resolveWithObject: true })
+				)
+			);
+			expect(maskable.data.equals(any.data)).toBe(false);
+
+			// Outside the 80% safe circle only the padding color remains
+			const { data, info } = maskable;
+			const center = info.width / 2;
+			const radius = info.width * 0.4;
+			let contentOutside = 0;
+			for (let y = 0; y < info.height; y++) {
+				for (let x = 0; x < info.width; x++) {
+					const i = (y * info.width + x) * info.channels;
+					const outside = Math.hypot(x + 0.5 - center, y + 0.5 - center) > radius;
+					if (outside && [0, 1, 2].some(c => data[i + c] !== data[c])) {
+						contentOutside++;
+					}
+				}
+			}
+			expect(contentOutside).toBe(0);
+		}, 30000);
+
+		test("should keep the badge inside the maskable safe zone", async () => {
+			const readMaskable = async (inputPath, options) => {
+				const result = await generator.generate(inputPath, testOutputDir, {
+					force: true,
+					...options,
+				});
+				return await sharp(path.join(result.outputDir, "icon-maskable-512x512.png"))
+					.removeAlpha()
+					.raw()
+					.toBuffer({ resolveWithObject: true });
+			};
+			const countBadgePixels = (plain, badged) => {
+				const { width, channels } = badged.info;
+				const center = width / 2;
+				const counts = { inside: 0, outside: 0 };
+				for (let i = 0; i < badged.data.length; i += channels) {
+					if (badged.data.compare(plain.data, i, i + channels, i, i + channels) !== 0) {
+						const x = (i / channels) % width;
+						const y = Math.floor(i / channels / width);
+						const outside =
+							Math.hypot(x + 0.5 - center, y + 0.5 - center) > width * 0.4;
+						counts[outside ? "outside" : "inside"]++;
+					}
+				}
+				return counts;
+			};
+			const badge = { badge: "BETA", badgeColor: "#0000FF" };
+
+			const standard = countBadgePixels(
+				await readMaskable(getTestIcon(), {}),
+				await readMaskable(getTestIcon(), badge)
+			);
+			expect(standard.inside).toBeGreaterThan(0);
+			expect(standard.outside).toBe(0);
+
+			const adaptiveIcon = {
+				foreground: getTestForeground(),
+				background: "#FFFFFF",
+			};
+			const adaptive = countBadgePixels(
+				await readMaskable(null, { adaptiveIcon }),
+				await readMaskable(null, { ...badge, adaptiveIcon })
+			);
+			expect(adaptive.inside).toBeGreaterThan(0);
+			expect(adaptive.outside).toBe(0);
+		}, 60000);
+	});
+
+	describe("favicon.ico", () => {
+		test("should contain 16, 32 and 48px PNG entries", async () => {
+			const iconPath = getTestIcon();
+			await generator.generate(iconPath, testOutputDir, { force: true });
+
+			const ico = await readFile(
+				path.join(testOutputDir, "web-icons", "favicon.ico")
+			);
+
+			expect(ico.readUInt16LE(2)).toBe(1); // Icon type
+			expect(ico.readUInt16LE(4)).toBe(3); // Image count
+
+			const widths = [0, 1, 2].map(i => ico.readUInt8(6 + i * 16));
+			expect(widths).toEqual([16, 32, 48]);
+
+			// First entry data starts with the PNG signature
+			const dataOffset = ico.readUInt32LE(6 + 12);
+			expect(ico.subarray(dataOffset + 1, dataOffset + 4).toString()).toBe(
+				"PNG"
+			);
+		}, 30000);
+	});
+
+	describe("Metadata", () => {
+		test("should generate manifest.webmanifest with maskable icons", async () => {
+			const foregroundPath = getTestForeground();
+			const result = await generator.generate(null, testOutputDir, {
+				force: true,
+				appName: "Ino Demo",
+				adaptiveIcon: {
+					foreground: foregroundPath,
+					background: "#FF5722",
+				},
+			});
+
+			const manifest = JSON.parse(await readFile(result.metadataPath, "utf-8"));
+			expect(manifest.name).toBe("Ino Demo");
+			expect(manifest.background_color).toBe("#FF5722");
+			expect(manifest.icons.some(icon => icon.purpose === "maskable")).toBe(
+				true
+			);
+			expect(manifest.icons.some(icon => icon.purpose === "any")).toBe(true);
+		}, 30000);
+
+		test("should generate HTML link snippet", async () => {
+			const iconPath = getTestIcon();
+			await generator.generate(iconPath, testOutputDir, { force: true });
+
+			const snippet = await readFile(
+				path.join(testOutputDir, "web-icons", "icons.html"),
+				"utf-8"
+			);
+			expect(snippet).toContain('href="/favicon.ico"');
+			expect(snippet).toContain('rel="apple-touch-icon"');
+			expect(snippet).toContain('rel="manifest"');
+		}, 30000);
+	});
+});
@@ -93,6 +93,13 @@ export function getTestForeground() {
 	return path.join(TEST_FIXTURES_DIR, "foreground.png");
 }
 
+/**
+ * Get test SVG foreground path
+ */
+export function getTestSvgForeground() {
+	return path.join(TEST_FIXTURES_DIR, "foreground.svg");
+}
+
 /**
  * Get test background path
  */
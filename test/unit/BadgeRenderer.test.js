@@ -0,0 +1,160 @@
+/**
+ * BadgeRenderer Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import sharp from "sharp";
+import { BadgeRenderer } from "../../lib/core/BadgeRenderer.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+
+/**
+ * Read one RGBA pixel
+ */
+async function getPixel(image, x, y) {
+	const { data, info } = await image
+		.ensureAlpha()
+		.raw()
+		.toBuffer({ resolveWithObject: true });
+	const i = (y * info.width + x) * 4;
+	return Array.from(data.subarray(i, i + 4));
+}
+
+function createWhiteImage(size) {
+	return sharp({
+		create: {
+			width: size,
+			height: size,
+			channels: 4,
+			background: { r: 255, g: 255, b: 255, alpha: 1 },
+		},
+	});
+}
+
+describe("BadgeRenderer", () => {
+	let renderer;
+
+	beforeEach(() => {
+		renderer = new BadgeRenderer(new ImageProcessor());
+	});
+
+	test("should resolve defaults and skip empty badges", () => {
+		expect(renderer.resolve({})).toBeNull();
+		expect(renderer.resolve({ badge: "  " })).toBeNull();
+
+		expect(renderer.resolve({ badge: " BETA " })).toEqual({
+			text: "BETA",
+			style: "ribbon",
+			position: "top-right",
+			color: "#E53935",
+			textColor: "#FFFFFF",
+		});
+
+		const badge = renderer.resolve({
+			badge: "DEV",
+			badgeStyle: "corner",
+			badgePosition: "bottom-left",
+			badgeColor: "yellow",
+		});
+		expect(badge.color).toBe("#FFFF00");
+		expect(badge.textColor).toBe("#000000");
+	});
+
+	test("should reject unknown styles, positions and colors", () => {
+		expect(() => renderer.resolve({ badge: "BETA", badgeStyle: "banner" })).toThrow(
+			"Unknown badge style: banner"
+		);
+		expect(() =>
+			renderer.resolve({ badge: "BETA", badgePosition: "middle" })
+		).toThrow("Unknown badge position: middle");
+		expect(() =>
+			renderer.resolve({ badge: "BETA", badgeColor: "notacolor" })
+		).toThrow("Invalid badge color: notacolor");
+	});
+
+	test("should escape the badge text", () => {
+		const badge = renderer.resolve({ badge: "R&D <1>" });
+		const svg = renderer.createSvg(badge, 100, 100).toString();
+		expect(svg).toContain("R&amp;D &lt;1&gt;");
+	});
+
+	test("should draw the ribbon across the requested corner only", async () => {
+		const badge = renderer.resolve({ badge: "BETA", badgeColor: "#0000FF" });
+		const badged = await renderer.apply(createWhiteImage(200), badge);
+		const buffer = await badged.png().toBuffer();
+
+		// On the band, away from the centered text
+		expect(await getPixel(sharp(buffer), 182, 82)).toEqual([0, 0, 255, 255]);
+		// Opposite corner and icon center are untouched
+		expect(await getPixel(sharp(buffer), 20, 180)).toEqual([255, 255, 255, 255]);
+		expect(await getPixel(sharp(buffer), 100, 100)).toEqual([255, 255, 255, 255]);
+	});
+
+	test("should draw corner tags inside the tag margin", async () => {
+		const badge = renderer.resolve({
+			badge: "DEV",
+			badgeStyle: "corner",
+			badgePosition: "bottom-left",
+			badgeColor: "#0000FF",
+		});
+		const badged = await renderer.apply(createWhiteImage(200), badge);
+		const buffer = await badged.png().toBuffer();
+
+		// Tag edge (left padding), margin and opposite corner
+		expect(await getPixel(sharp(buffer), 15, 170)).toEqual([0, 0, 255, 255]);
+		expect(await getPixel(sharp(buffer), 5, 195)).toEqual([255, 255, 255, 255]);
+		expect(await getPixel(sharp(buffer), 180, 20)).toEqual([255, 255, 255, 255]);
+	});
+
+	test("should confine badges to the Android safe zone box", async () => {
+		const box = renderer.createSafeZoneBox(108);
+		expect(box.left).toBeCloseTo(21);
+		expect(box.width).toBeCloseTo(66);
+
+		const badge = renderer.resolve({ badge: "BETA", badgeColor: "#0000FF" });
+		const badged = await renderer.apply(
+			createWhiteImage(432),
+			badge,
+			renderer.createSafeZoneBox(432)
+		);
+		const buffer = await badged.png().toBuffer();
+
+		// Band inside the 66dp zone, cut off at its right edge
+		expect(await getPixel(sharp(buffer), 310, 178)).toEqual([0, 0, 255, 255]);
+		expect(await getPixel(sharp(buffer), 360, 226)).toEqual([255, 255, 255, 255]);
+	});
+
+	test("should resolve version labels", () => {
+		expect(renderer.resolveLabel({})).toBeNull();
+		expect(renderer.resolveLabel({ versionLabel: " 1.4.2 (318) " })).toEqual({
+			text: "1.4.2 (318)",
+			minSize: 48,
+		});
+		expect(
+			renderer.resolveLabel({ versionLabel: "a1b2c3d", versionLabelMinSize: "120" })
+		).toEqual({ text: "a1b2c3d", minSize: 120 });
+		expect(() =>
+			renderer.resolveLabel({ versionLabel: "1.0", versionLabelMinSize: 0 })
+		).toThrow("Invalid version label minimum size: 0");
+	});
+
+	test("should draw version labels at the output size and skip small icons", async () => {
+		const imageProcessor = new ImageProcessor();
+		imageProcessor.setVersionLabel({ versionLabel: "1.4.2 (318)" });
+		const source = createWhiteImage(512);
+
+		// Below the minimum size the source is passed through unchanged
+		expect(await imageProcessor.applyVersionLabel(source, 40)).toBe(source);
+
+		const labeled = await imageProcessor.applyVersionLabel(source, 200);
+		const buffer = await labeled.png().toBuffer();
+		expect((await sharp(buffer).metadata()).width).toBe(200);
+
+		// Translucent black pill (left padding) near the bottom, top stays clean
+		const [r, g, b, a] = await getPixel(sharp(buffer), 45, 160);
+		expect(r).toBe(g);
+		expect(g).toBe(b);
+		expect(r).toBeLessThan(128);
+		expect(a).toBe(255);
+		expect(await getPixel(sharp(buffer), 100, 40)).toEqual([255, 255, 255, 255]);
+	});
+});
@@ -0,0 +1,71 @@
+/**
+ * ColorParser Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { ColorParser } from "../../lib/core/ColorParser.js";
+
+describe("ColorParser", () => {
+	let parser;
+
+	beforeEach(() => {
+		parser = new ColorParser();
+	});
+
+	test("should parse hex colors with and without alpha", () => {
+		expect(parser.parse("#F00")).toEqual({ r: 255, g: 0, b: 0, alpha: 1 });
+		expect(parser.parse("FF5722")).toEqual({ r: 255, g: 87, b: 34, alpha: 1 });
+		expect(parser.parse("#0F08").alpha).toBeCloseTo(0.533, 3);
+		expect(parser.parse("#FF572280")).toEqual({
+			r: 255,
+			g: 87,
+			b: 34,
+			alpha: 0.502,
+		});
+	});
+
+	test("should require # for the alpha hex forms", () => {
+		// Bare 4 and 8 digit values are more likely file names than colors
+		expect(parser.parse("face")).toBeNull();
+		expect(parser.parse("abc1")).toBeNull();
+		expect(parser.parse("FF572280")).toBeNull();
+		expect(parser.normalize("#abc1")).toBe("#AABBCC11");
+		expect(parser.normalize("abc")).toBe("#AABBCC");
+	});
+
+	test("should parse rgb() and hsl() in comma and space syntax", () => {
+		expect(parser.normalize("rgb(255, 87, 34)")).toBe("#FF5722");
+		expect(parser.normalize("rgba(255, 87, 34, 0.5)")).toBe("#FF572280");
+		expect(parser.normalize("rgb(100% 0% 0% / 25%)")).toBe("#FF000040");
+		expect(parser.normalize("hsl(120, 100%, 25%)")).toBe("#008000");
+		expect(parser.normalize("hsla(0.5turn, 100%, 50%, 0.5)")).toBe("#00FFFF80");
+		expect(parser.normalize("hsl(240deg 100% 50% / 100%)")).toBe("#0000FF");
+	});
+
+	test("should parse named colors and transparent", () => {
+		expect(parser.normalize("tomato")).toBe("#FF6347");
+		expect(parser.normalize("RebeccaPurple")).toBe("#663399");
+		expect(parser.parse("transparent")).toEqual({ r: 0, g: 0, b: 0, alpha: 0 });
+	});
+
+	test("should reject values that are not colors", () => {
+		for (const value of [
+			"./background.png",
+			"notacolor",
+			"#12345",
+			"rgb(255, 87)",
+			"rgb(a, b, c)",
+			"hsl(120, 100, 25)",
+			"linear(#FFF,#000)",
+			null,
+		]) {
+			expect(parser.parse(value)).toBeNull();
+		}
+	});
+
+	test("should format hex with or without the alpha byte", () => {
+		const color = { r: 255, g: 87, b: 34, alpha: 0.5 };
+		expect(parser.toHex(color)).toBe("#FF572280");
+		expect(parser.toHex(color, false)).toBe("#FF5722");
+	});
+});
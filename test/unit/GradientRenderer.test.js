@@ -0,0 +1,87 @@
+/**
+ * GradientRenderer Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { GradientRenderer } from "../../lib/core/GradientRenderer.js";
+
+describe("GradientRenderer", () => {
+	let renderer;
+
+	beforeEach(() => {
+		renderer = new GradientRenderer();
+	});
+
+	test("should detect gradient specs", () => {
+		expect(renderer.isGradient("linear(135deg,#FF5722,#8E24AA)")).toBe(true);
+		expect(renderer.isGradient("radial(#FFF, #000)")).toBe(true);
+		expect(renderer.isGradient("#FF5722")).toBe(false);
+		expect(renderer.isGradient("./background.png")).toBe(false);
+		expect(renderer.isGradient(null)).toBe(false);
+	});
+
+	test("should parse angles, colors and stop offsets", () => {
+		expect(renderer.parse("linear(135deg,#FF5722,#8E24AA)")).toEqual({
+			type: "linear",
+			angle: 135,
+			stops: [
+				{ color: "#FF5722", opacity: 1, offset: 0 },
+				{ color: "#8E24AA", opacity: 1, offset: 1 },
+			],
+		});
+
+		// Default angle, short hex, missing middle offset spread evenly
+		const { angle, stops } = renderer.parse("linear(f00, #00FF00, 0000ff 80%)");
+		expect(angle).toBe(180);
+		expect(stops.map(stop => stop.color)).toEqual([
+			"#FF0000",
+			"#00FF00",
+			"#0000FF",
+		]);
+		expect(stops.map(stop => stop.offset)).toEqual([0, 0.4, 0.8]);
+
+		expect(renderer.parse("radial(#FFFFFF,#000000)").type).toBe("radial");
+
+		// Any supported color works as a stop, alpha becomes the stop opacity
+		expect(
+			renderer.parse("linear(rgb(255, 0, 0) 20%, hsl(240 100% 50% / 50%))").stops
+		).toEqual([
+			{ color: "#FF0000", opacity: 1, offset: 0.2 },
+			{ color: "#0000FF", opacity: 0.5, offset: 1 },
+		]);
+	});
+
+	test("should reject malformed specs", () => {
+		expect(() => renderer.parse("linear(135deg,#FF5722)")).toThrow(
+			"needs at least two color stops"
+		);
+		expect(() => renderer.parse("linear(135deg,#FF5722,notacolor)")).toThrow(
+			'Invalid gradient stop "notacolor"'
+		);
+		expect(() => renderer.parse("conic(#FF5722,#8E24AA)")).toThrow(
+			"Invalid gradient"
+		);
+	});
+
+	test("should render at the requested size with the stop colors at the ends", async () => {
+		const { data, info } = await renderer
+			.render("linear(90deg,#FF0000,#0000FF)", 64, 32)
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+
+		expect(info.width).toBe(64);
+		expect(info.height).toBe(32);
+
+		const row = 16 * info.width * info.channels;
+		const right = row + 63 * info.channels;
+		expect(data[row]).toBeGreaterThan(240);
+		expect(data[right + 2]).toBeGreaterThan(240);
+	});
+
+	test("should average colors along the gradient line", () => {
+		expect(renderer.getAverageColor("linear(#000000,#FFFFFF)")).toBe("#808080");
+		expect(
+			renderer.getAverageColor("linear(#FF0000 50%,#0000FF 50%)")
+		).toBe("#800080");
+	});
+});
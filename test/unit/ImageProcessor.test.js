@@ -3,11 +3,17 @@
  */
 
 import { describe, test, expect, beforeEach, afterEach } from "@jest/globals";
-import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
-import { getTestIcon, cleanupDir, TEST_OUTPUT_DIR } from "../setup.js";
+import { ImageProcessor, Platform } from "../../lib/core/ImageProcessor.js";
+import {
+	getTestIcon,
+	getTestSvgForeground,
+	cleanupDir,
+	TEST_OUTPUT_DIR,
+} from "../setup.js";
 import path from "path";
 import { existsSync } from "fs";
 import { mkdir } from "fs/promises";
+import sharp from "sharp";
 
 describe("ImageProcessor", () => {
 	let imageProcessor;
@@ -106,5 +112,268 @@ describe("ImageProcessor", () => {
 
 			expect(colorImage).toBeDefined();
 		});
+
+		test("should create solid color images from any supported color", async () => {
+			const pixel = async color => {
+				const { data } = await imageProcessor
+					.createSolidColorImage(1, 1, color)
+					.raw()
+					.toBuffer({ resolveWithObject: true });
+				return Array.from(data);
+			};
+
+			expect(await pixel("#F00")).toEqual([255, 0, 0, 255]);
+			expect(await pixel("#FF572280")).toEqual([255, 87, 34, 128]);
+			expect(await pixel("hsl(240, 100%, 50%)")).toEqual([0, 0, 255, 255]);
+			expect(await pixel("transparent")).toEqual([0, 0, 0, 0]);
+			expect(() => imageProcessor.createSolidColorImage(1, 1, "notacolor")).toThrow(
+				'Invalid color "notacolor"'
+			);
+		});
+
+		test("should escape font and color attributes of text images", async () => {
+			// Unescaped, these close the attribute and inject an opaque red rectangle
+			const injected = '"/><rect width="40" height="20" fill="red"/><text x="0';
+			const stats = await sharp(
+				await imageProcessor
+					.createTextImage("", 40, 20, { fontFamily: injected, color: injected })
+					.png()
+					.toBuffer()
+			).stats();
+
+			expect(stats.channels[3].max).toBe(0);
+		});
+	});
+
+	describe("Color Layers", () => {
+		test("should prefer an existing file over a color of the same name", async () => {
+			const cwd = process.cwd();
+			process.chdir(testOutputDir);
+			try {
+				expect(imageProcessor.isColorLayer("red")).toBe(true);
+				expect(imageProcessor.isColorLayer("bad")).toBe(true);
+
+				// Blue images called "red" and "bad" (a bare 3-digit hex)
+				for (const name of ["red", "bad"]) {
+					await sharp({
+						create: {
+							width: 8,
+							height: 8,
+							channels: 4,
+							background: { r: 0, g: 0, b: 255, alpha: 1 },
+						},
+					})
+						.png()
+						.toFile(name);
+				}
+
+				expect(imageProcessor.isColorLayer("red")).toBe(false);
+				expect(imageProcessor.isColorLayer("bad")).toBe(false);
+				expect(imageProcessor.isColorLayer("#FF0000")).toBe(true);
+
+				const { data } = await (
+					await imageProcessor.prepareAdaptiveLayer("red", 4, false, Platform.ANDROID)
+				)
+					.raw()
+					.toBuffer({ resolveWithObject: true });
+				expect(Array.from(data.subarray(0, 3))).toEqual([0, 0, 255]);
+			} finally {
+				process.chdir(cwd);
+			}
+		});
+	});
+
+	describe("Silhouettes", () => {
+		test("should keep alpha and cut out pixels below the luminance threshold", async () => {
+			// Left half dark, right half light, fully opaque
+			const source = imageProcessor
+				.createSolidColorImage(4, 2, "#202020")
+				.extend({ right: 4, background: { r: 240, g: 240, b: 240, alpha: 1 } });
+
+			const silhouette = await imageProcessor.createSilhouette(source, 128);
+			const { data } = await silhouette.raw().toBuffer({ resolveWithObject: true });
+
+			const alphaAt = x => data[x * 4 + 3];
+			expect(alphaAt(0)).toBe(0); // Dark pixel cut out
+			expect(alphaAt(7)).toBe(255); // Light pixel kept
+			expect([data[28], data[29], data[30]]).toEqual([255, 255, 255]);
+		});
+	});
+
+	describe("SVG Sources", () => {
+		test("should detect vector sources", async () => {
+			expect(await imageProcessor.isVectorImage(getTestSvgForeground())).toBe(true);
+			expect(await imageProcessor.isVectorImage(getTestIcon())).toBe(false);
+			expect(await imageProcessor.isVectorImage("#FF5722")).toBe(false);
+		});
+
+		test("should render SVG sources at the requested size", async () => {
+			const { metadata } = await imageProcessor.loadImage(
+				getTestSvgForeground(),
+				1024
+			);
+
+			expect(metadata.width).toBe(1024);
+			expect(metadata.height).toBe(1024);
+		});
+	});
+
+	describe("Foreground Fit", () => {
+		async function contentWidth(layer) {
+			const buffer = await layer.png().toBuffer();
+			const { info } = await sharp(buffer)
+				.trim()
+				.toBuffer({ resolveWithObject: true });
+			return info.width;
+		}
+
+		async function createPaddedImage(background) {
+			const filePath = path.join(testOutputDir, "padded.png");
+			const content = await sharp({
+				create: { width: 100, height: 50, channels: 4, background: "#FF5722" },
+			})
+				.png()
+				.toBuffer();
+			await sharp({
+				create: { width: 400, height: 400, channels: 4, background },
+			})
+				.composite([{ input: content, left: 50, top: 100 }])
+				.png()
+				.toFile(filePath);
+			return filePath;
+		}
+
+		test("should trim transparent and solid-color margins", async () => {
+			for (const background of [
+				{ r: 0, g: 0, b: 0, alpha: 0 },
+				{ r: 255, g: 255, b: 255, alpha: 1 },
+			]) {
+				const filePath = await createPaddedImage(background);
+				expect(await imageProcessor.getTrimBox(filePath)).toEqual({
+					left: 0.125,
+					top: 0.25,
+					width: 0.25,
+					height: 0.125,
+				});
+			}
+		});
+
+		test("should fill the padding ratio with trimmed content", async () => {
+			const filePath = await createPaddedImage({ r: 0, g: 0, b: 0, alpha: 0 });
+
+			// Content is a quarter of the source width (±1px of resampling fringe)
+			const untrimmed = await imageProcessor.prepareAdaptiveLayer(filePath, 432, true);
+			expect(await contentWidth(untrimmed)).toBeCloseTo(432 * 0.54 * 0.25, -0.5);
+
+			imageProcessor.setForegroundFit({ trim: true });
+			const trimmed = await imageProcessor.prepareAdaptiveLayer(filePath, 432, true);
+			expect(await contentWidth(trimmed)).toBeCloseTo(432 * 0.54, -0.5);
+		});
+
+		test("should ignore the foreground scale when auto-fitting", async () => {
+			imageProcessor.setForegroundScale(Platform.ANDROID, 2);
+			imageProcessor.setForegroundFit({ trim: true });
+			expect(imageProcessor.getSafeZoneRatio(Platform.ANDROID)).toBeCloseTo(1.08);
+
+			imageProcessor.setForegroundFit({ autoFit: true });
+			expect(imageProcessor.trimForeground).toBe(true);
+			expect(imageProcessor.getSafeZoneRatio(Platform.ANDROID)).toBeCloseTo(0.54);
+		});
+	});
+
+	describe("Processing Profile", () => {
+		/**
+		 * 64x64 black/white checkerboard with 8px cells (pixel art)
+		 */
+		function createCheckerboard() {
+			const data = Buffer.alloc(64 * 64 * 3);
+			for (let y = 0; y < 64; y++) {
+				for (let x = 0; x < 64; x++) {
+					const value = (Math.floor(x / 8) + Math.floor(y / 8)) % 2 ? 255 : 0;
+					data.fill(value, (y * 64 + x) * 3, (y * 64 + x) * 3 + 3);
+				}
+			}
+			return sharp(data, { raw: { width: 64, height: 64, channels: 3 } });
+		}
+
+		async function getGreyLevels(buffer) {
+			const { data } = await sharp(buffer).greyscale().raw().toBuffer({
+				resolveWithObject: true,
+			});
+			return new Set(data);
+		}
+
+		test("should resolve global and platform settings", () => {
+			expect(imageProcessor.processingProfile).toEqual({
+				kernel: "lanczos3",
+				sharpen: 0,
+			});
+
+			const processing = {
+				kernel: "mitchell",
+				sharpen: 0.5,
+				web: { kernel: "nearest" },
+				android: { sharpen: 0 },
+			};
+			expect(imageProcessor.resolveProcessingProfile(processing, Platform.WEB)).toEqual({
+				kernel: "nearest",
+				sharpen: 0.5,
+			});
+			expect(
+				imageProcessor.resolveProcessingProfile(processing, Platform.ANDROID)
+			).toEqual({ kernel: "mitchell", sharpen: 0 });
+			expect(imageProcessor.resolveProcessingProfile(processing, Platform.IOS)).toEqual({
+				kernel: "mitchell",
+				sharpen: 0.5,
+			});
+
+			expect(() =>
+				imageProcessor.resolveProcessingProfile({ kernel: "cubic" })
+			).toThrow("Unknown resize kernel: cubic");
+			expect(() => imageProcessor.resolveProcessingProfile({ sharpen: 4 })).toThrow(
+				"Invalid sharpen amount: 4"
+			);
+		});
+
+		test("should scale sharpening with the reduction ratio", () => {
+			imageProcessor.setProcessingProfile({ processing: { sharpen: 1 } });
+
+			expect(imageProcessor.getSharpenStrength(0.5)).toBe(0);
+			expect(imageProcessor.getSharpenStrength(1)).toBe(0);
+			expect(imageProcessor.getSharpenStrength(2)).toBeCloseTo(0.25);
+			expect(imageProcessor.getSharpenStrength(16)).toBeCloseTo(1);
+			expect(imageProcessor.getSharpenStrength(64)).toBeCloseTo(1);
+		});
+
+		test("should keep hard pixel edges with the nearest kernel", async () => {
+			const checkerboard = createCheckerboard();
+
+			const smooth = await imageProcessor.resizeToBuffer(checkerboard, 24);
+			expect((await getGreyLevels(smooth)).size).toBeGreaterThan(2);
+
+			imageProcessor.setProcessingProfile({ processing: { kernel: "nearest" } });
+			const crisp = await imageProcessor.resizeToBuffer(checkerboard, 24);
+			expect([...(await getGreyLevels(crisp))].sort((a, b) => a - b)).toEqual([
+				0, 255,
+			]);
+		});
+
+		test("should sharpen downscaled icons", async () => {
+			const { image } = await imageProcessor.loadImage(getTestIcon());
+			const plainPath = path.join(testOutputDir, "plain.png");
+			const sharpenedPath = path.join(testOutputDir, "sharpened.png");
+
+			await imageProcessor.resizeAndSave(image, 32, plainPath);
+			imageProcessor.setProcessingProfile({ processing: { sharpen: 2 } });
+			await imageProcessor.resizeAndSave(image, 32, sharpenedPath);
+
+			const contrast = async filePath => {
+				const { channels } = await sharp(filePath).stats();
+				return channels[0].stdev + channels[1].stdev + channels[2].stdev;
+			};
+			expect(await contrast(sharpenedPath)).toBeGreaterThan(
+				await contrast(plainPath)
+			);
+		});
 	});
 });
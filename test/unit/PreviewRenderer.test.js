@@ -0,0 +1,65 @@
+/**
+ * PreviewRenderer Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { PreviewRenderer } from "../../lib/core/PreviewRenderer.js";
+import { ImageProcessor } from "../../lib/core/ImageProcessor.js";
+import { getTestForeground } from "../setup.js";
+import sharp from "sharp";
+
+async function regionMean(buffer, left, top, size) {
+	const region = await sharp(buffer)
+		.extract({ left, top, width: size, height: size })
+		.toBuffer();
+	const { channels } = await sharp(region).stats();
+	return channels.slice(0, 3).map(channel => Math.round(channel.mean));
+}
+
+describe("PreviewRenderer", () => {
+	let renderer;
+
+	beforeEach(() => {
+		renderer = new PreviewRenderer(new ImageProcessor());
+	});
+
+	test("should lay out masks as columns and sizes as rows", async () => {
+		const buffer = await renderer.render(
+			{ foreground: getTestForeground(), background: "#FF5722" },
+			{ sizes: [96, 48], masks: ["circle", "ios"] }
+		);
+
+		// labelWidth + 2 cells of (96 + 2 * padding), labelHeight + both rows
+		const metadata = await sharp(buffer).metadata();
+		expect(metadata.format).toBe("png");
+		expect(metadata.width).toBe(72 + 2 * 144);
+		expect(metadata.height).toBe(28 + 144 + 96);
+	}, 30000);
+
+	test("should clip the icon with the mask shape", async () => {
+		const buffer = await renderer.render(
+			{ foreground: getTestForeground(), background: "#FF5722" },
+			{ sizes: [96], masks: ["circle"] }
+		);
+
+		// First cell starts after the row label and padding
+		const left = 72 + 24;
+		const top = 28 + 24;
+
+		// Corner lies outside the circle: sheet background shows through
+		expect(await regionMean(buffer, left, top, 4)).toEqual([245, 245, 245]);
+		// Left edge midpoint lies inside the circle: icon background
+		expect(await regionMean(buffer, left + 2, top + 46, 4)).toEqual([
+			255, 87, 34,
+		]);
+	}, 30000);
+
+	test("should reject unknown masks", () => {
+		expect(() => renderer.resolveMasks(["hexagon"])).toThrow(
+			"Unknown preview mask: hexagon"
+		);
+		expect(renderer.resolveMasks().map(mask => mask.name)).toEqual(
+			renderer.getMaskNames()
+		);
+	});
+});
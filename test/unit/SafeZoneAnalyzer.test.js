@@ -0,0 +1,64 @@
+/**
+ * SafeZoneAnalyzer Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { SafeZoneAnalyzer } from "../../lib/core/SafeZoneAnalyzer.js";
+import { ImageProcessor, Platform } from "../../lib/core/ImageProcessor.js";
+import { getTestIcon, getTestForeground } from "../setup.js";
+
+describe("SafeZoneAnalyzer", () => {
+	let imageProcessor;
+	let analyzer;
+
+	beforeEach(() => {
+		imageProcessor = new ImageProcessor();
+		analyzer = new SafeZoneAnalyzer(imageProcessor);
+	});
+
+	test("should accept the default padding on both platforms", async () => {
+		for (const platform of [Platform.ANDROID, Platform.IOS]) {
+			const report = await analyzer.analyze(getTestIcon(), platform);
+			expect(report.violation).toBe(false);
+			expect(report.message).toBeNull();
+		}
+	});
+
+	test("should report overflow and cropping for an enlarged Android foreground", async () => {
+		imageProcessor.setForegroundScale(Platform.ANDROID, 2);
+		const report = await analyzer.analyze(getTestIcon(), Platform.ANDROID);
+
+		// Content covers the whole 108dp layer: 21dp past the 66dp zone on each side
+		expect(report.violation).toBe(true);
+		expect(report.overflowDp).toBe(21);
+		expect(report.bounds).toEqual({ left: 0, top: 0, right: 1, bottom: 1 });
+		expect(report.clippedRatio).toBeGreaterThan(0.1);
+		expect(report.message).toContain("cropped by the foreground scale");
+	});
+
+	test("should detect content in the iOS rounded corners", async () => {
+		imageProcessor.setForegroundScale(Platform.IOS, 1.25);
+		const report = await analyzer.analyze(getTestIcon(), Platform.IOS);
+
+		expect(report.violation).toBe(true);
+		expect(report.overflowDp).toBeUndefined();
+		expect(report.message).toContain("rounded corners");
+	});
+
+	test("should skip color layers and measure bounds", async () => {
+		expect(await analyzer.analyze("#FF5722", Platform.ANDROID)).toBeNull();
+		expect(await analyzer.analyze(getTestForeground(), Platform.ANDROID)).not.toBeNull();
+
+		// 4x4 layer with one opaque pixel at (1, 2)
+		const alpha = Buffer.alloc(16);
+		alpha[2 * 4 + 1] = 255;
+		const { bounds, total, outside } = analyzer.measureAlpha(
+			alpha,
+			4,
+			x => x > 2
+		);
+		expect(bounds).toEqual({ left: 1, top: 2, right: 2, bottom: 3 });
+		expect(total).toBe(255);
+		expect(outside).toBe(255);
+	});
+});
@@ -0,0 +1,89 @@
+/**
+ * TextIconRenderer Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { TextIconRenderer } from "../../lib/core/TextIconRenderer.js";
+import { getTestIcon } from "../setup.js";
+
+describe("TextIconRenderer", () => {
+	let renderer;
+
+	beforeEach(() => {
+		renderer = new TextIconRenderer();
+	});
+
+	test("should resolve defaults and reject invalid options", () => {
+		expect(renderer.resolve({ text: " AB " })).toEqual({
+			text: "AB",
+			font: null,
+			color: "#FFFFFF",
+		});
+		expect(renderer.resolve({ text: "AB", textColor: "tomato" }).color).toBe(
+			"#FF6347"
+		);
+
+		expect(() => renderer.resolve({ text: "  " })).toThrow(
+			"Text icon needs a non-empty text"
+		);
+		expect(() => renderer.resolve({ text: "AB", textColor: "notacolor" })).toThrow(
+			"Invalid text color: notacolor"
+		);
+	});
+
+	test("should tell font files from font names", () => {
+		expect(renderer.isFontFile("./fonts/Inter-Bold.ttf")).toBe(true);
+		expect(renderer.isFontFile("Brand.OTF")).toBe(true);
+		expect(renderer.isFontFile("Helvetica Bold")).toBe(false);
+		expect(renderer.isFontFile(undefined)).toBe(false);
+	});
+
+	test("should render centered text on a transparent square canvas", async () => {
+		const image = await renderer.render(
+			{ text: "AB", textColor: "#FF0000" },
+			256
+		);
+		const { data, info } = await image
+			.ensureAlpha()
+			.raw()
+			.toBuffer({ resolveWithObject: true });
+
+		expect(info.width).toBe(256);
+		expect(info.height).toBe(256);
+
+		let left = info.width;
+		let right = 0;
+		let top = info.height;
+		let bottom = 0;
+		for (let y = 0; y < info.height; y++) {
+			for (let x = 0; x < info.width; x++) {
+				const i = (y * info.width + x) * 4;
+				if (data[i + 3] === 255) {
+					// Fully covered pixels carry the text color
+					expect([data[i], data[i + 1], data[i + 2]]).toEqual([255, 0, 0]);
+					left = Math.min(left, x);
+					right = Math.max(right, x + 1);
+					top = Math.min(top, y);
+					bottom = Math.max(bottom, y + 1);
+				}
+			}
+		}
+
+		// Corners stay transparent, the glyphs fill most of the width and are centered
+		expect(data[3]).toBe(0);
+		expect(right - left).toBeGreaterThan(256 * 0.75);
+		expect(Math.abs(left - (256 - right))).toBeLessThanOrEqual(3);
+		expect(Math.abs(top - (256 - bottom))).toBeLessThanOrEqual(3);
+	});
+
+	test("should escape markup in the text", async () => {
+		const image = await renderer.render({ text: "<&>" }, 128);
+		expect((await image.metadata()).width).toBe(128);
+	});
+
+	test("should reject files without a font name table", async () => {
+		await expect(renderer.readFontName(getTestIcon())).rejects.toThrow(
+			"Could not read the font name"
+		);
+	});
+});
@@ -0,0 +1,125 @@
+/**
+ * VectorDrawableConverter Unit Tests
+ */
+
+import { describe, test, expect, beforeEach } from "@jest/globals";
+import { VectorDrawableConverter } from "../../lib/core/VectorDrawableConverter.js";
+
+describe("VectorDrawableConverter", () => {
+	let converter;
+
+	beforeEach(() => {
+		converter = new VectorDrawableConverter();
+	});
+
+	describe("Parsing", () => {
+		test("should convert basic shapes to path data", () => {
+			const { viewBox, paths } = converter.parse(`
+				<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24">
+					<title>Icon</title>
+					<rect x="2" y="2" width="20" height="20" fill="#fff"/>
+					<circle cx="12" cy="12" r="4" fill="#FF5722"/>
+					<polygon points="0,0 4,0 4,4"/>
+				</svg>
+			`);
+
+			expect(viewBox).toEqual({ x: 0, y: 0, width: 24, height: 24 });
+			expect(paths.map(pathDef => pathDef.pathData)).toEqual([
+				"M2,2h20v20h-20z",
+				"M8,12a4,4 0 1 0 8,0a4,4 0 1 0 -8,0z",
+				"M0,0L4,0L4,4z",
+			]);
+			expect(paths.map(pathDef => pathDef.fillColor)).toEqual([
+				"#FFFFFF",
+				"#FF5722",
+				"#000000",
+			]);
+		});
+
+		test("should inherit group fills and read style declarations", () => {
+			const { paths } = converter.parse(`
+				<svg viewBox="0 0 10 10">
+					<g fill="#00FF00" fill-opacity="0.5">
+						<path d="M0 0 L10 10"/>
+						<path d="M0 10 L10 0" style="fill: none; stroke: #0000ff; stroke-width: 2"/>
+					</g>
+				</svg>
+			`);
+
+			expect(paths[0]).toEqual({
+				pathData: "M0 0 L10 10",
+				fillColor: "#00FF00",
+				fillAlpha: 0.5,
+			});
+			expect(paths[1].fillColor).toBeUndefined();
+			expect(paths[1].strokeColor).toBe("#0000FF");
+			expect(paths[1].strokeWidth).toBe(2);
+		});
+
+		test("should reject SVG features VectorDrawables cannot express", () => {
+			expect(() =>
+				converter.parse(
+					'<svg viewBox="0 0 10 10"><path d="M0 0h5v5z" transform="rotate(45)"/></svg>'
+				)
+			).toThrow("transforms are not supported");
+			expect(() =>
+				converter.parse('<svg viewBox="0 0 10 10"><text>A</text></svg>')
+			).toThrow("Unsupported SVG element <text>");
+			expect(() =>
+				converter.parse(
+					'<svg viewBox="0 0 10 10"><rect width="5" height="5" fill="url(#g)"/></svg>'
+				)
+			).toThrow();
+		});
+	});
+
+	describe("Conversion", () => {
+		test("should center the artwork in the viewport", () => {
+			const xml = converter.convert(
+				'<svg viewBox="0 0 100 50"><rect width="100" height="50"/></svg>',
+				{ size: 108, contentRatio: 0.5 }
+			);
+
+			expect(xml).toContain('android:viewportWidth="108"');
+			expect(xml).toContain('android:scaleX="0.54"');
+			expect(xml).toContain('android:translateX="27"');
+			expect(xml).toContain('android:translateY="40.5"');
+		});
+
+		test("should crop the viewBox to a trim box", () => {
+			const xml = converter.convert(
+				'<svg viewBox="0 0 100 100"><rect x="25" y="25" width="50" height="50"/></svg>',
+				{
+					size: 108,
+					contentRatio: 0.5,
+					crop: { left: 0.25, top: 0.25, width: 0.5, height: 0.5 },
+				}
+			);
+
+			// 50 units fill 54dp of the viewport
+			expect(xml).toContain('android:scaleX="1.08"');
+			expect(xml).toContain('android:translateX="0"');
+			expect(xml).toContain('<clip-path android:pathData="M25,25h50v50h-50z"/>');
+		});
+
+		test("should create a solid color drawable", () => {
+			const xml = converter.createSolidColor("#ff5722");
+
+			expect(xml).toContain('android:fillColor="#FF5722"');
+			expect(xml).toContain('android:pathData="M0,0h108v108h-108z"');
+		});
+
+		test("should convert named and translucent colors to fillColor plus alpha", () => {
+			const { paths } = converter.parse(
+				'<svg viewBox="0 0 10 10"><rect width="10" height="10" fill="tomato" stroke="rgba(0, 0, 255, 0.5)"/></svg>'
+			);
+
+			expect(paths[0].fillColor).toBe("#FF6347");
+			expect(paths[0].strokeColor).toBe("#0000FF");
+			expect(paths[0].strokeAlpha).toBe(0.5);
+			expect(converter.createSolidColor("#FF572280")).toContain(
+				'android:fillAlpha="0.502"'
+			);
+		});
+	});
+});